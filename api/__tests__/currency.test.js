@@ -0,0 +1,32 @@
+const {
+  DEFAULT_CURRENCY,
+  getSupportedCountry,
+  normalizeCurrency,
+  formatAmount,
+  formatCents
+} = require('../currency');
+
+describe('currency', () => {
+  it('accepts supported countries in any case', () => {
+    expect(getSupportedCountry(' gb ')).toBe('GB');
+    expect(getSupportedCountry('CA')).toBe('CA');
+    expect(getSupportedCountry('FR')).toBeNull();
+    expect(getSupportedCountry(null)).toBeNull();
+  });
+
+  it('lowercases currencies and defaults to USD', () => {
+    expect(normalizeCurrency('GBP')).toBe('gbp');
+    expect(normalizeCurrency(undefined)).toBe(DEFAULT_CURRENCY);
+  });
+
+  it("formats amounts in the currency's home locale", () => {
+    expect(formatAmount(1234.5, 'usd')).toBe('$1,234.50');
+    expect(formatAmount(1234.5, 'gbp')).toBe('£1,234.50');
+    expect(formatAmount(1234.5, 'CAD')).toBe('$1,234.50');
+  });
+
+  it('formats minor units', () => {
+    expect(formatCents(5050, 'gbp')).toBe('£50.50');
+    expect(formatCents(99)).toBe('$0.99');
+  });
+});
@@ -0,0 +1,43 @@
+const { GRATUITY_PRESETS, MAX_GRATUITY_PERCENT, resolveGratuity } = require('../gratuity');
+
+describe('resolveGratuity', () => {
+  it('is zero when no gratuity was given', () => {
+    expect(resolveGratuity(undefined, 100000)).toEqual({ amount: 0, percent: null });
+    expect(resolveGratuity(null, 100000)).toEqual({ amount: 0, percent: null });
+  });
+
+  it.each(GRATUITY_PRESETS)('works out a %i%% preset on the service amount', (percent) => {
+    expect(resolveGratuity({ percent }, 100000)).toEqual({ amount: percent * 1000, percent });
+  });
+
+  it('rounds a preset to the cent', () => {
+    expect(resolveGratuity({ percent: 15 }, 3333)).toEqual({ amount: 500, percent: 15 });
+  });
+
+  it('rejects a percentage that is not a preset', () => {
+    expect(resolveGratuity({ percent: 12 }, 100000).error).toMatch(/must be one of 10, 15, 20, 25/);
+  });
+
+  it('takes a custom amount in cents', () => {
+    expect(resolveGratuity({ amount: 2500 }, 100000)).toEqual({ amount: 2500, percent: null });
+    expect(resolveGratuity({ amount: 0 }, 100000)).toEqual({ amount: 0, percent: null });
+  });
+
+  it.each([[-100], [12.5], ['2500'], [undefined]])('rejects a custom amount of %p', (amount) => {
+    expect(resolveGratuity({ amount }, 100000).error).toMatch(/non-negative integer/);
+  });
+
+  it('caps a custom amount at the maximum share of the service amount', () => {
+    const max = Math.round(100000 * MAX_GRATUITY_PERCENT / 100);
+    expect(resolveGratuity({ amount: max }, 100000)).toEqual({ amount: max, percent: null });
+    expect(resolveGratuity({ amount: max + 1 }, 100000).error).toMatch(/at most/);
+  });
+
+  it('rejects both a percentage and an amount', () => {
+    expect(resolveGratuity({ percent: 10, amount: 1000 }, 100000).error).toMatch(/not both/);
+  });
+
+  it('rejects a gratuity that is not an object', () => {
+    expect(resolveGratuity(10, 100000).error).toMatch(/must be an object/);
+  });
+});
@@ -5,6 +5,10 @@ const authenticateUser = require('../middleware/auth');
 const authenticateAdmin = require('../middleware/adminAuth');
 const WebScraperService = require('../services/webScraperService');
 const ImageProcessingService = require('../services/imageProcessingService');
+const StripeWebhookService = require('../services/stripeWebhookService');
+const EscrowService = require('../services/escrowService');
+const PromotionService = require('../services/promotionService');
+const EmailOutboxService = require('../services/emailOutboxService');
 const supabase = require('../supabaseClient');
 
 // Simple in-memory status tracking for scraping operations
@@ -601,4 +605,456 @@ router.delete('/portfolio-photo/:photoId',
   }
 );
 
+/**
+ * GET /api/admin/webhook-events
+ * List stored Stripe webhook events, e.g. ?status=failed to find ones to replay
+ *
+ * Query: status, type, limit (default 50, max 200)
+ */
+router.get('/webhook-events',
+  statusLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const { status, type } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      const webhookService = new StripeWebhookService();
+      const events = await webhookService.listEvents({ status, type, limit });
+
+      res.json({
+        success: true,
+        data: events
+      });
+
+    } catch (error) {
+      console.error('Error in webhook-events endpoint:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/webhook-events/:eventId/replay
+ * Re-run a stored Stripe event from its saved payload
+ *
+ * Request Body:
+ * {
+ *   "force": false // set true to re-run an event that already processed
+ * }
+ */
+router.post('/webhook-events/:eventId/replay',
+  adminLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    const { eventId } = req.params;
+
+    try {
+      const webhookService = new StripeWebhookService();
+      const result = await webhookService.replayEvent(eventId, { force: !!req.body?.force });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook event not found'
+        });
+      }
+
+      console.log(`Admin ${req.user.email} replayed Stripe event ${eventId}:`, result);
+
+      res.json({
+        success: true,
+        eventId,
+        ...result
+      });
+
+    } catch (error) {
+      console.error(`Error replaying webhook event ${eventId}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Webhook event replay failed',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/email-outbox
+ * Delivery log for queued email, e.g. ?requestId=... to see which vendors
+ * received a new-request email
+ *
+ * Query: status, to, template, requestId, limit (default 50, max 200)
+ */
+router.get('/email-outbox',
+  statusLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const { status, to, template, requestId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      const outbox = new EmailOutboxService();
+      const messages = await outbox.listMessages({ status, to, template, requestId, limit });
+
+      res.json({
+        success: true,
+        data: messages
+      });
+
+    } catch (error) {
+      console.error('Error in email-outbox endpoint:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/email-outbox/:messageId
+ * One queued email with its Resend delivery events
+ */
+router.get('/email-outbox/:messageId',
+  statusLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const outbox = new EmailOutboxService();
+      const message = await outbox.getMessage(req.params.messageId);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Email not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: message
+      });
+
+    } catch (error) {
+      console.error(`Error fetching email ${req.params.messageId}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/email-outbox/:messageId/retry
+ * Queue a failed email again with a fresh set of attempts
+ */
+router.post('/email-outbox/:messageId/retry',
+  adminLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    const { messageId } = req.params;
+
+    try {
+      const outbox = new EmailOutboxService();
+      const message = await outbox.retry(messageId);
+
+      if (!message) {
+        return res.status(409).json({
+          success: false,
+          error: 'Only failed emails can be retried'
+        });
+      }
+
+      console.log(`Admin ${req.user.email} re-queued email ${messageId}`);
+
+      res.json({
+        success: true,
+        data: { id: message.id, status: message.status }
+      });
+
+    } catch (error) {
+      console.error(`Error retrying email ${messageId}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Email retry failed',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/promo-campaigns
+ * List promo campaigns with how often each has been redeemed
+ */
+router.get('/promo-campaigns',
+  statusLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const promotions = new PromotionService();
+      const campaigns = await promotions.listCampaigns();
+
+      const data = [];
+      for (const campaign of campaigns) {
+        data.push({ ...campaign, redemptions: await promotions.countRedemptions(campaign.id) });
+      }
+
+      res.json({
+        success: true,
+        data
+      });
+
+    } catch (error) {
+      console.error('Error listing promo campaigns:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/promo-campaigns
+ * Create a Bidi-funded promo campaign
+ *
+ * Request Body:
+ * {
+ *   "name": "First booking $50 off",
+ *   "code": "FIRST50",
+ *   "discountType": "fixed",       // or "percent"
+ *   "discountValue": 5000,         // cents for fixed, percentage for percent
+ *   "maxDiscountAmount": null,     // cents cap for percent discounts
+ *   "currency": "usd",             // optional; required for fixed discounts to mean anything
+ *   "minAmount": 20000,            // optional, cents
+ *   "firstBookingOnly": true,
+ *   "maxRedemptions": 500,         // optional, across all customers
+ *   "maxRedemptionsPerUser": 1,
+ *   "startsAt": "2025-06-01T00:00:00Z",
+ *   "endsAt": "2025-07-01T00:00:00Z"
+ * }
+ */
+router.post('/promo-campaigns',
+  adminLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    const { name, code, discountType, discountValue } = req.body;
+
+    if (!name || !code || !['fixed', 'percent'].includes(discountType) || !Number.isInteger(discountValue) || discountValue <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'name, code, discountType ("fixed" or "percent") and a positive integer discountValue are required'
+      });
+    }
+
+    if (discountType === 'percent' && discountValue > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'A percent discount can be at most 100'
+      });
+    }
+
+    if (discountType === 'fixed' && !req.body.currency) {
+      return res.status(400).json({
+        success: false,
+        error: 'currency is required for fixed discounts'
+      });
+    }
+
+    try {
+      const promotions = new PromotionService();
+
+      if (await promotions.findCampaignByCode(code)) {
+        return res.status(409).json({
+          success: false,
+          error: 'A campaign with this code already exists'
+        });
+      }
+
+      const campaign = await promotions.createCampaign(req.body);
+      console.log(`Admin ${req.user.email} created promo campaign ${campaign.code}`);
+
+      res.status(201).json({
+        success: true,
+        data: campaign
+      });
+
+    } catch (error) {
+      console.error('Error creating promo campaign:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create promo campaign',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/promo-campaigns/:campaignId/active
+ * Turn a campaign on or off
+ *
+ * Request Body:
+ * {
+ *   "active": false
+ * }
+ */
+router.post('/promo-campaigns/:campaignId/active',
+  adminLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const promotions = new PromotionService();
+      const campaign = await promotions.setCampaignActive(req.params.campaignId, !!req.body.active);
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          error: 'Promo campaign not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: campaign
+      });
+
+    } catch (error) {
+      console.error('Error updating promo campaign:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update promo campaign',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/credits
+ * Give a customer Bidi credit
+ *
+ * Request Body:
+ * {
+ *   "userId": "uuid",
+ *   "amount": 2500,      // cents
+ *   "currency": "usd",
+ *   "reason": "Apology for late vendor",
+ *   "expiresAt": null
+ * }
+ */
+router.post('/credits',
+  adminLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    const { userId, amount, currency, reason, expiresAt } = req.body;
+
+    if (!userId || !Number.isInteger(amount) || amount <= 0 || !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'userId, a positive integer amount and reason are required'
+      });
+    }
+
+    try {
+      const promotions = new PromotionService();
+      const credit = await promotions.grantCredit({
+        userId,
+        amount,
+        currency,
+        reason,
+        expiresAt: expiresAt || null,
+        grantedBy: req.user.id
+      });
+
+      console.log(`Admin ${req.user.email} granted ${amount} credit to ${userId}`);
+
+      res.status(201).json({
+        success: true,
+        data: credit
+      });
+
+    } catch (error) {
+      console.error('Error granting credit:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to grant credit',
+        details: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/escrow/:bidId/release
+ * Release a bid's held escrow payments after a reported problem is resolved
+ * in the vendor's favour. Refunds go through POST /api/payments/refunds.
+ */
+router.post('/escrow/:bidId/release',
+  adminLimiter,
+  authenticateUser,
+  authenticateAdmin,
+  async (req, res) => {
+    const { bidId } = req.params;
+
+    try {
+      const escrow = new EscrowService();
+      const held = await escrow.getHeldPayments(bidId);
+
+      if (held.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No held payments for this bid'
+        });
+      }
+
+      const results = [];
+      for (const payment of held) {
+        const result = await escrow.releasePayment(payment, { releasedBy: 'admin' });
+        results.push({
+          paymentId: payment.id,
+          success: result.success,
+          error: result.error,
+          transferAmount: result.payment?.transfer_amount
+        });
+      }
+
+      console.log(`Admin ${req.user.email} released escrow for bid ${bidId}:`, results);
+
+      res.json({
+        success: true,
+        bidId,
+        results
+      });
+
+    } catch (error) {
+      console.error(`Error releasing escrow for bid ${bidId}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Escrow release failed',
+        details: error.message
+      });
+    }
+  }
+);
+
 module.exports = router;
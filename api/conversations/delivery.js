@@ -0,0 +1,64 @@
+const NotificationService = require('../services/notificationService');
+
+const notifications = new NotificationService();
+
+// Push text for a message, falling back to its attachments when it has no text
+const pushBody = (message) => {
+  const text = message.message || '';
+  if (!text && message.attachments?.length) {
+    const images = message.attachments.filter(attachment => attachment.contentType.startsWith('image/')).length;
+    return images === message.attachments.length
+      ? `Sent ${images === 1 ? 'a photo' : `${images} photos`}`
+      : `Sent ${message.attachments.length === 1 ? 'a file' : `${message.attachments.length} files`}`;
+  }
+
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+};
+
+/**
+ * Send a stored message to everyone in its conversation: over Socket.IO to
+ * each participant's room (the sender's too, for their other tabs), and by
+ * push to the ones with no socket connected.
+ */
+const deliverMessage = (io, conversation, message) => {
+  for (const { user_id: userId } of conversation.conversation_participants || []) {
+    if (io) {
+      io.to(userId).emit('receive_message', message);
+    }
+
+    if (userId === message.sender_id || io?.sockets.adapter.rooms.get(userId)?.size) {
+      continue;
+    }
+
+    notifications.sendPush({
+      userId,
+      category: 'messages',
+      payload: {
+        title: conversation.title ? `New message about ${conversation.title}` : 'New message',
+        body: pushBody(message),
+        url: `/messages/${conversation.id}`,
+        tag: `conversation-${conversation.id}`,
+        data: { conversationId: conversation.id, messageId: message.id, senderId: message.sender_id }
+      }
+    }).catch(error => console.error('Error sending message push:', error.message));
+  }
+};
+
+/**
+ * Tell everyone in a conversation that a user has read it up to `readAt`,
+ * for read receipts and for clearing unread badges in the reader's other tabs
+ */
+const announceRead = (io, conversation, { userId, readAt, messageId = null }) => {
+  if (!io) return;
+
+  for (const participant of conversation.conversation_participants || []) {
+    io.to(participant.user_id).emit('message_read', {
+      conversationId: conversation.id,
+      userId,
+      readAt,
+      messageId
+    });
+  }
+};
+
+module.exports = { deliverMessage, announceRead };
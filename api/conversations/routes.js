@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const authenticateUser = require('../middleware/auth');
+const ConversationService = require('../services/conversationService');
+const MessageAttachmentService = require('../services/messageAttachmentService');
+const { deliverMessage, announceRead } = require('./delivery');
+
+const parseLimit = (value, fallback) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), 100);
+
+// Message bodies longer than this are rejected
+const MAX_MESSAGE_LENGTH = 5000;
+
+router.use(authenticateUser);
+
+// Load :conversationId and check the signed-in user is in it
+router.param('conversationId', async (req, res, next, conversationId) => {
+  try {
+    const conversationService = new ConversationService();
+    const conversation = await conversationService.getConversation(conversationId);
+
+    if (!conversation || !conversationService.isParticipant(conversation, req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+    res.status(500).json({ success: false, error: 'Failed to load conversation', details: error.message });
+  }
+});
+
+const describeConversation = (conversation) => ({
+  id: conversation.id,
+  title: conversation.title,
+  requestId: conversation.request_id,
+  bidId: conversation.bid_id,
+  participants: (conversation.conversation_participants || []).map(({ user_id: userId, role, last_read_at: lastReadAt }) => ({ userId, role, lastReadAt })),
+  lastMessageAt: conversation.last_message_at,
+  createdAt: conversation.created_at
+});
+
+/**
+ * GET /api/conversations?limit=20&before=...
+ * The signed-in user's conversations, most recent first, with the last
+ * message and unread count. `before` is the previous page's nextCursor.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const conversationService = new ConversationService();
+    const result = await conversationService.listForUser(req.user.id, {
+      limit: parseLimit(req.query.limit, 20),
+      before: req.query.before || null
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    res.status(500).json({ success: false, error: 'Failed to list conversations', details: error.message });
+  }
+});
+
+/**
+ * POST /api/conversations
+ * Open (or find) the thread for a bid, a request or another user
+ *
+ * Request Body (one of):
+ * { "bidId": "..." }
+ * { "requestId": "...", "participantId": "vendor id, when the customer starts it" }
+ * { "participantId": "..." }
+ */
+router.post('/', async (req, res) => {
+  const { bidId, requestId, participantId } = req.body || {};
+
+  if (!bidId && !requestId && !participantId) {
+    return res.status(400).json({ success: false, error: 'bidId, requestId or participantId is required' });
+  }
+
+  try {
+    const conversationService = new ConversationService();
+    const result = await conversationService.resolve({ bidId, requestId, participantId }, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, conversation: describeConversation(result.conversation) });
+  } catch (error) {
+    console.error('Error opening conversation:', error);
+    res.status(500).json({ success: false, error: 'Failed to open conversation', details: error.message });
+  }
+});
+
+/**
+ * GET /api/conversations/:conversationId
+ */
+router.get('/:conversationId', (req, res) => {
+  res.json({ success: true, conversation: describeConversation(req.conversation) });
+});
+
+/**
+ * GET /api/conversations/:conversationId/messages?limit=50&before=...
+ * A page of history, oldest first, each message with `readBy`. `before` is
+ * the previous page's nextCursor, to scroll back further.
+ */
+router.get('/:conversationId/messages', async (req, res) => {
+  try {
+    const conversationService = new ConversationService();
+    const result = await conversationService.getMessages(req.conversation.id, {
+      limit: parseLimit(req.query.limit, 50),
+      before: req.query.before || null
+    });
+
+    res.json({
+      success: true,
+      messages: conversationService.withReadReceipts(req.conversation, result.messages),
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch messages', details: error.message });
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/messages
+ * `attachmentIds` are files uploaded with POST .../attachments; message
+ * text is optional when there are some.
+ *
+ * Request Body:
+ * { "message": "...", "attachmentIds": ["..."] }
+ */
+router.post('/:conversationId/messages', async (req, res) => {
+  const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+  const attachmentIds = req.body?.attachmentIds || [];
+
+  if (!Array.isArray(attachmentIds)) {
+    return res.status(400).json({ success: false, error: 'attachmentIds must be an array' });
+  }
+  if (!message && attachmentIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'message or attachmentIds is required' });
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return res.status(400).json({ success: false, error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` });
+  }
+
+  try {
+    const conversationService = new ConversationService();
+    const pending = await conversationService.attachments.getPending(req.conversation.id, req.user.id, attachmentIds);
+    if (!pending.success) {
+      return res.status(pending.status).json({ success: false, error: pending.error });
+    }
+
+    const sent = await conversationService.sendMessage(req.conversation, req.user.id, message, pending.attachments);
+    deliverMessage(req.app.get('io'), req.conversation, sent);
+
+    res.status(201).json({ success: true, message: sent });
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({ success: false, error: 'Failed to send message', details: error.message });
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/attachments?fileName=contract.pdf
+ * Upload a file to send with a message. The body is the raw file and
+ * Content-Type its MIME type. Returns the attachment, whose ID goes in the
+ * message's attachmentIds.
+ */
+router.post('/:conversationId/attachments',
+  express.raw({ type: () => true, limit: MessageAttachmentService.MAX_FILE_SIZE }),
+  async (req, res) => {
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ success: false, error: 'File body is required' });
+    }
+
+    try {
+      const attachmentService = new MessageAttachmentService();
+      const result = await attachmentService.upload(req.conversation.id, req.user.id, {
+        buffer: req.body,
+        fileName: req.query.fileName,
+        contentType
+      });
+
+      if (!result.success) {
+        return res.status(result.status).json({
+          success: false,
+          error: result.error,
+          allowedTypes: MessageAttachmentService.ALLOWED_TYPES
+        });
+      }
+
+      console.log(`📎 ${req.user.id} uploaded ${result.attachment.fileName} to conversation ${req.conversation.id}`);
+      res.status(201).json({ success: true, attachment: result.attachment });
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      res.status(500).json({ success: false, error: 'Failed to upload attachment', details: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/conversations/:conversationId/attachments/:attachmentId
+ * A fresh signed URL that downloads the file, for when the ones sent with
+ * the message have expired
+ */
+router.get('/:conversationId/attachments/:attachmentId', async (req, res) => {
+  try {
+    const attachmentService = new MessageAttachmentService();
+    const attachment = await attachmentService.getAttachment(req.conversation.id, req.params.attachmentId);
+
+    // Unsent uploads are only visible to whoever uploaded them
+    if (!attachment || (!attachment.message_id && attachment.uploaded_by !== req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+
+    const download = await attachmentService.getDownloadUrl(attachment);
+    res.json({ success: true, ...download });
+  } catch (error) {
+    console.error('Error signing attachment URL:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch attachment', details: error.message });
+  }
+});
+
+/**
+ * POST /api/conversations/:conversationId/read
+ * Mark everything in the conversation read for the signed-in user
+ */
+router.post('/:conversationId/read', async (req, res) => {
+  try {
+    const conversationService = new ConversationService();
+    const readAt = await conversationService.markRead(req.conversation.id, req.user.id);
+    if (readAt) {
+      announceRead(req.app.get('io'), req.conversation, { userId: req.user.id, readAt });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    res.status(500).json({ success: false, error: 'Failed to mark conversation read', details: error.message });
+  }
+});
+
+module.exports = router;
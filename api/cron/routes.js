@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const authenticateCron = require('../middleware/cronAuth');
+const PaymentScheduleService = require('../services/paymentScheduleService');
+const RequestLookupService = require('../services/requestLookupService');
+const EscrowService = require('../services/escrowService');
+const EmailOutboxService = require('../services/emailOutboxService');
+const NotificationService = require('../services/notificationService');
+const DigestService = require('../services/digestService');
+const supabase = require('../supabaseClient');
+const { formatCents } = require('../currency');
+
+// Every scheduled job is behind the cron secret
+router.use(authenticateCron);
+
+/**
+ * GET /api/cron/balance-reminders
+ * Email customers whose balance payment reminder time has passed
+ */
+router.get('/balance-reminders', async (req, res) => {
+  const paymentSchedule = new PaymentScheduleService();
+  const requestLookup = new RequestLookupService();
+  const notifications = new NotificationService();
+  const stats = { due: 0, sent: 0, optedOut: 0, failed: 0 };
+
+  try {
+    const duePayments = await paymentSchedule.getDueReminders();
+    stats.due = duePayments.length;
+
+    for (const payment of duePayments) {
+      try {
+        const found = await requestLookup.findRequestForBid(payment.bid_id);
+        if (!found?.ownerId) {
+          throw new Error('Customer not found for bid');
+        }
+
+        const [{ data: customer }, { data: business }] = await Promise.all([
+          supabase.from('profiles').select('email').eq('id', found.ownerId).single(),
+          supabase.from('business_profiles').select('business_name').eq('id', found.bid.user_id).single()
+        ]);
+
+        if (!customer?.email) {
+          throw new Error('Customer has no email address');
+        }
+
+        const result = await notifications.sendEmail({
+          to: customer.email,
+          userId: found.ownerId,
+          category: 'payments',
+          template: 'balance-reminder',
+          variables: {
+            businessName: business?.business_name || 'your vendor',
+            amount: formatCents(payment.amount, payment.currency),
+            dueDate: new Date(payment.due_date).toLocaleDateString('en-US', { dateStyle: 'long' })
+          },
+          metadata: { bid_id: payment.bid_id }
+        });
+
+        // An opted-out customer counts as reminded so they aren't retried daily
+        await paymentSchedule.markReminderSent(payment.id);
+        if (result.status === 'skipped') {
+          stats.optedOut++;
+        } else {
+          stats.sent++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to send balance reminder for payment ${payment.id}:`, error.message);
+        stats.failed++;
+      }
+    }
+
+    console.log('📧 Balance reminders processed:', stats);
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('Error in balance-reminders job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Balance reminder job failed',
+      details: error.message,
+      stats
+    });
+  }
+});
+
+/**
+ * GET /api/cron/escrow-releases
+ * Transfer held escrow payments whose dispute window has closed
+ */
+router.get('/escrow-releases', async (req, res) => {
+  try {
+    const escrow = new EscrowService();
+    const stats = await escrow.releaseDuePayments();
+
+    console.log('🔓 Escrow releases processed:', stats);
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('Error in escrow-releases job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Escrow release job failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/cron/email-outbox
+ * Send queued emails and retry failed ones whose backoff has passed
+ */
+router.get('/email-outbox', async (req, res) => {
+  try {
+    const outbox = new EmailOutboxService();
+    // Leave headroom under the function timeout
+    const stats = await outbox.processDue({ limit: 200, deadline: Date.now() + 50 * 1000 });
+
+    console.log('📤 Email outbox processed:', stats);
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('Error in email-outbox job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Email outbox job failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/cron/vendor-digests
+ * Send daily and weekly vendor digests that are due. Runs hourly so each
+ * vendor gets theirs in the morning in their own timezone.
+ */
+router.get('/vendor-digests', async (req, res) => {
+  try {
+    const digests = new DigestService();
+    const stats = await digests.sendDueDigests({ deadline: Date.now() + 50 * 1000 });
+
+    console.log('📰 Vendor digests processed:', stats);
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('Error in vendor-digests job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Vendor digest job failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// Countries vendors can onboard from and how their money is charged and shown.
+// Stripe amounts are in minor units (cents/pence) for all of these currencies.
+// `dateOrder` is how accounting software set up in that country reads
+// numeric dates (QuickBooks and Xero both follow the company's region).
+const SUPPORTED_COUNTRIES = {
+  US: { currency: 'usd', locale: 'en-US', dateOrder: 'MDY' },
+  CA: { currency: 'cad', locale: 'en-CA', dateOrder: 'DMY' },
+  GB: { currency: 'gbp', locale: 'en-GB', dateOrder: 'DMY' }
+};
+
+const DEFAULT_COUNTRY = 'US';
+const DEFAULT_CURRENCY = SUPPORTED_COUNTRIES[DEFAULT_COUNTRY].currency;
+
+const CURRENCY_LOCALES = Object.values(SUPPORTED_COUNTRIES)
+  .reduce((locales, { currency, locale }) => ({ ...locales, [currency]: locale }), {});
+
+// Normalised country code if it's one we support, otherwise null
+const getSupportedCountry = (country) => {
+  const code = String(country || '').trim().toUpperCase();
+  return SUPPORTED_COUNTRIES[code] ? code : null;
+};
+
+const normalizeCurrency = (currency) => String(currency || DEFAULT_CURRENCY).toLowerCase();
+
+// Format an amount in major units (dollars, pounds) in its currency's home locale
+const formatAmount = (amount, currency = DEFAULT_CURRENCY) => {
+  const code = normalizeCurrency(currency);
+  return new Intl.NumberFormat(CURRENCY_LOCALES[code] || 'en-US', {
+    style: 'currency',
+    currency: code.toUpperCase()
+  }).format(amount);
+};
+
+// Format an amount in minor units (cents, pence)
+const formatCents = (cents, currency = DEFAULT_CURRENCY) => formatAmount(cents / 100, currency);
+
+module.exports = {
+  SUPPORTED_COUNTRIES,
+  DEFAULT_COUNTRY,
+  DEFAULT_CURRENCY,
+  getSupportedCountry,
+  normalizeCurrency,
+  formatAmount,
+  formatCents
+};
@@ -0,0 +1,155 @@
+// PDF rendering for bid invoices and quotes
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { formatCents: formatMoney } = require('../currency');
+
+const BRAND_COLOR = '#A328F4';
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#777777';
+const LOGO_PATH = path.join(__dirname, '..', 'public', 'Bidi-Favicon.png');
+
+const scheduleLabels = {
+  full: 'Full Payment',
+  deposit: 'Deposit',
+  balance: 'Balance'
+};
+
+const statusLabels = {
+  succeeded: 'Paid',
+  partially_refunded: 'Paid (partially refunded)',
+  refunded: 'Refunded',
+  pending: 'Processing',
+  scheduled: 'Scheduled',
+  failed: 'Payment failed',
+  disputed: 'Disputed',
+  due: 'Due at booking'
+};
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-US', { dateStyle: 'long' })
+  : '—');
+
+// Two-column row: label on the left, value right-aligned
+const row = (doc, label, value, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  // Long labels wrap; continue below whichever column is taller
+  const height = Math.max(doc.heightOfString(label, { width: 340 }), doc.heightOfString(value, { width: 145 }));
+  doc.text(label, 50, y, { width: 340 })
+    .text(value, 400, y, { width: 145, align: 'right' });
+  doc.y = y + height;
+  doc.moveDown(0.4);
+};
+
+const sectionTitle = (doc, title) => {
+  doc.moveDown(1)
+    .font('Helvetica-Bold').fontSize(12).fillColor(BRAND_COLOR)
+    .text(title, 50)
+    .moveDown(0.3)
+    .fontSize(10).fillColor(TEXT_COLOR);
+};
+
+const rule = (doc) => {
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor('#E0E0E0').stroke().moveDown(0.4);
+};
+
+/**
+ * Render document data from BidDocumentService.buildDocumentData to a PDF Buffer
+ */
+const renderBidDocument = (data) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `Bidi ${data.type} ${data.number}` } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const title = data.type === 'invoice' ? 'INVOICE' : 'QUOTE';
+
+  // Header
+  if (fs.existsSync(LOGO_PATH)) {
+    doc.image(LOGO_PATH, 50, 45, { width: 40 });
+  }
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(BRAND_COLOR)
+    .text(title, 300, 50, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+    .text(`No. ${data.number}`, 300, 78, { width: 245, align: 'right' })
+    .text(`Issued ${formatDate(data.issuedAt)}`, { width: 245, align: 'right' });
+
+  // Vendor and customer
+  const partiesTop = 130;
+  doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(10)
+    .text('FROM', 50, partiesTop)
+    .text('BILL TO', 300, partiesTop);
+  doc.font('Helvetica')
+    .text(data.business?.name || 'Vendor', 50, partiesTop + 15, { width: 230 })
+    .text(data.business?.email || '', { width: 230 });
+  doc.text(data.customer?.name || 'Customer', 300, partiesTop + 15, { width: 245 })
+    .text(data.customer?.email || '', { width: 245 });
+
+  doc.y = partiesTop + 60;
+
+  // Event
+  sectionTitle(doc, 'Event');
+  row(doc, 'Service', data.event.title || data.bid.category || 'Booking');
+  row(doc, 'Date', formatDate(data.event.date));
+  if (data.event.location) {
+    row(doc, 'Location', data.event.location);
+  }
+
+  // Line items
+  sectionTitle(doc, 'Details');
+  doc.font('Helvetica-Bold').fillColor(MUTED_COLOR);
+  row(doc, 'Description', 'Amount', { bold: true });
+  doc.fillColor(TEXT_COLOR);
+  rule(doc);
+  for (const item of data.lineItems) {
+    row(doc, item.description, formatMoney(item.amount, data.currency));
+  }
+  rule(doc);
+
+  if (data.tax) {
+    row(doc, 'Subtotal before tax', formatMoney(data.subtotal, data.currency));
+    row(doc, `Tax (${data.tax.ratePercent}%, included in prices above)`, formatMoney(data.tax.amount, data.currency));
+  }
+  row(doc, 'Total', formatMoney(data.total, data.currency), { bold: true });
+  if (data.gratuity > 0) {
+    row(doc, 'Gratuity (paid to the vendor, not part of the total)', formatMoney(data.gratuity, data.currency));
+  }
+  if (data.amountPaid > 0) {
+    row(doc, 'Paid to date', `-${formatMoney(data.amountPaid, data.currency)}`);
+    row(doc, 'Amount due', formatMoney(data.total - data.amountPaid, data.currency), { bold: true });
+  }
+
+  // Payment schedule
+  if (data.schedule.length > 0) {
+    sectionTitle(doc, 'Payment Schedule');
+    for (const payment of data.schedule) {
+      const label = `${scheduleLabels[payment.type] || payment.type}${payment.percent ? ` (${payment.percent}%)` : ''}`;
+      const when = payment.paidAt
+        ? `paid ${formatDate(payment.paidAt)}`
+        : payment.dueDate ? `due ${formatDate(payment.dueDate)}` : (statusLabels[payment.status] || payment.status);
+      row(doc, `${label} — ${when}`, formatMoney(payment.amount, data.currency));
+    }
+  }
+
+  // Bid description as the scope of work
+  if (data.bid.description) {
+    sectionTitle(doc, 'Scope of Work');
+    doc.font('Helvetica').text(data.bid.description, 50, doc.y, { width: 495 });
+  }
+
+  doc.moveDown(2).fontSize(9).fillColor(MUTED_COLOR)
+    .text(data.type === 'invoice'
+      ? 'Payments are processed securely through Bidi. Thank you for your business!'
+      : 'This quote is an estimate based on your request and may change if the event details change.',
+    50, doc.y, { width: 495, align: 'center' })
+    .text('www.savewithbidi.com', { width: 495, align: 'center', link: 'https://www.savewithbidi.com' });
+
+  doc.end();
+});
+
+module.exports = {
+  renderBidDocument
+};
@@ -0,0 +1,103 @@
+// Accounting export formats for vendor transaction entries
+// (see EarningsService.getTransactionEntries). Amounts arrive in cents;
+// `country` is the vendor's, for date formats.
+const { SUPPORTED_COUNTRIES, DEFAULT_COUNTRY, getSupportedCountry } = require('../currency');
+
+const typeLabels = {
+  payment: 'Payment',
+  gratuity: 'Gratuity',
+  platform_fee: 'Platform Fee',
+  refund: 'Refund',
+  fee_refund: 'Platform Fee Refund',
+  payout: 'Payout'
+};
+
+// Quote a CSV field when needed; a leading =, +, - or @ is prefixed so
+// spreadsheets don't evaluate customer-supplied text as a formula
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (header, rows) => [header, ...rows]
+  .map(row => row.map(csvField).join(','))
+  .join('\r\n') + '\r\n';
+
+const decimal = (cents) => (cents / 100).toFixed(2);
+
+// MM/DD/YYYY for US vendors, DD/MM/YYYY for UK and Canadian ones: the
+// numeric date QuickBooks and Xero expect in the vendor's region
+const accountingDate = (date, country) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  const { dateOrder } = SUPPORTED_COUNTRIES[getSupportedCountry(country) || DEFAULT_COUNTRY];
+  return dateOrder === 'DMY'
+    ? `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)}/${d.getUTCFullYear()}`
+    : `${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())}/${d.getUTCFullYear()}`;
+};
+
+// Description with the bid context accounting imports have no column for
+const describe = (entry) => [
+  entry.description,
+  entry.category && `(${entry.category})`,
+  entry.bidId && `bid ${entry.bidId}`
+].filter(Boolean).join(' ');
+
+const payee = (entry) => {
+  if (entry.type === 'payout') return 'Stripe Payout';
+  if (entry.type === 'platform_fee' || entry.type === 'fee_refund') return 'Bidi';
+  return entry.customerName;
+};
+
+const formats = {
+  // Full detail, one row per entry
+  csv: {
+    extension: 'csv',
+    build: (entries) => toCsv(
+      ['Date', 'Type', 'Description', 'Amount', 'Currency', 'Bid ID', 'Category', 'Customer', 'Payment Type', 'Reference'],
+      entries.map(entry => [
+        new Date(entry.date).toISOString().slice(0, 10),
+        typeLabels[entry.type] || entry.type,
+        entry.description,
+        decimal(entry.amount),
+        (entry.currency || 'usd').toUpperCase(),
+        entry.bidId,
+        entry.category,
+        entry.customerName,
+        entry.paymentType,
+        entry.reference
+      ])
+    )
+  },
+
+  // QuickBooks Online bank transaction upload (3-column layout)
+  quickbooks: {
+    extension: 'csv',
+    build: (entries, { country } = {}) => toCsv(
+      ['Date', 'Description', 'Amount'],
+      entries.map(entry => [accountingDate(entry.date, country), describe(entry), decimal(entry.amount)])
+    )
+  },
+
+  // Xero bank statement import
+  xero: {
+    extension: 'csv',
+    build: (entries, { country } = {}) => toCsv(
+      ['Date', 'Amount', 'Payee', 'Description', 'Reference', 'Analysis Code'],
+      entries.map(entry => [
+        accountingDate(entry.date, country),
+        decimal(entry.amount),
+        payee(entry),
+        describe(entry),
+        entry.reference,
+        typeLabels[entry.type] || entry.type
+      ])
+    )
+  }
+};
+
+module.exports = {
+  formats
+};
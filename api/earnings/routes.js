@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router();
+const authenticateUser = require('../middleware/auth');
+const EarningsService = require('../services/earningsService');
+const ProfileService = require('../services/profileService');
+const { formats } = require('./exportFormats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Earnings are only visible to the vendor they belong to
+router.use(authenticateUser);
+router.use(async (req, res, next) => {
+  try {
+    const profileService = new ProfileService();
+    const business = await profileService.getBusinessContact(req.user.id);
+
+    if (!business) {
+      return res.status(403).json({ success: false, error: 'Access denied - business profile required' });
+    }
+
+    req.business = business;
+    next();
+  } catch (error) {
+    console.error('Error loading business for earnings:', error);
+    res.status(500).json({ success: false, error: 'Failed to load business profile' });
+  }
+});
+
+/**
+ * Parse ?from= and ?to= (ISO dates or timestamps). A date-only `to`
+ * includes that whole day. Returns { from, to } or { error }.
+ */
+const parseDateRange = ({ from, to }) => {
+  const range = {};
+
+  if (from) {
+    range.from = new Date(from);
+    if (isNaN(range.from)) return { error: 'from must be a valid date' };
+  }
+
+  if (to) {
+    range.to = new Date(to);
+    if (isNaN(range.to)) return { error: 'to must be a valid date' };
+    if (DATE_ONLY.test(to)) range.to = new Date(range.to.getTime() + DAY_MS);
+  }
+
+  if (range.from && range.to && range.from >= range.to) {
+    return { error: 'from must be before to' };
+  }
+
+  return range;
+};
+
+const parseLimit = (value, fallback = 25) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), 100);
+
+/**
+ * GET /api/earnings
+ * Paginated earnings, one entry per payment, each attributed to its bid
+ *
+ * Query: ?from=2025-01-01&to=2025-03-31&bidId=uuid&page=1&limit=25
+ * Amounts are in cents. Totals for the range are at /api/earnings/totals.
+ */
+router.get('/', async (req, res) => {
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+
+  try {
+    const earningsService = new EarningsService();
+    const result = await earningsService.listEarnings(req.user.id, {
+      ...range,
+      bidId: req.query.bidId,
+      page: Math.max(parseInt(req.query.page, 10) || 1, 1),
+      limit: parseLimit(req.query.limit)
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching earnings:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch earnings', details: error.message });
+  }
+});
+
+/**
+ * GET /api/earnings/totals
+ * Gross, gratuity, discount, platform fee, refunds and net for the whole
+ * filtered range
+ *
+ * Query: ?from=2025-01-01&to=2025-03-31&bidId=uuid
+ */
+router.get('/totals', async (req, res) => {
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+
+  try {
+    const earningsService = new EarningsService();
+    const totals = await earningsService.getTotals(req.user.id, { ...range, bidId: req.query.bidId });
+
+    res.json({ success: true, totals });
+  } catch (error) {
+    console.error('Error fetching earnings totals:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch earnings totals', details: error.message });
+  }
+});
+
+/**
+ * GET /api/earnings/monthly
+ * Gross, platform fee, refunds and net per month
+ *
+ * Query: ?from=2025-01-01&to=2025-12-31
+ */
+router.get('/monthly', async (req, res) => {
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+
+  try {
+    const earningsService = new EarningsService();
+    const months = await earningsService.getMonthlyEarnings(req.user.id, range);
+
+    res.json({ success: true, months });
+  } catch (error) {
+    console.error('Error fetching monthly earnings:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch monthly earnings', details: error.message });
+  }
+});
+
+/**
+ * GET /api/earnings/export
+ * Download charges, platform fees, refunds and payouts for a date range
+ *
+ * Query: ?from=2025-01-01&to=2025-12-31&format=csv|quickbooks|xero
+ * Charges and refunds are labelled with their bid, request category and customer.
+ */
+router.get('/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!formats[format]) {
+    return res.status(400).json({ success: false, error: `format must be one of: ${Object.keys(formats).join(', ')}` });
+  }
+
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+
+  try {
+    const earningsService = new EarningsService();
+    const entries = await earningsService.getTransactionEntries(req.user.id, req.business.stripeAccountId, range);
+
+    const period = [req.query.from, req.query.to].filter(Boolean).join('_to_') || 'all';
+    const filename = `bidi-transactions-${format}-${period}.${formats[format].extension}`;
+
+    console.log(`📤 Exporting ${entries.length} transactions for business ${req.user.id} as ${format}`);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]/g, '')}"`
+    });
+    res.send(formats[format].build(entries, { country: req.business.country }));
+  } catch (error) {
+    console.error('Error exporting transactions:', error);
+    res.status(500).json({ success: false, error: 'Failed to export transactions', details: error.message });
+  }
+});
+
+/**
+ * GET /api/earnings/payouts
+ * Payouts to the vendor's bank account, newest first
+ *
+ * Query: ?from=2025-01-01&to=2025-03-31&limit=25&startingAfter=po_...
+ * Pass `nextCursor` from the previous response as `startingAfter` for the next page.
+ */
+router.get('/payouts', async (req, res) => {
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+
+  if (!req.business.stripeAccountId) {
+    return res.json({ success: true, payouts: [], hasMore: false, nextCursor: null });
+  }
+
+  try {
+    const earningsService = new EarningsService();
+    const result = await earningsService.listPayouts(req.business.stripeAccountId, {
+      ...range,
+      limit: parseLimit(req.query.limit),
+      startingAfter: req.query.startingAfter
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching payouts:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch payouts', details: error.message });
+  }
+});
+
+/**
+ * GET /api/earnings/payouts/:payoutId
+ * The payments and refunds that make up a payout, matched to their bids
+ */
+router.get('/payouts/:payoutId', async (req, res) => {
+  if (!req.business.stripeAccountId) {
+    return res.status(404).json({ success: false, error: 'No Stripe account connected' });
+  }
+
+  try {
+    const earningsService = new EarningsService();
+    const transactions = await earningsService.getPayoutTransactions(req.business.stripeAccountId, req.params.payoutId);
+
+    res.json({ success: true, payoutId: req.params.payoutId, transactions });
+  } catch (error) {
+    console.error('Error fetching payout transactions:', error);
+
+    if (error.type === 'StripeInvalidRequestError') {
+      return res.status(404).json({ success: false, error: 'Payout not found' });
+    }
+
+    res.status(500).json({ success: false, error: 'Failed to fetch payout details', details: error.message });
+  }
+});
+
+module.exports = router;
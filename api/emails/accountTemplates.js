@@ -0,0 +1,57 @@
+// Email templates for vendor Stripe account notices
+
+// Friendlier names for common Stripe requirement fields
+const requirementLabels = {
+  external_account: 'Bank account for payouts',
+  'individual.verification.document': 'Photo ID',
+  'individual.verification.additional_document': 'Additional identity document',
+  'individual.id_number': 'Social Security number',
+  'individual.ssn_last_4': 'Last 4 digits of your SSN',
+  'individual.dob.day': 'Date of birth',
+  'individual.address.line1': 'Home address',
+  'business_profile.url': 'Business website',
+  'business_profile.mcc': 'Business type',
+  'tos_acceptance.date': 'Accept the Stripe terms of service',
+  'company.tax_id': 'Business tax ID'
+};
+
+const describeRequirement = (field) => requirementLabels[field]
+  || field.split('.').pop().replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+// Sent when Stripe asks for more information or disables charges/payouts
+const accountRequirementsTemplate = ({ businessName, requirements, disabled, deadline, onboardingUrl }) => `
+  <p>Hi ${businessName || 'there'}!</p>
+  ${disabled
+    ? '<p><b>Payments to your Bidi account are currently paused.</b> Stripe needs a few more details before customers can pay you and payouts can resume.</p>'
+    : '<p>Stripe needs a few more details to keep payments and payouts running on your Bidi account.</p>'}
+  ${requirements.length > 0 ? `
+  <p>Please provide:</p>
+  <ul>
+    ${[...new Set(requirements.map(describeRequirement))].map(label => `<li>${label}</li>`).join('')}
+  </ul>` : ''}
+  ${deadline ? `<p>Please complete this by <b>${new Date(deadline).toLocaleDateString('en-US', { dateStyle: 'long' })}</b> to avoid an interruption.</p>` : ''}
+  <p><a href="${onboardingUrl}" target="_blank" style="color: #A328F4; text-decoration: none;">Update Your Payment Details</a></p>
+  <p>Best,</p>
+  <p>The Bidi Team</p>
+`;
+
+const accountRequirementsText = ({ businessName, requirements, disabled, deadline, onboardingUrl }) => [
+  `Hi ${businessName || 'there'}!`,
+  '',
+  disabled
+    ? 'Payments to your Bidi account are currently paused. Stripe needs a few more details before customers can pay you and payouts can resume.'
+    : 'Stripe needs a few more details to keep payments and payouts running on your Bidi account.',
+  ...(requirements.length > 0 ? ['', 'Please provide:', ...[...new Set(requirements.map(describeRequirement))].map(label => `- ${label}`)] : []),
+  ...(deadline ? ['', `Please complete this by ${new Date(deadline).toLocaleDateString('en-US', { dateStyle: 'long' })} to avoid an interruption.`] : []),
+  '',
+  `Update your payment details: ${onboardingUrl}`,
+  '',
+  'Best,',
+  'The Bidi Team'
+].join('\n');
+
+module.exports = {
+  describeRequirement,
+  accountRequirementsTemplate,
+  accountRequirementsText
+};
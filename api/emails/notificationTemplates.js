@@ -0,0 +1,208 @@
+// Email templates for request, bid and payment notifications
+
+// Sent to vendors when a customer posts a request in their category.
+// Details the request doesn't have show as "Not specified".
+const NOT_SPECIFIED = 'Not specified';
+
+const newRequestTemplate = ({ businessName, category, title, budget, location, date }) => `
+  <!DOCTYPE html>
+  <html>
+    <body style="margin:0; padding:0; background:#f6f9fc;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background:#f6f9fc; padding:40px 0;">
+        <tr>
+          <td align="center">
+            <table width="480" cellpadding="0" cellspacing="0" style="background:#fff; border-radius:12px; box-shadow:0 2px 8px rgba(0,0,0,0.05); padding:32px;">
+              <tr>
+                <td align="center" style="padding-bottom:24px;">
+                  <img src="https://i.imgur.com/LBdztzj.png" alt="Bidi Logo" width="120" style="display:block; margin:0 auto 12px;" />
+                </td>
+              </tr>
+              <tr>
+                <td align="center" style="font-family:Segoe UI,Arial,sans-serif; color:#222; font-size:22px; font-weight:600; padding-bottom:12px;">
+                  Hi ${businessName},
+                </td>
+              </tr>
+              <tr>
+                <td align="center" style="font-family:Segoe UI,Arial,sans-serif; color:#444; font-size:16px; padding-bottom:24px;">
+                  You have a new <b>${category}</b> request waiting for you on Bidi!
+                </td>
+              </tr>
+              <tr>
+                <td align="center" style="padding-bottom:24px;">
+                  <table style="margin: 0 auto; background: #f6f9fc; border-radius: 8px; padding: 16px;">
+                    ${title ? `
+                    <tr>
+                      <td style="padding: 4px 12px;"><b>Event:</b></td>
+                      <td style="padding: 4px 12px;">${title}</td>
+                    </tr>` : ''}
+                    <tr>
+                      <td style="padding: 4px 12px;"><b>Budget:</b></td>
+                      <td style="padding: 4px 12px;">${budget || NOT_SPECIFIED}</td>
+                    </tr>
+                    <tr>
+                      <td style="padding: 4px 12px;"><b>Location:</b></td>
+                      <td style="padding: 4px 12px;">${location || NOT_SPECIFIED}</td>
+                    </tr>
+                    <tr>
+                      <td style="padding: 4px 12px;"><b>Date:</b></td>
+                      <td style="padding: 4px 12px;">${date || NOT_SPECIFIED}</td>
+                    </tr>
+                  </table>
+                </td>
+              </tr>
+              <tr>
+                <td align="center" style="padding-bottom:32px;">
+                  <a href="https://www.savewithbidi.com/business-dashboard"
+                    style="background:#A328F4; color:#fff; text-decoration:none; font-weight:600; padding:14px 32px; border-radius:8px; font-size:16px; display:inline-block;">
+                    View Request
+                  </a>
+                </td>
+              </tr>
+              <tr>
+                <td align="center" style="font-family:Segoe UI,Arial,sans-serif; color:#888; font-size:13px;">
+                  Best,<br/>The Bidi Team
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+  </html>
+`;
+
+const newRequestText = ({ businessName, category, title, budget, location, date }) => [
+  `Hi ${businessName},`,
+  '',
+  `You have a new ${category} request waiting for you on Bidi!`,
+  '',
+  ...(title ? [`Event: ${title}`] : []),
+  `Budget: ${budget || NOT_SPECIFIED}`,
+  `Location: ${location || NOT_SPECIFIED}`,
+  `Date: ${date || NOT_SPECIFIED}`,
+  '',
+  'View the request: https://www.savewithbidi.com/business-dashboard',
+  '',
+  'Best,',
+  'The Bidi Team'
+].join('\n');
+
+// Sent to a customer when a vendor bids on their request
+const newBidTemplate = () => `
+  <p>Hey there!</p>
+  <p>Someone just placed a bid on your request.</p>
+  <p>Click below to review the bid:</p>
+  <p><a href="https://www.savewithbidi.com/my-bids" target="_blank" style="color: #007BFF; text-decoration: none;">View Your Bids</a></p>
+  <p>Best,</p>
+  <p>The Bidi Team</p>
+`;
+
+const newBidText = () => [
+  'Hey there!',
+  '',
+  'Someone just placed a bid on your request.',
+  'Review the bid: https://www.savewithbidi.com/my-bids',
+  '',
+  'Best,',
+  'The Bidi Team'
+].join('\n');
+
+// Sent to a customer a few days before their balance is due.
+// `amount` and `dueDate` arrive formatted.
+const balanceReminderTemplate = ({ businessName, amount, dueDate }) => `
+  <p>Hi there!</p>
+  <p>Your remaining balance of <b>${amount}</b> for <b>${businessName}</b> is due on <b>${dueDate}</b>.</p>
+  <p>You can pay it from your bids page:</p>
+  <p><a href="https://www.savewithbidi.com/my-bids" target="_blank" style="color: #A328F4; text-decoration: none;">Pay Your Balance</a></p>
+  <p>Best,</p>
+  <p>The Bidi Team</p>
+`;
+
+const balanceReminderText = ({ businessName, amount, dueDate }) => [
+  'Hi there!',
+  '',
+  `Your remaining balance of ${amount} for ${businessName} is due on ${dueDate}.`,
+  'Pay it from your bids page: https://www.savewithbidi.com/my-bids',
+  '',
+  'Best,',
+  'The Bidi Team'
+].join('\n');
+
+// Daily or weekly summary for vendors who turned off instant alerts.
+// Lists arrive already formatted; the counts cover items beyond the lists.
+const DIGEST_DASHBOARD_URL = 'https://www.savewithbidi.com/business-dashboard';
+
+const digestHeading = (period) => (period === 'weekly' ? 'Your week on Bidi' : 'Your day on Bidi');
+
+const vendorDigestTemplate = ({ businessName, period, newRequests, newRequestCount, messageCount, senderCount, pendingBids, pendingBidCount, consultations }) => `
+  <h2 style="color: #222;">${digestHeading(period)}</h2>
+  <p>Hi ${businessName}, here's what's waiting for you.</p>
+  ${newRequestCount > 0 ? `
+  <h3 style="color: #A328F4;">${newRequestCount} new request${newRequestCount === 1 ? '' : 's'}</h3>
+  <ul>
+    ${newRequests.map(request => `<li><b>${request.title}</b> (${request.category})${request.location ? ` in ${request.location}` : ''}${request.date ? ` on ${request.date}` : ''}${request.budget ? `, budget ${request.budget}` : ''}</li>`).join('')}
+  </ul>
+  ${newRequestCount > newRequests.length ? `<p>and ${newRequestCount - newRequests.length} more.</p>` : ''}` : ''}
+  ${messageCount > 0 ? `
+  <h3 style="color: #A328F4;">${messageCount} new message${messageCount === 1 ? '' : 's'}</h3>
+  <p>From ${senderCount} customer${senderCount === 1 ? '' : 's'}.</p>` : ''}
+  ${pendingBidCount > 0 ? `
+  <h3 style="color: #A328F4;">${pendingBidCount} bid${pendingBidCount === 1 ? '' : 's'} awaiting a response</h3>
+  <ul>
+    ${pendingBids.map(bid => `<li>${bid.title}: ${bid.amount}</li>`).join('')}
+  </ul>` : ''}
+  ${consultations.length > 0 ? `
+  <h3 style="color: #A328F4;">Upcoming consultations</h3>
+  <ul>
+    ${consultations.map(consultation => `<li>${consultation.when}${consultation.meetLink ? ` (<a href="${consultation.meetLink}" style="color: #A328F4;">Google Meet</a>)` : ''}</li>`).join('')}
+  </ul>` : ''}
+  <p><a href="${DIGEST_DASHBOARD_URL}" target="_blank" style="color: #A328F4; text-decoration: none;">Open Your Dashboard</a></p>
+  <p>Best,</p>
+  <p>The Bidi Team</p>
+`;
+
+const vendorDigestText = ({ businessName, period, newRequests, newRequestCount, messageCount, senderCount, pendingBids, pendingBidCount, consultations }) => [
+  digestHeading(period),
+  '',
+  `Hi ${businessName}, here's what's waiting for you.`,
+  ...(newRequestCount > 0 ? [
+    '',
+    `${newRequestCount} new request${newRequestCount === 1 ? '' : 's'}:`,
+    ...newRequests.map(request => `- ${request.title} (${request.category})${request.location ? ` in ${request.location}` : ''}${request.date ? ` on ${request.date}` : ''}${request.budget ? `, budget ${request.budget}` : ''}`),
+    ...(newRequestCount > newRequests.length ? [`and ${newRequestCount - newRequests.length} more.`] : [])
+  ] : []),
+  ...(messageCount > 0 ? [
+    '',
+    `${messageCount} new message${messageCount === 1 ? '' : 's'} from ${senderCount} customer${senderCount === 1 ? '' : 's'}.`
+  ] : []),
+  ...(pendingBidCount > 0 ? [
+    '',
+    `${pendingBidCount} bid${pendingBidCount === 1 ? '' : 's'} awaiting a response:`,
+    ...pendingBids.map(bid => `- ${bid.title}: ${bid.amount}`)
+  ] : []),
+  ...(consultations.length > 0 ? [
+    '',
+    'Upcoming consultations:',
+    ...consultations.map(consultation => `- ${consultation.when}${consultation.meetLink ? ` (${consultation.meetLink})` : ''}`)
+  ] : []),
+  '',
+  `Open your dashboard: ${DIGEST_DASHBOARD_URL}`,
+  '',
+  'Best,',
+  'The Bidi Team'
+].join('\n');
+
+// Free-form notification; `body` is HTML written by the caller
+const notificationTemplate = ({ body }) => `${body}`;
+
+module.exports = {
+  newRequestTemplate,
+  newRequestText,
+  newBidTemplate,
+  newBidText,
+  balanceReminderTemplate,
+  balanceReminderText,
+  vendorDigestTemplate,
+  vendorDigestText,
+  notificationTemplate
+};
@@ -0,0 +1,395 @@
+// Email templates for payment receipts
+const { formatAmount } = require('../currency');
+const paymentTypeLabels = {
+  full: 'Full Payment',
+  down: 'Down Payment',
+  deposit: 'Down Payment',
+  balance: 'Balance Payment'
+};
+
+// Amounts are in major units (dollars, pounds) of `currency`. `amount` is what
+// the customer paid: it includes any `gratuity` and excludes any Bidi-funded
+// `discount`, each listed on its own line.
+// `refund` ({ amount, totalRefunded, feeRefunded, reason }) turns either receipt into a
+// refund receipt for the same payment
+const customerEmailTemplate = ({ amount, currency, businessName, paymentType, date, customerName, gratuity = 0, discount = 0, refund }) => {
+  const formattedAmount = formatAmount(amount, currency);
+
+  const paymentTypeText = paymentTypeLabels[paymentType] || 'Down Payment';
+  const title = refund ? 'Refund Receipt' : 'Payment Receipt';
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+          }
+          .header {
+            text-align: center;
+            margin-bottom: 30px;
+          }
+          .logo {
+            max-width: 150px;
+            height: auto;
+          }
+          .receipt-details {
+            background: #f9f9f9;
+            border-radius: 8px;
+            padding: 20px;
+            margin-bottom: 30px;
+          }
+          .detail-row {
+            display: flex;
+            justify-content: space-between;
+            margin-bottom: 10px;
+            border-bottom: 1px solid #eee;
+            padding-bottom: 10px;
+          }
+          .thank-you {
+            text-align: center;
+            color: #666;
+            margin-top: 30px;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <img src="https://i.imgur.com/LBdztzj.png" alt="Bidi Logo" class="logo">
+          <h1>${title}</h1>
+        </div>
+        
+        <div class="receipt-details">
+          <div class="detail-row">
+            <strong>Paid To:</strong>
+            <span>${businessName}</span>
+          </div>
+          <div class="detail-row">
+            <strong>Amount:</strong>
+            <span>${formattedAmount}</span>
+          </div>
+          ${gratuity > 0 || discount > 0 ? `
+          <div class="detail-row">
+            <strong>Service:</strong>
+            <span>${formatAmount(amount - gratuity + discount, currency)}</span>
+          </div>` : ''}
+          ${discount > 0 ? `
+          <div class="detail-row">
+            <strong>Bidi Discount:</strong>
+            <span>-${formatAmount(discount, currency)}</span>
+          </div>` : ''}
+          ${gratuity > 0 ? `
+          <div class="detail-row">
+            <strong>Gratuity:</strong>
+            <span>${formatAmount(gratuity, currency)}</span>
+          </div>` : ''}
+          <div class="detail-row">
+            <strong>Payment Type:</strong>
+            <span>${paymentTypeText}</span>
+          </div>
+          <div class="detail-row">
+            <strong>Date:</strong>
+            <span>${new Date(date).toLocaleString()}</span>
+          </div>
+        </div>
+
+        ${refund ? `
+        <div class="receipt-details">
+          <div class="detail-row">
+            <strong>Refunded:</strong>
+            <span>${formatAmount(refund.amount, currency)}</span>
+          </div>
+          <div class="detail-row">
+            <strong>Total Refunded:</strong>
+            <span>${formatAmount(refund.totalRefunded ?? refund.amount, currency)}</span>
+          </div>
+          ${refund.reason ? `
+          <div class="detail-row">
+            <strong>Reason:</strong>
+            <span>${refund.reason}</span>
+          </div>` : ''}
+          <p>Refunds usually reach your card within 5-10 business days.</p>
+        </div>
+        ` : ''}
+
+        <div class="thank-you">
+          <p>Thank you for using Bidi! We appreciate your business.</p>
+          <p>If you have any questions, please don't hesitate to contact us.</p>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+// feeLabel describes the fee rule (e.g. "10%" or "8% + $0.30"); without one
+// the effective percentage of the service amount is shown. The gratuity
+// carries no fee; a Bidi-funded discount is paid by Bidi on the customer's
+// behalf, so it's added back for the vendor.
+const businessEmailTemplate = ({ amount, currency, paymentType, date, customerName, gratuity = 0, discount = 0, fees, feeLabel, finalAmount, stripeLoginUrl, refund }) => {
+  const formattedAmount = formatAmount(amount, currency);
+  const formattedFees = formatAmount(fees, currency);
+  const formattedFinalAmount = formatAmount(finalAmount, currency);
+
+  const serviceAmount = amount - gratuity + discount;
+  const feeText = feeLabel || `${serviceAmount > 0 ? Math.round(fees / serviceAmount * 10000) / 100 : 0}%`;
+
+  const paymentTypeText = paymentTypeLabels[paymentType] || 'Down Payment';
+  const title = refund ? 'Refund Issued' : 'New Payment Received';
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+                  <style>
+            body {
+              font-family: Arial, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              margin: 0;
+              padding: 0;
+              -webkit-text-size-adjust: 100%;
+              -ms-text-size-adjust: 100%;
+            }
+            .email-container {
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+              background-color: #ffffff;
+            }
+            .header {
+              text-align: center;
+              padding: 20px 0;
+              margin-bottom: 30px;
+            }
+            .logo {
+              max-width: 150px;
+              height: auto;
+              display: inline-block;
+            }
+            .payment-details {
+              background: #f9f9f9;
+              border-radius: 8px;
+              padding: 20px;
+              margin-bottom: 30px;
+              width: 100%;
+              box-sizing: border-box;
+            }
+            .detail-row {
+              display: flex;
+              justify-content: space-between;
+              margin-bottom: 10px;
+              border-bottom: 1px solid #eee;
+              padding-bottom: 10px;
+              flex-wrap: wrap;
+            }
+            .detail-row strong {
+              margin-right: 10px;
+            }
+            .fee-breakdown {
+              background: #fff3cd;
+              border: 1px solid #ffeeba;
+              border-radius: 4px;
+              padding: 15px;
+              margin: 20px 0;
+              width: 100%;
+              box-sizing: border-box;
+            }
+            .final-amount {
+              font-size: 1.2em;
+              font-weight: bold;
+              color: #28a745;
+              text-align: center;
+              padding: 15px;
+              background: #f8f9fa;
+              border-radius: 4px;
+              margin: 20px 0;
+              width: 100%;
+              box-sizing: border-box;
+            }
+            .button {
+              display: inline-block;
+              padding: 12px 24px;
+              background-color: #635bff;
+              color: white !important;
+              text-decoration: none;
+              border-radius: 5px;
+              margin-top: 20px;
+              text-align: center;
+              font-weight: 500;
+            }
+            .button-container {
+              text-align: center;
+              margin: 30px 0;
+              color: white;
+            }
+            @media only screen and (max-width: 480px) {
+              .email-container {
+                padding: 10px;
+              }
+              .detail-row {
+                flex-direction: column;
+              }
+              .detail-row strong {
+                margin-bottom: 5px;
+              }
+            }
+        </style>
+      </head>
+              <body>
+          <div class="email-container">
+            <div class="header">
+              <img src="https://i.imgur.com/LBdztzj.png" alt="Bidi Logo" class="logo">
+              <h1>${title}${refund ? '' : '!'}</h1>
+            </div>
+        
+        <div class="payment-details">
+          <div class="detail-row">
+            <strong>Paid By:</strong>
+            <span>${customerName}</span>
+          </div>
+          <div class="detail-row">
+            <strong>Amount Received:</strong>
+            <span>${formattedAmount}</span>
+          </div>
+          <div class="detail-row">
+            <strong>Payment Type:</strong>
+            <span>${paymentTypeText}</span>
+          </div>
+          <div class="detail-row">
+            <strong>Date:</strong>
+            <span>${new Date(date).toLocaleString()}</span>
+          </div>
+        </div>
+
+        <div class="fee-breakdown">
+          <h3 style="margin-top: 0;">Payment Breakdown</h3>
+          <div class="detail-row">
+            <strong>Total Payment:</strong>
+            <span>${formattedAmount}</span>
+          </div>
+          ${discount > 0 ? `
+          <div class="detail-row">
+            <strong>Customer Discount Paid by Bidi:</strong>
+            <span>${formatAmount(discount, currency)}</span>
+          </div>` : ''}
+          ${gratuity > 0 ? `
+          <div class="detail-row">
+            <strong>Includes Gratuity (no Bidi fee):</strong>
+            <span>${formatAmount(gratuity, currency)}</span>
+          </div>` : ''}
+          <div class="detail-row">
+            <strong>Bidi Fee (${feeText}):</strong>
+            <span>-${formattedFees}</span>
+          </div>
+        </div>
+
+        ${refund ? `
+        <div class="fee-breakdown">
+          <h3 style="margin-top: 0;">Refund Breakdown</h3>
+          <div class="detail-row">
+            <strong>Refunded to Customer:</strong>
+            <span>-${formatAmount(refund.amount, currency)}</span>
+          </div>
+          <div class="detail-row">
+            <strong>Bidi Fee Returned:</strong>
+            <span>${formatAmount(refund.feeRefunded || 0, currency)}</span>
+          </div>
+          <div class="detail-row">
+            <strong>Reversed From Your Account:</strong>
+            <span>-${formatAmount(refund.amount - (refund.feeRefunded || 0), currency)}</span>
+          </div>
+          ${refund.reason ? `
+          <div class="detail-row">
+            <strong>Reason:</strong>
+            <span>${refund.reason}</span>
+          </div>` : ''}
+        </div>
+        ` : ''}
+
+        <div class="final-amount">
+          <div>${refund ? 'Your net amount for this payment is now:' : 'Amount to be deposited to your account:'}</div>
+          <div style="font-size: 1.4em; margin-top: 10px;">${formattedFinalAmount}</div>
+        </div>
+
+                  <div class="button-container">
+            <a href="${stripeLoginUrl}" class="button">View in Stripe Dashboard →</a>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+// Plain-text versions of the receipts, same parameters as the HTML templates
+const customerEmailText = ({ amount, currency, businessName, paymentType, date, gratuity = 0, discount = 0, refund }) => [
+  refund ? 'Refund Receipt' : 'Payment Receipt',
+  '',
+  `Paid To: ${businessName}`,
+  `Amount: ${formatAmount(amount, currency)}`,
+  ...(gratuity > 0 || discount > 0 ? [`Service: ${formatAmount(amount - gratuity + discount, currency)}`] : []),
+  ...(discount > 0 ? [`Bidi Discount: -${formatAmount(discount, currency)}`] : []),
+  ...(gratuity > 0 ? [`Gratuity: ${formatAmount(gratuity, currency)}`] : []),
+  `Payment Type: ${paymentTypeLabels[paymentType] || 'Down Payment'}`,
+  `Date: ${new Date(date).toLocaleString()}`,
+  ...(refund ? [
+    '',
+    `Refunded: ${formatAmount(refund.amount, currency)}`,
+    `Total Refunded: ${formatAmount(refund.totalRefunded ?? refund.amount, currency)}`,
+    ...(refund.reason ? [`Reason: ${refund.reason}`] : []),
+    'Refunds usually reach your card within 5-10 business days.'
+  ] : []),
+  '',
+  'Thank you for using Bidi! We appreciate your business.'
+].join('\n');
+
+const businessEmailText = ({ amount, currency, paymentType, date, customerName, gratuity = 0, discount = 0, fees, feeLabel, finalAmount, stripeLoginUrl, refund }) => {
+  const serviceAmount = amount - gratuity + discount;
+  const feeText = feeLabel || `${serviceAmount > 0 ? Math.round(fees / serviceAmount * 10000) / 100 : 0}%`;
+
+  return [
+    refund ? 'Refund Issued' : 'New Payment Received!',
+    '',
+    `Paid By: ${customerName}`,
+    `Amount Received: ${formatAmount(amount, currency)}`,
+    `Payment Type: ${paymentTypeLabels[paymentType] || 'Down Payment'}`,
+    `Date: ${new Date(date).toLocaleString()}`,
+    '',
+    'Payment Breakdown',
+    `Total Payment: ${formatAmount(amount, currency)}`,
+    ...(discount > 0 ? [`Customer Discount Paid by Bidi: ${formatAmount(discount, currency)}`] : []),
+    ...(gratuity > 0 ? [`Includes Gratuity (no Bidi fee): ${formatAmount(gratuity, currency)}`] : []),
+    `Bidi Fee (${feeText}): -${formatAmount(fees, currency)}`,
+    ...(refund ? [
+      '',
+      'Refund Breakdown',
+      `Refunded to Customer: -${formatAmount(refund.amount, currency)}`,
+      `Bidi Fee Returned: ${formatAmount(refund.feeRefunded || 0, currency)}`,
+      `Reversed From Your Account: -${formatAmount(refund.amount - (refund.feeRefunded || 0), currency)}`,
+      ...(refund.reason ? [`Reason: ${refund.reason}`] : [])
+    ] : []),
+    '',
+    `${refund ? 'Your net amount for this payment is now' : 'Amount to be deposited to your account'}: ${formatAmount(finalAmount, currency)}`,
+    '',
+    `View in Stripe Dashboard: ${stripeLoginUrl}`
+  ].join('\n');
+};
+
+module.exports = {
+  paymentTypeLabels,
+  customerEmailTemplate,
+  customerEmailText,
+  businessEmailTemplate,
+  businessEmailText
+};
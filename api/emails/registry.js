@@ -0,0 +1,283 @@
+// Named transactional email templates.
+//
+// Every email goes through renderEmail(name, variables), which escapes
+// string variables before they reach the HTML (so a business name like
+// "Tom & Jerry's <DJ>" can't break or inject markup) and returns a
+// plain-text part alongside it. Subjects and text parts get the raw values.
+// Each template carries sample data for the preview endpoint.
+const { customerEmailTemplate, customerEmailText, businessEmailTemplate, businessEmailText } = require('./receiptTemplates');
+const { accountRequirementsTemplate, accountRequirementsText } = require('./accountTemplates');
+const { plusPaymentFailedTemplate, plusPaymentFailedText } = require('./subscriptionTemplates');
+const {
+  newRequestTemplate,
+  newRequestText,
+  newBidTemplate,
+  newBidText,
+  balanceReminderTemplate,
+  balanceReminderText,
+  vendorDigestTemplate,
+  vendorDigestText,
+  notificationTemplate
+} = require('./notificationTemplates');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Marks HTML written by our own code so renderEmail passes it through unescaped
+class TrustedHtml {
+  constructor(html) {
+    this.html = String(html);
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+const trustedHtml = (html) => new TrustedHtml(html);
+
+// Escape every string in a variables object, however deeply nested
+const escapeVariables = (value) => {
+  if (value instanceof TrustedHtml) return value.html;
+  if (typeof value === 'string') return escapeHtml(value);
+  if (Array.isArray(value)) return value.map(escapeVariables);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, escapeVariables(item)]));
+  }
+  return value;
+};
+
+// Unwrap trusted HTML for the subject and text part
+const rawVariables = (value) => {
+  if (value instanceof TrustedHtml) return value.html;
+  if (Array.isArray(value)) return value.map(rawVariables);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rawVariables(item)]));
+  }
+  return value;
+};
+
+// Rough plain-text rendering of HTML, for templates whose body is free-form HTML
+const htmlToText = (html) => String(html)
+  .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Unsubscribe line added to optional emails
+const unsubscribeFooter = (url) => `
+  <p style="font-family:Segoe UI,Arial,sans-serif; color:#888; font-size:12px; text-align:center; margin-top:24px;">
+    Don't want these emails? <a href="${escapeHtml(url)}" style="color:#888;">Unsubscribe</a>
+  </p>
+`;
+
+const withFooter = (html, footer) => (html.includes('</body>')
+  ? html.replace('</body>', `${footer}</body>`)
+  : `${html}${footer}`);
+
+const sampleDate = '2025-06-14T18:00:00.000Z';
+
+const TEMPLATES = {
+  'new-request': {
+    description: 'Vendor alert for a new request in their category',
+    subject: ({ category }) => `You have a new ${category} request on Bidi!`,
+    html: newRequestTemplate,
+    text: newRequestText,
+    sample: {
+      businessName: "Tom & Jerry's <Photo> Studio",
+      category: 'Photography',
+      title: 'Smith & Jones Wedding',
+      budget: '$2,000 - $3,000',
+      location: 'New York, NY',
+      date: '2025-07-15'
+    }
+  },
+
+  'new-bid': {
+    description: 'Customer alert that a vendor bid on their request',
+    subject: () => 'You received a new bid on Bidi!',
+    html: newBidTemplate,
+    text: newBidText,
+    sample: {}
+  },
+
+  'payment-receipt-customer': {
+    description: "Customer's payment or refund receipt",
+    subject: ({ businessName, refund }) => `${refund ? 'Refund' : 'Payment'} Receipt for ${businessName}`,
+    html: customerEmailTemplate,
+    text: customerEmailText,
+    sample: {
+      amount: 517.5,
+      currency: 'usd',
+      businessName: "Tom & Jerry's <Photo> Studio",
+      paymentType: 'full',
+      date: sampleDate,
+      customerName: 'Alex Rivera',
+      gratuity: 67.5,
+      discount: 50
+    }
+  },
+
+  'payment-receipt-business': {
+    description: "Vendor's payment or refund notification with fee breakdown",
+    subject: ({ refund }) => (refund ? 'Refund Issued' : 'New Payment Received'),
+    html: businessEmailTemplate,
+    text: businessEmailText,
+    sample: {
+      amount: 517.5,
+      currency: 'usd',
+      paymentType: 'full',
+      date: sampleDate,
+      customerName: 'Alex <Rivera>',
+      gratuity: 67.5,
+      discount: 50,
+      fees: 50,
+      feeLabel: '10%',
+      finalAmount: 517.5,
+      stripeLoginUrl: 'https://dashboard.stripe.com'
+    }
+  },
+
+  'balance-reminder': {
+    description: 'Customer reminder that a booking balance is coming due',
+    subject: () => 'Your Bidi balance payment is coming up',
+    html: balanceReminderTemplate,
+    text: balanceReminderText,
+    sample: {
+      businessName: "Tom & Jerry's <Photo> Studio",
+      amount: '$1,200.00',
+      dueDate: 'June 1, 2025'
+    }
+  },
+
+  'account-requirements': {
+    description: 'Vendor notice that Stripe needs more information',
+    subject: ({ disabled }) => (disabled
+      ? 'Action needed: payments to your Bidi account are paused'
+      : 'Action needed: Stripe needs more information'),
+    html: accountRequirementsTemplate,
+    text: accountRequirementsText,
+    sample: {
+      businessName: "Tom & Jerry's <Photo> Studio",
+      requirements: ['external_account', 'individual.verification.document'],
+      disabled: false,
+      deadline: sampleDate,
+      onboardingUrl: 'https://www.savewithbidi.com/payment-setup'
+    }
+  },
+
+  'plus-payment-failed': {
+    description: 'Bidi Plus renewal charge failed',
+    subject: () => 'Action needed: your Bidi Plus payment failed',
+    html: plusPaymentFailedTemplate,
+    text: plusPaymentFailedText,
+    sample: {
+      amountDue: 1999,
+      currency: 'usd',
+      nextPaymentAttempt: sampleDate,
+      graceUntil: sampleDate,
+      invoiceUrl: 'https://invoice.stripe.com/i/sample'
+    }
+  },
+
+  'vendor-digest': {
+    description: 'Daily or weekly vendor summary of requests, messages, bids and consultations',
+    subject: ({ period, newRequestCount }) => (newRequestCount > 0
+      ? `Your ${period} Bidi summary: ${newRequestCount} new request${newRequestCount === 1 ? '' : 's'}`
+      : `Your ${period} Bidi summary`),
+    html: vendorDigestTemplate,
+    text: vendorDigestText,
+    sample: {
+      businessName: "Tom & Jerry's <Photo> Studio",
+      period: 'daily',
+      newRequests: [
+        { title: 'Smith Wedding', category: 'Photography', location: 'Park City, UT', date: 'June 14, 2025', budget: '$2,000 - $3,000' },
+        { title: 'Corporate Headshots', category: 'Photography', location: 'Salt Lake City, UT', date: 'July 2, 2025', budget: null }
+      ],
+      newRequestCount: 3,
+      messageCount: 4,
+      senderCount: 2,
+      pendingBids: [{ title: 'Johnson Engagement', amount: '$1,200.00' }],
+      pendingBidCount: 1,
+      consultations: [{ when: 'Mon, Jun 16, 10:00 AM', meetLink: 'https://meet.google.com/abc-defg-hij' }]
+    }
+  },
+
+  notification: {
+    description: 'Free-form notification; body is trusted HTML from our own code',
+    subject: ({ subject }) => subject,
+    html: notificationTemplate,
+    text: ({ body }) => htmlToText(body),
+    sample: {
+      subject: 'A message from Bidi',
+      body: trustedHtml('<p>Hi there!</p><p>This is a <b>sample</b> notification.</p><p><a href="https://www.savewithbidi.com">Visit Bidi</a></p>')
+    }
+  }
+};
+
+/**
+ * Render a named template. Returns { subject, html, text }.
+ * Pass `unsubscribeUrl` to add an unsubscribe link to both parts.
+ * Throws if there is no template with that name.
+ */
+const renderEmail = (name, variables = {}, { unsubscribeUrl } = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const raw = rawVariables(variables);
+  const html = template.html(escapeVariables(variables));
+  const text = template.text(raw);
+
+  return {
+    subject: template.subject(raw),
+    html: unsubscribeUrl ? withFooter(html, unsubscribeFooter(unsubscribeUrl)) : html,
+    text: unsubscribeUrl ? `${text}\n\nUnsubscribe: ${unsubscribeUrl}` : text
+  };
+};
+
+/**
+ * Render a template with its sample data, optionally overriding some values
+ */
+const renderSample = (name, overrides = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return renderEmail(name, { ...template.sample, ...overrides });
+};
+
+const listTemplates = () => Object.entries(TEMPLATES).map(([name, template]) => ({
+  name,
+  description: template.description,
+  variables: Object.keys(rawVariables(template.sample))
+}));
+
+module.exports = {
+  escapeHtml,
+  trustedHtml,
+  htmlToText,
+  renderEmail,
+  renderSample,
+  listTemplates
+};
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const authenticateUser = require('../middleware/auth');
+const authenticateAdmin = require('../middleware/adminAuth');
+const EmailOutboxService = require('../services/emailOutboxService');
+const { renderSample, listTemplates } = require('./registry');
+
+// Previews are open in development; in production only admins can see them
+const previewAccess = process.env.NODE_ENV === 'production'
+  ? [authenticateUser, authenticateAdmin]
+  : [];
+
+const sendPreview = (req, res, overrides) => {
+  const { name } = req.params;
+  const format = req.query.format || 'html';
+
+  if (!listTemplates().some(template => template.name === name)) {
+    return res.status(404).json({ success: false, error: `Unknown email template: ${name}` });
+  }
+
+  if (!['html', 'text', 'json'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be html, text or json' });
+  }
+
+  try {
+    const email = renderSample(name, overrides);
+
+    if (format === 'text') {
+      return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+    }
+    if (format === 'json') {
+      return res.json({ success: true, template: name, ...email });
+    }
+    res.type('html').send(email.html);
+  } catch (error) {
+    console.error(`Error rendering email preview ${name}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to render template', details: error.message });
+  }
+};
+
+/**
+ * GET /api/emails/templates
+ * List the named email templates and the variables each one takes
+ */
+router.get('/templates', ...previewAccess, (req, res) => {
+  res.json({ success: true, templates: listTemplates() });
+});
+
+/**
+ * GET /api/emails/templates/:name/preview?format=html|text|json
+ * Render a template with its sample data
+ */
+router.get('/templates/:name/preview', ...previewAccess, (req, res) => sendPreview(req, res, {}));
+
+/**
+ * POST /api/emails/templates/:name/preview?format=html|text|json
+ * Render a template with sample data, overriding any variables in the body
+ */
+router.post('/templates/:name/preview', ...previewAccess, (req, res) => {
+  if (req.body && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+    return res.status(400).json({ success: false, error: 'Body must be an object of template variables' });
+  }
+  sendPreview(req, res, req.body || {});
+});
+
+/**
+ * POST /api/emails/webhook
+ * Resend delivery events (sent, delivered, delayed, bounced, complained),
+ * verified with the RESEND_WEBHOOK_SECRET signing secret
+ */
+router.post('/webhook', async (req, res) => {
+  const outbox = new EmailOutboxService();
+  let event;
+
+  try {
+    event = outbox.verifyWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    console.error('❌ Resend webhook verification failed:', error.message);
+    return res.status(400).json({ success: false, error: 'Invalid webhook signature' });
+  }
+
+  try {
+    const result = await outbox.handleWebhookEvent(req.headers['svix-id'], event);
+    console.log(`📬 Resend ${event.type} for ${result.emailId || 'unknown email'}: ${result.status}`);
+    res.json({ received: true, status: result.status });
+  } catch (error) {
+    // A 500 makes Resend retry the delivery
+    console.error(`Error handling Resend ${event.type} webhook:`, error);
+    res.status(500).json({ success: false, error: 'Failed to process webhook', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// Email templates for Bidi Plus billing
+
+const { formatCents } = require('../currency');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { dateStyle: 'long' });
+
+// Sent each time a Plus renewal charge fails. `amountDue` is in cents.
+const plusPaymentFailedTemplate = ({ amountDue, currency, nextPaymentAttempt, graceUntil, invoiceUrl }) => `
+  <p>Hi there!</p>
+  <p>We couldn't process the <b>${formatCents(amountDue, currency)}</b> payment for your Bidi Plus membership.</p>
+  ${nextPaymentAttempt ? `<p>We'll try your card again on <b>${formatDate(nextPaymentAttempt)}</b>.</p>` : ''}
+  ${graceUntil ? `<p>Your Plus benefits stay active until <b>${formatDate(graceUntil)}</b>. Please update your payment details before then to keep them.</p>` : ''}
+  ${invoiceUrl ? `<p><a href="${invoiceUrl}" target="_blank" style="color: #A328F4; text-decoration: none;">Pay Your Invoice</a></p>` : ''}
+  <p>You can also update your card from your <a href="https://www.savewithbidi.com/dashboard" target="_blank" style="color: #A328F4; text-decoration: none;">Bidi dashboard</a>.</p>
+  <p>Best,</p>
+  <p>The Bidi Team</p>
+`;
+
+const plusPaymentFailedText = ({ amountDue, currency, nextPaymentAttempt, graceUntil, invoiceUrl }) => [
+  'Hi there!',
+  '',
+  `We couldn't process the ${formatCents(amountDue, currency)} payment for your Bidi Plus membership.`,
+  ...(nextPaymentAttempt ? [`We'll try your card again on ${formatDate(nextPaymentAttempt)}.`] : []),
+  ...(graceUntil ? [`Your Plus benefits stay active until ${formatDate(graceUntil)}. Please update your payment details before then to keep them.`] : []),
+  ...(invoiceUrl ? ['', `Pay your invoice: ${invoiceUrl}`] : []),
+  '',
+  'You can also update your card from your Bidi dashboard: https://www.savewithbidi.com/dashboard',
+  '',
+  'Best,',
+  'The Bidi Team'
+].join('\n');
+
+module.exports = {
+  plusPaymentFailedTemplate,
+  plusPaymentFailedText
+};
@@ -3,6 +3,8 @@ const config = require('./config');
 const supabase = require('../supabaseClient');
 const { DateTime } = require('luxon');
 
+// A timed event this long on a day means the vendor is booked for it
+const BOOKED_EVENT_HOURS = 4;
 
 class GoogleCalendarService {
   constructor() {
@@ -332,6 +334,48 @@ parseConsultationHours(consultationHours, timeZone) {
     }
   }
 
+  // Whether the business is already booked on a date (YYYY-MM-DD): their
+  // calendar has an all-day event, or one of at least BOOKED_EVENT_HOURS,
+  // that isn't marked as free
+  async isBookedOn(businessId, date) {
+    try {
+      const calendar = await this.getCalendarClient(businessId);
+
+      // The calendar's own timezone decides where the day starts, so look a
+      // little either side of it in UTC first
+      const response = await calendar.events.list({
+        calendarId: 'primary',
+        timeMin: DateTime.fromISO(date, { zone: 'utc' }).minus({ hours: 14 }).toISO(),
+        timeMax: DateTime.fromISO(date, { zone: 'utc' }).plus({ hours: 38 }).toISO(),
+        singleEvents: true,
+        maxResults: 100
+      });
+
+      const timeZone = response.data.timeZone || 'America/Denver';
+      const startOfDay = DateTime.fromISO(date, { zone: timeZone }).startOf('day');
+      const endOfDay = startOfDay.plus({ days: 1 });
+
+      return (response.data.items || []).some(event => {
+        if (event.status === 'cancelled' || event.transparency === 'transparent') {
+          return false;
+        }
+
+        // All-day events end the day after they finish
+        if (event.start?.date) {
+          return event.start.date <= date && date < event.end.date;
+        }
+
+        const eventStart = DateTime.fromISO(event.start.dateTime, { zone: timeZone });
+        const eventEnd = DateTime.fromISO(event.end.dateTime, { zone: timeZone });
+        return eventStart < endOfDay && eventEnd > startOfDay
+          && eventEnd.diff(eventStart, 'hours').hours >= BOOKED_EVENT_HOURS;
+      });
+    } catch (error) {
+      console.error(`Error checking whether business ${businessId} is booked on ${date}:`, error.message);
+      throw error;
+    }
+  }
+
   // Refresh access token
   async refreshToken(businessId) {
     try {
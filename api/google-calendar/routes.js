@@ -3,6 +3,8 @@ const router = express.Router();
 const calendarService = require('./calendarService');
 const supabase = require('../supabaseClient');
 const { google } = require('googleapis');
+const NotificationService = require('../services/notificationService');
+const smsTemplates = require('../sms/templates');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -315,6 +317,25 @@ router.post('/events', async (req, res) => {
       // Optionally, return a warning to the client
     }
 
+    // Text the vendor, in their own timezone, if they've opted in
+    try {
+      const notifications = new NotificationService();
+      const sms = await notifications.sendSms({
+        userId: businessId,
+        category: 'consultations',
+        body: (preferences) => smsTemplates.consultationBooked({
+          customerName,
+          startTime: startDateTime,
+          timeZone: preferences.timezone,
+          meetLink: event.hangoutLink
+        }),
+        metadata: { event_id: event.id, bid_id: bidId || null }
+      });
+      console.log(`📱 Consultation text to business ${businessId}: ${sms.status}${sms.reason ? ` (${sms.reason})` : ''}`);
+    } catch (smsError) {
+      console.error('Error sending consultation text:', smsError.message);
+    }
+
     res.json({
       success: true,
       event: {
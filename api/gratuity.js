@@ -0,0 +1,56 @@
+// Optional gratuity added at checkout. The gratuity goes to the vendor in
+// full: it's charged as its own line item and left out of the platform fee.
+
+// Percentages offered as one-tap choices at checkout
+const GRATUITY_PRESETS = [10, 15, 20, 25];
+
+// Upper bound on a gratuity as a percentage of the service amount, to catch
+// typos such as cents entered as dollars
+const MAX_GRATUITY_PERCENT = 100;
+
+/**
+ * Work out the gratuity for a checkout.
+ *
+ * `gratuity` is { percent } (one of GRATUITY_PRESETS) or { amount } (a
+ * custom amount in minor units); `baseAmount` is the service amount it's
+ * calculated against. Returns { amount, percent } with amount 0 when no
+ * gratuity was given, or { error } if it isn't valid.
+ */
+const resolveGratuity = (gratuity, baseAmount) => {
+  if (gratuity === undefined || gratuity === null) {
+    return { amount: 0, percent: null };
+  }
+
+  if (typeof gratuity !== 'object') {
+    return { error: 'gratuity must be an object with either percent or amount' };
+  }
+
+  const { percent, amount } = gratuity;
+
+  if (percent !== undefined && amount !== undefined) {
+    return { error: 'gratuity takes either percent or amount, not both' };
+  }
+
+  if (percent !== undefined) {
+    if (!GRATUITY_PRESETS.includes(percent)) {
+      return { error: `gratuity percent must be one of ${GRATUITY_PRESETS.join(', ')}` };
+    }
+    return { amount: Math.round(baseAmount * percent / 100), percent };
+  }
+
+  if (!Number.isInteger(amount) || amount < 0) {
+    return { error: 'gratuity amount must be a non-negative integer number of cents' };
+  }
+
+  if (amount > Math.round(baseAmount * MAX_GRATUITY_PERCENT / 100)) {
+    return { error: `gratuity can be at most ${MAX_GRATUITY_PERCENT}% of the service amount` };
+  }
+
+  return { amount, percent: null };
+};
+
+module.exports = {
+  GRATUITY_PRESETS,
+  MAX_GRATUITY_PERCENT,
+  resolveGratuity
+};
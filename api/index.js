@@ -5,14 +5,47 @@ require('dotenv').config(); // Load environment variables
 const express = require("express");
 const cors = require("cors"); 
 const bodyParser = require('body-parser');
-const { Resend } = require('resend');
-const resend = new Resend(process.env.RESEND_API_KEY);
 const supabase = require('./supabaseClient');
+const { SUPPORTED_COUNTRIES, DEFAULT_COUNTRY, getSupportedCountry, normalizeCurrency, formatAmount, formatCents } = require('./currency');
+const { resolveGratuity } = require('./gratuity');
 const { generateAutoBidForBusiness } = require('./Autobid');
 const googleCalendarRoutes = require('./google-calendar/routes');
 const googlePlacesRoutes = require('./google-places/routes');
 const authRoutes = require('./auth/routes');
 const adminRoutes = require('./admin/routes');
+const cronRoutes = require('./cron/routes');
+const paymentRoutes = require('./payments/routes');
+const subscriptionRoutes = require('./subscriptions/routes');
+const earningsRoutes = require('./earnings/routes');
+const emailRoutes = require('./emails/routes');
+const notificationRoutes = require('./notifications/routes');
+const smsRoutes = require('./sms/routes');
+const pushRoutes = require('./push/routes');
+const conversationRoutes = require('./conversations/routes');
+const { deliverMessage, announceRead } = require('./conversations/delivery');
+const authenticateSocket = require('./middleware/socketAuth');
+// The shared Supabase auth middleware; the Stripe account routes further
+// down keep their own `authenticateUser` with request logging
+const authenticateRequest = require('./middleware/auth');
+const PaymentLedgerService = require('./services/paymentLedgerService');
+const StripeWebhookService = require('./services/stripeWebhookService');
+const PaymentScheduleService = require('./services/paymentScheduleService');
+const FeeScheduleService = require('./services/feeScheduleService');
+const SubscriptionService = require('./services/subscriptionService');
+const BidDocumentService = require('./services/bidDocumentService');
+const ConnectAccountService = require('./services/connectAccountService');
+const EscrowService = require('./services/escrowService');
+const PromotionService = require('./services/promotionService');
+const RequestLookupService = require('./services/requestLookupService');
+const RequestMatchingService = require('./services/requestMatchingService');
+const ConversationService = require('./services/conversationService');
+const PresenceService = require('./services/presenceService');
+const ProfileService = require('./services/profileService');
+const NotificationPreferenceService = require('./services/notificationPreferenceService');
+const NotificationService = require('./services/notificationService');
+const { paymentTypeLabels } = require('./emails/receiptTemplates');
+const { trustedHtml } = require('./emails/registry');
+const smsTemplates = require('./sms/templates');
 const http = require("http");
 const { Server } = require("socket.io");
 // Validate Stripe configuration
@@ -21,11 +54,7 @@ if (!process.env.STRIPE_SECRET_KEY) {
   process.exit(1);
 }
 
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY,
-  {
-    apiVersion: "2024-12-18.acacia",
-  }
-);
+const stripe = require('./stripeClient');
 
 // Test Stripe connection
 stripe.accounts.list({ limit: 1 }).then(() => {
@@ -34,6 +63,21 @@ stripe.accounts.list({ limit: 1 }).then(() => {
   console.error('❌ Stripe connection failed:', error.message);
 });
 const crypto = require('crypto');
+const paymentLedger = new PaymentLedgerService();
+const stripeWebhooks = new StripeWebhookService();
+const paymentSchedule = new PaymentScheduleService();
+const feeSchedule = new FeeScheduleService();
+const subscriptions = new SubscriptionService();
+const bidDocuments = new BidDocumentService();
+const connectAccounts = new ConnectAccountService();
+const escrow = new EscrowService();
+const promotions = new PromotionService();
+const requestLookup = new RequestLookupService();
+const requestMatching = new RequestMatchingService();
+const conversations = new ConversationService();
+const presence = new PresenceService();
+const profiles = new ProfileService();
+const notifications = new NotificationService();
 
 // Initialize OpenAI for training functions
 const OpenAI = require("openai");
@@ -104,7 +148,13 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw payload around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Debug middleware for payment endpoints
@@ -180,6 +230,33 @@ app.use('/api/google-places', googlePlacesRoutes);
 // Mount Admin routes
 app.use('/api/admin', adminRoutes);
 
+// Mount payment routes (refunds, invoices)
+app.use('/api/payments', paymentRoutes);
+
+// Mount scheduled job routes (called by Vercel Cron)
+app.use('/api/cron', cronRoutes);
+
+// Mount Bidi Plus subscription routes
+app.use('/api/subscriptions', subscriptionRoutes);
+
+// Mount vendor earnings and payout routes
+app.use('/api/earnings', earningsRoutes);
+
+// Mount email template previews and the Resend delivery webhook
+app.use('/api/emails', emailRoutes);
+
+// Mount notification preferences and unsubscribe links
+app.use('/api/notifications', notificationRoutes);
+
+// Mount phone verification and the Twilio inbound SMS webhook
+app.use('/api/sms', smsRoutes);
+
+// Mount browser push subscriptions
+app.use('/api/push', pushRoutes);
+
+// Mount conversation threads and message history
+app.use('/api/conversations', conversationRoutes);
+
 // Business Profile routes
 app.get('/api/business-profiles/:id', async (req, res) => {
   const { id } = req.params;
@@ -912,14 +989,24 @@ app.post("/account", async (req, res) => {
       });
     }
 
-    console.log("Creating Stripe account for email:", email);
+    // Vendors choose their country at signup; it fixes the currency they're paid in
+    const country = req.body.country ? getSupportedCountry(req.body.country) : DEFAULT_COUNTRY;
+    if (!country) {
+      return res.status(400).json({
+        error: `Unsupported country. Supported countries: ${Object.keys(SUPPORTED_COUNTRIES).join(', ')}`,
+        received: req.body.country
+      });
+    }
+
+    console.log("Creating Stripe account for email:", email, "in", country);
 
     let account;
     try {
       account = await stripe.accounts.create({
         type: "express",
-        country: "US", // Adjust if needed
+        country,
         email: email,
+        default_currency: SUPPORTED_COUNTRIES[country].currency,
       });
 
       console.log("Stripe account created successfully:", account.id);
@@ -943,6 +1030,8 @@ app.post("/account", async (req, res) => {
           .from('business_profiles')
           .update({ 
             stripe_account_id: account.id,
+            stripe_country: account.country,
+            stripe_default_currency: account.default_currency,
             updated_at: new Date().toISOString()
           })
           .eq('user_id', userId)
@@ -968,6 +1057,8 @@ app.post("/account", async (req, res) => {
 
     res.json({
       accountId: account.id,
+      country: account.country,
+      currency: account.default_currency,
       saved: !!userId
     });
   } catch (error) {
@@ -982,10 +1073,35 @@ app.post("/account", async (req, res) => {
   }
 });
 
-// This is the endpoint to create a Checkout Session with destination charge
-app.post("/create-checkout-session", async (req, res) => {
+// Separate Checkout line for a gratuity, so the customer sees it apart from the service
+const gratuityLineItems = (gratuity, currency) => (gratuity.amount > 0 ? [{
+  price_data: {
+    currency,
+    product_data: { name: 'Gratuity' },
+    unit_amount: gratuity.amount,
+  },
+  quantity: 1,
+}] : []);
+
+// This is the endpoint to create a Checkout Session with destination charge.
+// paymentType 'deposit' charges the vendor's deposit_percent of `amount` now
+// and schedules the rest as a balance payment once the deposit succeeds.
+// `escrow: true` holds the money on the platform and transfers it to the
+// vendor after the event instead (see EscrowService). `gratuity` ({ percent }
+// or { amount } in cents) adds a tip for the vendor that carries no fee.
+// `promoCode` and `useCredits` apply Bidi-funded discounts (see PromotionService).
+// A bid's checkout must pay that bid's vendor. Checkout is open to guests,
+// but promo codes and credits belong to a customer, so using them requires
+// the signed-in customer who posted the request.
+const authenticateForDiscounts = (req, res, next) => (
+  req.body?.promoCode || req.body?.useCredits ? authenticateRequest(req, res, next) : next()
+);
+
+app.post("/create-checkout-session", authenticateForDiscounts, async (req, res) => {
   try {
     const { connectedAccountId, amount, serviceName, bidId } = req.body;
+    // 'down' is the name the receipts flow uses for a deposit
+    const paymentType = ['deposit', 'down'].includes(req.body.paymentType) ? 'deposit' : 'full';
 
     console.log("Request Body:", req.body); // Log the incoming request data
 
@@ -995,31 +1111,100 @@ app.post("/create-checkout-session", async (req, res) => {
       return res.status(400).send("Missing required fields");
     }
 
-    // Check if this is an autobid payment
-    let isAutobid = false;
-    if (bidId) {
-      try {
-        const { data: bidData, error: bidError } = await supabase
-          .from("bids")
-          .select("is_autobid")
-          .eq("id", bidId)
-          .single();
-
-        if (!bidError && bidData) {
-          isAutobid = bidData.is_autobid || false;
-          console.log(`Bid ${bidId} is autobid: ${isAutobid}`);
-        }
-      } catch (error) {
-        console.error("Error checking bid autobid status:", error);
-        // Continue with default 10% fee if we can't determine autobid status
+    if (paymentType === 'deposit' && !bidId) {
+      return res.status(400).json({ error: "bidId is required for deposit payments" });
+    }
+
+    // The customer is whoever posted the request the bid is on, and the
+    // money can only go to the vendor who made the bid
+    const found = bidId ? await requestLookup.findRequestForBid(bidId) : null;
+    if (bidId && !found) {
+      return res.status(404).json({ error: "Bid not found" });
+    }
+    if (found) {
+      const vendor = await profiles.getBusinessContact(found.bid.user_id);
+      if (!vendor?.stripeAccountId || vendor.stripeAccountId !== connectedAccountId) {
+        return res.status(400).json({ error: "connectedAccountId does not belong to this bid's vendor" });
+      }
+    }
+    const customerId = found?.ownerId || null;
+
+    // Work out the deposit/balance split from the vendor's pricing rules
+    let schedule = null;
+    if (paymentType === 'deposit') {
+      schedule = await paymentSchedule.buildDepositSchedule(bidId);
+      if (!schedule) {
+        return res.status(400).json({ error: "This vendor has no deposit configured for this bid" });
+      }
+      // The split is worked out from the bid's own price, not the client's
+      if (parseInt(amount, 10) !== schedule.totalAmount) {
+        return res.status(400).json({ error: "amount does not match the bid total", expectedAmount: schedule.totalAmount });
+      }
+      console.log(`Deposit of ${schedule.depositPercent}% (${schedule.depositAmount} cents) for bid ${bidId}, balance due ${schedule.balanceDueDate.toISOString()}`);
+    }
+
+    // Paying a bid in full marks it paid_in_full, so the charge has to be
+    // the bid's own price too
+    const bidTotal = found && !schedule ? paymentSchedule.getBidTotal(found.bid) : null;
+    if (found && !schedule && parseInt(amount, 10) !== bidTotal) {
+      return res.status(400).json({ error: "amount does not match the bid total", expectedAmount: bidTotal });
+    }
+
+    const chargeAmount = schedule ? schedule.depositAmount : (bidTotal || amount);
+
+    // A tip belongs with the final payment, not the deposit
+    if (schedule && req.body.gratuity) {
+      return res.status(400).json({ error: "Add a gratuity when paying the balance instead of the deposit" });
+    }
+
+    const gratuity = resolveGratuity(req.body.gratuity, chargeAmount);
+    if (gratuity.error) {
+      return res.status(400).json({ error: gratuity.error });
+    }
+
+    // Charge in the vendor's currency; `amount` is in its minor units
+    const currency = await connectAccounts.getAccountCurrency(connectedAccountId);
+
+    // Platform fee from the fee schedule (source, category, vendor tier, promotions).
+    // Only the service amount is charged a fee; the gratuity passes to the vendor in full.
+    const fee = await feeSchedule.calculateFee({ amount: chargeAmount, currency, bidId });
+
+    console.log(`Calculated fee: ${fee.description} (${fee.amount} cents) for ${fee.isAutobid ? 'autobid' : 'regular bid'}`);
+
+    // Promo codes and credits are funded by Bidi: they lower the charge and
+    // come out of the application fee, so the vendor nets the same
+    const { promoCode, useCredits } = req.body;
+    let discounts = { discount: 0, promo: null, creditsApplied: 0 };
+    if (promoCode || useCredits) {
+      if (!customerId) {
+        return res.status(400).json({ error: "Promo codes and credits need the bidId of a customer's request" });
+      }
+      // Credits and per-customer limits belong to the customer, so only they can spend them
+      if (req.user.id !== customerId) {
+        return res.status(403).json({ error: "Only the customer who posted this request can use promo codes or credits on it" });
+      }
+
+      discounts = await promotions.quoteDiscounts({ userId: customerId, amount: chargeAmount, currency, promoCode, useCredits: !!useCredits });
+      if (discounts.error) {
+        return res.status(400).json({ error: discounts.error });
       }
     }
 
-    // Calculate the application fee based on whether it's an autobid
-    const feePercentage = isAutobid ? 0.2 : 0.1; // 20% for autobids, 10% for regular bids
-    const applicationFeeAmount = Math.round(amount * feePercentage);
+    const { applicationFeeAmount, topUpAmount } = promotions.splitFee(fee.amount, discounts.discount);
+    if (discounts.discount > 0) {
+      console.log(`Discount of ${discounts.discount} cents (promo ${discounts.promo?.amount || 0}, credits ${discounts.creditsApplied}); application fee ${applicationFeeAmount}, top-up ${topUpAmount}`);
+    }
+
+    // Escrow holds the money on the platform until after the event, so it
+    // needs a bid to release against
+    const escrowPayout = !!bidId && escrow.shouldHold({ requested: req.body.escrow, amount: chargeAmount });
 
-    console.log(`Calculated fee: ${feePercentage * 100}% (${applicationFeeAmount} cents) for ${isAutobid ? 'autobid' : 'regular bid'}`);
+    const scheduleMetadata = schedule ? {
+      total_amount: schedule.totalAmount.toString(),
+      deposit_percent: schedule.depositPercent.toString(),
+      balance_amount: schedule.balanceAmount.toString(),
+      balance_due_date: schedule.balanceDueDate.toISOString()
+    } : {};
 
     // Create a Checkout session
     const session = await stripe.checkout.sessions.create({
@@ -1027,35 +1212,128 @@ app.post("/create-checkout-session", async (req, res) => {
       line_items: [
         {
           price_data: {
-            currency: 'usd',
+            currency,
             product_data: {
-              name: serviceName, 
+              name: schedule ? `${serviceName} (Deposit)` : serviceName,
+              ...(discounts.discount > 0 && {
+                description: `Includes ${formatCents(discounts.discount, currency)} off from Bidi`
+              }),
             },
-            unit_amount: amount, // Price in cents (e.g., 5000 for $50)
+            unit_amount: chargeAmount - discounts.discount, // Price in cents (e.g., 5000 for $50)
           },
           quantity: 1,
         },
+        ...gratuityLineItems(gratuity, currency),
       ],
-      payment_intent_data: {
-        application_fee_amount: applicationFeeAmount, // Fee amount in cents (e.g., 500 for $5)
-        transfer_data: {
-          destination: connectedAccountId, // businesses connected account ID
-        },
-      },
+      // Destination charge to the vendor, or a platform charge held in escrow.
+      // Its metadata lets payment_intent.* webhooks find the bid.
+      payment_intent_data: escrow.buildPaymentIntentData({
+        escrow: escrowPayout,
+        bidId,
+        paymentType,
+        connectedAccountId,
+        applicationFeeAmount // Fee amount in cents (e.g., 500 for $5)
+      }),
       mode: 'payment',
       ui_mode: 'embedded',
       return_url: 'https://www.savewithbidi.com/payment-status',
       metadata: {
         bid_id: bidId,
-        is_autobid: isAutobid.toString(),
-        fee_percentage: (feePercentage * 100).toString()
+        payment_type: paymentType,
+        payout_mode: escrowPayout ? 'escrow' : 'direct',
+        is_autobid: fee.isAutobid.toString(),
+        fee_percentage: fee.percent.toString(),
+        fee_rule: fee.description,
+        gratuity_amount: gratuity.amount.toString(),
+        discount_amount: discounts.discount.toString(),
+        platform_top_up_amount: topUpAmount.toString(),
+        ...(discounts.promo && { promo_code: discounts.promo.campaign.code }),
+        ...scheduleMetadata
       }
     });
 
     console.log("Checkout session created:", session); // Log the session data
 
+    // Hold the promo code and credits while the checkout is open. Without
+    // the hold the discount wouldn't count towards its limits, so a
+    // checkout that can't be held is expired rather than left payable;
+    // the expiry webhook releases anything that was held.
+    if (discounts.discount > 0) {
+      const expireSession = () => stripe.checkout.sessions.expire(session.id)
+        .catch(expireError => console.error(`Error expiring checkout ${session.id}:`, expireError.message));
+
+      let reserved;
+      try {
+        reserved = await promotions.reserve({
+          userId: customerId,
+          bidId,
+          checkoutSessionId: session.id,
+          currency,
+          promo: discounts.promo,
+          creditsApplied: discounts.creditsApplied
+        });
+      } catch (reserveError) {
+        await expireSession();
+        throw reserveError;
+      }
+
+      // Another checkout took the last use of the code or the credit first
+      if (!reserved.success) {
+        await expireSession();
+        return res.status(reserved.status).json({ error: reserved.error });
+      }
+    }
+
+    // Record the pending payment in the ledger so the bid moves to pending_payment
+    if (bidId) {
+      try {
+        await paymentLedger.createPendingPayment({
+          bidId,
+          paymentType,
+          amount: chargeAmount - discounts.discount + gratuity.amount,
+          currency,
+          gratuityAmount: gratuity.amount,
+          discountAmount: discounts.discount,
+          platformTopUpAmount: topUpAmount,
+          applicationFeeAmount,
+          connectedAccountId,
+          customerId,
+          checkoutSessionId: session.id,
+          payoutMode: escrowPayout ? 'escrow' : 'direct',
+          metadata: scheduleMetadata
+        });
+      } catch (ledgerError) {
+        // The webhook backfills the ledger row, so don't block checkout on this
+        console.error("Error recording pending payment:", ledgerError.message);
+      }
+    }
+
     // Send the session ID back to the frontend
-    res.json({ client_secret: session.client_secret });
+    res.json({
+      client_secret: session.client_secret,
+      currency,
+      escrow: escrowPayout,
+      gratuity: {
+        amount: gratuity.amount,
+        percent: gratuity.percent
+      },
+      discount: {
+        amount: discounts.discount,
+        promoCode: discounts.promo?.campaign.code || null,
+        promoAmount: discounts.promo?.amount || 0,
+        creditsApplied: discounts.creditsApplied
+      },
+      ...(schedule && {
+        deposit: {
+          amount: schedule.depositAmount,
+          percent: schedule.depositPercent
+        },
+        balance: {
+          amount: schedule.balanceAmount,
+          dueDate: schedule.balanceDueDate.toISOString()
+        }
+      })
+    });
   } catch (error) {
     console.error(
       "An error occurred when creating the Checkout Session",
@@ -1065,6 +1343,109 @@ app.post("/create-checkout-session", async (req, res) => {
   }
 });
 
+// Checkout Session for the remaining balance after a deposit.
+// Requires the signed-in customer who posted the bid's request.
+app.post("/create-balance-checkout-session", authenticateRequest, async (req, res) => {
+  try {
+    const { bidId, serviceName } = req.body;
+
+    if (!bidId) {
+      return res.status(400).json({ error: "bidId is required" });
+    }
+
+    // Only the customer who posted the request can pay its balance
+    const found = await requestLookup.findRequestForBid(bidId);
+    if (!found) {
+      return res.status(404).json({ error: "Bid not found" });
+    }
+    if (req.user.id !== found.ownerId) {
+      return res.status(403).json({ error: "Only the customer who posted this request can pay its balance" });
+    }
+
+    const balancePayment = await paymentLedger.getBalancePayment(bidId);
+    if (!balancePayment) {
+      return res.status(404).json({ error: "No balance is scheduled for this bid" });
+    }
+
+    if (!['scheduled', 'failed'].includes(balancePayment.status)) {
+      return res.status(409).json({
+        error: `Balance payment is already ${balancePayment.status}`,
+        status: balancePayment.status
+      });
+    }
+
+    // Percentage tips are worked out on the whole booking, not just the balance
+    const bookingTotal = parseInt(balancePayment.metadata?.total_amount, 10) || balancePayment.amount;
+    const gratuity = resolveGratuity(req.body.gratuity, bookingTotal);
+    if (gratuity.error) {
+      return res.status(400).json({ error: gratuity.error });
+    }
+
+    const currency = balancePayment.currency || await connectAccounts.getAccountCurrency(balancePayment.connected_account_id);
+    const fee = await feeSchedule.calculateFee({ amount: balancePayment.amount, currency, bidId });
+    const applicationFeeAmount = fee.amount;
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: [
+        {
+          price_data: {
+            currency,
+            product_data: {
+              name: `${serviceName || 'Booking'} (Balance)`,
+            },
+            unit_amount: balancePayment.amount,
+          },
+          quantity: 1,
+        },
+        ...gratuityLineItems(gratuity, currency),
+      ],
+      payment_intent_data: escrow.buildPaymentIntentData({
+        escrow: escrow.isEscrow(balancePayment),
+        bidId,
+        paymentType: 'balance',
+        connectedAccountId: balancePayment.connected_account_id,
+        applicationFeeAmount
+      }),
+      mode: 'payment',
+      ui_mode: 'embedded',
+      return_url: 'https://www.savewithbidi.com/payment-status',
+      metadata: {
+        bid_id: bidId,
+        payment_type: 'balance',
+        payout_mode: balancePayment.payout_mode || 'direct',
+        is_autobid: fee.isAutobid.toString(),
+        fee_percentage: fee.percent.toString(),
+        fee_rule: fee.description,
+        gratuity_amount: gratuity.amount.toString()
+      }
+    });
+
+    // `amount` becomes balance plus gratuity when the payment succeeds
+    await paymentLedger.attachCheckoutSession(balancePayment, session.id, {
+      application_fee_amount: applicationFeeAmount,
+      gratuity_amount: gratuity.amount
+    });
+
+    res.json({
+      client_secret: session.client_secret,
+      currency,
+      escrow: escrow.isEscrow(balancePayment),
+      gratuity: {
+        amount: gratuity.amount,
+        percent: gratuity.percent
+      },
+      balance: {
+        amount: balancePayment.amount,
+        dueDate: balancePayment.due_date
+      }
+    });
+  } catch (error) {
+    console.error("An error occurred when creating the balance Checkout Session", error);
+    res.status(500).send({ error: error.message });
+  }
+});
+
 app.post('/check-payment-status', async (req, res) => {
   const { paymentIntentId } = req.body;
 
@@ -1106,27 +1487,34 @@ app.post("/stripe-dashboard", async (req, res) => {
       stripe.accounts.retrieve(accountId)
     ]);
 
+    // The vendor's current platform fee rates, from the same schedule checkout uses
+    const { data: business } = await supabase
+      .from("business_profiles")
+      .select("id")
+      .eq("stripe_account_id", accountId)
+      .maybeSingle();
+    const rates = await feeSchedule.describeVendorRates(business?.id, null, account.default_currency);
+
+    // Amounts stay in minor units; `formatted` is ready to display in the right currency
+    const withFormatted = (amount, currency) => ({ amount, currency, formatted: formatCents(amount, currency) });
+
     // Format the response according to the specified structure
     const response = {
+      currency: account.default_currency,
+      country: account.country,
       balance: {
-        available: balance.available.map(({ amount, currency }) => ({
-          amount,
-          currency
-        })),
-        pending: balance.pending.map(({ amount, currency }) => ({
-          amount,
-          currency
-        }))
+        available: balance.available.map(({ amount, currency }) => withFormatted(amount, currency)),
+        pending: balance.pending.map(({ amount, currency }) => withFormatted(amount, currency))
       },
       payouts: payouts.data.map(payout => ({
         id: payout.id,
-        amount: payout.amount,
+        ...withFormatted(payout.amount, payout.currency),
         status: payout.status,
         created: payout.created
       })),
       charges: charges.data.map(charge => ({
         id: charge.id,
-        amount: charge.amount,
+        ...withFormatted(charge.amount, charge.currency),
         status: charge.status,
         created: charge.created
       })),
@@ -1137,6 +1525,12 @@ app.post("/stripe-dashboard", async (req, res) => {
           currently_due: account.requirements.currently_due || [],
           pending_verification: account.requirements.pending_verification || []
         }
+      },
+      platform_fees: {
+        tier: rates.tier,
+        regular: rates.regular.description,
+        autobid: rates.autobid.description,
+        promotions: [...new Set([...rates.regular.promotions, ...rates.autobid.promotions])]
       }
     };
 
@@ -1191,6 +1585,17 @@ app.get('/check-account-capabilities/:accountId', async (req, res) => {
 });
 
 // Simple endpoints for Stripe account verification and deletion (for frontend compatibility)
+// Save an account's status on its business profile whenever we fetch it.
+// The account.updated webhook does the same; whichever sees a change first
+// sends the vendor any requirements email.
+async function syncConnectAccount(account) {
+  try {
+    await connectAccounts.syncAccount(account);
+  } catch (error) {
+    console.error(`Error syncing Stripe status for ${account.id}:`, error.message);
+  }
+}
+
 app.post("/verify-account", async (req, res) => {
   try {
     const { accountId } = req.body;
@@ -1203,6 +1608,7 @@ app.post("/verify-account", async (req, res) => {
 
     // Retrieve the account from Stripe
     const account = await stripe.accounts.retrieve(accountId);
+    await syncConnectAccount(account);
     
     // Check if the account is valid and properly set up
     // For Express accounts, we need to be more flexible with verification
@@ -1281,6 +1687,7 @@ app.post("/account-status", async (req, res) => {
 
     // Retrieve the account from Stripe
     const account = await stripe.accounts.retrieve(accountId);
+    await syncConnectAccount(account);
     
     // Determine progress status for different onboarding steps
     const progressStatus = {
@@ -1352,151 +1759,114 @@ app.get("/stripe-health", async (req, res) => {
 // Webhook for stripe
 // Your webhook secret from the Stripe Dashboard (calls on env file)
 const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+// Connected-account events (account.updated) come from a separate Connect
+// endpoint in the Stripe Dashboard with its own signing secret
+const connectEndpointSecret = process.env.STRIPE_CONNECT_WEBHOOK_SECRET;
 
 // Webhook endpoint
-app.post('/webhook', bodyParser.raw({ type: 'application/json' }), (req, res) => {
+app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
 
   let event;
 
   try {
-    // Verify the event using the Stripe webhook secret
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    // Verify the event using the Stripe webhook secret. express.json() has
+    // already parsed the body, so verify against the raw bytes it kept.
+    try {
+      event = stripe.webhooks.constructEvent(req.rawBody || req.body, sig, endpointSecret);
+    } catch (platformError) {
+      if (!connectEndpointSecret) throw platformError;
+      event = stripe.webhooks.constructEvent(req.rawBody || req.body, sig, connectEndpointSecret);
+    }
   } catch (err) {
     console.error('Webhook signature verification failed.', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'checkout.session.completed':
-      const session = event.data.object;
-      handleCheckoutSessionCompleted(session);
-      break;
-
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      handlePaymentIntentSucceeded(paymentIntent);
-      break;
-
-    case 'payment_intent.payment_failed':
-      const failedPaymentIntent = event.data.object;
-      handlePaymentIntentFailed(failedPaymentIntent);
-      break;
-
-    default:
-      console.warn(`Unhandled event type ${event.type}`);
-  }
-
-  // Return a response to acknowledge receipt of the event()
-  res.json({ received: true });
-});
-
-// Define functions to handle specific events
-async function handleCheckoutSessionCompleted(session) {
+  // Handle the event once per event ID. Handlers move the bid's payments
+  // ledger entry along and re-derive bids.payment_status.
   try {
-    // Implement logic to update your database and application state
-    const connectedAccountId = session.payment_intent;
-    const bidId = session.metadata.bid_id; // Assuming you passed bid_id as metadata
-    const amount = session.amount_total;
+    const result = await stripeWebhooks.processEvent(event);
 
-    console.log(`Checkout session completed for amount ${amount} to account ${connectedAccountId} for bidID ${bidId}`);
-
-    // Update the bid status to 'paid' in your Supabase database
-    const { data, error } = await supabase
-      .from('bids')
-      .update({ status: 'paid' })
-      .eq('id', bidId);
-
-    if (error) {
-      console.error('Error updating bid status:', error.message);
-    } else {
-      console.log(`Bid ${bidId} status updated to 'paid'`);
+    if (result.reason === 'in_progress') {
+      // Another invocation holds the event; have Stripe retry later
+      return res.status(409).json({ received: true, processed: false, reason: result.reason });
     }
+
+    res.json({ received: true, ...result });
   } catch (error) {
-    console.error('Error in handleCheckoutSessionCompleted function:', error.message);
+    // A non-2xx response makes Stripe redeliver the event with backoff
+    res.status(500).json({ received: true, processed: false, error: error.message });
   }
-}
-
-async function handlePaymentIntentSucceeded(paymentIntent) {
-  console.log(`PaymentIntent for ${paymentIntent.amount} was successful!`);
-  // Implement logic to update your database and application state
-  // Example: Update database to reflect successful payment
-  // await updateDatabaseForSuccessfulPayment(paymentIntent);
-}
-
-async function handlePaymentIntentFailed(paymentIntent) {
-  console.error(`PaymentIntent for ${paymentIntent.amount} failed.`);
-  // Implement logic to handle a failed payment
-  // Example: Update database to reflect failed payment
-  // await updateDatabaseForFailedPayment(paymentIntent);
-}
+});
 
 // Middleware
 app.use(bodyParser.json());
 
-// Function to send an email via Resend
-const sendEmailNotification = async (recipientEmail, subject, htmlContent) => {
+// Function to send an email via Resend, subject to the recipient's preferences
+const sendEmailNotification = async (recipientEmail, subject, htmlContent, category = 'general') => {
     try {
         if (!process.env.RESEND_API_KEY) {
             throw new Error('RESEND_API_KEY environment variable is not set');
         }
 
-        const data = await resend.emails.send({
-            from: 'noreply@savewithbidi.com',
+        const result = await notifications.sendEmail({
             to: recipientEmail,
-            subject: subject,
-            html: htmlContent,
+            category,
+            template: 'notification',
+            // The body comes from our own frontend, so it isn't escaped
+            variables: { subject, body: trustedHtml(htmlContent) }
         });
         
-        console.log('Email sent successfully via Resend');
-        return data;
+        console.log(`Email to ${recipientEmail}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+        return result;
     } catch (error) {
         console.error('Error sending email via Resend:', error);
         throw error;
     }
 };
 
-// Endpoint for sending email notifications
+// Endpoint for sending email notifications. `category` is one of the
+// notification preference categories and defaults to 'general'.
 app.post('/send-email', async (req, res) => {
-    const { recipientEmail, subject, htmlContent } = req.body;
+    const { recipientEmail, subject, htmlContent, category } = req.body;
+
+    if (category && !NotificationPreferenceService.CATEGORIES[category]) {
+        return res.status(400).send(`Unknown notification category: ${category}`);
+    }
 
     try {
-        await sendEmailNotification(recipientEmail, subject, htmlContent);
-        res.status(200).send('Email sent successfully');
+        const result = await sendEmailNotification(recipientEmail, subject, htmlContent, category);
+        res.status(200).send(result.status === 'skipped' ? 'Recipient has opted out of these emails' : 'Email sent successfully');
     } catch (error) {
         res.status(500).send('Error sending email: ' + error.message);
     }
 });
 
-app.post('/create-plus-checkout-session', async (req, res) => {
-  const { userId } = req.body; // Pass the user ID from the frontend
+// Kept for existing clients, with the same response; like
+// /api/subscriptions/checkout-session it subscribes the signed-in user
+app.post('/create-plus-checkout-session', authenticateRequest, async (req, res) => {
+  const { userId, plan } = req.body;
 
-  if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+  if (userId && userId !== req.user.id) {
+      return res.status(403).json({ error: 'userId does not match the signed-in user' });
   }
 
   try {
-      // Create a Stripe Checkout session
-      const session = await stripe.checkout.sessions.create({
-          payment_method_types: ['card'],
-          mode: 'subscription',
-          line_items: [
-              {
-                  price: 'price_1QNIzyF25aBU3RMPEpbxhWN7', // Your Stripe Price ID
-                  quantity: 1,
-              },
-          ],
-          customer_email: req.body.email, // Optional if you want to link it to an email
-          metadata: {
-              userId, // Pass the userId as metadata for the webhook
-          },
-          success_url: 'https://www.savewithbidi.com/success?session_id={CHECKOUT_SESSION_ID}',
-          cancel_url: 'https://www.savewithbidi.com/cancel',
+      const result = await subscriptions.createCheckoutSession({
+          userId: req.user.id,
+          email: req.user.email,
+          plan,
+          successUrl: 'https://www.savewithbidi.com/success?session_id={CHECKOUT_SESSION_ID}',
+          cancelUrl: 'https://www.savewithbidi.com/cancel',
       });
 
+      if (!result.success) {
+          return res.status(result.status).json({ error: result.error });
+      }
+
       // Return the session URL
-      res.json({ url: session.url });
+      res.json({ url: result.session.url });
   } catch (error) {
       console.error('Error creating checkout session:', error.message);
       res.status(500).json({ error: error.message });
@@ -1511,6 +1881,10 @@ app.post('/create-plus-checkout-session', async (req, res) => {
  *   headers: { 'Content-Type': 'application/json' },
  *   body: JSON.stringify({
  *     category: 'Photography',
+ *     // Recorded on each outbox row. Without businesses, the vendors to
+ *     // email are matched to this request's location, budget and date;
+ *     // one of the two is required.
+ *     requestId: 'abc123',
  *     businesses: [
  *       {
  *         email: 'biz1@email.com',
@@ -1534,7 +1908,7 @@ app.post('/create-plus-checkout-session', async (req, res) => {
  */
 // Resend email endpoint
 app.post('/api/send-resend-email', async (req, res) => {
-  const { category, businesses } = req.body;
+  const { category, businesses, requestId } = req.body;
 
   console.log('📧 === EMAIL NOTIFICATION REQUEST ===');
   console.log('Category:', category);
@@ -1545,182 +1919,73 @@ app.post('/api/send-resend-email', async (req, res) => {
     return res.status(400).json({ error: "Missing required field: category." });
   }
 
+  // Without either there's no way to pick the vendors the request suits,
+  // and emailing the whole category isn't an option
+  const hasBusinesses = Array.isArray(businesses) && businesses.length > 0;
+  if (!hasBusinesses && !requestId) {
+    return res.status(400).json({ error: "Provide businesses or a requestId to match vendors to." });
+  }
+
   try {
     let recipients = [];
+    let excluded = null;
 
-    if (Array.isArray(businesses) && businesses.length > 0) {
+    if (hasBusinesses) {
       // Use provided businesses array
       console.log('✅ Using provided businesses array');
       recipients = businesses.filter(biz => biz.email && biz.businessName && biz.budget && biz.location && biz.date);
       console.log('📋 Filtered recipients:', recipients.length);
       console.log('📋 Recipients details:', JSON.stringify(recipients, null, 2));
     } else {
-      // Fallback: fetch from Supabase as before
-      console.log('⚠️ No businesses provided, falling back to Supabase fetch');
-      console.log('🔍 Searching for businesses in category:', category);
-      
-      const { data: users, error: usersError } = await supabase
-        .from('business_profiles')
-        .select('id, business_name')
-        .eq('business_category', category);
-
-      if (usersError) {
-        console.error("Error fetching users by category:", usersError.message);
-        return res.status(500).json({ error: "Failed to fetch users by category." });
-      }
-
-      console.log('📊 Found users in category:', users?.length || 0);
-      console.log('📊 Users data:', JSON.stringify(users, null, 2));
-
-      if (!users || users.length === 0) {
-        console.log('❌ No users found in category:', category);
-        return res.status(404).json({ error: `No users found in category: ${category}.` });
-      }
-
-      const userIds = users.map(user => user.id);
-      console.log('🆔 User IDs to fetch emails for:', userIds);
-      
-      const { data: emails, error: emailsError } = await supabase
-        .from('profiles')
-        .select('id, email')
-        .in('id', userIds);
-
-      if (emailsError) {
-        console.error("Error fetching emails:", emailsError.message);
-        return res.status(500).json({ error: "Failed to fetch emails for users." });
+      // Fallback: vendors in the category whose service area, prices and
+      // calendar fit the request
+      console.log('⚠️ No businesses provided, matching vendors to request:', requestId);
+
+      const match = await requestMatching.matchRequest(requestId, category);
+      if (!match) {
+        console.log('❌ Request not found:', requestId);
+        return res.status(404).json({ error: `Request not found: ${requestId}.` });
       }
 
-      console.log('📧 Emails fetched:', emails?.length || 0);
-      console.log('📧 Emails data:', JSON.stringify(emails, null, 2));
-
-      // You may want to fetch budget/location/date from somewhere else or set as "N/A"
-      recipients = users.map(user => {
-        const emailObj = emails.find(e => e.id === user.id);
-        return {
-          email: emailObj?.email,
-          businessName: user.business_name || "Business",
-          budget: "N/A",
-          location: "N/A",
-          date: "N/A"
-        };
-      }).filter(r => r.email);
-      
-      console.log('📋 Final recipients from Supabase:', recipients.length);
-      console.log('📋 Recipients details:', JSON.stringify(recipients, null, 2));
-    }
-
-    console.log('🚀 Starting email sending process...');
-    console.log('📧 Total recipients to process:', recipients.length);
-
-    // Batch sending (2 per second)
-    const batchSize = 2;
-    let batchIndex = 0;
-    let emailsSent = 0;
-    let emailsFailed = 0;
-
-    while (batchIndex < recipients.length) {
-      const batch = recipients.slice(batchIndex, batchIndex + batchSize);
-      console.log(`📦 Processing batch ${Math.floor(batchIndex/batchSize) + 1}:`, batch.length, 'emails');
-
-      await Promise.all(
-        batch.map(async ({ email, businessName, budget, location, date }) => {
-          const htmlContent = `
-            <!DOCTYPE html>
-            <html>
-              <body style="margin:0; padding:0; background:#f6f9fc;">
-                <table width="100%" cellpadding="0" cellspacing="0" style="background:#f6f9fc; padding:40px 0;">
-                  <tr>
-                    <td align="center">
-                      <table width="480" cellpadding="0" cellspacing="0" style="background:#fff; border-radius:12px; box-shadow:0 2px 8px rgba(0,0,0,0.05); padding:32px;">
-                        <tr>
-                          <td align="center" style="padding-bottom:24px;">
-                            <img src="https://i.imgur.com/LBdztzj.png" alt="Bidi Logo" width="120" style="display:block; margin:0 auto 12px;" />
-                          </td>
-                        </tr>
-                        <tr>
-                          <td align="center" style="font-family:Segoe UI,Arial,sans-serif; color:#222; font-size:22px; font-weight:600; padding-bottom:12px;">
-                            Hi ${businessName},
-                          </td>
-                        </tr>
-                        <tr>
-                          <td align="center" style="font-family:Segoe UI,Arial,sans-serif; color:#444; font-size:16px; padding-bottom:24px;">
-                            You have a new <b>${category}</b> request waiting for you on Bidi!
-                          </td>
-                        </tr>
-                        <tr>
-                          <td align="center" style="padding-bottom:24px;">
-                            <table style="margin: 0 auto; background: #f6f9fc; border-radius: 8px; padding: 16px;">
-                              <tr>
-                                <td style="padding: 4px 12px;"><b>Budget:</b></td>
-                                <td style="padding: 4px 12px;">${budget}</td>
-                              </tr>
-                              <tr>
-                                <td style="padding: 4px 12px;"><b>Location:</b></td>
-                                <td style="padding: 4px 12px;">${location}</td>
-                              </tr>
-                              <tr>
-                                <td style="padding: 4px 12px;"><b>Date:</b></td>
-                                <td style="padding: 4px 12px;">${date}</td>
-                              </tr>
-                            </table>
-                          </td>
-                        </tr>
-                        <tr>
-                          <td align="center" style="padding-bottom:32px;">
-                            <a href="https://www.savewithbidi.com/business-dashboard"
-                              style="background:#A328F4; color:#fff; text-decoration:none; font-weight:600; padding:14px 32px; border-radius:8px; font-size:16px; display:inline-block;">
-                              View Request
-                            </a>
-                          </td>
-                        </tr>
-                        <tr>
-                          <td align="center" style="font-family:Segoe UI,Arial,sans-serif; color:#888; font-size:13px;">
-                            Best,<br/>The Bidi Team
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                  </tr>
-                </table>
-              </body>
-            </html>
-          `;
-
-          try {
-            await resend.emails.send({
-              from: 'noreply@savewithbidi.com',
-              to: email,
-              subject: `You have a new ${category} request on Bidi!`,
-              html: htmlContent,
-            });
-            console.log(`✅ Email sent to: ${email}`);
-            emailsSent++;
-          } catch (emailError) {
-            console.error(`❌ Failed to send email to ${email}:`, emailError.message);
-            emailsFailed++;
-          }
-        })
-      );
+      excluded = match.excluded;
+      recipients = match.recipients.map(recipient => ({ ...recipient, ...match.request }));
 
-      batchIndex += batchSize;
-      if (batchIndex < recipients.length) {
-        console.log('⏳ Waiting 1 second before next batch...');
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      }
+      console.log('📋 Matched recipients:', recipients.length, 'Excluded:', JSON.stringify(excluded), 'Calendars unchecked:', match.calendarsUnchecked);
     }
 
-    console.log('📊 === EMAIL SENDING COMPLETE ===');
-    console.log('✅ Emails sent successfully:', emailsSent);
-    console.log('❌ Emails failed:', emailsFailed);
-    console.log('📧 Total processed:', recipients.length);
+    // Queue every email the vendor hasn't opted out of, then send what fits
+    // in this invocation. The email-outbox cron job sends the rest and
+    // retries failures.
+    const result = await notifications.sendEmails(recipients.map(({ email, businessId, businessName, title, budget, location, date }) => ({
+      to: email,
+      userId: businessId || null,
+      category: 'new_request',
+      template: 'new-request',
+      variables: { businessName, category, title, budget, location, date },
+      metadata: { request_id: requestId || null, business_id: businessId || null, category }
+    })));
+    console.log('📊 === EMAIL SENDING COMPLETE ===', {
+      queued: result.queued,
+      sent: result.sent,
+      failed: result.failed,
+      held: result.held,
+      skipped: result.skipped
+    });
 
-    res.status(200).json({ 
-      message: `Emails sent successfully to all users in category: ${category}.`,
+    res.status(200).json({
+      message: `Emails queued for matching users in category: ${category}.`,
       stats: {
         total: recipients.length,
-        sent: emailsSent,
-        failed: emailsFailed
-      }
+        queued: result.queued,
+        sent: result.sent,
+        failed: result.failed,
+        // Left for the cron job, or held until the vendor's quiet hours end
+        pending: result.queued - result.sent - result.failed,
+        optedOut: result.skipped
+      },
+      // Vendors in the category left out, by reason, when matched to a request
+      excluded,
+      outboxIds: result.outboxIds
     });
 
   } catch (error) {
@@ -1730,7 +1995,9 @@ app.post('/api/send-resend-email', async (req, res) => {
 });
 
 //Bid Notifications
-app.post('/send-bid-notification', async (req, res) => {
+// Emails, texts and pushes the customer about a new bid, so only a signed-in
+// vendor who has actually bid on the request can trigger it.
+app.post('/send-bid-notification', authenticateRequest, async (req, res) => {
   const { requestId } = req.body;
 
   if (!requestId) {
@@ -1738,6 +2005,11 @@ app.post('/send-bid-notification', async (req, res) => {
   }
 
   try {
+    const bid = await requestLookup.findVendorBid(requestId, req.user.id);
+    if (!bid) {
+      return res.status(403).json({ error: "Only a vendor who has bid on this request can notify its customer." });
+    }
+
     console.log(`🔍 Looking up request owner for request ID: ${requestId}`);
 
     // First, check the `photography_requests` table
@@ -1782,27 +2054,51 @@ app.post('/send-bid-notification', async (req, res) => {
     const recipientEmail = userProfile.email;
     console.log(`📩 Sending email to: ${recipientEmail}`);
 
-    // Construct email content
-    const subject = "You received a new bid on Bidi!";
-    const htmlContent = `
-      <p>Hey there!</p>
-      <p>Someone just placed a bid on your request.</p>
-      <p>Click below to review the bid:</p>
-      <p><a href="https://www.savewithbidi.com/my-bids" target="_blank" style="color: #007BFF; text-decoration: none;">View Your Bids</a></p>
-      <p>Best,</p>
-      <p>The Bidi Team</p>
-    `;
-
-    // Send email using Resend
-    await resend.emails.send({
-      from: 'noreply@savewithbidi.com',
+    // Queue it and try to send straight away; the outbox retries on failure
+    const result = await notifications.sendEmail({
       to: recipientEmail,
-      subject,
-      html: htmlContent,
+      userId: requestOwner.profile_id,
+      category: 'new_bid',
+      template: 'new-bid',
+      metadata: { request_id: requestId }
     });
 
-    console.log(`✅ Email sent successfully to: ${recipientEmail}`);
-    res.status(200).json({ message: "Email sent successfully." });
+    console.log(`✅ Bid email for ${recipientEmail}: ${result.status}`);
+
+    // New bids are time-sensitive, so customers who opted in get a text
+    // and a browser notification too
+    try {
+      const found = await requestLookup.findRequest(requestId);
+      const title = requestLookup.summarize(found?.request).title;
+      const sms = await notifications.sendSms({
+        userId: requestOwner.profile_id,
+        category: 'new_bid',
+        body: smsTemplates.newBid({ title }),
+        metadata: { request_id: requestId }
+      });
+      console.log(`📱 Bid text for ${requestOwner.profile_id}: ${sms.status}${sms.reason ? ` (${sms.reason})` : ''}`);
+
+      const push = await notifications.sendPush({
+        userId: requestOwner.profile_id,
+        category: 'new_bid',
+        payload: {
+          title: 'New bid received',
+          body: title ? `A vendor bid on "${title}"` : 'A vendor bid on your request',
+          url: '/my-bids',
+          tag: `new-bid-${requestId}`,
+          data: { requestId }
+        }
+      });
+      console.log(`🔔 Bid push for ${requestOwner.profile_id}: ${push.status}${push.reason ? ` (${push.reason})` : ''}`);
+    } catch (alertError) {
+      console.error("❌ Error sending bid text or push:", alertError.message);
+    }
+
+    const messages = {
+      sent: "Email sent successfully.",
+      skipped: "Customer has opted out of bid emails."
+    };
+    res.status(200).json({ message: messages[result.status] || "Email queued.", status: result.status });
 
   } catch (error) {
     console.error("❌ Error sending email notification:", error.message);
@@ -1811,24 +2107,31 @@ app.post('/send-bid-notification', async (req, res) => {
 });
 
 // Messaging API - Send a message
-app.post("/send-message", async (req, res) => {
-  const { senderId, receiverId, message } = req.body;
-
-  if (!senderId || !receiverId || !message) {
+// Messages go in the bid's or request's thread when bidId or requestId is
+// given, otherwise the pair's direct thread. The sender is always the
+// signed-in user.
+app.post("/send-message", authenticateRequest, async (req, res) => {
+  const { receiverId, message, bidId, requestId } = req.body;
+  const senderId = req.user.id;
+
+  if (req.body.senderId && req.body.senderId !== senderId) {
+    console.warn(`⚠️ User ${senderId} tried to send a message as ${req.body.senderId}`);
+    return res.status(403).json({ error: "senderId does not match the signed-in user" });
+  }
+  if (!receiverId || !message) {
     return res.status(400).json({ error: "Missing required fields" });
   }
 
   try {
-    const { data, error } = await supabase.from("messages").insert([
-      { sender_id: senderId, receiver_id: receiverId, message },
-    ]);
-
-    if (error) {
-      console.error("Error sending message:", error);
-      return res.status(500).json({ error: "Failed to send message" });
+    const thread = await conversations.resolve({ bidId, requestId, participantId: receiverId }, senderId);
+    if (!thread.success) {
+      return res.status(thread.status).json({ error: thread.error });
     }
 
-    res.status(201).json({ message: "Message sent successfully!", data });
+    const data = await conversations.sendMessage(thread.conversation, senderId, message);
+    deliverMessage(io, thread.conversation, data);
+
+    res.status(201).json({ message: "Message sent successfully!", data: [data], conversationId: thread.conversation.id });
   } catch (err) {
     console.error("Server error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -2139,6 +2442,8 @@ app.post('/trigger-autobid', async (req, res) => {
                                     user_id: business.id,
                                     bid_amount: generatedBid.amount,
                                     bid_description: generatedBid.description,
+                                    // Kept for the line items on invoices and quotes
+                                    pricing_breakdown: generatedBid.breakdown,
                                     category: requestDetails.service_category === 'photography' || requestDetails.service_category === 'videography' ? 'Photography' : 'General',
                                     status: "pending",
                                     hidden: null,
@@ -2181,6 +2486,8 @@ app.post('/trigger-autobid', async (req, res) => {
                 }
       }
 
+      await notifyAutobidResults(requestDetails, requestData, foundCategory, bidsGenerated);
+
       logger.info("✅ === TRIGGER-AUTOBID ROUTE COMPLETED SUCCESSFULLY ===");
       
       // Calculate detailed statistics
@@ -2221,6 +2528,51 @@ app.post('/trigger-autobid', async (req, res) => {
   }
 });
 
+// Push autobid results to each vendor whose bid was placed, and one
+// notification to the customer for all of them. Failures are only logged:
+// the bids are already stored.
+async function notifyAutobidResults(requestDetails, requestData, category, bidsGenerated) {
+  const stored = bidsGenerated.filter(bid => bid.status === "successfully_stored");
+  if (stored.length === 0) return;
+
+  const title = requestLookup.summarize(requestData).title;
+
+  for (const bid of stored) {
+    try {
+      await notifications.sendPush({
+        userId: bid.business_id,
+        category: 'autobid',
+        payload: {
+          title: 'Autobid placed a bid',
+          body: `Autobid bid ${formatAmount(bid.bid_amount)}${title ? ` on "${title}"` : ''} for you`,
+          url: '/business-dashboard',
+          tag: `autobid-${requestDetails.id}`,
+          data: { requestId: requestDetails.id }
+        }
+      });
+    } catch (error) {
+      logger.error(`❌ Error sending autobid push to Business ${bid.business_id}:`, error.message);
+    }
+  }
+
+  try {
+    const ownerField = requestLookup.requestTables.find(table => table.category === category)?.ownerField;
+    await notifications.sendPush({
+      userId: ownerField ? requestData[ownerField] : null,
+      category: 'new_bid',
+      payload: {
+        title: stored.length === 1 ? 'New bid received' : `${stored.length} new bids received`,
+        body: title ? `Vendors bid on "${title}"` : 'Vendors bid on your request',
+        url: '/my-bids',
+        tag: `new-bid-${requestDetails.id}`,
+        data: { requestId: requestDetails.id }
+      }
+    });
+  } catch (error) {
+    logger.error(`❌ Error sending new bid push for request ${requestDetails.id}:`, error.message);
+  }
+}
+
 // Add request deduplication tracking
 const recentRequests = new Map();
 
@@ -3386,58 +3738,223 @@ const io = new Server(server, {
   },
 });
 
+// Lets routers emit to connected clients
+app.set('io', io);
+
+// Every socket belongs to the user whose Supabase token it connected with
+io.use(authenticateSocket);
+
+// A user is online while at least one of their sockets is in their room
+const isOnline = (userId) => !!io.sockets.adapter.rooms.get(userId)?.size;
+
+// Presence changes go to the sockets watching that user
+const announcePresence = (userId, online, lastSeenAt) => {
+  io.to(`presence:${userId}`).emit("presence", { userId, online, lastSeenAt });
+};
+
+// Conversations this socket's user is in, cached so typing events don't
+// need a database lookup each time
+const loadConversation = async (socket, conversationId) => {
+  if (!conversationId) return null;
+  if (!socket.data.conversations) socket.data.conversations = new Map();
+  if (!socket.data.conversations.has(conversationId)) {
+    const conversation = await conversations.getConversation(conversationId);
+    if (!conversations.isParticipant(conversation, socket.data.userId)) return null;
+    socket.data.conversations.set(conversationId, conversation);
+  }
+  return socket.data.conversations.get(conversationId);
+};
+
+// Which of `userIds` the socket's user may watch the presence of: only
+// people they share a conversation with. Reloaded when someone isn't
+// known, in case the conversation is new.
+const watchablePresence = async (socket, userIds) => {
+  if (!socket.data.contacts || userIds.some(id => !socket.data.contacts.has(id))) {
+    socket.data.contacts = await conversations.getContactIds(socket.data.userId);
+  }
+  return userIds.filter(id => socket.data.contacts.has(id));
+};
+
 // Socket.IO connection logic for private messaging
 io.on("connection", (socket) => {
-  console.log("Socket connected:", socket.id);
+  const { userId } = socket.data;
+  console.log(`Socket connected: ${socket.id} (user ${userId})`);
+
+  // The user's own room is joined for them; no other user's room can be
+  const cameOnline = !isOnline(userId);
+  socket.join(userId);
+
+  if (cameOnline) {
+    presence.markSeen(userId)
+      .then(lastSeenAt => announcePresence(userId, true, lastSeenAt))
+      .catch(err => console.error("Error recording presence:", err.message));
+  }
 
-  // When a client connects, they send their user ID so they can join their own room.
-  socket.on("join", (userId) => {
-    console.log(`User ${userId} joined room ${userId}`);
-    socket.join(userId);
+  // Make the client reconnect with a fresh token once this one expires
+  if (socket.data.tokenExpiresAt) {
+    const expiry = setTimeout(() => {
+      socket.emit("auth_expired");
+      socket.disconnect(true);
+    }, Math.max(socket.data.tokenExpiresAt - Date.now(), 0));
+    socket.on("disconnect", () => clearTimeout(expiry));
+  }
+
+  // Older clients still send "join" with their user ID; anything else is refused
+  socket.on("join", (requestedUserId) => {
+    if (requestedUserId !== userId) {
+      console.warn(`⚠️ Socket ${socket.id} (user ${userId}) tried to join room ${requestedUserId}`);
+      socket.emit("join_error", { error: "You can only join your own room" });
+    }
   });
 
-  // Listen for "send_message" events from clients
-  socket.on("send_message", async (data) => {
-    console.log("Received message:", data);
+  // "Is typing" for the other people in a conversation. Not stored.
+  socket.on("typing", async ({ conversationId, isTyping = true } = {}) => {
     try {
-      const { senderId, receiverId, message } = data;
-      // Save the message in Supabase (just like your HTTP /send-message endpoint)
-      const { data: insertedData, error } = await supabase
-        .from("messages")
-        .insert([{ sender_id: senderId, receiver_id: receiverId, message }]);
-      if (error) {
-        console.error("Error saving message:", error);
-        return;
+      const conversation = await loadConversation(socket, conversationId);
+      if (!conversation) return;
+
+      for (const participant of conversation.conversation_participants) {
+        if (participant.user_id !== userId) {
+          io.to(participant.user_id).emit("typing", { conversationId, userId, isTyping: !!isTyping });
+        }
+      }
+    } catch (err) {
+      console.error("Error handling typing event:", err);
+    }
+  });
+
+  // The user has read a conversation, up to messageId if given. Stored, so
+  // unread counts and receipts survive reconnects, and sent to the other
+  // participants as a read receipt.
+  socket.on("message_read", async ({ conversationId, messageId = null } = {}) => {
+    try {
+      const conversation = await loadConversation(socket, conversationId);
+      if (!conversation) return;
+
+      let readAt = new Date().toISOString();
+      if (messageId) {
+        const message = await conversations.getMessage(conversationId, messageId);
+        if (!message) return;
+        readAt = message.created_at;
       }
-      const messageData = { ...data, id: insertedData[0].id };
 
-      // Send the message only to the intended receiver's room
-      io.to(receiverId).emit("receive_message", messageData);
-      // Optionally, update the sender's UI as well
-      socket.emit("receive_message", messageData);
+      const updated = await conversations.markRead(conversationId, userId, readAt);
+      if (updated) {
+        announceRead(io, conversation, { userId, readAt: updated, messageId });
+      }
     } catch (err) {
-      console.error("Error handling send_message event:", err);
+      console.error("Error handling message_read event:", err);
     }
   });
 
-  socket.on("disconnect", () => {
-    console.log("Socket disconnected:", socket.id);
+  // Watch the online status of people the user has conversations with.
+  // Replies with where each is now, then sends "presence" events as they
+  // come and go.
+  socket.on("presence_subscribe", async (userIds) => {
+    try {
+      const requested = [...new Set(Array.isArray(userIds) ? userIds : [userIds])].filter(Boolean).slice(0, 200);
+      const ids = await watchablePresence(socket, requested);
+      ids.forEach(id => socket.join(`presence:${id}`));
+
+      const lastSeen = await presence.getLastSeen(ids);
+      socket.emit("presence_state", ids.map(id => ({
+        userId: id,
+        online: isOnline(id),
+        lastSeenAt: lastSeen.get(id) || null
+      })));
+    } catch (err) {
+      console.error("Error handling presence_subscribe event:", err);
+    }
   });
-});
 
-// production testing
-if (process.env.NODE_ENV !== "production") {
-  server.listen(5000, () => {
-    console.log("Node server listening on port 4242 with Socket.IO enabled! Visit http://localhost:5000");
+  socket.on("presence_unsubscribe", (userIds) => {
+    (Array.isArray(userIds) ? userIds : [userIds]).forEach(id => socket.leave(`presence:${id}`));
   });
-}
 
-// Pricing validation and adjustment function for training (same logic as production)
-function validateAndAdjustPricingForTraining(aiBid, pricingRules, trainingData) {
-    let adjustedBid = { ...aiBid };
-    const bidAmount = parseFloat(aiBid.bidAmount || aiBid.amount);
-    
-    console.log(`🔍 Validating training bid amount: $${bidAmount}`);
+  // Listen for "send_message" events from clients. The message goes in
+  // `conversationId` if given, else the thread for bidId, requestId or the
+  // pair of users (like the HTTP /send-message endpoint). `attachmentIds`
+  // are files uploaded first with POST /api/conversations/:id/attachments.
+  socket.on("send_message", async (data) => {
+    console.log("Received message:", data);
+    try {
+      const { receiverId, message = '', conversationId, bidId, requestId, attachmentIds = [] } = data || {};
+      if (data?.senderId && data.senderId !== userId) {
+        console.warn(`⚠️ Socket ${socket.id} (user ${userId}) tried to send as ${data.senderId}`);
+        socket.emit("message_error", { conversationId, error: "senderId does not match the signed-in user" });
+        return;
+      }
+      if (typeof message !== 'string' || !Array.isArray(attachmentIds)) {
+        socket.emit("message_error", { conversationId, error: "message must be a string and attachmentIds an array" });
+        return;
+      }
+      if (!message.trim() && attachmentIds.length === 0) {
+        socket.emit("message_error", { conversationId, error: "message is required" });
+        return;
+      }
+
+      // The sender is always the authenticated user
+      const senderId = userId;
+
+      let conversation;
+      if (conversationId) {
+        conversation = await conversations.getConversation(conversationId);
+        if (!conversations.isParticipant(conversation, senderId)) {
+          socket.emit("message_error", { conversationId, error: "Conversation not found" });
+          return;
+        }
+      } else {
+        const thread = await conversations.resolve({ bidId, requestId, participantId: receiverId }, senderId);
+        if (!thread.success) {
+          socket.emit("message_error", { error: thread.error });
+          return;
+        }
+        conversation = thread.conversation;
+      }
+
+      const pending = await conversations.attachments.getPending(conversation.id, senderId, attachmentIds);
+      if (!pending.success) {
+        socket.emit("message_error", { conversationId: conversation.id, error: pending.error });
+        return;
+      }
+
+      const saved = await conversations.sendMessage(conversation, senderId, message.trim() ? message : '', pending.attachments);
+
+      // To every participant's room, and by push to whoever isn't connected
+      deliverMessage(io, conversation, { ...saved, conversationId: conversation.id });
+    } catch (err) {
+      console.error("Error handling send_message event:", err);
+      socket.emit("message_error", { conversationId: data?.conversationId, error: "Failed to send message" });
+    }
+  });
+
+  socket.on("disconnect", async () => {
+    console.log("Socket disconnected:", socket.id);
+
+    // Rooms are already left by now, so this was their last socket
+    if (!isOnline(userId)) {
+      try {
+        announcePresence(userId, false, await presence.markSeen(userId));
+      } catch (err) {
+        console.error("Error recording presence:", err.message);
+      }
+    }
+  });
+});
+
+// production testing
+if (process.env.NODE_ENV !== "production") {
+  server.listen(5000, () => {
+    console.log("Node server listening on port 4242 with Socket.IO enabled! Visit http://localhost:5000");
+  });
+}
+
+// Pricing validation and adjustment function for training (same logic as production)
+function validateAndAdjustPricingForTraining(aiBid, pricingRules, trainingData) {
+    let adjustedBid = { ...aiBid };
+    const bidAmount = parseFloat(aiBid.bidAmount || aiBid.amount);
+    
+    console.log(`🔍 Validating training bid amount: $${bidAmount}`);
     
     // PRIMARY: Apply business pricing constraints (highest priority)
     if (pricingRules) {
@@ -3872,6 +4389,208 @@ app.post('/api/stripe/delete-account',
     }
 });
 
+// Validation middleware for payment receipt request
+const validatePaymentReceiptRequest = (req, res, next) => {
+  const { customerEmail, businessEmail, amount, paymentType, businessName, date, customerName, connectedAccountId, bidId } = req.body;
+
+  // Check required fields
+  if (!customerEmail || !businessEmail || !amount || !paymentType || !businessName || !date || !customerName || !connectedAccountId) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'Please provide all required fields: customerEmail, businessEmail, amount, paymentType, businessName, date, customerName, connectedAccountId'
+    });
+  }
+
+  // Validate email formats
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(customerEmail) || !emailRegex.test(businessEmail)) {
+    return res.status(400).json({
+      error: 'Invalid email format',
+      message: 'Please provide valid email addresses'
+    });
+  }
+
+  // Validate amount
+  if (typeof amount !== 'number' || amount <= 0) {
+    return res.status(400).json({
+      error: 'Invalid amount',
+      message: 'Amount must be a positive number'
+    });
+  }
+
+  // Validate gratuity, which is part of amount
+  const { gratuity, discount } = req.body;
+  if (gratuity !== undefined && (typeof gratuity !== 'number' || gratuity < 0 || gratuity >= amount)) {
+    return res.status(400).json({
+      error: 'Invalid gratuity',
+      message: 'Gratuity must be a non-negative number less than the amount'
+    });
+  }
+
+  // Validate Bidi-funded discount, which was taken off amount
+  if (discount !== undefined && (typeof discount !== 'number' || discount < 0)) {
+    return res.status(400).json({
+      error: 'Invalid discount',
+      message: 'Discount must be a non-negative number'
+    });
+  }
+
+  // Validate payment type
+  if (!Object.keys(paymentTypeLabels).includes(paymentType)) {
+    return res.status(400).json({
+      error: 'Invalid payment type',
+      message: 'Payment type must be one of "full", "down", "deposit" or "balance"'
+    });
+  }
+
+  // Validate date
+  if (isNaN(Date.parse(date))) {
+    return res.status(400).json({
+      error: 'Invalid date format',
+      message: 'Please provide a valid date string'
+    });
+  }
+
+  next();
+};
+
+// Payment receipt email endpoint
+app.post('/send-payment-receipts', validatePaymentReceiptRequest, async (req, res) => {
+  try {
+    const { customerEmail, businessEmail, amount, paymentType, businessName, date, customerName, connectedAccountId, bidId, gratuity = 0, discount = 0 } = req.body;
+
+    // Receipt amounts are in major units of the vendor's currency
+    const currency = req.body.currency
+      ? normalizeCurrency(req.body.currency)
+      : await connectAccounts.getAccountCurrency(connectedAccountId);
+
+    // Fee from the same schedule checkout used, on the full service price.
+    // Bidi covers any discount, so the vendor nets the same as without it.
+    const fee = await feeSchedule.calculateFee({ amount: Math.round((amount - gratuity + discount) * 100), currency, bidId });
+    const fees = fee.amount / 100;
+    const finalAmount = amount + discount - fees;
+
+    // Get Stripe login link
+    let stripeLoginUrl;
+    try {
+      const response = await fetch(
+        "https://bidi-express.vercel.app/create-login-link",
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ accountId: connectedAccountId }),
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error('Failed to create Stripe login link');
+      }
+
+      const data = await response.json();
+      stripeLoginUrl = data.url;
+    } catch (error) {
+      console.error('Error creating Stripe login link:', error);
+      stripeLoginUrl = 'https://dashboard.stripe.com'; // Fallback URL
+    }
+
+    // Log the request
+    logStore.addLog('info', 'Sending payment receipt emails', {
+      customerEmail,
+      businessEmail,
+      amount,
+      paymentType,
+      businessName,
+      customerName,
+      gratuity,
+      discount,
+      fees,
+      finalAmount,
+      feePercentage: fee.percent,
+      feeRule: fee.description,
+      isAutobid: fee.isAutobid
+    });
+
+    // Attach the bid's invoice PDF when we know the bid and the receipts
+    // are going to its own customer and vendor
+    let attachments;
+    if (bidId) {
+      try {
+        const invoice = await bidDocuments.generateForRecipients(bidId, { customerEmail, businessEmail }, { type: 'invoice' });
+        if (invoice) {
+          attachments = [{ filename: invoice.filename, content: invoice.buffer }];
+        } else {
+          console.warn(`⚠️ Not attaching the invoice for bid ${bidId}: the receipts aren't addressed to its customer and vendor`);
+        }
+      } catch (error) {
+        console.error('Error generating invoice PDF for receipt:', error.message);
+      }
+    }
+
+    // Customer receipt and business notification, unless either has
+    // turned off payment emails
+    const result = await notifications.sendEmails([
+      {
+        from: 'receipts@bidi.com',
+        to: customerEmail,
+        category: 'payments',
+        template: 'payment-receipt-customer',
+        variables: { amount, currency, businessName, paymentType, date, customerName, gratuity, discount },
+        attachments,
+        metadata: { bid_id: bidId || null }
+      },
+      {
+        from: 'notifications@bidi.com',
+        to: businessEmail,
+        category: 'payments',
+        template: 'payment-receipt-business',
+        variables: {
+          amount,
+          currency,
+          paymentType,
+          date,
+          customerName,
+          gratuity,
+          discount,
+          fees,
+          feeLabel: fee.description,
+          finalAmount,
+          stripeLoginUrl
+        },
+        attachments,
+        metadata: { bid_id: bidId || null }
+      }
+    ]);
+
+    // Log success
+    logStore.addLog('info', 'Payment receipt emails sent successfully', {
+      customerEmail,
+      businessEmail,
+      results: result.results
+    });
+
+    res.json({ 
+      success: true,
+      message: 'Payment receipt emails sent successfully'
+    });
+
+  } catch (error) {
+    // Log error
+    logStore.addLog('error', 'Failed to send payment receipt emails', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    console.error('Error sending payment receipt emails:', error);
+
+    res.status(500).json({ 
+      error: 'Failed to send emails',
+      message: 'An error occurred while sending the payment receipt emails'
+    });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('❌ Unhandled error:', error);
@@ -3913,266 +4632,6 @@ app.use('*', (req, res) => {
   });
 });
 
-// Email templates for payment receipts
-const customerEmailTemplate = ({ amount, businessName, paymentType, date, customerName }) => {
-  const formattedAmount = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(amount);
-
-  const paymentTypeText = paymentType === 'full' ? 'Full Payment' : 'Down Payment';
-
-  return `
-    <!DOCTYPE html>
-    <html>
-      <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Payment Receipt</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 20px;
-          }
-          .header {
-            text-align: center;
-            margin-bottom: 30px;
-          }
-          .logo {
-            max-width: 150px;
-            height: auto;
-          }
-          .receipt-details {
-            background: #f9f9f9;
-            border-radius: 8px;
-            padding: 20px;
-            margin-bottom: 30px;
-          }
-          .detail-row {
-            display: flex;
-            justify-content: space-between;
-            margin-bottom: 10px;
-            border-bottom: 1px solid #eee;
-            padding-bottom: 10px;
-          }
-          .thank-you {
-            text-align: center;
-            color: #666;
-            margin-top: 30px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <img src="https://i.imgur.com/LBdztzj.png" alt="Bidi Logo" class="logo">
-          <h1>Payment Receipt</h1>
-        </div>
-        
-        <div class="receipt-details">
-          <div class="detail-row">
-            <strong>Paid To:</strong>
-            <span>${businessName}</span>
-          </div>
-          <div class="detail-row">
-            <strong>Amount:</strong>
-            <span>${formattedAmount}</span>
-          </div>
-          <div class="detail-row">
-            <strong>Payment Type:</strong>
-            <span>${paymentTypeText}</span>
-          </div>
-          <div class="detail-row">
-            <strong>Date:</strong>
-            <span>${new Date(date).toLocaleString()}</span>
-          </div>
-        </div>
-
-        <div class="thank-you">
-          <p>Thank you for using Bidi! We appreciate your business.</p>
-          <p>If you have any questions, please don't hesitate to contact us.</p>
-        </div>
-      </body>
-    </html>
-  `;
-};
-
-const businessEmailTemplate = ({ amount, paymentType, date, customerName, fees, finalAmount, stripeLoginUrl }) => {
-  const formattedAmount = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(amount);
-
-  const formattedFees = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(fees);
-
-  const formattedFinalAmount = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(finalAmount);
-
-  const paymentTypeText = paymentType === 'full' ? 'Full Payment' : 'Down Payment';
-
-  return `
-    <!DOCTYPE html>
-    <html>
-      <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>New Payment Received</title>
-                  <style>
-            body {
-              font-family: Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              margin: 0;
-              padding: 0;
-              -webkit-text-size-adjust: 100%;
-              -ms-text-size-adjust: 100%;
-            }
-            .email-container {
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-              background-color: #ffffff;
-            }
-            .header {
-              text-align: center;
-              padding: 20px 0;
-              margin-bottom: 30px;
-            }
-            .logo {
-              max-width: 150px;
-              height: auto;
-              display: inline-block;
-            }
-            .payment-details {
-              background: #f9f9f9;
-              border-radius: 8px;
-              padding: 20px;
-              margin-bottom: 30px;
-              width: 100%;
-              box-sizing: border-box;
-            }
-            .detail-row {
-              display: flex;
-              justify-content: space-between;
-              margin-bottom: 10px;
-              border-bottom: 1px solid #eee;
-              padding-bottom: 10px;
-              flex-wrap: wrap;
-            }
-            .detail-row strong {
-              margin-right: 10px;
-            }
-            .fee-breakdown {
-              background: #fff3cd;
-              border: 1px solid #ffeeba;
-              border-radius: 4px;
-              padding: 15px;
-              margin: 20px 0;
-              width: 100%;
-              box-sizing: border-box;
-            }
-            .final-amount {
-              font-size: 1.2em;
-              font-weight: bold;
-              color: #28a745;
-              text-align: center;
-              padding: 15px;
-              background: #f8f9fa;
-              border-radius: 4px;
-              margin: 20px 0;
-              width: 100%;
-              box-sizing: border-box;
-            }
-            .button {
-              display: inline-block;
-              padding: 12px 24px;
-              background-color: #635bff;
-              color: white !important;
-              text-decoration: none;
-              border-radius: 5px;
-              margin-top: 20px;
-              text-align: center;
-              font-weight: 500;
-            }
-            .button-container {
-              text-align: center;
-              margin: 30px 0;
-              color: white;
-            }
-            @media only screen and (max-width: 480px) {
-              .email-container {
-                padding: 10px;
-              }
-              .detail-row {
-                flex-direction: column;
-              }
-              .detail-row strong {
-                margin-bottom: 5px;
-              }
-            }
-        </style>
-      </head>
-              <body>
-          <div class="email-container">
-            <div class="header">
-              <img src="https://i.imgur.com/LBdztzj.png" alt="Bidi Logo" class="logo">
-              <h1>New Payment Received!</h1>
-            </div>
-        
-        <div class="payment-details">
-          <div class="detail-row">
-            <strong>Paid By:</strong>
-            <span>${customerName}</span>
-          </div>
-          <div class="detail-row">
-            <strong>Amount Received:</strong>
-            <span>${formattedAmount}</span>
-          </div>
-          <div class="detail-row">
-            <strong>Payment Type:</strong>
-            <span>${paymentTypeText}</span>
-          </div>
-          <div class="detail-row">
-            <strong>Date:</strong>
-            <span>${new Date(date).toLocaleString()}</span>
-          </div>
-        </div>
-
-        <div class="fee-breakdown">
-          <h3 style="margin-top: 0;">Payment Breakdown</h3>
-          <div class="detail-row">
-            <strong>Total Payment:</strong>
-            <span>${formattedAmount}</span>
-          </div>
-          <div class="detail-row">
-            <strong>Bidi Fee (10%):</strong>
-            <span>-${formattedFees}</span>
-          </div>
-        </div>
-
-        <div class="final-amount">
-          <div>Amount to be deposited to your account:</div>
-          <div style="font-size: 1.4em; margin-top: 10px;">${formattedFinalAmount}</div>
-        </div>
-
-                  <div class="button-container">
-            <a href="${stripeLoginUrl}" class="button">View in Stripe Dashboard →</a>
-          </div>
-        </div>
-      </body>
-    </html>
-  `;
-};
-
-// Validation middleware for payment receipt request
 /**
  * Fetch Stripe dashboard data for a connected account
  * @route POST /api/stripe/dashboard
@@ -4292,171 +4751,6 @@ app.post("/stripe-dashboard",
   }
 );
 
-const validatePaymentReceiptRequest = (req, res, next) => {
-  const { customerEmail, businessEmail, amount, paymentType, businessName, date, customerName, connectedAccountId, bidId } = req.body;
-
-  // Check required fields
-  if (!customerEmail || !businessEmail || !amount || !paymentType || !businessName || !date || !customerName || !connectedAccountId) {
-    return res.status(400).json({
-      error: 'Missing required fields',
-      message: 'Please provide all required fields: customerEmail, businessEmail, amount, paymentType, businessName, date, customerName, connectedAccountId'
-    });
-  }
-
-  // Validate email formats
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(customerEmail) || !emailRegex.test(businessEmail)) {
-    return res.status(400).json({
-      error: 'Invalid email format',
-      message: 'Please provide valid email addresses'
-    });
-  }
-
-  // Validate amount
-  if (typeof amount !== 'number' || amount <= 0) {
-    return res.status(400).json({
-      error: 'Invalid amount',
-      message: 'Amount must be a positive number'
-    });
-  }
-
-  // Validate payment type
-  if (!['full', 'down'].includes(paymentType)) {
-    return res.status(400).json({
-      error: 'Invalid payment type',
-      message: 'Payment type must be either "full" or "down"'
-    });
-  }
-
-  // Validate date
-  if (isNaN(Date.parse(date))) {
-    return res.status(400).json({
-      error: 'Invalid date format',
-      message: 'Please provide a valid date string'
-    });
-  }
-
-  next();
-};
-
-// Payment receipt email endpoint
-app.post('/send-payment-receipts', validatePaymentReceiptRequest, async (req, res) => {
-  try {
-    const { customerEmail, businessEmail, amount, paymentType, businessName, date, customerName, connectedAccountId, bidId } = req.body;
-
-    // Check if this is an autobid payment to determine fee percentage
-    let feePercentage = 0.10; // Default 10% fee
-    if (bidId) {
-      try {
-        const { data: bidData, error: bidError } = await supabase
-          .from("bids")
-          .select("is_autobid")
-          .eq("id", bidId)
-          .single();
-
-        if (!bidError && bidData && bidData.is_autobid) {
-          feePercentage = 0.20; // 20% fee for autobids
-        }
-      } catch (error) {
-        console.error("Error checking bid autobid status for receipt:", error);
-        // Continue with default 10% fee if we can't determine autobid status
-      }
-    }
-
-    // Calculate fees and final amount
-    const fees = amount * feePercentage;
-    const finalAmount = amount - fees;
-
-    // Get Stripe login link
-    let stripeLoginUrl;
-    try {
-      const response = await fetch(
-        "https://bidi-express.vercel.app/create-login-link",
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({ accountId: connectedAccountId }),
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error('Failed to create Stripe login link');
-      }
-
-      const data = await response.json();
-      stripeLoginUrl = data.url;
-    } catch (error) {
-      console.error('Error creating Stripe login link:', error);
-      stripeLoginUrl = 'https://dashboard.stripe.com'; // Fallback URL
-    }
-
-    // Log the request
-    logStore.addLog('info', 'Sending payment receipt emails', {
-      customerEmail,
-      businessEmail,
-      amount,
-      paymentType,
-      businessName,
-      customerName,
-      fees,
-      finalAmount,
-      feePercentage: feePercentage * 100,
-      isAutobid: feePercentage === 0.20
-    });
-
-    // Send customer receipt
-    await resend.emails.send({
-      from: 'receipts@bidi.com',
-      to: customerEmail,
-      subject: `Payment Receipt for ${businessName}`,
-      html: customerEmailTemplate({ amount, businessName, paymentType, date, customerName })
-    });
-
-    // Send business notification
-    await resend.emails.send({
-      from: 'notifications@bidi.com',
-      to: businessEmail,
-      subject: 'New Payment Received',
-      html: businessEmailTemplate({ 
-        amount, 
-        paymentType, 
-        date, 
-        customerName,
-        fees,
-        finalAmount,
-        stripeLoginUrl
-      })
-    });
-
-    // Log success
-    logStore.addLog('info', 'Payment receipt emails sent successfully', {
-      customerEmail,
-      businessEmail
-    });
-
-    res.json({ 
-      success: true,
-      message: 'Payment receipt emails sent successfully'
-    });
-
-  } catch (error) {
-    // Log error
-    logStore.addLog('error', 'Failed to send payment receipt emails', {
-      error: error.message,
-      stack: error.stack
-    });
-
-    console.error('Error sending payment receipt emails:', error);
-
-    res.status(500).json({ 
-      error: 'Failed to send emails',
-      message: 'An error occurred while sending the payment receipt emails'
-    });
-  }
-});
-
 // Debug endpoint to check business categories in database
 app.get('/api/debug/business-categories', async (req, res) => {
   try {
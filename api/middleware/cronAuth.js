@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+/**
+ * Middleware for scheduled job endpoints
+ * Vercel Cron calls these with `Authorization: Bearer <CRON_SECRET>`,
+ * so anything without the shared secret is rejected
+ */
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    console.error('CRON_SECRET environment variable is not set');
+    return res.status(500).json({
+      success: false,
+      error: 'Cron jobs are not configured'
+    });
+  }
+
+  const provided = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${secret}`);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid cron credentials'
+    });
+  }
+
+  next();
+};
+
+module.exports = authenticateCron;
@@ -0,0 +1,39 @@
+const SubscriptionService = require('../services/subscriptionService');
+
+/**
+ * Middleware to restrict a route to Bidi Plus members
+ * This middleware should be used after the authenticateUser middleware;
+ * it adds the member's entitlements to req.plus
+ */
+const requirePlus = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const subscriptionService = new SubscriptionService();
+    const entitlements = await subscriptionService.getEntitlements(req.user.id);
+
+    if (!entitlements.plus) {
+      return res.status(403).json({
+        success: false,
+        error: 'Bidi Plus membership required',
+        status: entitlements.status
+      });
+    }
+
+    req.plus = entitlements;
+    next();
+  } catch (error) {
+    console.error('Plus entitlement check error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error during Plus entitlement check'
+    });
+  }
+};
+
+module.exports = requirePlus;
@@ -0,0 +1,48 @@
+const supabase = require('../supabaseClient');
+
+/**
+ * Socket.IO middleware to authenticate the handshake with the same Supabase
+ * JWT the HTTP API uses. Clients pass it as `auth: { token }` (or an
+ * Authorization: Bearer header). The user ID every handler acts as is
+ * `socket.data.userId`; nothing the client sends later can change it.
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token
+      || (authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+    if (!token) {
+      return next(new Error('Authentication required - token missing'));
+    }
+
+    // Validate token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.error('Socket token validation error:', error);
+      return next(new Error('Invalid or expired authentication token'));
+    }
+
+    socket.data.userId = user.id;
+    socket.data.tokenExpiresAt = tokenExpiry(token);
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    next(new Error('Internal server error during authentication'));
+  }
+};
+
+/**
+ * When a JWT expires, in ms, or null if it doesn't say
+ */
+const tokenExpiry = (token) => {
+  try {
+    const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    return exp ? exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = authenticateSocket;
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const authenticateUser = require('../middleware/auth');
+const NotificationPreferenceService = require('../services/notificationPreferenceService');
+const { escapeHtml } = require('../emails/registry');
+
+const { CHANNELS, CATEGORIES, FREQUENCIES } = NotificationPreferenceService;
+
+// Minimal page for people arriving from an email link
+const unsubscribePage = ({ title, message, action }) => `
+  <!DOCTYPE html>
+  <html>
+    <head>
+      <meta name="viewport" content="width=device-width, initial-scale=1" />
+      <title>${escapeHtml(title)}</title>
+    </head>
+    <body style="margin:0; padding:40px 16px; background:#f6f9fc; font-family:Segoe UI,Arial,sans-serif; text-align:center;">
+      <div style="max-width:420px; margin:0 auto; background:#fff; border-radius:12px; padding:32px; box-shadow:0 2px 8px rgba(0,0,0,0.05);">
+        <h2 style="color:#222;">${escapeHtml(title)}</h2>
+        <p style="color:#444;">${escapeHtml(message)}</p>
+        ${action ? `
+        <form method="POST" action="${escapeHtml(action)}">
+          <button type="submit" style="background:#A328F4; color:#fff; border:none; font-weight:600; padding:12px 28px; border-radius:8px; font-size:16px; cursor:pointer;">
+            Unsubscribe
+          </button>
+        </form>` : ''}
+      </div>
+    </body>
+  </html>
+`;
+
+const describe = (category) => (category === 'all'
+  ? 'all optional emails from Bidi'
+  : `emails about ${CATEGORIES[category]?.label.toLowerCase() || category}`);
+
+/**
+ * GET /api/notifications/preferences
+ * The signed-in user's notification preferences, with the available
+ * channels, categories and frequencies for building the settings page
+ */
+router.get('/preferences', authenticateUser, async (req, res) => {
+  try {
+    const preferenceService = new NotificationPreferenceService();
+    const preferences = await preferenceService.get(req.user.id);
+
+    res.json({
+      success: true,
+      preferences,
+      options: {
+        channels: CHANNELS,
+        categories: Object.entries(CATEGORIES).map(([key, category]) => ({
+          key,
+          label: category.label,
+          required: !!category.required,
+          digestible: !!category.digestible
+        })),
+        frequencies: FREQUENCIES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch notification preferences', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Update any part of the signed-in user's preferences
+ *
+ * Request Body (all optional):
+ * {
+ *   "channels": { "email": true, "sms": false, "push": true },
+ *   "categories": { "new_request": { "email": false, "push": true } },
+ *   "frequency": "instant" | "daily" | "weekly",
+ *   "timezone": "America/Denver",
+ *   "quietHours": { "start": "22:00", "end": "07:00" } | null
+ * }
+ */
+router.put('/preferences', authenticateUser, async (req, res) => {
+  try {
+    const preferenceService = new NotificationPreferenceService();
+    const result = await preferenceService.update(req.user.id, req.body || {});
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    console.log(`🔔 Updated notification preferences for ${req.user.id}`);
+    res.json({ success: true, preferences: result.preferences });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ success: false, error: 'Failed to update notification preferences', details: error.message });
+  }
+});
+
+/**
+ * GET /api/notifications/unsubscribe?token=...
+ * Confirmation page for the link in an email. Unsubscribing happens on the
+ * POST, so link scanners that follow the link don't unsubscribe anyone.
+ */
+router.get('/unsubscribe', (req, res) => {
+  const preferenceService = new NotificationPreferenceService();
+  const target = preferenceService.verifyUnsubscribeToken(req.query.token);
+
+  if (!target) {
+    return res.status(400).type('html').send(unsubscribePage({
+      title: 'Link not valid',
+      message: 'This unsubscribe link is invalid. You can manage your notifications from your Bidi account settings.'
+    }));
+  }
+
+  res.type('html').send(unsubscribePage({
+    title: 'Unsubscribe',
+    message: `Stop receiving ${describe(target.category)}?`,
+    action: `${req.baseUrl}/unsubscribe?token=${encodeURIComponent(req.query.token)}`
+  }));
+});
+
+/**
+ * POST /api/notifications/unsubscribe?token=...
+ * One-click unsubscribe (RFC 8058), from the List-Unsubscribe header or
+ * the confirmation page
+ */
+router.post('/unsubscribe', async (req, res) => {
+  const preferenceService = new NotificationPreferenceService();
+  const target = preferenceService.verifyUnsubscribeToken(req.query.token);
+
+  if (!target) {
+    return res.status(400).type('html').send(unsubscribePage({
+      title: 'Link not valid',
+      message: 'This unsubscribe link is invalid. You can manage your notifications from your Bidi account settings.'
+    }));
+  }
+
+  try {
+    const result = await preferenceService.unsubscribe(target.userId, target);
+
+    if (!result.success) {
+      return res.status(result.status).type('html').send(unsubscribePage({
+        title: 'Unable to unsubscribe',
+        message: result.error
+      }));
+    }
+
+    console.log(`🔕 ${target.userId} unsubscribed from ${target.category} ${target.channel}`);
+    res.type('html').send(unsubscribePage({
+      title: "You're unsubscribed",
+      message: `You won't receive ${describe(target.category)} anymore. You can turn them back on from your Bidi account settings.`
+    }));
+  } catch (error) {
+    console.error('Error processing unsubscribe:', error);
+    res.status(500).type('html').send(unsubscribePage({
+      title: 'Something went wrong',
+      message: 'We could not update your preferences. Please try again.'
+    }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,476 @@
+const express = require('express');
+const router = express.Router();
+const authenticateUser = require('../middleware/auth');
+const stripe = require('../stripeClient');
+const RefundService = require('../services/refundService');
+const PaymentLedgerService = require('../services/paymentLedgerService');
+const ProfileService = require('../services/profileService');
+const BidDocumentService = require('../services/bidDocumentService');
+const EscrowService = require('../services/escrowService');
+const PromotionService = require('../services/promotionService');
+const RequestLookupService = require('../services/requestLookupService');
+const ConnectAccountService = require('../services/connectAccountService');
+const EarningsService = require('../services/earningsService');
+const NotificationService = require('../services/notificationService');
+const { GRATUITY_PRESETS, MAX_GRATUITY_PERCENT } = require('../gratuity');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../currency');
+
+// Which side of the booking the authenticated user is on, or null
+const getBookingRole = (user, quote) => {
+  if (user.id === quote.businessId) return 'business';
+  if (user.id === quote.customerId) return 'customer';
+  return null;
+};
+
+// Re-send both receipts for a bid after a refund, with the refund shown
+const sendRefundReceipts = async ({ quote, result, reason }) => {
+  const profileService = new ProfileService();
+  const paymentLedger = new PaymentLedgerService();
+
+  const [customer, business, payments] = await Promise.all([
+    profileService.getCustomerContact(quote.customerId),
+    profileService.getBusinessContact(quote.businessId),
+    paymentLedger.getPaymentsForBid(quote.bid.id)
+  ]);
+
+  // Net position per payment after this refund, for the vendor's breakdown
+  const earnings = new EarningsService();
+  const paid = payments
+    .filter(payment => ['succeeded', 'partially_refunded', 'refunded'].includes(payment.status))
+    .map(payment => earnings.breakdown(payment));
+  const vendorNet = paid.reduce((sum, p) => sum + p.net, 0);
+  const feesRemaining = paid.reduce((sum, p) => sum + p.platformFee - p.feeRefunded, 0);
+  // Gratuity and Bidi-funded discounts within the paid total shown on the receipts
+  const gratuity = quote.payments.reduce((sum, p) => sum + (p.gratuity_amount || 0), 0);
+  const discount = quote.payments.reduce((sum, p) => sum + (p.discount_amount || 0), 0);
+
+  const refund = {
+    amount: result.amountRefunded / 100,
+    totalRefunded: result.totalRefunded / 100,
+    feeRefunded: result.feeRefunded / 100,
+    reason
+  };
+  const currency = quote.payments[0]?.currency;
+  // The receipt covers everything paid so far: full once the balance is in
+  const paymentType = quote.payments.some(p => p.payment_type !== 'deposit') ? 'full' : 'deposit';
+  const date = new Date().toISOString();
+
+  let stripeLoginUrl = 'https://dashboard.stripe.com';
+  if (business?.stripeAccountId) {
+    try {
+      const loginLink = await stripe.accounts.createLoginLink(business.stripeAccountId);
+      stripeLoginUrl = loginLink.url;
+    } catch (error) {
+      console.error('Error creating Stripe login link:', error.message);
+    }
+  }
+
+  const messages = [];
+
+  if (customer?.email) {
+    messages.push({
+      from: 'receipts@bidi.com',
+      to: customer.email,
+      userId: customer.id,
+      category: 'payments',
+      template: 'payment-receipt-customer',
+      metadata: { bid_id: quote.bid.id },
+      variables: {
+        amount: quote.totalPaid / 100,
+        currency,
+        businessName: business?.name || 'your booking',
+        paymentType,
+        date,
+        customerName: customer.name,
+        gratuity: gratuity / 100,
+        discount: discount / 100,
+        refund
+      }
+    });
+  }
+
+  if (business?.email) {
+    messages.push({
+      from: 'notifications@bidi.com',
+      to: business.email,
+      userId: business.id,
+      category: 'payments',
+      template: 'payment-receipt-business',
+      metadata: { bid_id: quote.bid.id },
+      variables: {
+        amount: quote.totalPaid / 100,
+        currency,
+        paymentType,
+        date,
+        customerName: customer?.name || 'Customer',
+        gratuity: gratuity / 100,
+        discount: discount / 100,
+        fees: feesRemaining / 100,
+        finalAmount: vendorNet / 100,
+        stripeLoginUrl,
+        refund
+      }
+    });
+  }
+
+  await new NotificationService().sendEmails(messages);
+};
+
+/**
+ * GET /api/payments/gratuity-options
+ * Gratuity choices to offer at checkout
+ */
+router.get('/gratuity-options', (req, res) => {
+  res.json({
+    success: true,
+    presets: GRATUITY_PRESETS,
+    maxPercent: MAX_GRATUITY_PERCENT
+  });
+});
+
+/**
+ * GET /api/payments/credits
+ * The authenticated customer's Bidi credit balance
+ *
+ * Query: ?currency=usd (defaults to USD)
+ */
+router.get('/credits', authenticateUser, async (req, res) => {
+  try {
+    const promotions = new PromotionService();
+    const currency = normalizeCurrency(req.query.currency);
+    const balance = await promotions.getCreditBalance(req.user.id, currency);
+
+    res.json({ success: true, balance, currency });
+  } catch (error) {
+    console.error('Error fetching credit balance:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch credits', details: error.message });
+  }
+});
+
+/**
+ * POST /api/payments/promo-codes/validate
+ * Preview a promo code and credits on a bid before checkout
+ *
+ * Request Body:
+ * {
+ *   "bidId": "uuid",
+ *   "amount": 50000,       // cents being charged now (the deposit for deposit checkouts)
+ *   "promoCode": "FIRST50", // optional
+ *   "useCredits": true      // optional
+ * }
+ */
+router.post('/promo-codes/validate', authenticateUser, async (req, res) => {
+  const { bidId, amount, promoCode, useCredits } = req.body;
+
+  if (!bidId || !Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ success: false, error: 'bidId and a positive integer amount are required' });
+  }
+
+  try {
+    const requestLookup = new RequestLookupService();
+    const found = await requestLookup.findRequestForBid(bidId);
+
+    if (!found) {
+      return res.status(404).json({ success: false, error: 'Bid not found' });
+    }
+
+    if (found.ownerId !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const business = await new ProfileService().getBusinessContact(found.bid.user_id);
+    const currency = business?.stripeAccountId
+      ? await new ConnectAccountService().getAccountCurrency(business.stripeAccountId)
+      : DEFAULT_CURRENCY;
+
+    const promotions = new PromotionService();
+    const result = await promotions.quoteDiscounts({ userId: req.user.id, amount, currency, promoCode, useCredits: !!useCredits });
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      currency,
+      discount: result.discount,
+      promoAmount: result.promo?.amount || 0,
+      creditsApplied: result.creditsApplied,
+      total: amount - result.discount
+    });
+  } catch (error) {
+    console.error('Error validating promo code:', error);
+    res.status(500).json({ success: false, error: 'Failed to validate promo code', details: error.message });
+  }
+});
+
+/**
+ * GET /api/payments/refunds/:bidId/quote
+ * How much has been paid and what can be refunded right now, including
+ * what the vendor's cancellation policy allows the customer
+ */
+router.get('/refunds/:bidId/quote', authenticateUser, async (req, res) => {
+  try {
+    const refundService = new RefundService();
+    const quote = await refundService.getRefundQuote(req.params.bidId);
+
+    if (!quote) {
+      return res.status(404).json({ success: false, error: 'Bid not found' });
+    }
+
+    if (!getBookingRole(req.user, quote)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      bidId: req.params.bidId,
+      totalPaid: quote.totalPaid,
+      totalRefunded: quote.totalRefunded,
+      refundable: quote.refundable,
+      customerRefundable: quote.customerRefundable,
+      eventDate: quote.eventDate,
+      daysUntilEvent: quote.policyResult.daysUntilEvent,
+      policyRefundPercent: quote.policyResult.refundPercent,
+      policy: quote.policy
+    });
+  } catch (error) {
+    console.error('Error building refund quote:', error);
+    res.status(500).json({ success: false, error: 'Failed to build refund quote', details: error.message });
+  }
+});
+
+/**
+ * POST /api/payments/refunds
+ * Refund a bid's payments in full or in part
+ *
+ * Request Body:
+ * {
+ *   "bidId": "uuid",
+ *   "amount": 5000,          // cents, optional - defaults to the maximum allowed
+ *   "reason": "Event postponed",
+ *   "cancelBooking": true    // optional for vendors; customer refunds always cancel
+ * }
+ *
+ * Customers get at most what the vendor's cancellation policy allows;
+ * vendors can refund anything still refundable.
+ */
+router.post('/refunds', authenticateUser, async (req, res) => {
+  const { bidId, amount, reason, cancelBooking } = req.body;
+
+  if (!bidId) {
+    return res.status(400).json({ success: false, error: 'bidId is required' });
+  }
+
+  if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+    return res.status(400).json({ success: false, error: 'amount must be a positive integer number of cents' });
+  }
+
+  try {
+    const refundService = new RefundService();
+    const quote = await refundService.getRefundQuote(bidId);
+
+    if (!quote) {
+      return res.status(404).json({ success: false, error: 'Bid not found' });
+    }
+
+    const role = getBookingRole(req.user, quote);
+    if (!role) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const result = await refundService.refundBid({
+      bidId,
+      amount,
+      reason,
+      initiatedBy: role,
+      initiatedByUserId: req.user.id,
+      cancelBooking: !!cancelBooking
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        refundable: role === 'customer' ? result.quote?.customerRefundable : result.quote?.refundable
+      });
+    }
+
+    console.log(`💸 ${role} ${req.user.id} refunded ${result.amountRefunded} cents on bid ${bidId}`);
+
+    try {
+      await sendRefundReceipts({ quote, result, reason });
+    } catch (emailError) {
+      // The refund itself succeeded; don't report it as failed
+      console.error('Error sending refund receipts:', emailError.message);
+    }
+
+    res.json({
+      success: true,
+      bidId,
+      amountRefunded: result.amountRefunded,
+      applicationFeeRefunded: result.feeRefunded,
+      totalRefunded: result.totalRefunded,
+      refunds: result.refunds
+    });
+  } catch (error) {
+    console.error('Error issuing refund:', error);
+
+    if (error.type === 'StripeInvalidRequestError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({ success: false, error: 'Failed to issue refund', details: error.message });
+  }
+});
+
+/**
+ * GET /api/payments/bids/:bidId/document
+ * Download a bid's invoice or quote as a PDF
+ *
+ * Query: ?type=invoice|quote (defaults to invoice once the bid is accepted or paid)
+ */
+router.get('/bids/:bidId/document', authenticateUser, async (req, res) => {
+  const { type } = req.query;
+
+  if (type && !['invoice', 'quote'].includes(type)) {
+    return res.status(400).json({ success: false, error: 'type must be "invoice" or "quote"' });
+  }
+
+  try {
+    const bidDocuments = new BidDocumentService();
+    const data = await bidDocuments.buildDocumentData(req.params.bidId, { type });
+
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Bid not found' });
+    }
+
+    if (![data.business?.id, data.customer?.id].includes(req.user.id)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const { buffer, filename } = await bidDocuments.render(data);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error generating bid document:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate document', details: error.message });
+  }
+});
+
+/**
+ * GET /api/payments/bids/:bidId/escrow
+ * Held payments for a bid and when they release
+ */
+router.get('/bids/:bidId/escrow', authenticateUser, async (req, res) => {
+  try {
+    const refundService = new RefundService();
+    const quote = await refundService.getRefundQuote(req.params.bidId);
+
+    if (!quote) {
+      return res.status(404).json({ success: false, error: 'Bid not found' });
+    }
+
+    if (!getBookingRole(req.user, quote)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const paymentLedger = new PaymentLedgerService();
+    const escrow = new EscrowService();
+    const payments = (await paymentLedger.getPaymentsForBid(req.params.bidId))
+      .filter(payment => escrow.isEscrow(payment) && payment.escrow_status);
+
+    res.json({
+      success: true,
+      bidId: req.params.bidId,
+      eventDate: quote.eventDate,
+      payments: payments.map(payment => ({
+        paymentId: payment.id,
+        paymentType: payment.payment_type,
+        amount: payment.amount,
+        currency: payment.currency,
+        escrowStatus: payment.escrow_status,
+        releaseAt: payment.escrow_release_at,
+        releasedAt: payment.released_at,
+        transferAmount: payment.transfer_amount,
+        customerConfirmedAt: payment.customer_confirmed_at,
+        issueReportedAt: payment.escrow_issue_reported_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching escrow status:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch escrow status', details: error.message });
+  }
+});
+
+/**
+ * POST /api/payments/bids/:bidId/confirm-completion
+ * The customer confirms the event went ahead, releasing held funds to the vendor
+ */
+router.post('/bids/:bidId/confirm-completion', authenticateUser, async (req, res) => {
+  try {
+    const escrow = new EscrowService();
+    const result = await escrow.confirmCompletion(req.params.bidId, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    console.log(`✅ Customer ${req.user.id} confirmed completion of bid ${req.params.bidId}`);
+
+    res.json({
+      success: true,
+      bidId: req.params.bidId,
+      released: result.payments.map(payment => ({
+        paymentId: payment.id,
+        transferAmount: payment.transfer_amount,
+        releasedAt: payment.released_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error confirming completion:', error);
+    res.status(500).json({ success: false, error: 'Failed to release payment', details: error.message });
+  }
+});
+
+/**
+ * POST /api/payments/bids/:bidId/report-problem
+ * The customer reports a problem during the dispute window, pausing release
+ *
+ * Request Body:
+ * {
+ *   "reason": "Vendor did not show up"
+ * }
+ */
+router.post('/bids/:bidId/report-problem', authenticateUser, async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!reason) {
+    return res.status(400).json({ success: false, error: 'reason is required' });
+  }
+
+  try {
+    const escrow = new EscrowService();
+    const result = await escrow.reportProblem(req.params.bidId, req.user.id, reason.slice(0, 2000));
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      bidId: req.params.bidId,
+      onHold: result.payments.map(payment => payment.id)
+    });
+  } catch (error) {
+    console.error('Error reporting booking problem:', error);
+    res.status(500).json({ success: false, error: 'Failed to report problem', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const authenticateUser = require('../middleware/auth');
+const PushService = require('../services/pushService');
+
+/**
+ * GET /api/push/vapid-public-key
+ * The application server key browsers subscribe with
+ */
+router.get('/vapid-public-key', (req, res) => {
+  const pushService = new PushService();
+
+  if (!pushService.isConfigured()) {
+    return res.status(503).json({ success: false, error: 'Push notifications are not configured' });
+  }
+
+  res.json({ success: true, publicKey: pushService.getPublicKey() });
+});
+
+/**
+ * POST /api/push/subscriptions
+ * Store the signed-in user's browser subscription
+ *
+ * Request Body: the PushSubscription from pushManager.subscribe(), as JSON
+ * { "endpoint": "https://...", "keys": { "p256dh": "...", "auth": "..." } }
+ */
+router.post('/subscriptions', authenticateUser, async (req, res) => {
+  try {
+    const pushService = new PushService();
+    const subscription = req.body?.subscription || req.body;
+
+    if (!pushService.isValidSubscription(subscription)) {
+      return res.status(400).json({ success: false, error: 'A push subscription with an endpoint and p256dh and auth keys is required' });
+    }
+
+    const saved = await pushService.saveSubscription(req.user.id, subscription, req.get('User-Agent') || null);
+
+    console.log(`🔔 Saved push subscription for ${req.user.id}`);
+    res.status(201).json({ success: true, subscription: saved });
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to save push subscription', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/push/subscriptions
+ * Remove a browser's subscription, e.g. when the user turns push off there
+ *
+ * Request Body:
+ * { "endpoint": "https://..." }
+ */
+router.delete('/subscriptions', authenticateUser, async (req, res) => {
+  const { endpoint } = req.body || {};
+
+  if (!endpoint) {
+    return res.status(400).json({ success: false, error: 'endpoint is required' });
+  }
+
+  try {
+    const pushService = new PushService();
+    await pushService.removeSubscription(req.user.id, endpoint);
+
+    console.log(`🔕 Removed push subscription for ${req.user.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove push subscription', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const BidDocumentService = require('../bidDocumentService');
+
+describe('BidDocumentService', () => {
+  let documents;
+
+  beforeEach(() => {
+    documents = new BidDocumentService();
+  });
+
+  describe('generateForRecipients', () => {
+    const data = {
+      type: 'invoice',
+      number: 'INV-BID1',
+      customer: { email: 'customer@example.com' },
+      business: { email: 'Vendor@Example.com' }
+    };
+
+    beforeEach(() => {
+      documents.buildDocumentData = jest.fn().mockResolvedValue(data);
+      documents.render = jest.fn().mockResolvedValue({ buffer: Buffer.from('%PDF-'), filename: 'bidi-invoice-INV-BID1.pdf', data });
+    });
+
+    it("renders the document for the bid's own customer and vendor", async () => {
+      const document = await documents.generateForRecipients('bid_1', {
+        customerEmail: 'customer@example.com',
+        businessEmail: ' vendor@example.com '
+      }, { type: 'invoice' });
+
+      expect(document.filename).toBe('bidi-invoice-INV-BID1.pdf');
+      expect(documents.buildDocumentData).toHaveBeenCalledWith('bid_1', { type: 'invoice' });
+    });
+
+    it.each([
+      ['someone else as the customer', { customerEmail: 'attacker@example.com', businessEmail: 'vendor@example.com' }],
+      ['someone else as the vendor', { customerEmail: 'customer@example.com', businessEmail: 'attacker@example.com' }],
+      ['no addresses', {}]
+    ])('renders nothing for %s', async (label, recipients) => {
+      await expect(documents.generateForRecipients('bid_1', recipients)).resolves.toBeNull();
+      expect(documents.render).not.toHaveBeenCalled();
+    });
+
+    it('renders nothing when a party has no email on file', async () => {
+      documents.buildDocumentData.mockResolvedValue({ ...data, customer: null });
+      await expect(documents.generateForRecipients('bid_1', { customerEmail: 'customer@example.com', businessEmail: 'vendor@example.com' }))
+        .resolves.toBeNull();
+    });
+
+    it('is null for an unknown bid', async () => {
+      documents.buildDocumentData.mockResolvedValue(null);
+      await expect(documents.generateForRecipients('bid_x', { customerEmail: 'a@example.com', businessEmail: 'b@example.com' }))
+        .resolves.toBeNull();
+    });
+  });
+
+  describe('parseLineItems', () => {
+    it('reads "Label: $amount" lines and drops totals', () => {
+      expect(documents.parseLineItems('Photography: $800\nAlbum: $200\nTotal: $1,000', 100000)).toEqual([
+        { description: 'Photography', amount: 80000 },
+        { description: 'Album', amount: 20000 }
+      ]);
+    });
+
+    it('adds what the listed amounts miss as a final line', () => {
+      expect(documents.parseLineItems('Base: $1000\nTravel markup: 10%', 110000)).toEqual([
+        { description: 'Base', amount: 100000 },
+        { description: 'Travel markup (10%)', amount: 10000 }
+      ]);
+    });
+
+    it('reads a JSON breakdown', () => {
+      expect(documents.parseLineItems({ Flowers: 450.5, Delivery: '$49.50' }, 50000)).toEqual([
+        { description: 'Flowers', amount: 45050 },
+        { description: 'Delivery', amount: 4950 }
+      ]);
+    });
+
+    it('falls back to one line for the whole bid', () => {
+      expect(documents.parseLineItems(null, 75000, 'Full day coverage')).toEqual([{ description: 'Full day coverage', amount: 75000 }]);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../../supabaseClient');
+const ConversationService = require('../conversationService');
+
+describe('ConversationService', () => {
+  let conversations;
+
+  beforeEach(() => {
+    supabase.reset();
+    conversations = new ConversationService();
+    conversations.findOrCreate = jest.fn(async ({ threadKey }) => ({ id: 'conv_1', thread_key: threadKey }));
+  });
+
+  describe('forBid', () => {
+    beforeEach(() => {
+      conversations.requestLookup.findRequestForBid = jest.fn().mockResolvedValue({
+        bid: { id: 'bid_1', user_id: 'vendor_1', request_id: 'req_1' },
+        request: { title: 'Wedding photos' },
+        ownerId: 'customer_1'
+      });
+    });
+
+    it.each(['vendor_1', 'customer_1'])('opens the bid thread for %s', async (userId) => {
+      const result = await conversations.forBid('bid_1', userId);
+
+      expect(result).toMatchObject({ success: true, conversation: { thread_key: 'bid:bid_1' } });
+      expect(conversations.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+        requestId: 'req_1',
+        participants: [{ userId: 'customer_1', role: 'customer' }, { userId: 'vendor_1', role: 'vendor' }]
+      }));
+    });
+
+    it('keeps anyone else out', async () => {
+      await expect(conversations.forBid('bid_1', 'someone_else')).resolves.toMatchObject({ success: false, status: 403 });
+      expect(conversations.findOrCreate).not.toHaveBeenCalled();
+    });
+
+    it('is a 404 for an unknown bid', async () => {
+      conversations.requestLookup.findRequestForBid.mockResolvedValue(null);
+      await expect(conversations.forBid('bid_x', 'vendor_1')).resolves.toMatchObject({ success: false, status: 404 });
+    });
+  });
+
+  describe('forRequest', () => {
+    beforeEach(() => {
+      conversations.requestLookup.findRequest = jest.fn().mockResolvedValue({ request: {}, ownerId: 'customer_1' });
+    });
+
+    it('gives each vendor their own thread on a request', async () => {
+      await expect(conversations.forRequest('req_1', 'vendor_1')).resolves.toMatchObject({ conversation: { thread_key: 'request:req_1:vendor_1' } });
+      await expect(conversations.forRequest('req_1', 'customer_1', 'vendor_2')).resolves.toMatchObject({ conversation: { thread_key: 'request:req_1:vendor_2' } });
+    });
+
+    it('needs the vendor when the customer starts it', async () => {
+      await expect(conversations.forRequest('req_1', 'customer_1')).resolves.toMatchObject({ success: false, status: 400 });
+    });
+  });
+
+  describe('direct', () => {
+    it('uses one thread per pair, whoever starts it', async () => {
+      const first = await conversations.direct('user_b', 'user_a');
+      const second = await conversations.direct('user_a', 'user_b');
+
+      expect(first.conversation.thread_key).toBe('direct:user_a:user_b');
+      expect(second.conversation.thread_key).toBe(first.conversation.thread_key);
+    });
+
+    it('refuses a thread with yourself', async () => {
+      await expect(conversations.direct('user_a', 'user_a')).resolves.toMatchObject({ success: false, status: 400 });
+    });
+  });
+
+  describe('findOrCreate', () => {
+    it('returns the thread another request created first', async () => {
+      const service = new ConversationService();
+      const existing = { id: 'conv_1', thread_key: 'direct:a:b' };
+      supabase.queue('conversations',
+        { data: null, error: null },
+        { data: null, error: { code: '23505', message: 'duplicate key' } },
+        { data: existing, error: null });
+
+      await expect(service.findOrCreate({ threadKey: 'direct:a:b', createdBy: 'a', participants: [{ userId: 'a' }, { userId: 'b' }] }))
+        .resolves.toEqual(existing);
+      expect(supabase.queriesOn('conversation_participants')).toHaveLength(0);
+    });
+  });
+
+  describe('touch', () => {
+    it('keeps a short preview of the latest message', async () => {
+      await conversations.touch('conv_1', { message: 'x'.repeat(200), sender_id: 'user_a', created_at: '2026-05-01T10:00:00Z' });
+
+      const [update] = supabase.queriesOn('conversations');
+      const [, updates] = update.calls.find(([method]) => method === 'update');
+      expect(updates.last_message_preview).toBe(`${'x'.repeat(137)}...`);
+      expect(updates).toMatchObject({ last_message_at: '2026-05-01T10:00:00Z', last_message_sender_id: 'user_a' });
+    });
+
+    it('names the attachments of a message without text', async () => {
+      await conversations.touch('conv_1', {
+        message: '',
+        sender_id: 'user_a',
+        created_at: '2026-05-01T10:00:00Z',
+        attachments: [{ fileName: 'contract.pdf' }, { fileName: 'venue.jpg' }, { fileName: 'menu.pdf' }]
+      });
+
+      const [update] = supabase.queriesOn('conversations');
+      const [, updates] = update.calls.find(([method]) => method === 'update');
+      expect(updates.last_message_preview).toBe('📎 contract.pdf and 2 more');
+    });
+  });
+
+  describe('isParticipant', () => {
+    it('checks the conversation members', () => {
+      const conversation = { conversation_participants: [{ user_id: 'user_a' }, { user_id: 'user_b' }] };
+
+      expect(conversations.isParticipant(conversation, 'user_a')).toBe(true);
+      expect(conversations.isParticipant(conversation, 'user_c')).toBe(false);
+      expect(conversations.isParticipant(null, 'user_a')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const mockSend = jest.fn();
+jest.mock('resend', () => ({
+  Resend: jest.fn().mockImplementation(() => ({ emails: { send: mockSend } }))
+}));
+
+const crypto = require('crypto');
+const supabase = require('../../supabaseClient');
+const EmailOutboxService = require('../emailOutboxService');
+
+const { OUTBOX_STATUS } = EmailOutboxService;
+
+const TABLE = 'email_outbox';
+
+const lastUpdate = () => {
+  const [, updates] = supabase.queriesOn(TABLE).pop().calls.find(([method]) => method === 'update');
+  return updates;
+};
+
+describe('EmailOutboxService', () => {
+  let outbox;
+
+  beforeEach(() => {
+    supabase.reset();
+    mockSend.mockReset();
+    outbox = new EmailOutboxService();
+  });
+
+  describe('backoffMs', () => {
+    it('doubles the delay after each failure, up to the maximum', () => {
+      expect(outbox.backoffMs(1)).toBe(outbox.baseDelayMs);
+      expect(outbox.backoffMs(2)).toBe(outbox.baseDelayMs * 2);
+      expect(outbox.backoffMs(4)).toBe(outbox.baseDelayMs * 8);
+      expect(outbox.backoffMs(20)).toBe(outbox.maxDelayMs);
+    });
+  });
+
+  describe('claim', () => {
+    it('only claims a row whose attempts have not moved on', async () => {
+      supabase.queue(TABLE, { data: null, error: null });
+
+      await expect(outbox.claim({ id: 'email_1', attempts: 2 })).resolves.toBeNull();
+
+      const [claim] = supabase.queriesOn(TABLE);
+      expect(claim.calls).toContainEqual(['update', expect.objectContaining({ status: OUTBOX_STATUS.SENDING, attempts: 3 })]);
+      expect(claim.calls).toContainEqual(['eq', 'attempts', 2]);
+    });
+  });
+
+  describe('deliver', () => {
+    const row = { id: 'email_1', to_email: 'a@example.com', from_email: 'noreply@savewithbidi.com', subject: 'Hi', html: '<p>Hi</p>', attempts: 1 };
+
+    it('records the Resend ID once sent, keyed on the outbox ID', async () => {
+      mockSend.mockResolvedValue({ data: { id: 're_1' }, error: null });
+
+      await expect(outbox.deliver(row)).resolves.toEqual({ success: true });
+
+      expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({ to: 'a@example.com' }), { idempotencyKey: 'email-outbox-email_1' });
+      expect(lastUpdate()).toMatchObject({ status: OUTBOX_STATUS.SENT, resend_id: 're_1', last_error: null });
+    });
+
+    it('queues a failed send again after the backoff', async () => {
+      mockSend.mockRejectedValue(new Error('socket hang up'));
+      const before = Date.now();
+
+      await expect(outbox.deliver(row)).resolves.toEqual({ success: false, retrying: true, error: 'socket hang up' });
+
+      const updates = lastUpdate();
+      expect(updates).toMatchObject({ status: OUTBOX_STATUS.QUEUED, last_error: 'socket hang up' });
+      expect(new Date(updates.next_attempt_at).getTime()).toBeGreaterThanOrEqual(before + outbox.backoffMs(1));
+    });
+
+    it('gives up on an error a retry will not fix', async () => {
+      mockSend.mockResolvedValue({ data: null, error: { name: 'validation_error', message: 'Invalid `to` field' } });
+
+      await expect(outbox.deliver(row)).resolves.toMatchObject({ success: false, retrying: false });
+      expect(lastUpdate()).toMatchObject({ status: OUTBOX_STATUS.FAILED });
+    });
+
+    it('gives up after the last attempt', async () => {
+      mockSend.mockRejectedValue(new Error('socket hang up'));
+
+      await expect(outbox.deliver({ ...row, attempts: outbox.maxAttempts })).resolves.toMatchObject({ retrying: false });
+      expect(lastUpdate()).toMatchObject({ status: OUTBOX_STATUS.FAILED });
+    });
+  });
+
+  describe('verifyWebhook', () => {
+    const secret = crypto.randomBytes(24);
+    const body = JSON.stringify({ type: 'email.delivered', data: { email_id: 're_1' } });
+
+    const sign = (id, timestamp, payload = body) => crypto
+      .createHmac('sha256', secret)
+      .update(`${id}.${timestamp}.${payload}`)
+      .digest('base64');
+
+    beforeEach(() => {
+      process.env.RESEND_WEBHOOK_SECRET = `whsec_${secret.toString('base64')}`;
+    });
+
+    afterEach(() => {
+      delete process.env.RESEND_WEBHOOK_SECRET;
+    });
+
+    it('accepts a correctly signed body', () => {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = { 'svix-id': 'msg_1', 'svix-timestamp': timestamp, 'svix-signature': `v1,bogus v1,${sign('msg_1', timestamp)}` };
+
+      expect(outbox.verifyWebhook(Buffer.from(body), headers)).toEqual(JSON.parse(body));
+    });
+
+    it('rejects a tampered body', () => {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = { 'svix-id': 'msg_1', 'svix-timestamp': timestamp, 'svix-signature': `v1,${sign('msg_1', timestamp)}` };
+
+      expect(() => outbox.verifyWebhook(Buffer.from(body.replace('delivered', 'bounced')), headers)).toThrow('does not match');
+    });
+
+    it('rejects an old timestamp', () => {
+      const timestamp = Math.floor(Date.now() / 1000 - 3600).toString();
+      const headers = { 'svix-id': 'msg_1', 'svix-timestamp': timestamp, 'svix-signature': `v1,${sign('msg_1', timestamp)}` };
+
+      expect(() => outbox.verifyWebhook(Buffer.from(body), headers)).toThrow('tolerance window');
+    });
+  });
+
+  describe('handleWebhookEvent', () => {
+    const delivered = { type: 'email.delivered', created_at: '2026-05-01T10:00:00Z', data: { email_id: 're_1' } };
+
+    it('moves the row on and stamps the delivery time', async () => {
+      supabase.queue(TABLE, { data: { id: 'email_1', status: OUTBOX_STATUS.SENT }, error: null });
+
+      await expect(outbox.handleWebhookEvent('msg_1', delivered)).resolves.toEqual({ status: 'processed', emailId: 're_1' });
+      expect(lastUpdate()).toEqual(expect.objectContaining({ status: OUTBOX_STATUS.DELIVERED, delivered_at: '2026-05-01T10:00:00Z' }));
+    });
+
+    it('never moves a status backwards for a late event', async () => {
+      supabase.queue(TABLE, { data: { id: 'email_1', status: OUTBOX_STATUS.BOUNCED, delivered_at: '2026-05-01T09:00:00Z' }, error: null });
+
+      await outbox.handleWebhookEvent('msg_1', delivered);
+
+      expect(supabase.queriesOn(TABLE)).toHaveLength(1);
+    });
+
+    it('drops a redelivered event', async () => {
+      supabase.queue(TABLE, { data: { id: 'email_1', status: OUTBOX_STATUS.SENT }, error: null });
+      supabase.queue('email_events', { data: null, error: { code: '23505', message: 'duplicate key' } });
+
+      await expect(outbox.handleWebhookEvent('msg_1', delivered)).resolves.toEqual({ status: 'duplicate', emailId: 're_1' });
+      expect(supabase.queriesOn(TABLE)).toHaveLength(1);
+    });
+
+    it('only logs events it has no status for', async () => {
+      supabase.queue(TABLE, { data: { id: 'email_1', status: OUTBOX_STATUS.SENT }, error: null });
+
+      await expect(outbox.handleWebhookEvent('msg_2', { type: 'email.opened', data: { email_id: 're_1' } }))
+        .resolves.toEqual({ status: 'ignored', emailId: 're_1' });
+    });
+  });
+});
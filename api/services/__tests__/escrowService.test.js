@@ -0,0 +1,109 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../../supabaseClient');
+const EscrowService = require('../escrowService');
+
+const { ESCROW_STATUS } = EscrowService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('EscrowService', () => {
+  let escrow;
+
+  beforeEach(() => {
+    supabase.reset();
+    escrow = new EscrowService();
+  });
+
+  describe('calculateTransferAmount', () => {
+    it('is the payment less the platform fee', () => {
+      expect(escrow.calculateTransferAmount({ amount: 100000, application_fee_amount: 10000 })).toBe(90000);
+    });
+
+    it('is the whole payment when there is no fee', () => {
+      expect(escrow.calculateTransferAmount({ amount: 100000, application_fee_amount: null })).toBe(100000);
+    });
+
+    it('takes the fee on what is left after a partial refund', () => {
+      expect(escrow.calculateTransferAmount({ amount: 100000, amount_refunded: 40000, application_fee_amount: 10000 })).toBe(54000);
+    });
+
+    it('rounds the prorated fee to the cent', () => {
+      expect(escrow.calculateTransferAmount({ amount: 30000, amount_refunded: 10000, application_fee_amount: 1000 })).toBe(19333);
+    });
+
+    it('is zero once the payment is fully refunded', () => {
+      expect(escrow.calculateTransferAmount({ amount: 100000, amount_refunded: 100000, application_fee_amount: 10000 })).toBe(0);
+      expect(escrow.calculateTransferAmount({ amount: 100000, amount_refunded: 120000 })).toBe(0);
+    });
+  });
+
+  describe('calculateReleaseDate', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+
+    it('releases once the dispute window after the event has closed', () => {
+      const eventDate = new Date('2026-06-20T00:00:00Z');
+      expect(escrow.calculateReleaseDate(eventDate, now))
+        .toEqual(new Date(eventDate.getTime() + escrow.disputeWindowDays * DAY_MS));
+    });
+
+    it('starts the window now for an event that has already happened', () => {
+      expect(escrow.calculateReleaseDate(new Date('2026-05-01T00:00:00Z'), now))
+        .toEqual(new Date(now.getTime() + escrow.disputeWindowDays * DAY_MS));
+    });
+
+    it('holds for the default period without an event date', () => {
+      expect(escrow.calculateReleaseDate(null, now))
+        .toEqual(new Date(now.getTime() + escrow.defaultHoldDays * DAY_MS));
+    });
+  });
+
+  describe('buildPaymentIntentData', () => {
+    it('keeps an escrow charge on the platform, grouped by bid', () => {
+      expect(escrow.buildPaymentIntentData({ escrow: true, bidId: 'bid_1', paymentType: 'full', connectedAccountId: 'acct_1', applicationFeeAmount: 1000 }))
+        .toEqual({ transfer_group: 'bid_bid_1', metadata: { bid_id: 'bid_1', payment_type: 'full', payout_mode: 'escrow' } });
+    });
+
+    it('sends a direct charge to the vendor with the platform fee', () => {
+      expect(escrow.buildPaymentIntentData({ escrow: false, bidId: 'bid_1', paymentType: 'full', connectedAccountId: 'acct_1', applicationFeeAmount: 1000 }))
+        .toMatchObject({ application_fee_amount: 1000, transfer_data: { destination: 'acct_1' }, metadata: { payout_mode: 'direct' } });
+    });
+  });
+
+  describe('releasePayment', () => {
+    const held = (overrides = {}) => ({
+      id: 'pay_1',
+      bid_id: 'bid_1',
+      payout_mode: 'escrow',
+      escrow_status: ESCROW_STATUS.HELD,
+      status: 'succeeded',
+      amount: 100000,
+      amount_refunded: 0,
+      application_fee_amount: 10000,
+      ...overrides
+    });
+
+    it('refuses a payment that is not held', async () => {
+      await expect(escrow.releasePayment(held({ escrow_status: ESCROW_STATUS.RELEASED })))
+        .resolves.toMatchObject({ success: false, status: 409 });
+      await expect(escrow.releasePayment(held({ payout_mode: 'direct' })))
+        .resolves.toMatchObject({ success: false, status: 409 });
+    });
+
+    it('keeps a disputed payment on the platform', async () => {
+      await expect(escrow.releasePayment(held({ status: 'disputed' })))
+        .resolves.toEqual({ success: false, status: 409, error: "Payment is disputed and can't be released" });
+    });
+
+    it('cancels the hold without a transfer when everything was refunded', async () => {
+      const payment = held({ status: 'partially_refunded', amount_refunded: 100000 });
+      supabase.queue('bid_payments', { data: { ...payment, escrow_status: ESCROW_STATUS.CANCELED }, error: null });
+
+      const result = await escrow.releasePayment(payment);
+
+      expect(result).toMatchObject({ success: true, transfer: null, payment: { escrow_status: ESCROW_STATUS.CANCELED } });
+      const [update] = supabase.queriesOn('bid_payments');
+      expect(update.calls).toContainEqual(['eq', 'escrow_status', ESCROW_STATUS.HELD]);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const FeeScheduleService = require('../feeScheduleService');
+
+const schedule = {
+  base: {
+    regular: { percent: 10, fixed: 0, min: 0, max: null },
+    autobid: { percent: 20, fixed: 0, min: 0, max: null }
+  },
+  categories: {
+    catering: { regular: { percent: 8 } },
+    dj: { percent: 12, fixed: 50 }
+  },
+  tiers: {
+    standard: {},
+    plus: { regular: { percent: 7 }, autobid: { percent: 15 } }
+  },
+  promotions: [{
+    name: 'spring-launch',
+    startsAt: '2026-03-01T00:00:00Z',
+    endsAt: '2026-04-01T00:00:00Z',
+    categories: ['florist'],
+    rule: { percent: 5 }
+  }]
+};
+
+describe('FeeScheduleService.calculateFee', () => {
+  let fees;
+
+  beforeEach(() => {
+    fees = new FeeScheduleService(schedule);
+    fees.getVendorTier = jest.fn().mockResolvedValue('standard');
+  });
+
+  it('charges the base rate for a regular bid', async () => {
+    await expect(fees.calculateFee({ amount: 100000, isAutobid: false })).resolves.toMatchObject({
+      amount: 10000,
+      percent: 10,
+      description: '10%',
+      isAutobid: false
+    });
+  });
+
+  it('charges the autobid rate for an autobid', async () => {
+    await expect(fees.calculateFee({ amount: 100000, isAutobid: true })).resolves.toMatchObject({ amount: 20000, percent: 20 });
+  });
+
+  it('lets a category override the base rate for one source', async () => {
+    await expect(fees.calculateFee({ amount: 100000, category: 'catering' })).resolves.toMatchObject({ amount: 8000 });
+    await expect(fees.calculateFee({ amount: 100000, category: 'catering', isAutobid: true })).resolves.toMatchObject({ amount: 20000 });
+  });
+
+  it('applies a category rule to both sources and adds its fixed fee', async () => {
+    const fee = await fees.calculateFee({ amount: 10000, category: 'dj', isAutobid: true });
+    expect(fee.amount).toBe(1250);
+    expect(fee.description).toBe('12% + $0.50');
+  });
+
+  it('gives Plus vendors their tier rate', async () => {
+    fees.getVendorTier.mockResolvedValue('plus');
+    await expect(fees.calculateFee({ amount: 100000, businessId: 'biz_1' })).resolves.toMatchObject({ amount: 7000 });
+    expect(fees.getVendorTier).toHaveBeenCalledWith('biz_1');
+  });
+
+  it('applies a promotion only while it runs and only to its categories', async () => {
+    const during = new Date('2026-03-15T00:00:00Z');
+    const after = new Date('2026-04-01T00:00:00Z');
+
+    await expect(fees.calculateFee({ amount: 100000, category: 'florist', at: during })).resolves.toMatchObject({ amount: 5000 });
+    await expect(fees.calculateFee({ amount: 100000, category: 'florist', at: after })).resolves.toMatchObject({ amount: 10000 });
+    await expect(fees.calculateFee({ amount: 100000, category: 'dj', at: during })).resolves.toMatchObject({ amount: 12050 });
+  });
+
+  it('clamps to the rule minimum and maximum, and never exceeds the amount', () => {
+    expect(fees.computeFee(1000, { percent: 10, min: 500 })).toBe(500);
+    expect(fees.computeFee(1000000, { percent: 10, max: 50000 })).toBe(50000);
+    expect(fees.computeFee(300, { percent: 10, min: 500 })).toBe(300);
+    expect(fees.computeFee(0, { percent: 10 })).toBe(0);
+  });
+
+  it('looks up the source, vendor and category from a bid', async () => {
+    fees.requestLookup.findRequestForBid = jest.fn().mockResolvedValue({
+      bid: { is_autobid: true, user_id: 'biz_1' },
+      category: 'catering'
+    });
+
+    const fee = await fees.calculateFee({ amount: 100000, bidId: 'bid_1' });
+
+    expect(fee).toMatchObject({ amount: 20000, isAutobid: true });
+    expect(fee.rule).toMatchObject({ source: 'autobid', category: 'catering', tier: 'standard' });
+  });
+
+  it('formats the description in the payment currency', async () => {
+    const fee = await fees.calculateFee({ amount: 10000, category: 'dj', currency: 'gbp' });
+    expect(fee.description).toBe('12% + £0.50');
+  });
+});
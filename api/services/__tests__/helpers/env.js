@@ -0,0 +1,7 @@
+// Placeholder keys so modules that build API clients on load can be required
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'placeholder';
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_placeholder';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'placeholder';
+process.env.UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET || 'test-unsubscribe-secret';
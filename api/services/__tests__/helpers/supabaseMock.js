@@ -0,0 +1,67 @@
+/**
+ * A stand-in for the Supabase client, for use as the supabaseClient mock:
+ *
+ *   jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+ *
+ * Every query on a table resolves to the next result queued for it with
+ * `supabase.queue(table, { data, error })` (nothing queued resolves to
+ * { data: null, error: null }). RPC calls queue under `rpc:<name>`. Each
+ * query is kept in `supabase.queries` as { table, calls }, where calls are
+ * the builder methods called on it and their arguments.
+ */
+const createSupabaseMock = () => {
+  const results = new Map();
+  const queries = [];
+
+  const next = (key) => {
+    const queue = results.get(key) || [];
+    return Promise.resolve(queue.length > 0 ? queue.shift() : { data: null, error: null });
+  };
+
+  const from = (table) => {
+    const query = { table, calls: [] };
+    queries.push(query);
+
+    const builder = new Proxy({}, {
+      get(target, method) {
+        if (method === 'then') {
+          return (resolve, reject) => next(table).then(resolve, reject);
+        }
+        return (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  };
+
+  return {
+    from: jest.fn(from),
+    rpc: jest.fn((name, params) => {
+      queries.push({ table: `rpc:${name}`, calls: [['rpc', params]] });
+      return next(`rpc:${name}`);
+    }),
+
+    queue(key, ...queued) {
+      results.set(key, [...(results.get(key) || []), ...queued]);
+    },
+
+    // Queries made against a table, oldest first
+    queriesOn(key) {
+      return queries.filter(query => query.table === key);
+    },
+
+    reset() {
+      results.clear();
+      queries.length = 0;
+      this.from.mockClear();
+      this.rpc.mockClear();
+    },
+
+    queries
+  };
+};
+
+module.exports = { createSupabaseMock };
@@ -0,0 +1,122 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const sharp = require('sharp');
+const supabase = require('../../supabaseClient');
+const MessageAttachmentService = require('../messageAttachmentService');
+
+const { MAX_FILE_SIZE, MAX_PER_MESSAGE } = MessageAttachmentService;
+
+const TABLE = 'message_attachments';
+
+const png = () => sharp({ create: { width: 4, height: 3, channels: 3, background: '#ffffff' } }).png().toBuffer();
+
+describe('MessageAttachmentService', () => {
+  let attachments;
+
+  beforeEach(() => {
+    supabase.reset();
+    attachments = new MessageAttachmentService();
+  });
+
+  describe('validate', () => {
+    it('accepts a real image and returns its metadata', async () => {
+      const result = await attachments.validate(await png(), 'image/png');
+      expect(result).toMatchObject({ isValid: true, metadata: { format: 'png', width: 4, height: 3 } });
+    });
+
+    it('rejects an image that is another format than claimed', async () => {
+      await expect(attachments.validate(await png(), 'image/jpeg')).resolves.toMatchObject({ isValid: false });
+    });
+
+    it('rejects a file that only claims to be an image', async () => {
+      await expect(attachments.validate(Buffer.from('<script>alert(1)</script>'), 'image/png'))
+        .resolves.toMatchObject({ isValid: false, error: expect.stringMatching(/Invalid image/) });
+    });
+
+    it('checks documents by their leading bytes', async () => {
+      await expect(attachments.validate(Buffer.from('%PDF-1.7\n...'), 'application/pdf')).resolves.toMatchObject({ isValid: true });
+      await expect(attachments.validate(Buffer.from('MZ\x90\x00'), 'application/pdf')).resolves.toMatchObject({ isValid: false });
+    });
+
+    it('rejects binary data sent as plain text', async () => {
+      await expect(attachments.validate(Buffer.from('notes'), 'text/plain')).resolves.toMatchObject({ isValid: true });
+      await expect(attachments.validate(Buffer.from([0x68, 0x00, 0x69]), 'text/plain')).resolves.toMatchObject({ isValid: false });
+    });
+
+    it.each([
+      ['a type that is not allowed', Buffer.from('x'), 'application/x-msdownload'],
+      ['an empty file', Buffer.alloc(0), 'text/plain'],
+      ['a file over the size limit', Buffer.alloc(MAX_FILE_SIZE + 1, 0x61), 'text/plain']
+    ])('rejects %s', async (label, buffer, contentType) => {
+      await expect(attachments.validate(buffer, contentType)).resolves.toMatchObject({ isValid: false });
+    });
+  });
+
+  describe('upload', () => {
+    beforeEach(() => {
+      attachments.store = jest.fn().mockResolvedValue();
+      attachments.withUrls = jest.fn(async rows => rows);
+    });
+
+    const insertedRow = () => {
+      const [insert] = supabase.queriesOn(TABLE);
+      return insert.calls.find(([method]) => method === 'insert')[1];
+    };
+
+    it('stores the file under a plain key and keeps the original name on the row', async () => {
+      supabase.queue(TABLE, { data: { id: 'att_1' }, error: null });
+
+      await attachments.upload('conv_1', 'user_1', { buffer: Buffer.from('notes'), fileName: '../../Menu Ideas.TXT', contentType: 'text/plain' });
+
+      const row = insertedRow();
+      expect(row.file_name).toBe('Menu Ideas.TXT');
+      expect(row.storage_path).toBe(`conv_1/${row.id}/file.txt`);
+      expect(attachments.store).toHaveBeenCalledWith(row.storage_path, expect.any(Buffer), 'text/plain');
+    });
+
+    it('drops an extension that is not plain', async () => {
+      supabase.queue(TABLE, { data: { id: 'att_1' }, error: null });
+
+      await attachments.upload('conv_1', 'user_1', { buffer: Buffer.from('notes'), fileName: 'notes.t xt', contentType: 'text/plain' });
+
+      expect(insertedRow().storage_path).toMatch(/\/file$/);
+    });
+
+    it('names a file that has no usable name', async () => {
+      supabase.queue(TABLE, { data: { id: 'att_1' }, error: null });
+
+      await attachments.upload('conv_1', 'user_1', { buffer: Buffer.from('notes'), fileName: '\u0000\u001f', contentType: 'text/plain' });
+
+      expect(insertedRow().file_name).toBe('attachment');
+    });
+
+    it('refuses an invalid file without storing anything', async () => {
+      await expect(attachments.upload('conv_1', 'user_1', { buffer: Buffer.from('x'), fileName: 'a.exe', contentType: 'application/x-msdownload' }))
+        .resolves.toMatchObject({ success: false, status: 400 });
+      expect(attachments.store).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPending', () => {
+    it('limits the attachments on one message', async () => {
+      const ids = Array.from({ length: MAX_PER_MESSAGE + 1 }, (value, index) => `att_${index}`);
+      await expect(attachments.getPending('conv_1', 'user_1', ids)).resolves.toMatchObject({ success: false, status: 400 });
+    });
+
+    it("only takes the user's own unsent uploads to the conversation", async () => {
+      supabase.queue(TABLE, { data: [{ id: 'att_1' }], error: null });
+
+      await expect(attachments.getPending('conv_1', 'user_1', ['att_1', 'att_2'])).resolves.toMatchObject({ success: false, status: 400 });
+
+      const [query] = supabase.queriesOn(TABLE);
+      expect(query.calls).toEqual(expect.arrayContaining([['eq', 'uploaded_by', 'user_1'], ['is', 'message_id', null]]));
+    });
+
+    it('returns them in the order asked for', async () => {
+      supabase.queue(TABLE, { data: [{ id: 'att_2' }, { id: 'att_1' }], error: null });
+
+      await expect(attachments.getPending('conv_1', 'user_1', ['att_1', 'att_2', 'att_1']))
+        .resolves.toEqual({ success: true, attachments: [{ id: 'att_1' }, { id: 'att_2' }] });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const NotificationPreferenceService = require('../notificationPreferenceService');
+
+describe('NotificationPreferenceService', () => {
+  let preferences;
+
+  beforeEach(() => {
+    preferences = new NotificationPreferenceService();
+  });
+
+  describe('unsubscribe tokens', () => {
+    it('round-trips the user, category and channel', () => {
+      const token = preferences.createUnsubscribeToken('user_1', 'new_bid', 'sms');
+      expect(preferences.verifyUnsubscribeToken(token)).toEqual({ userId: 'user_1', category: 'new_bid', channel: 'sms' });
+    });
+
+    it('defaults to the email channel', () => {
+      const token = preferences.createUnsubscribeToken('user_1', 'messages');
+      expect(preferences.verifyUnsubscribeToken(token)).toEqual({ userId: 'user_1', category: 'messages', channel: 'email' });
+    });
+
+    it('rejects a token whose payload was changed', () => {
+      const [, signature] = preferences.createUnsubscribeToken('user_1', 'new_bid').split('.');
+      const forged = Buffer.from(JSON.stringify({ u: 'user_2', c: 'new_bid', ch: 'email' })).toString('base64url');
+
+      expect(preferences.verifyUnsubscribeToken(`${forged}.${signature}`)).toBeNull();
+    });
+
+    it('rejects a token signed with another secret', () => {
+      const token = preferences.createUnsubscribeToken('user_1', 'new_bid');
+      const secret = process.env.UNSUBSCRIBE_SECRET;
+      process.env.UNSUBSCRIBE_SECRET = 'rotated-secret';
+      try {
+        expect(preferences.verifyUnsubscribeToken(token)).toBeNull();
+      } finally {
+        process.env.UNSUBSCRIBE_SECRET = secret;
+      }
+    });
+
+    it.each([[undefined], [''], ['no-signature'], ['abc.def']])('rejects %p', (token) => {
+      expect(preferences.verifyUnsubscribeToken(token)).toBeNull();
+    });
+
+    it('puts a one-click unsubscribe link in the headers', () => {
+      const headers = preferences.unsubscribeHeaders('user_1', 'new_bid');
+      const token = headers['List-Unsubscribe'].match(/token=([^>]+)>/)[1];
+
+      expect(headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+      expect(preferences.verifyUnsubscribeToken(token)).toMatchObject({ userId: 'user_1', category: 'new_bid' });
+    });
+  });
+
+  describe('decide', () => {
+    const now = new Date('2026-05-01T23:30:00Z');
+
+    it('sends right away with the defaults', () => {
+      expect(preferences.decide(preferences.defaults(), { category: 'new_bid', channel: 'email', now }))
+        .toEqual({ send: true, sendAt: null });
+    });
+
+    it('respects a channel or category that was switched off', () => {
+      const settings = preferences.defaults();
+      settings.categories.new_bid.email = false;
+
+      expect(preferences.decide(settings, { category: 'new_bid', channel: 'email', now })).toEqual({ send: false, reason: 'category_off' });
+      expect(preferences.decide(settings, { category: 'new_bid', channel: 'sms', now })).toEqual({ send: false, reason: 'channel_off' });
+    });
+
+    it('always emails account alerts', () => {
+      const settings = preferences.defaults();
+      settings.channels.email = false;
+
+      expect(preferences.decide(settings, { category: 'account', channel: 'email', now })).toEqual({ send: true, sendAt: null });
+    });
+
+    it('holds a notification until quiet hours end, except for payments', () => {
+      const settings = { ...preferences.defaults(), timezone: 'UTC', quietHours: { start: '22:00', end: '07:00', timezone: 'UTC' } };
+
+      expect(preferences.decide(settings, { category: 'new_bid', channel: 'email', now }))
+        .toEqual({ send: true, sendAt: new Date('2026-05-02T07:00:00Z') });
+      expect(preferences.decide(settings, { category: 'payments', channel: 'email', now }))
+        .toEqual({ send: true, sendAt: null });
+    });
+
+    it('throws for an unknown category', () => {
+      expect(() => preferences.decide(preferences.defaults(), { category: 'nope', channel: 'email' })).toThrow('Unknown notification category');
+    });
+  });
+});
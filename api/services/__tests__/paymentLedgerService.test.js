@@ -0,0 +1,115 @@
+jest.mock('../../supabaseClient', () => ({}));
+
+const PaymentLedgerService = require('../paymentLedgerService');
+
+const { PAYMENT_STATUS, BID_PAYMENT_STATUS, PAYMENT_TRANSITIONS } = PaymentLedgerService;
+
+const payment = (status, paymentType = 'full') => ({ status, payment_type: paymentType });
+
+describe('PaymentLedgerService', () => {
+  const ledger = new PaymentLedgerService();
+
+  describe('PAYMENT_TRANSITIONS', () => {
+    it('covers every payment status', () => {
+      expect(Object.keys(PAYMENT_TRANSITIONS).sort()).toEqual(Object.values(PAYMENT_STATUS).sort());
+    });
+
+    it('only moves to known statuses', () => {
+      const known = Object.values(PAYMENT_STATUS);
+      for (const targets of Object.values(PAYMENT_TRANSITIONS)) {
+        for (const target of targets) {
+          expect(known).toContain(target);
+        }
+      }
+    });
+
+    it('lets a pending payment succeed or fail', () => {
+      expect(ledger.canTransition('pending', 'succeeded')).toBe(true);
+      expect(ledger.canTransition('pending', 'failed')).toBe(true);
+    });
+
+    it('ignores a late failure after success', () => {
+      expect(ledger.canTransition('succeeded', 'failed')).toBe(false);
+      expect(ledger.canTransition('succeeded', 'pending')).toBe(false);
+    });
+
+    it('treats refunded and canceled as final', () => {
+      for (const status of Object.values(PAYMENT_STATUS)) {
+        expect(ledger.canTransition('refunded', status)).toBe(false);
+        expect(ledger.canTransition('canceled', status)).toBe(false);
+      }
+    });
+
+    it('lets a dispute be won or lost', () => {
+      expect(ledger.canTransition('succeeded', 'disputed')).toBe(true);
+      expect(ledger.canTransition('disputed', 'succeeded')).toBe(true);
+      expect(ledger.canTransition('disputed', 'refunded')).toBe(true);
+    });
+
+    it('rejects unknown statuses', () => {
+      expect(ledger.canTransition('unknown', 'succeeded')).toBe(false);
+    });
+  });
+
+  describe('deriveBidPaymentStatus', () => {
+    it('is null without payments', () => {
+      expect(ledger.deriveBidPaymentStatus([])).toBeNull();
+      expect(ledger.deriveBidPaymentStatus(null)).toBeNull();
+    });
+
+    it('is pending_payment while the checkout is open', () => {
+      expect(ledger.deriveBidPaymentStatus([payment('pending')])).toBe(BID_PAYMENT_STATUS.PENDING_PAYMENT);
+    });
+
+    it('is paid_in_full once a full payment succeeds', () => {
+      expect(ledger.deriveBidPaymentStatus([payment('succeeded', 'full')])).toBe(BID_PAYMENT_STATUS.PAID_IN_FULL);
+    });
+
+    it('is deposit_paid while the balance is still scheduled', () => {
+      expect(ledger.deriveBidPaymentStatus([
+        payment('succeeded', 'deposit'),
+        payment('scheduled', 'balance')
+      ])).toBe(BID_PAYMENT_STATUS.DEPOSIT_PAID);
+    });
+
+    it('is paid_in_full once the balance succeeds', () => {
+      expect(ledger.deriveBidPaymentStatus([
+        payment('succeeded', 'deposit'),
+        payment('succeeded', 'balance')
+      ])).toBe(BID_PAYMENT_STATUS.PAID_IN_FULL);
+    });
+
+    it('goes by the latest attempt when nothing has settled', () => {
+      expect(ledger.deriveBidPaymentStatus([payment('pending'), payment('failed')])).toBe(BID_PAYMENT_STATUS.FAILED);
+      expect(ledger.deriveBidPaymentStatus([payment('failed'), payment('pending')])).toBe(BID_PAYMENT_STATUS.PENDING_PAYMENT);
+    });
+
+    it('ignores canceled attempts', () => {
+      expect(ledger.deriveBidPaymentStatus([payment('failed'), payment('canceled')])).toBe(BID_PAYMENT_STATUS.FAILED);
+      expect(ledger.deriveBidPaymentStatus([payment('canceled')])).toBeNull();
+    });
+
+    it('keeps a deposit_paid bid paid when a balance attempt fails', () => {
+      expect(ledger.deriveBidPaymentStatus([
+        payment('succeeded', 'deposit'),
+        payment('failed', 'balance')
+      ])).toBe(BID_PAYMENT_STATUS.DEPOSIT_PAID);
+    });
+
+    it('is disputed while any payment is disputed', () => {
+      expect(ledger.deriveBidPaymentStatus([
+        payment('succeeded', 'deposit'),
+        payment('disputed', 'balance')
+      ])).toBe(BID_PAYMENT_STATUS.DISPUTED);
+    });
+
+    it('is refunded only when everything settled was refunded', () => {
+      expect(ledger.deriveBidPaymentStatus([payment('refunded')])).toBe(BID_PAYMENT_STATUS.REFUNDED);
+      expect(ledger.deriveBidPaymentStatus([
+        payment('refunded', 'deposit'),
+        payment('succeeded', 'balance')
+      ])).toBe(BID_PAYMENT_STATUS.PARTIALLY_REFUNDED);
+      expect(ledger.deriveBidPaymentStatus([payment('partially_refunded')])).toBe(BID_PAYMENT_STATUS.PARTIALLY_REFUNDED);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../../supabaseClient');
+const PaymentScheduleService = require('../paymentScheduleService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('PaymentScheduleService', () => {
+  let schedule;
+  const now = new Date('2026-03-01T12:00:00Z');
+
+  beforeEach(() => {
+    supabase.reset();
+    schedule = new PaymentScheduleService();
+  });
+
+  describe('getBidTotal', () => {
+    it('is the bid amount in cents', () => {
+      expect(schedule.getBidTotal({ bid_amount: '1250.5' })).toBe(125050);
+      expect(schedule.getBidTotal({ bid_amount: 19.99 })).toBe(1999);
+    });
+
+    it('is null for a bid without a usable price', () => {
+      expect(schedule.getBidTotal({ bid_amount: null })).toBeNull();
+      expect(schedule.getBidTotal({ bid_amount: '0' })).toBeNull();
+      expect(schedule.getBidTotal({ bid_amount: '-5' })).toBeNull();
+      expect(schedule.getBidTotal(null)).toBeNull();
+    });
+  });
+
+  describe('calculateBalanceDueDate', () => {
+    it('falls due the configured days before the event', () => {
+      const eventDate = new Date('2026-06-20T00:00:00Z');
+      const dueDate = schedule.calculateBalanceDueDate(eventDate, now);
+      expect(dueDate).toEqual(new Date(eventDate.getTime() - schedule.balanceDueDaysBeforeEvent * DAY_MS));
+    });
+
+    it('is never earlier than tomorrow', () => {
+      const dueDate = schedule.calculateBalanceDueDate(new Date('2026-03-05T00:00:00Z'), now);
+      expect(dueDate).toEqual(new Date(now.getTime() + DAY_MS));
+    });
+
+    it('uses the default lead time without an event date', () => {
+      expect(schedule.calculateBalanceDueDate(null, now))
+        .toEqual(new Date(now.getTime() + schedule.defaultBalanceDueDays * DAY_MS));
+    });
+  });
+
+  describe('calculateReminderDate', () => {
+    it('reminds the configured days before the due date', () => {
+      const dueDate = new Date('2026-04-01T00:00:00Z');
+      expect(schedule.calculateReminderDate(dueDate, now))
+        .toEqual(new Date(dueDate.getTime() - schedule.reminderDaysBeforeDue * DAY_MS));
+    });
+
+    it('is never in the past', () => {
+      expect(schedule.calculateReminderDate(new Date(now.getTime() + DAY_MS), now)).toEqual(now);
+    });
+  });
+
+  describe('getDepositPercent', () => {
+    it('uses the latest pricing rule', async () => {
+      supabase.queue('business_pricing_rules', { data: [{ deposit_percent: '25' }], error: null });
+      await expect(schedule.getDepositPercent('biz_1', 'photography')).resolves.toBe(25);
+    });
+
+    it.each([[[]], [[{ deposit_percent: null }]], [[{ deposit_percent: 0 }]], [[{ deposit_percent: 100 }]]])(
+      'is null when no deposit is configured (%j)',
+      async (rows) => {
+        supabase.queue('business_pricing_rules', { data: rows, error: null });
+        await expect(schedule.getDepositPercent('biz_1', 'photography')).resolves.toBeNull();
+      }
+    );
+  });
+
+  describe('buildDepositSchedule', () => {
+    it('splits the bid price into a deposit and a balance', async () => {
+      schedule.requestLookup.findRequestForBid = jest.fn().mockResolvedValue({
+        bid: { id: 'bid_1', user_id: 'biz_1', bid_amount: '1000.01' },
+        request: {},
+        category: 'photography'
+      });
+      schedule.requestLookup.getEventDate = jest.fn().mockReturnValue(null);
+      schedule.getDepositPercent = jest.fn().mockResolvedValue(30);
+
+      const result = await schedule.buildDepositSchedule('bid_1');
+
+      expect(result).toMatchObject({ totalAmount: 100001, depositPercent: 30, depositAmount: 30000, balanceAmount: 70001 });
+      expect(result.depositAmount + result.balanceAmount).toBe(result.totalAmount);
+    });
+
+    it('is null when the vendor takes no deposit', async () => {
+      schedule.requestLookup.findRequestForBid = jest.fn().mockResolvedValue({
+        bid: { id: 'bid_1', user_id: 'biz_1', bid_amount: '500' },
+        request: {},
+        category: 'photography'
+      });
+      schedule.getDepositPercent = jest.fn().mockResolvedValue(null);
+
+      await expect(schedule.buildDepositSchedule('bid_1')).resolves.toBeNull();
+    });
+  });
+});
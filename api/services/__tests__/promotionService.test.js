@@ -0,0 +1,174 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../../supabaseClient');
+const PromotionService = require('../promotionService');
+
+const { MIN_CHARGE_AMOUNT } = PromotionService;
+
+describe('PromotionService', () => {
+  let promotions;
+
+  const campaign = (overrides = {}) => ({
+    id: 'camp_1',
+    code: 'WELCOME',
+    active: true,
+    discount_type: 'fixed',
+    discount_value: 2000,
+    max_discount_amount: null,
+    currency: null,
+    min_amount: null,
+    first_booking_only: false,
+    max_redemptions: null,
+    max_redemptions_per_user: 1,
+    starts_at: null,
+    ends_at: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    supabase.reset();
+    promotions = new PromotionService();
+  });
+
+  describe('splitFee', () => {
+    it('takes a small discount out of the application fee', () => {
+      expect(promotions.splitFee(10000, 2500)).toEqual({ applicationFeeAmount: 7500, topUpAmount: 0 });
+    });
+
+    it('tops the vendor up by what the fee cannot cover', () => {
+      expect(promotions.splitFee(1000, 2500)).toEqual({ applicationFeeAmount: 0, topUpAmount: 1500 });
+    });
+
+    it('leaves the fee alone without a discount', () => {
+      expect(promotions.splitFee(1000, 0)).toEqual({ applicationFeeAmount: 1000, topUpAmount: 0 });
+    });
+  });
+
+  describe('evaluateCode', () => {
+    const evaluate = (overrides, options = {}) => {
+      promotions.findCampaignByCode = jest.fn().mockResolvedValue(campaign(overrides));
+      promotions.countRedemptions = jest.fn().mockResolvedValue(options.redemptions || 0);
+      promotions.hasPriorBooking = jest.fn().mockResolvedValue(!!options.priorBooking);
+      return promotions.evaluateCode({ code: 'welcome', userId: 'user_1', amount: 100000, currency: 'usd', now: new Date('2026-06-01T00:00:00Z') });
+    };
+
+    it('works out a percentage discount, capped at its maximum', async () => {
+      await expect(evaluate({ discount_type: 'percent', discount_value: 10 })).resolves.toMatchObject({ discount: 10000 });
+      await expect(evaluate({ discount_type: 'percent', discount_value: 10, max_discount_amount: 5000 })).resolves.toMatchObject({ discount: 5000 });
+    });
+
+    it.each([
+      ['an inactive code', { active: false }, {}, 'This promo code is not valid'],
+      ['an expired code', { ends_at: '2026-05-01T00:00:00Z' }, {}, 'This promo code has expired'],
+      ['another currency', { currency: 'gbp' }, {}, 'This promo code is not valid for this vendor'],
+      ['a booking under the minimum', { min_amount: 200000 }, {}, 'This booking is below the minimum for this promo code'],
+      ['a returning customer', { first_booking_only: true }, { priorBooking: true }, 'This promo code is only valid on your first booking'],
+      ['a fully redeemed code', { max_redemptions: 3 }, { redemptions: 3 }, 'This promo code has been fully redeemed']
+    ])('refuses %s', async (label, overrides, options, error) => {
+      await expect(evaluate(overrides, options)).resolves.toEqual({ error });
+    });
+  });
+
+  describe('quoteDiscounts', () => {
+    it('applies the promo code, then credits towards what is left', async () => {
+      promotions.evaluateCode = jest.fn().mockResolvedValue({ campaign: campaign(), discount: 2000 });
+      promotions.getCreditBalance = jest.fn().mockResolvedValue(5000);
+
+      await expect(promotions.quoteDiscounts({ userId: 'user_1', amount: 10000, currency: 'usd', promoCode: 'WELCOME', useCredits: true }))
+        .resolves.toMatchObject({ discount: 7000, promo: { amount: 2000 }, creditsApplied: 5000 });
+    });
+
+    it('always leaves the minimum charge', async () => {
+      promotions.evaluateCode = jest.fn().mockResolvedValue({ campaign: campaign(), discount: 2000 });
+      promotions.getCreditBalance = jest.fn().mockResolvedValue(50000);
+
+      const quote = await promotions.quoteDiscounts({ userId: 'user_1', amount: 3000, currency: 'usd', promoCode: 'WELCOME', useCredits: true });
+
+      expect(quote).toMatchObject({ discount: 3000 - MIN_CHARGE_AMOUNT, promo: { amount: 2000 }, creditsApplied: 1000 - MIN_CHARGE_AMOUNT });
+    });
+
+    it('caps the promo itself at the minimum charge', async () => {
+      promotions.evaluateCode = jest.fn().mockResolvedValue({ campaign: campaign(), discount: 5000 });
+
+      await expect(promotions.quoteDiscounts({ userId: 'user_1', amount: 1000, currency: 'usd', promoCode: 'WELCOME' }))
+        .resolves.toMatchObject({ discount: 1000 - MIN_CHARGE_AMOUNT, creditsApplied: 0 });
+    });
+
+    it('passes on why a code was refused', async () => {
+      promotions.evaluateCode = jest.fn().mockResolvedValue({ error: 'This promo code has expired' });
+
+      await expect(promotions.quoteDiscounts({ userId: 'user_1', amount: 10000, currency: 'usd', promoCode: 'OLD' }))
+        .resolves.toEqual({ error: 'This promo code has expired' });
+    });
+
+    it('only spends credits when asked', async () => {
+      promotions.getCreditBalance = jest.fn().mockResolvedValue(5000);
+
+      await expect(promotions.quoteDiscounts({ userId: 'user_1', amount: 10000, currency: 'usd' }))
+        .resolves.toEqual({ discount: 0, promo: null, creditsApplied: 0 });
+      expect(promotions.getCreditBalance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCreditBalance', () => {
+    it('counts unexpired grants less spends, never below zero', async () => {
+      supabase.queue('customer_credits', {
+        data: [
+          { amount: 5000, expires_at: null },
+          { amount: 3000, expires_at: '2000-01-01T00:00:00Z' },
+          { amount: -2000, expires_at: null }
+        ],
+        error: null
+      });
+      await expect(promotions.getCreditBalance('user_1', 'USD')).resolves.toBe(3000);
+
+      supabase.queue('customer_credits', { data: [{ amount: -2000, expires_at: null }], error: null });
+      await expect(promotions.getCreditBalance('user_1', 'usd')).resolves.toBe(0);
+    });
+  });
+
+  describe('reserve', () => {
+    const reservation = {
+      userId: 'user_1',
+      bidId: 'bid_1',
+      checkoutSessionId: 'cs_1',
+      currency: 'USD',
+      promo: { campaign: campaign(), amount: 2000 },
+      creditsApplied: 1500
+    };
+
+    it('holds the promo and credits in one database call', async () => {
+      supabase.queue('rpc:reserve_checkout_discounts', { data: null, error: null });
+
+      await expect(promotions.reserve(reservation)).resolves.toEqual({ success: true });
+      expect(supabase.rpc).toHaveBeenCalledWith('reserve_checkout_discounts', {
+        p_user_id: 'user_1',
+        p_bid_id: 'bid_1',
+        p_checkout_session_id: 'cs_1',
+        p_currency: 'usd',
+        p_campaign_id: 'camp_1',
+        p_promo_amount: 2000,
+        p_credits_amount: 1500
+      });
+    });
+
+    it('reports a limit reached by another checkout in the meantime', async () => {
+      supabase.queue('rpc:reserve_checkout_discounts', { data: 'This promo code has been fully redeemed', error: null });
+
+      await expect(promotions.reserve(reservation))
+        .resolves.toEqual({ success: false, status: 409, error: 'This promo code has been fully redeemed' });
+    });
+
+    it('holds credits alone without a campaign', async () => {
+      await promotions.reserve({ ...reservation, promo: null });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('reserve_checkout_discounts', expect.objectContaining({ p_campaign_id: null, p_promo_amount: 0 }));
+    });
+
+    it('throws when the database call fails', async () => {
+      supabase.queue('rpc:reserve_checkout_discounts', { data: null, error: { message: 'connection reset' } });
+
+      await expect(promotions.reserve(reservation)).rejects.toThrow('Failed to reserve discounts for bid bid_1: connection reset');
+    });
+  });
+});
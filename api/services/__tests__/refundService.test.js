@@ -0,0 +1,113 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../../supabaseClient');
+const RefundService = require('../refundService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('RefundService', () => {
+  let refunds;
+  const now = new Date('2026-05-01T12:00:00Z');
+  const policy = {
+    tiers: [
+      { days_before_event: 30, refund_percent: 100 },
+      { days_before_event: 14, refund_percent: 50 }
+    ],
+    default_refund_percent: 10
+  };
+
+  beforeEach(() => {
+    supabase.reset();
+    refunds = new RefundService();
+  });
+
+  describe('applyCancellationPolicy', () => {
+    it('uses the first tier the cancellation is early enough for', () => {
+      expect(refunds.applyCancellationPolicy(policy, new Date(now.getTime() + 45 * DAY_MS), now))
+        .toMatchObject({ refundPercent: 100, daysUntilEvent: 45 });
+      expect(refunds.applyCancellationPolicy(policy, new Date(now.getTime() + 20 * DAY_MS), now))
+        .toMatchObject({ refundPercent: 50, daysUntilEvent: 20 });
+    });
+
+    it('counts the tier boundary as inside the tier', () => {
+      expect(refunds.applyCancellationPolicy(policy, new Date(now.getTime() + 14 * DAY_MS), now).refundPercent).toBe(50);
+    });
+
+    it('falls back to the default inside the last window', () => {
+      expect(refunds.applyCancellationPolicy(policy, new Date(now.getTime() + 3 * DAY_MS), now))
+        .toMatchObject({ refundPercent: 10, tier: null });
+    });
+
+    it('allows a full refund without an event date', () => {
+      expect(refunds.applyCancellationPolicy(policy, null, now)).toEqual({ refundPercent: 100, daysUntilEvent: null, tier: null });
+    });
+  });
+
+  describe('getCancellationPolicy', () => {
+    it('uses the platform default when the vendor has none', async () => {
+      supabase.queue('business_pricing_rules', { data: [], error: null });
+      await expect(refunds.getCancellationPolicy('biz_1', 'photography')).resolves.toEqual(RefundService.DEFAULT_CANCELLATION_POLICY);
+    });
+
+    it('sorts the vendor tiers from the earliest cancellation down', async () => {
+      supabase.queue('business_pricing_rules', {
+        data: [{ cancellation_policy: { tiers: [{ days_before_event: 7, refund_percent: 25 }, { days_before_event: 60, refund_percent: 90 }] } }],
+        error: null
+      });
+
+      await expect(refunds.getCancellationPolicy('biz_1', 'photography')).resolves.toEqual({
+        tiers: [{ days_before_event: 60, refund_percent: 90 }, { days_before_event: 7, refund_percent: 25 }],
+        default_refund_percent: 0
+      });
+    });
+  });
+
+  describe('getRefundQuote', () => {
+    const mockBid = (payments, refundPercent) => {
+      refunds.requestLookup.findRequestForBid = jest.fn().mockResolvedValue({
+        bid: { id: 'bid_1', user_id: 'biz_1' },
+        request: {},
+        category: 'photography',
+        ownerId: 'customer_1'
+      });
+      refunds.requestLookup.getEventDate = jest.fn().mockReturnValue(null);
+      refunds.paymentLedger.getPaymentsForBid = jest.fn().mockResolvedValue(payments);
+      refunds.getCancellationPolicy = jest.fn().mockResolvedValue(policy);
+      refunds.applyCancellationPolicy = jest.fn().mockReturnValue({ refundPercent, daysUntilEvent: 20, tier: null });
+    };
+
+    it('only counts settled Stripe payments', async () => {
+      mockBid([
+        { status: 'succeeded', amount: 30000, amount_refunded: 0, stripe_payment_intent_id: 'pi_1' },
+        { status: 'partially_refunded', amount: 70000, amount_refunded: 10000, stripe_payment_intent_id: 'pi_2' },
+        { status: 'scheduled', amount: 50000, amount_refunded: 0, stripe_payment_intent_id: null },
+        { status: 'failed', amount: 70000, amount_refunded: 0, stripe_payment_intent_id: 'pi_3' }
+      ], 100);
+
+      const quote = await refunds.getRefundQuote('bid_1');
+
+      expect(quote).toMatchObject({ totalPaid: 100000, totalRefunded: 10000, refundable: 90000, customerId: 'customer_1', businessId: 'biz_1' });
+      expect(quote.payments).toHaveLength(2);
+    });
+
+    it('caps what the customer can get back by the policy, less what was already refunded', async () => {
+      mockBid([{ status: 'partially_refunded', amount: 100000, amount_refunded: 20000, stripe_payment_intent_id: 'pi_1' }], 50);
+
+      const quote = await refunds.getRefundQuote('bid_1');
+
+      expect(quote.refundable).toBe(80000);
+      expect(quote.customerRefundable).toBe(30000);
+    });
+
+    it('never quotes a negative customer refund', async () => {
+      mockBid([{ status: 'partially_refunded', amount: 100000, amount_refunded: 60000, stripe_payment_intent_id: 'pi_1' }], 50);
+
+      await expect(refunds.getRefundQuote('bid_1')).resolves.toMatchObject({ customerRefundable: 0 });
+    });
+
+    it('is null for an unknown bid', async () => {
+      refunds.requestLookup.findRequestForBid = jest.fn().mockResolvedValue(null);
+      await expect(refunds.getRefundQuote('bid_x')).resolves.toBeNull();
+    });
+  });
+});
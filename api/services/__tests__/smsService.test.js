@@ -0,0 +1,160 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const crypto = require('crypto');
+const supabase = require('../../supabaseClient');
+const SmsService = require('../smsService');
+
+const { StubTransport } = SmsService;
+
+const TABLE = 'user_phone_numbers';
+
+const hashCode = (userId, code) => crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+
+describe('SmsService', () => {
+  let sms;
+
+  beforeEach(() => {
+    supabase.reset();
+    StubTransport.sent.length = 0;
+    process.env.SMS_TRANSPORT = 'stub';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    sms = new SmsService();
+  });
+
+  afterEach(() => {
+    delete process.env.SMS_TRANSPORT;
+    jest.restoreAllMocks();
+  });
+
+  describe('transport', () => {
+    it('uses the stub under test when asked for', () => {
+      expect(sms.transport).toBeInstanceOf(StubTransport);
+    });
+
+    it('refuses the stub in production', () => {
+      const env = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        expect(new SmsService().isConfigured()).toBe(false);
+      } finally {
+        process.env.NODE_ENV = env;
+      }
+    });
+  });
+
+  describe('normalizePhoneNumber', () => {
+    it.each([
+      ['(555) 123-4567', '+15551234567'],
+      ['1 555 123 4567', '+15551234567'],
+      ['+44 20 7946 0958', '+442079460958'],
+      [' +1-555-123-4567 ', '+15551234567']
+    ])('reads %p as %p', (input, expected) => {
+      expect(sms.normalizePhoneNumber(input)).toBe(expected);
+    });
+
+    it.each([[''], [null], ['12345'], ['+0123456789'], ['555-1234567-89']])('rejects %p', (input) => {
+      expect(sms.normalizePhoneNumber(input)).toBeNull();
+    });
+  });
+
+  describe('startVerification', () => {
+    it('rejects a number it cannot read', async () => {
+      await expect(sms.startVerification('user_1', 'call me')).resolves.toMatchObject({ success: false, status: 400 });
+    });
+
+    it('texts a code to the new number and stores only its hash', async () => {
+      supabase.queue(TABLE, { data: null, error: null }, { data: { user_id: 'user_1', phone_number: '+15551234567' }, error: null });
+
+      await expect(sms.startVerification('user_1', '555-123-4567')).resolves.toMatchObject({ success: true });
+
+      const [text] = StubTransport.sent;
+      const code = text.body.match(/code is (\d{6})/)[1];
+      const [, upsert] = supabase.queriesOn(TABLE);
+      const [, row] = upsert.calls.find(([method]) => method === 'upsert');
+      expect(text.to).toBe('+15551234567');
+      expect(row).toMatchObject({ verification_code_hash: hashCode('user_1', code), verification_attempts: 0, opted_out_at: null });
+      expect(JSON.stringify(row)).not.toContain(code);
+    });
+
+    it('throttles sending another code to the same number', async () => {
+      supabase.queue(TABLE, { data: { phone_number: '+15551234567', verification_sent_at: new Date().toISOString() }, error: null });
+
+      await expect(sms.startVerification('user_1', '5551234567')).resolves.toMatchObject({ success: false, status: 429 });
+      expect(StubTransport.sent).toHaveLength(0);
+    });
+  });
+
+  describe('confirmVerification', () => {
+    const pending = (overrides = {}) => ({
+      user_id: 'user_1',
+      phone_number: '+15551234567',
+      verification_code_hash: hashCode('user_1', '123456'),
+      verification_expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+      verification_attempts: 0,
+      ...overrides
+    });
+
+    it('verifies the number with the right code', async () => {
+      supabase.queue(TABLE, { data: pending(), error: null }, { data: pending({ verified_at: 'now' }), error: null });
+
+      await expect(sms.confirmVerification('user_1', ' 123456 ')).resolves.toMatchObject({ success: true });
+
+      const [, update] = supabase.queriesOn(TABLE);
+      expect(update.calls).toContainEqual(['update', expect.objectContaining({ verification_code_hash: null, verification_attempts: 0 })]);
+    });
+
+    it('counts a wrong code as an attempt', async () => {
+      supabase.queue(TABLE, { data: pending({ verification_attempts: 2 }), error: null });
+
+      await expect(sms.confirmVerification('user_1', '000000')).resolves.toMatchObject({ success: false, status: 400 });
+
+      const [, update] = supabase.queriesOn(TABLE);
+      expect(update.calls).toContainEqual(['update', expect.objectContaining({ verification_attempts: 3 })]);
+    });
+
+    it('stops checking codes after too many attempts, even the right one', async () => {
+      supabase.queue(TABLE, { data: pending({ verification_attempts: 5 }), error: null });
+
+      await expect(sms.confirmVerification('user_1', '123456')).resolves.toMatchObject({ success: false, status: 429 });
+      expect(supabase.queriesOn(TABLE)).toHaveLength(1);
+    });
+
+    it('rejects an expired code', async () => {
+      supabase.queue(TABLE, { data: pending({ verification_expires_at: new Date(Date.now() - 1000).toISOString() }), error: null });
+
+      await expect(sms.confirmVerification('user_1', '123456')).resolves.toMatchObject({ success: false, error: expect.stringMatching(/expired/) });
+    });
+  });
+
+  describe('handleInbound', () => {
+    it.each(['STOP', ' stop ', 'Unsubscribe'])('opts the number out on %p', async (body) => {
+      supabase.queue(TABLE, { data: [{ user_id: 'user_1' }], error: null });
+
+      await expect(sms.handleInbound({ From: '+15551234567', Body: body })).resolves.toBeNull();
+
+      const [update] = supabase.queriesOn(TABLE);
+      expect(update.calls).toContainEqual(['update', expect.objectContaining({ opted_out_at: expect.any(String) })]);
+      expect(update.calls).toContainEqual(['eq', 'phone_number', '+15551234567']);
+    });
+
+    it('opts the number back in on START', async () => {
+      supabase.queue(TABLE, { data: [{ user_id: 'user_1' }], error: null });
+
+      await sms.handleInbound({ From: '+15551234567', Body: 'start' });
+
+      const [update] = supabase.queriesOn(TABLE);
+      expect(update.calls).toContainEqual(['update', expect.objectContaining({ opted_out_at: null })]);
+    });
+
+    it('replies to HELP without changing anything', async () => {
+      await expect(sms.handleInbound({ From: '+15551234567', Body: 'help' })).resolves.toMatch(/Reply STOP to opt out/);
+      expect(supabase.queriesOn(TABLE)).toHaveLength(0);
+    });
+
+    it('ignores other messages', async () => {
+      await expect(sms.handleInbound({ From: '+15551234567', Body: 'thanks!' })).resolves.toBeNull();
+      expect(supabase.queriesOn(TABLE)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('../../supabaseClient', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../../supabaseClient');
+const StripeWebhookService = require('../stripeWebhookService');
+
+const { EVENT_STATUS } = StripeWebhookService;
+
+const TABLE = 'stripe_webhook_events';
+
+const event = {
+  id: 'evt_123',
+  type: 'checkout.session.completed',
+  livemode: false,
+  created: 1760000000,
+  data: { object: { id: 'cs_123' } }
+};
+
+const stored = (overrides = {}) => ({
+  id: event.id,
+  type: event.type,
+  status: EVENT_STATUS.FAILED,
+  attempts: 1,
+  last_attempt_at: new Date().toISOString(),
+  payload: event,
+  ...overrides
+});
+
+describe('StripeWebhookService.claimEvent', () => {
+  let service;
+
+  beforeEach(() => {
+    supabase.reset();
+    service = new StripeWebhookService();
+  });
+
+  it('records and claims an event it has not seen', async () => {
+    const record = stored({ status: EVENT_STATUS.PROCESSING });
+    supabase.queue(TABLE, { data: null, error: null }, { data: record, error: null });
+
+    const claim = await service.claimEvent(event);
+
+    expect(claim).toEqual({ claimed: true, record });
+    const [, insert] = supabase.queriesOn(TABLE);
+    const [, row] = insert.calls.find(([method]) => method === 'insert');
+    expect(row).toMatchObject({ id: event.id, status: EVENT_STATUS.PROCESSING, attempts: 1, payload: event });
+  });
+
+  it('backs off when another invocation inserts the event first', async () => {
+    supabase.queue(TABLE, { data: null, error: null }, { data: null, error: { code: '23505', message: 'duplicate key' } });
+
+    await expect(service.claimEvent(event)).resolves.toEqual({ claimed: false, reason: 'in_progress' });
+  });
+
+  it('throws on other insert errors', async () => {
+    supabase.queue(TABLE, { data: null, error: null }, { data: null, error: { code: '42P01', message: 'no table' } });
+
+    await expect(service.claimEvent(event)).rejects.toThrow('Failed to record webhook event evt_123: no table');
+  });
+
+  it.each([EVENT_STATUS.PROCESSED, EVENT_STATUS.IGNORED])('skips a redelivered %s event', async (status) => {
+    const record = stored({ status });
+    supabase.queue(TABLE, { data: record, error: null });
+
+    await expect(service.claimEvent(event)).resolves.toEqual({ claimed: false, reason: 'duplicate', record });
+    expect(supabase.queriesOn(TABLE)).toHaveLength(1);
+  });
+
+  it('reclaims a processed event when forced', async () => {
+    const record = stored({ status: EVENT_STATUS.PROCESSED, attempts: 2 });
+    supabase.queue(TABLE, { data: record, error: null }, { data: [{ ...record, attempts: 3 }], error: null });
+
+    const claim = await service.claimEvent(event, { force: true });
+
+    expect(claim.claimed).toBe(true);
+    expect(claim.record.attempts).toBe(3);
+  });
+
+  it('leaves an event another invocation is still processing', async () => {
+    const record = stored({ status: EVENT_STATUS.PROCESSING });
+    supabase.queue(TABLE, { data: record, error: null });
+
+    await expect(service.claimEvent(event)).resolves.toEqual({ claimed: false, reason: 'in_progress', record });
+  });
+
+  it('takes over a processing lock that has gone stale', async () => {
+    const record = stored({
+      status: EVENT_STATUS.PROCESSING,
+      last_attempt_at: new Date(Date.now() - service.processingTimeoutMs - 1000).toISOString()
+    });
+    supabase.queue(TABLE, { data: record, error: null }, { data: [{ ...record, attempts: 2 }], error: null });
+
+    await expect(service.claimEvent(event)).resolves.toMatchObject({ claimed: true, record: { attempts: 2 } });
+  });
+
+  it('retries a failed event with a compare-and-set on its attempts', async () => {
+    const record = stored({ attempts: 4 });
+    supabase.queue(TABLE, { data: record, error: null }, { data: [{ ...record, attempts: 5 }], error: null });
+
+    await service.claimEvent(event);
+
+    const [, update] = supabase.queriesOn(TABLE);
+    expect(update.calls).toContainEqual(['update', expect.objectContaining({ status: EVENT_STATUS.PROCESSING, attempts: 5 })]);
+    expect(update.calls).toContainEqual(['eq', 'attempts', 4]);
+  });
+
+  it('loses the race when another retry bumped the attempts first', async () => {
+    const record = stored();
+    supabase.queue(TABLE, { data: record, error: null }, { data: [], error: null });
+
+    await expect(service.claimEvent(event)).resolves.toEqual({ claimed: false, reason: 'in_progress', record });
+  });
+});
+
+describe('StripeWebhookService.processEvent', () => {
+  let service;
+
+  beforeEach(() => {
+    supabase.reset();
+    service = new StripeWebhookService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not run the handler for a duplicate', async () => {
+    const handler = jest.fn();
+    service.handlers[event.type] = handler;
+    supabase.queue(TABLE, { data: stored({ status: EVENT_STATUS.PROCESSED }), error: null });
+
+    await expect(service.processEvent(event)).resolves.toEqual({ processed: false, reason: 'duplicate' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('records the failure and rethrows when the handler fails', async () => {
+    service.handlers[event.type] = jest.fn().mockRejectedValue(new Error('ledger down'));
+    supabase.queue(TABLE, { data: null, error: null }, { data: stored({ status: EVENT_STATUS.PROCESSING }), error: null });
+
+    await expect(service.processEvent(event)).rejects.toThrow('ledger down');
+
+    const failure = supabase.queriesOn(TABLE).pop();
+    expect(failure.calls).toContainEqual(['update', expect.objectContaining({ status: EVENT_STATUS.FAILED, last_error: 'ledger down' })]);
+  });
+});
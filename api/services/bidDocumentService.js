@@ -0,0 +1,256 @@
+const supabase = require('../supabaseClient');
+const PaymentLedgerService = require('./paymentLedgerService');
+const PaymentScheduleService = require('./paymentScheduleService');
+const ProfileService = require('./profileService');
+const RequestLookupService = require('./requestLookupService');
+const ConnectAccountService = require('./connectAccountService');
+const { renderBidDocument } = require('../documents/bidDocument');
+const { DEFAULT_CURRENCY } = require('../currency');
+
+// Bid statuses at which the customer has committed and we issue an invoice
+const INVOICE_STATUSES = ['accepted', 'approved', 'paid'];
+
+const sameAddress = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Invoice and quote documents for bids.
+ *
+ * Gathers everything a formal document needs (line items, tax, deposit
+ * schedule, vendor and customer) into one object, which is then rendered
+ * to PDF. All amounts in the document data are in minor units of its currency.
+ */
+class BidDocumentService {
+  constructor() {
+    this.pricingRulesTable = 'business_pricing_rules';
+    this.paymentLedger = new PaymentLedgerService();
+    this.paymentSchedule = new PaymentScheduleService();
+    this.profiles = new ProfileService();
+    this.requestLookup = new RequestLookupService();
+    this.connectAccounts = new ConnectAccountService();
+  }
+
+  /**
+   * Turn a bid's pricing breakdown into line items summing to `total` (cents).
+   *
+   * Autobid stores the breakdown as "Label: $amount" lines (or a JSON object
+   * of label → amount). Total lines are dropped since the total is computed;
+   * anything the listed amounts don't account for, such as a percentage
+   * markup, becomes a final line so the items always add up.
+   */
+  parseLineItems(breakdown, total, fallbackDescription) {
+    let entries = [];
+
+    if (breakdown) {
+      let parsed = null;
+      try {
+        parsed = typeof breakdown === 'string' ? JSON.parse(breakdown) : breakdown;
+      } catch (error) {
+        // Plain text breakdown
+      }
+
+      if (parsed && typeof parsed === 'object') {
+        entries = (Array.isArray(parsed) ? parsed : Object.entries(parsed).map(([label, value]) => ({ label, value })))
+          .map(entry => ({
+            label: String(entry.label || entry.item || entry.name || entry.description || ''),
+            value: String(entry.value ?? entry.amount ?? entry.price ?? entry.cost ?? '')
+          }));
+      } else {
+        entries = String(breakdown).split('\n').map(line => {
+          const [label, ...rest] = line.split(':');
+          return { label: label.trim(), value: rest.join(':').trim() };
+        });
+      }
+    }
+
+    const items = [];
+    const adjustments = [];
+
+    for (const { label, value } of entries) {
+      if (!label || /^(sub)?total$/i.test(label)) continue;
+
+      const amount = parseFloat(value.replace(/[$,\s]/g, ''));
+      if (/\$|^\d/.test(value) && !value.includes('%') && !isNaN(amount)) {
+        items.push({ description: label, amount: Math.round(amount * 100) });
+      } else if (value.includes('%')) {
+        adjustments.push(`${label} (${value})`);
+      }
+    }
+
+    if (items.length === 0) {
+      return [{ description: fallbackDescription || 'Services as described in bid', amount: total }];
+    }
+
+    const remainder = total - items.reduce((sum, item) => sum + item.amount, 0);
+    if (remainder !== 0) {
+      items.push({ description: adjustments.length === 1 ? adjustments[0] : 'Adjustments', amount: remainder });
+    }
+
+    return items;
+  }
+
+  /**
+   * Tax settings from the vendor's pricing rules for a category
+   */
+  async getTaxSettings(businessId, category) {
+    const { data, error } = await supabase
+      .from(this.pricingRulesTable)
+      .select('include_tax, tax_rate_percent')
+      .eq('business_id', businessId)
+      .eq('category', category)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.warn(`Error fetching tax settings for business ${businessId}:`, error.message);
+    }
+
+    const rules = data?.[0];
+    const rate = parseFloat(rules?.tax_rate_percent);
+
+    return {
+      includeTax: !!rules?.include_tax && rate > 0,
+      ratePercent: rate > 0 ? rate : null
+    };
+  }
+
+  /**
+   * Deposit/balance rows for the document: the ledger once the customer has
+   * paid, otherwise what checkout would set up. Row amounts are for the
+   * service only; any gratuity paid with them is kept apart.
+   */
+  async getPaymentSchedule(bidId) {
+    const payments = await this.paymentLedger.getPaymentsForBid(bidId);
+    const split = payments.filter(p => ['deposit', 'balance'].includes(p.payment_type) && p.status !== 'canceled');
+
+    if (split.length > 0) {
+      return split.map(payment => ({
+        type: payment.payment_type,
+        amount: payment.amount - (payment.gratuity_amount || 0),
+        gratuity: payment.gratuity_amount || 0,
+        status: payment.status,
+        dueDate: payment.due_date,
+        paidAt: payment.paid_at,
+        currency: payment.currency
+      }));
+    }
+
+    const full = payments.find(p => p.payment_type === 'full' && p.status !== 'canceled');
+    if (full) {
+      return [{
+        type: 'full',
+        amount: full.amount - (full.gratuity_amount || 0),
+        gratuity: full.gratuity_amount || 0,
+        status: full.status,
+        dueDate: null,
+        paidAt: full.paid_at,
+        currency: full.currency
+      }];
+    }
+
+    const preview = await this.paymentSchedule.buildDepositSchedule(bidId);
+    if (!preview) {
+      return [];
+    }
+
+    return [
+      { type: 'deposit', amount: preview.depositAmount, status: 'due', dueDate: null, paidAt: null, percent: preview.depositPercent },
+      { type: 'balance', amount: preview.balanceAmount, status: 'scheduled', dueDate: preview.balanceDueDate.toISOString(), paidAt: null }
+    ];
+  }
+
+  /**
+   * Everything needed to render a bid's document, or null if the bid can't be found.
+   * `type` is 'invoice' or 'quote'; by default bids the customer has
+   * accepted get an invoice and anything else a quote.
+   */
+  async buildDocumentData(bidId, { type } = {}) {
+    const found = await this.requestLookup.findRequestForBid(bidId);
+    if (!found) {
+      return null;
+    }
+
+    const { bid, request, category, ownerId } = found;
+    const total = Math.round(parseFloat(bid.bid_amount) * 100);
+
+    const [business, customer, tax, schedule] = await Promise.all([
+      this.profiles.getBusinessContact(bid.user_id),
+      this.profiles.getCustomerContact(ownerId),
+      this.getTaxSettings(bid.user_id, category),
+      this.getPaymentSchedule(bidId)
+    ]);
+
+    const lineItems = this.parseLineItems(bid.pricing_breakdown, total, bid.bid_description);
+
+    // Bid amounts are in the vendor's currency
+    const currency = schedule[0]?.currency
+      || (business?.stripeAccountId ? await this.connectAccounts.getAccountCurrency(business.stripeAccountId) : DEFAULT_CURRENCY);
+
+    // Tax-inclusive pricing: the bid amount already contains the tax
+    const taxAmount = tax.includeTax ? Math.round(total - total / (1 + tax.ratePercent / 100)) : 0;
+    const documentType = type || (INVOICE_STATUSES.includes(bid.status) || bid.payment_status ? 'invoice' : 'quote');
+    const summary = this.requestLookup.summarize(request);
+    const paid = schedule.filter(row => ['succeeded', 'partially_refunded'].includes(row.status));
+
+    return {
+      type: documentType,
+      number: `${documentType === 'invoice' ? 'INV' : 'QTE'}-${String(bid.id).slice(0, 8).toUpperCase()}`,
+      issuedAt: new Date().toISOString(),
+      bid: {
+        id: bid.id,
+        description: bid.bid_description,
+        category,
+        createdAt: bid.created_at
+      },
+      event: {
+        title: summary.title,
+        location: summary.location,
+        date: summary.eventDate
+      },
+      business,
+      customer,
+      lineItems,
+      subtotal: total - taxAmount,
+      tax: tax.includeTax ? { ratePercent: tax.ratePercent, amount: taxAmount } : null,
+      total,
+      currency,
+      schedule,
+      amountPaid: paid.reduce((sum, row) => sum + row.amount, 0),
+      gratuity: paid.reduce((sum, row) => sum + (row.gratuity || 0), 0)
+    };
+  }
+
+  /**
+   * Render document data to PDF. Returns { buffer, filename, data }.
+   */
+  async render(data) {
+    return {
+      buffer: await renderBidDocument(data),
+      filename: `bidi-${data.type}-${data.number}.pdf`,
+      data
+    };
+  }
+
+  /**
+   * Build and render a bid's document, or null if the bid can't be found
+   */
+  async generate(bidId, options = {}) {
+    const data = await this.buildDocumentData(bidId, options);
+    return data ? this.render(data) : null;
+  }
+
+  /**
+   * Build and render a bid's document for emailing to its customer and
+   * vendor. The document has both parties' contact details, so it's null
+   * unless both addresses really are theirs (or the bid can't be found).
+   */
+  async generateForRecipients(bidId, { customerEmail, businessEmail }, options = {}) {
+    const data = await this.buildDocumentData(bidId, options);
+    if (!data || !sameAddress(data.customer?.email, customerEmail) || !sameAddress(data.business?.email, businessEmail)) {
+      return null;
+    }
+
+    return this.render(data);
+  }
+}
+
+module.exports = BidDocumentService;
@@ -0,0 +1,177 @@
+const supabase = require('../supabaseClient');
+const stripe = require('../stripeClient');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../currency');
+const NotificationService = require('./notificationService');
+
+// Where vendors finish onboarding. Stripe onboarding links expire within
+// minutes, so emails point here and the page requests a fresh session from
+// /account_session when the vendor opens it.
+const ONBOARDING_URL = 'https://www.savewithbidi.com/payment-setup';
+
+/**
+ * Keeps vendors' Stripe Connect status on business_profiles in step with
+ * Stripe, and tells the vendor when Stripe needs something from them.
+ */
+class ConnectAccountService {
+  constructor() {
+    this.businessProfilesTable = 'business_profiles';
+  }
+
+  /**
+   * Business profile owning a connected account, with the last synced status
+   */
+  async findBusinessByAccount(accountId) {
+    const { data, error } = await supabase
+      .from(this.businessProfilesTable)
+      .select('id, business_name, stripe_charges_enabled, stripe_payouts_enabled, stripe_requirements_due, stripe_disabled_reason, profiles(email)')
+      .eq('stripe_account_id', accountId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to find business for account ${accountId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * The columns we persist for an account
+   */
+  summarize(account) {
+    return {
+      stripe_charges_enabled: !!account.charges_enabled,
+      stripe_payouts_enabled: !!account.payouts_enabled,
+      stripe_details_submitted: !!account.details_submitted,
+      stripe_country: account.country || null,
+      stripe_default_currency: account.default_currency || null,
+      stripe_requirements_due: account.requirements?.currently_due || [],
+      stripe_disabled_reason: account.requirements?.disabled_reason || null,
+      stripe_requirements_deadline: account.requirements?.current_deadline
+        ? new Date(account.requirements.current_deadline * 1000).toISOString()
+        : null,
+      stripe_status_updated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * What changed since the last sync that the vendor needs to hear about.
+   * New requirements only count once onboarding was submitted; before
+   * that the vendor is still working through the onboarding form.
+   */
+  detectChanges(business, status) {
+    const previous = business.stripe_requirements_due || [];
+    const newRequirements = status.stripe_requirements_due.filter(field => !previous.includes(field));
+
+    const lostCharges = business.stripe_charges_enabled !== false && !status.stripe_charges_enabled;
+    const lostPayouts = business.stripe_payouts_enabled !== false && !status.stripe_payouts_enabled;
+    const newlyDisabled = !!status.stripe_disabled_reason && status.stripe_disabled_reason !== business.stripe_disabled_reason;
+
+    // A business synced for the first time has nothing to lose yet
+    const firstSync = business.stripe_charges_enabled === null || business.stripe_charges_enabled === undefined;
+
+    return {
+      newRequirements: status.stripe_details_submitted ? newRequirements : [],
+      disabled: status.stripe_details_submitted && (newlyDisabled || (!firstSync && (lostCharges || lostPayouts)))
+    };
+  }
+
+  /**
+   * Persist an account's status on its business profile and, when `notify`
+   * is set, email the vendor about new requirements or a disabled account.
+   * Returns the saved status, or null if no business uses the account.
+   */
+  async syncAccount(account, { notify = true } = {}) {
+    const business = await this.findBusinessByAccount(account.id);
+    if (!business) {
+      console.warn(`No business profile for connected account ${account.id}, skipping`);
+      return null;
+    }
+
+    const status = this.summarize(account);
+    const changes = this.detectChanges(business, status);
+
+    const { error } = await supabase
+      .from(this.businessProfilesTable)
+      .update(status)
+      .eq('id', business.id);
+
+    if (error) {
+      throw new Error(`Failed to save Stripe status for business ${business.id}: ${error.message}`);
+    }
+
+    console.log(`🏦 Stripe status for business ${business.id}: charges ${status.stripe_charges_enabled ? 'on' : 'off'}, payouts ${status.stripe_payouts_enabled ? 'on' : 'off'}, ${status.stripe_requirements_due.length} requirement(s) due`);
+
+    if (notify && (changes.disabled || changes.newRequirements.length > 0)) {
+      await this.notifyVendor(business, status, changes);
+    }
+
+    return status;
+  }
+
+  /**
+   * Email the vendor what Stripe needs and where to provide it
+   */
+  async notifyVendor(business, status, changes) {
+    const email = business.profiles?.email;
+    if (!email) {
+      console.warn(`Business ${business.id} has no email for Stripe requirement notice`);
+      return;
+    }
+
+    try {
+      await new NotificationService().sendEmail({
+        to: email,
+        userId: business.id,
+        category: 'account',
+        template: 'account-requirements',
+        variables: {
+          businessName: business.business_name,
+          // The whole list, not just what's new, so the email is complete
+          requirements: status.stripe_requirements_due,
+          disabled: changes.disabled,
+          deadline: status.stripe_requirements_deadline,
+          onboardingUrl: ONBOARDING_URL
+        }
+      });
+      console.log(`📧 Sent Stripe requirements notice to business ${business.id}`);
+    } catch (error) {
+      // The status is saved; the next change will try to notify again
+      console.error(`Error emailing business ${business.id} about Stripe requirements:`, error.message);
+    }
+  }
+
+  /**
+   * Currency a connected account is paid in: the synced value on the
+   * business profile, else what Stripe reports, else USD
+   */
+  async getAccountCurrency(accountId) {
+    const { data } = await supabase
+      .from(this.businessProfilesTable)
+      .select('stripe_default_currency')
+      .eq('stripe_account_id', accountId)
+      .maybeSingle();
+
+    if (data?.stripe_default_currency) {
+      return normalizeCurrency(data.stripe_default_currency);
+    }
+
+    try {
+      const account = await stripe.accounts.retrieve(accountId);
+      return normalizeCurrency(account.default_currency);
+    } catch (error) {
+      console.warn(`Could not look up currency for account ${accountId}:`, error.message);
+      return DEFAULT_CURRENCY;
+    }
+  }
+
+  /**
+   * account.updated
+   */
+  async handleAccountUpdated(account) {
+    return this.syncAccount(account);
+  }
+}
+
+ConnectAccountService.ONBOARDING_URL = ONBOARDING_URL;
+
+module.exports = ConnectAccountService;
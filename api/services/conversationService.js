@@ -0,0 +1,510 @@
+const supabase = require('../supabaseClient');
+const RequestLookupService = require('./requestLookupService');
+const MessageAttachmentService = require('./messageAttachmentService');
+
+// Longest message kept on the conversation for the list view
+const PREVIEW_LENGTH = 140;
+
+// Legacy messages adopted into threads per call, so one busy user's
+// first load doesn't run unbounded
+const LEGACY_BATCH = 500;
+
+const pairKey = (a, b) => [a, b].sort().join(':');
+
+const preview = (message) => (message.length > PREVIEW_LENGTH
+  ? `${message.slice(0, PREVIEW_LENGTH - 3)}...`
+  : message);
+
+// Preview text for a message, naming its attachments when it has no text
+const previewOf = (message) => {
+  if (message.message || !message.attachments?.length) {
+    return preview(message.message || '');
+  }
+
+  const [first, ...rest] = message.attachments;
+  return preview(`📎 ${first.fileName}${rest.length ? ` and ${rest.length} more` : ''}`);
+};
+
+/**
+ * Conversation threads between users.
+ *
+ * A conversation lives in `conversations` and is about a bid, a request or
+ * nothing in particular (a direct thread between two users). Its
+ * `thread_key` is unique, so each bid has one thread, each vendor has one
+ * per request and each pair of users one direct thread. Members are in
+ * `conversation_participants`, where `last_read_at` drives unread counts
+ * and read receipts (a message has been seen by everyone whose
+ * last_read_at is at or after it), and `messages.conversation_id` ties
+ * messages to their thread. The last message is copied onto the
+ * conversation for the list view. Files sent with messages are handled by
+ * MessageAttachmentService.
+ *
+ * Messages from before threads existed have no conversation_id; they're
+ * moved into the pair's direct thread the first time either user lists
+ * their conversations.
+ */
+class ConversationService {
+  constructor() {
+    this.conversationsTable = 'conversations';
+    this.participantsTable = 'conversation_participants';
+    this.messagesTable = 'messages';
+    this.requestLookup = new RequestLookupService();
+    this.attachments = new MessageAttachmentService();
+  }
+
+  async getConversation(conversationId) {
+    const { data, error } = await supabase
+      .from(this.conversationsTable)
+      .select(`*, ${this.participantsTable}(user_id, role, last_read_at)`)
+      .eq('id', conversationId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch conversation ${conversationId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async getByThreadKey(threadKey) {
+    const { data, error } = await supabase
+      .from(this.conversationsTable)
+      .select(`*, ${this.participantsTable}(user_id, role, last_read_at)`)
+      .eq('thread_key', threadKey)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch conversation ${threadKey}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  isParticipant(conversation, userId) {
+    return !!conversation?.[this.participantsTable]?.some(participant => participant.user_id === userId);
+  }
+
+  /**
+   * Fetch a conversation by thread key, creating it with its participants
+   * when it doesn't exist yet. Two people starting the same thread at once
+   * both end up with the one the unique thread_key let through.
+   */
+  async findOrCreate({ threadKey, requestId = null, bidId = null, title = null, createdBy, participants }) {
+    const existing = await this.getByThreadKey(threadKey);
+    if (existing) return existing;
+
+    const now = new Date().toISOString();
+    const { data: conversation, error } = await supabase
+      .from(this.conversationsTable)
+      .insert({
+        thread_key: threadKey,
+        request_id: requestId,
+        bid_id: bidId,
+        title,
+        created_by: createdBy,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      return this.getByThreadKey(threadKey);
+    }
+    if (error) {
+      throw new Error(`Failed to create conversation ${threadKey}: ${error.message}`);
+    }
+
+    const { error: participantsError } = await supabase
+      .from(this.participantsTable)
+      .insert(participants.map(({ userId, role }) => ({
+        conversation_id: conversation.id,
+        user_id: userId,
+        role: role || null,
+        joined_at: now
+      })));
+
+    if (participantsError) {
+      throw new Error(`Failed to add participants to conversation ${conversation.id}: ${participantsError.message}`);
+    }
+
+    console.log(`💬 Started conversation ${conversation.id} (${threadKey})`);
+    return this.getConversation(conversation.id);
+  }
+
+  /**
+   * The thread for a bid, between its vendor and the customer who posted
+   * the request. Returns { success: true, conversation } or
+   * { success: false, status, error }.
+   */
+  async forBid(bidId, userId) {
+    const found = await this.requestLookup.findRequestForBid(bidId);
+    if (!found) {
+      return { success: false, status: 404, error: 'Bid not found' };
+    }
+
+    const vendorId = found.bid.user_id;
+    const customerId = found.ownerId;
+    if (userId !== vendorId && userId !== customerId) {
+      return { success: false, status: 403, error: 'Only the vendor and customer on a bid can message about it' };
+    }
+
+    const conversation = await this.findOrCreate({
+      threadKey: `bid:${bidId}`,
+      requestId: found.bid.request_id,
+      bidId,
+      title: this.requestLookup.summarize(found.request).title,
+      createdBy: userId,
+      participants: [
+        { userId: customerId, role: 'customer' },
+        { userId: vendorId, role: 'vendor' }
+      ].filter(participant => participant.userId)
+    });
+
+    return { success: true, conversation };
+  }
+
+  /**
+   * The thread between a request's customer and one vendor, before any bid.
+   * `otherUserId` is the vendor when the customer starts it.
+   */
+  async forRequest(requestId, userId, otherUserId) {
+    const found = await this.requestLookup.findRequest(requestId);
+    if (!found) {
+      return { success: false, status: 404, error: 'Request not found' };
+    }
+
+    const customerId = found.ownerId;
+    const vendorId = userId === customerId ? otherUserId : userId;
+    if (!vendorId || vendorId === customerId) {
+      return { success: false, status: 400, error: 'participantId is required to message a vendor about your request' };
+    }
+
+    const conversation = await this.findOrCreate({
+      threadKey: `request:${requestId}:${vendorId}`,
+      requestId,
+      title: this.requestLookup.summarize(found.request).title,
+      createdBy: userId,
+      participants: [
+        { userId: customerId, role: 'customer' },
+        { userId: vendorId, role: 'vendor' }
+      ]
+    });
+
+    return { success: true, conversation };
+  }
+
+  /**
+   * The direct thread between two users
+   */
+  async direct(userId, otherUserId) {
+    if (!otherUserId || otherUserId === userId) {
+      return { success: false, status: 400, error: 'participantId must be another user' };
+    }
+
+    const conversation = await this.findOrCreate({
+      threadKey: `direct:${pairKey(userId, otherUserId)}`,
+      createdBy: userId,
+      participants: [{ userId }, { userId: otherUserId }]
+    });
+
+    return { success: true, conversation };
+  }
+
+  /**
+   * Everyone the user shares a conversation with, as a Set of user IDs
+   */
+  async getContactIds(userId) {
+    const { data: memberships, error } = await supabase
+      .from(this.participantsTable)
+      .select('conversation_id')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to fetch conversations for ${userId}: ${error.message}`);
+    }
+
+    if (!memberships || memberships.length === 0) return new Set();
+
+    const { data, error: participantsError } = await supabase
+      .from(this.participantsTable)
+      .select('user_id')
+      .in('conversation_id', memberships.map(membership => membership.conversation_id))
+      .neq('user_id', userId);
+
+    if (participantsError) {
+      throw new Error(`Failed to fetch contacts for ${userId}: ${participantsError.message}`);
+    }
+
+    return new Set((data || []).map(row => row.user_id));
+  }
+
+  /**
+   * Pick the thread for a bid, request or pair of users, in that order
+   */
+  async resolve({ bidId, requestId, participantId }, userId) {
+    if (bidId) return this.forBid(bidId, userId);
+    if (requestId) return this.forRequest(requestId, userId, participantId);
+    return this.direct(userId, participantId);
+  }
+
+  /**
+   * Move the user's unthreaded messages into direct threads with whoever
+   * they were talking to
+   */
+  async adoptLegacyMessages(userId) {
+    const { data, error } = await supabase
+      .from(this.messagesTable)
+      .select('sender_id, receiver_id')
+      .is('conversation_id', null)
+      .or(`sender_id.eq.${userId},receiver_id.eq.${userId}`)
+      .limit(LEGACY_BATCH);
+
+    if (error) {
+      throw new Error(`Failed to fetch unthreaded messages for ${userId}: ${error.message}`);
+    }
+
+    const others = new Set((data || [])
+      .map(row => (row.sender_id === userId ? row.receiver_id : row.sender_id))
+      .filter(otherId => otherId && otherId !== userId));
+
+    for (const otherId of others) {
+      const { conversation } = await this.direct(userId, otherId);
+
+      const { data: adopted, error: adoptError } = await supabase
+        .from(this.messagesTable)
+        .update({ conversation_id: conversation.id })
+        .is('conversation_id', null)
+        .or(`and(sender_id.eq.${userId},receiver_id.eq.${otherId}),and(sender_id.eq.${otherId},receiver_id.eq.${userId})`)
+        .select('message, sender_id, created_at')
+        .order('created_at', { ascending: false });
+
+      if (adoptError) {
+        throw new Error(`Failed to thread messages between ${userId} and ${otherId}: ${adoptError.message}`);
+      }
+
+      const latest = adopted?.[0];
+      if (latest && (!conversation.last_message_at || latest.created_at > conversation.last_message_at)) {
+        await this.touch(conversation.id, latest);
+      }
+    }
+  }
+
+  /**
+   * Copy a message onto its conversation as the latest one
+   */
+  async touch(conversationId, message) {
+    const { error } = await supabase
+      .from(this.conversationsTable)
+      .update({
+        last_message_at: message.created_at,
+        last_message_preview: previewOf(message),
+        last_message_sender_id: message.sender_id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', conversationId);
+
+    if (error) {
+      throw new Error(`Failed to update conversation ${conversationId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Messages in a conversation the user hasn't read
+   */
+  async countUnread(conversationId, userId, lastReadAt) {
+    let query = supabase
+      .from(this.messagesTable)
+      .select('id', { count: 'exact', head: true })
+      .eq('conversation_id', conversationId)
+      .neq('sender_id', userId);
+
+    if (lastReadAt) {
+      query = query.gt('created_at', lastReadAt);
+    }
+
+    const { count, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to count unread messages in ${conversationId}: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * The user's conversations, most recently active first, each with its
+   * participants, last message and unread count. Pass the previous page's
+   * nextCursor as `before` for the next page.
+   */
+  async listForUser(userId, { limit = 20, before = null } = {}) {
+    await this.adoptLegacyMessages(userId);
+
+    const { data: memberships, error: membershipError } = await supabase
+      .from(this.participantsTable)
+      .select('conversation_id, last_read_at')
+      .eq('user_id', userId);
+
+    if (membershipError) {
+      throw new Error(`Failed to fetch conversations for ${userId}: ${membershipError.message}`);
+    }
+
+    if (!memberships || memberships.length === 0) {
+      return { conversations: [], nextCursor: null };
+    }
+
+    let query = supabase
+      .from(this.conversationsTable)
+      .select(`*, ${this.participantsTable}(user_id, role)`)
+      .in('id', memberships.map(membership => membership.conversation_id))
+      .not('last_message_at', 'is', null)
+      .order('last_message_at', { ascending: false })
+      .limit(limit);
+
+    if (before) {
+      query = query.lt('last_message_at', before);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch conversations for ${userId}: ${error.message}`);
+    }
+
+    const lastRead = new Map(memberships.map(membership => [membership.conversation_id, membership.last_read_at]));
+    const conversations = await Promise.all((data || []).map(async conversation => ({
+      id: conversation.id,
+      title: conversation.title,
+      requestId: conversation.request_id,
+      bidId: conversation.bid_id,
+      participants: conversation[this.participantsTable].map(({ user_id: id, role }) => ({ userId: id, role })),
+      lastMessage: {
+        preview: conversation.last_message_preview,
+        senderId: conversation.last_message_sender_id,
+        createdAt: conversation.last_message_at
+      },
+      unreadCount: await this.countUnread(conversation.id, userId, lastRead.get(conversation.id))
+    })));
+
+    return {
+      conversations,
+      nextCursor: conversations.length === limit ? conversations[conversations.length - 1].lastMessage.createdAt : null
+    };
+  }
+
+  /**
+   * A page of a conversation's messages, oldest first, each with its
+   * `attachments`. Pass nextCursor as `before` to load older ones.
+   */
+  async getMessages(conversationId, { limit = 50, before = null } = {}) {
+    let query = supabase
+      .from(this.messagesTable)
+      .select('id, conversation_id, sender_id, receiver_id, message, created_at')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (before) {
+      query = query.lt('created_at', before);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch messages for conversation ${conversationId}: ${error.message}`);
+    }
+
+    const messages = (data || []).reverse();
+    const attachments = await this.attachments.forMessages(messages.map(message => message.id));
+    return {
+      messages: messages.map(message => ({ ...message, attachments: attachments.get(message.id) || [] })),
+      nextCursor: messages.length === limit ? messages[0].created_at : null
+    };
+  }
+
+  /**
+   * Add a message to a conversation, with any pending uploads from
+   * MessageAttachmentService.getPending. receiver_id is still filled in for
+   * two-person threads so older clients keep working.
+   */
+  async sendMessage(conversation, senderId, message, attachments = []) {
+    const receiver = conversation[this.participantsTable].find(participant => participant.user_id !== senderId);
+
+    const { data, error } = await supabase
+      .from(this.messagesTable)
+      .insert({
+        conversation_id: conversation.id,
+        sender_id: senderId,
+        receiver_id: receiver?.user_id || null,
+        message: message || ''
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to send message in conversation ${conversation.id}: ${error.message}`);
+    }
+
+    const sent = { ...data, attachments: await this.attachments.claim(attachments, data.id) };
+
+    await this.touch(conversation.id, sent);
+    await this.markRead(conversation.id, senderId, sent.created_at);
+    return sent;
+  }
+
+  /**
+   * A message in a conversation, or null
+   */
+  async getMessage(conversationId, messageId) {
+    const { data, error } = await supabase
+      .from(this.messagesTable)
+      .select('id, sender_id, created_at')
+      .eq('conversation_id', conversationId)
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch message ${messageId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Mark the conversation read for a user up to `at` (default now). Read
+   * state only moves forward, so a stale receipt from another tab can't
+   * un-read messages. Returns the new last_read_at, or null if it didn't move.
+   */
+  async markRead(conversationId, userId, at = new Date().toISOString()) {
+    const { data, error } = await supabase
+      .from(this.participantsTable)
+      .update({ last_read_at: at })
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+      .or(`last_read_at.is.null,last_read_at.lt."${at}"`)
+      .select('last_read_at');
+
+    if (error) {
+      throw new Error(`Failed to mark conversation ${conversationId} read: ${error.message}`);
+    }
+
+    return data?.[0]?.last_read_at || null;
+  }
+
+  /**
+   * Add `readBy` to each message: the other participants who have read it
+   */
+  withReadReceipts(conversation, messages) {
+    const participants = conversation[this.participantsTable] || [];
+
+    return messages.map(message => ({
+      ...message,
+      readBy: participants
+        .filter(participant => participant.user_id !== message.sender_id
+          && participant.last_read_at && participant.last_read_at >= message.created_at)
+        .map(participant => participant.user_id)
+    }));
+  }
+}
+
+module.exports = ConversationService;
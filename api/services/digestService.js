@@ -0,0 +1,360 @@
+const supabase = require('../supabaseClient');
+const NotificationService = require('./notificationService');
+const NotificationPreferenceService = require('./notificationPreferenceService');
+const RequestLookupService = require('./requestLookupService');
+const GeoService = require('./geoService');
+const { formatAmount, normalizeCurrency } = require('../currency');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How far back a first digest looks, and roughly how often each is sent.
+// The minimum gap is a little under the period so the send time doesn't
+// creep later each day when the hourly job runs a few minutes late.
+const PERIODS = {
+  daily: { lengthMs: DAY_MS, minimumGapMs: 20 * HOUR_MS },
+  weekly: { lengthMs: 7 * DAY_MS, minimumGapMs: 6.5 * DAY_MS }
+};
+
+// Weekly digests start on a Monday
+const WEEKLY_START_DAY = 1;
+
+// Items listed in the email; the counts include the rest
+const LIST_LIMIT = 5;
+
+// Consultations this far ahead are included
+const CONSULTATION_LOOKAHEAD_MS = 7 * DAY_MS;
+
+const formatCategory = (category) => category.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+
+/**
+ * Daily and weekly summary emails for vendors who chose a digest instead
+ * of instant alerts.
+ *
+ * The hourly vendor-digest cron job sends each vendor's digest once it's
+ * past DIGEST_SEND_HOUR in their timezone and a period has passed since
+ * their last one. A digest covers new requests in the vendor's categories
+ * and service area that they haven't bid on, new messages, their bids still
+ * awaiting a customer response and consultations in the coming week. Every
+ * run is logged to `notification_digests`, which is also where the next
+ * digest picks up from.
+ */
+class DigestService {
+  constructor() {
+    this.digestsTable = 'notification_digests';
+    this.businessProfilesTable = 'business_profiles';
+    this.bidsTable = 'bids';
+    this.messagesTable = 'messages';
+    this.consultationsTable = 'consultation_events';
+    this.sendHour = parseInt(process.env.DIGEST_SEND_HOUR, 10) || 8;
+    this.notifications = new NotificationService();
+    this.preferences = new NotificationPreferenceService();
+    this.requestLookup = new RequestLookupService();
+    this.geo = new GeoService();
+  }
+
+  /**
+   * Each user's most recent digest, as a Map keyed by user ID
+   */
+  async getLastDigests(userIds) {
+    if (userIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+      .from(this.digestsTable)
+      .select('user_id, frequency, period_end')
+      .in('user_id', userIds)
+      .order('period_end', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch previous digests: ${error.message}`);
+    }
+
+    const last = new Map();
+    for (const row of data || []) {
+      if (!last.has(row.user_id)) last.set(row.user_id, row);
+    }
+    return last;
+  }
+
+  /**
+   * Whether a vendor's digest should go out now
+   */
+  isDue(preferences, lastDigest, now = new Date()) {
+    const period = PERIODS[preferences.frequency];
+    if (!period) return false;
+
+    const local = this.preferences.localTime(preferences, now);
+    if (local.hour < this.sendHour) return false;
+
+    if (!lastDigest) {
+      return preferences.frequency !== 'weekly' || local.weekday === WEEKLY_START_DAY;
+    }
+
+    return now - new Date(lastDigest.period_end) >= period.minimumGapMs;
+  }
+
+  /**
+   * New requests in the vendor's categories and service area since `since`
+   * that they haven't bid on. `requestCache` shares the per-category
+   * queries between vendors in one run.
+   */
+  async getNewRequests(business, since, requestCache) {
+    const categories = Array.isArray(business.business_category)
+      ? business.business_category
+      : [business.business_category].filter(Boolean);
+
+    const candidates = [];
+    for (const category of categories) {
+      const key = `${category}:${since.toISOString()}`;
+      if (!requestCache.has(key)) {
+        requestCache.set(key, await this.requestLookup.getRecentRequests(category, since));
+      }
+      candidates.push(...requestCache.get(key));
+    }
+
+    if (candidates.length === 0) return [];
+
+    const { data: bids, error } = await supabase
+      .from(this.bidsTable)
+      .select('request_id')
+      .eq('user_id', business.id)
+      .in('request_id', candidates.map(candidate => candidate.request.id));
+
+    if (error) {
+      throw new Error(`Failed to fetch bids for business ${business.id}: ${error.message}`);
+    }
+
+    const alreadyBid = new Set((bids || []).map(bid => bid.request_id));
+    const matches = [];
+
+    for (const candidate of candidates) {
+      if (alreadyBid.has(candidate.request.id)) continue;
+
+      const { inArea } = await this.geo.checkServiceArea(business, candidate.request.location);
+      if (inArea) matches.push(candidate);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Messages sent to the vendor since `since`
+   */
+  async getNewMessages(businessId, since) {
+    const { data, error } = await supabase
+      .from(this.messagesTable)
+      .select('id, sender_id, created_at')
+      .eq('receiver_id', businessId)
+      .gte('created_at', since.toISOString());
+
+    if (error) {
+      throw new Error(`Failed to fetch messages for business ${businessId}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * The vendor's bids still waiting on the customer
+   */
+  async getPendingBids(businessId) {
+    const { data, error } = await supabase
+      .from(this.bidsTable)
+      .select('id, request_id, bid_amount, created_at')
+      .eq('user_id', businessId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch pending bids for business ${businessId}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * The vendor's consultations in the coming week, soonest first
+   */
+  async getUpcomingConsultations(businessId, now) {
+    const { data, error } = await supabase
+      .from(this.consultationsTable)
+      .select('id, start_time, end_time, meet_link, bid_id')
+      .eq('business_id', businessId)
+      .gte('start_time', now.toISOString())
+      .lt('start_time', new Date(now.getTime() + CONSULTATION_LOOKAHEAD_MS).toISOString())
+      .order('start_time', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch consultations for business ${businessId}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Template variables for one vendor's digest, or null if there's nothing
+   * to tell them
+   */
+  async buildDigest(business, preferences, { since, now, requestCache }) {
+    const wants = (category) => preferences.categories[category]?.email !== false;
+    const currency = normalizeCurrency(business.stripe_default_currency);
+
+    const [newRequests, messages, pendingBids, consultations] = await Promise.all([
+      wants('new_request') ? this.getNewRequests(business, since, requestCache) : [],
+      wants('messages') ? this.getNewMessages(business.id, since) : [],
+      this.getPendingBids(business.id),
+      this.getUpcomingConsultations(business.id, now)
+    ]);
+
+    if (newRequests.length + messages.length + pendingBids.length + consultations.length === 0) {
+      return null;
+    }
+
+    const listedBids = await Promise.all(pendingBids.slice(0, LIST_LIMIT).map(async bid => {
+      const found = await this.requestLookup.findRequest(bid.request_id);
+      return {
+        title: this.requestLookup.summarize(found?.request).title || 'Your bid',
+        amount: formatAmount(bid.bid_amount, currency)
+      };
+    }));
+
+    return {
+      businessName: business.business_name || 'there',
+      period: preferences.frequency,
+      newRequests: newRequests.slice(0, LIST_LIMIT).map(({ request, category }) => {
+        const summary = this.requestLookup.summarize(request);
+        return {
+          title: summary.title || 'New request',
+          category: formatCategory(category),
+          location: summary.location,
+          budget: summary.budget,
+          date: summary.eventDate ? summary.eventDate.toLocaleDateString('en-US', { dateStyle: 'long' }) : null
+        };
+      }),
+      newRequestCount: newRequests.length,
+      messageCount: messages.length,
+      senderCount: new Set(messages.map(message => message.sender_id)).size,
+      pendingBids: listedBids,
+      pendingBidCount: pendingBids.length,
+      consultations: consultations.map(consultation => ({
+        when: new Date(consultation.start_time).toLocaleString('en-US', {
+          timeZone: preferences.timezone,
+          weekday: 'short',
+          month: 'short',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: '2-digit',
+          timeZoneName: 'short'
+        }),
+        meetLink: consultation.meet_link || null
+      }))
+    };
+  }
+
+  async recordDigest(row) {
+    const { error } = await supabase
+      .from(this.digestsTable)
+      .insert({ ...row, created_at: new Date().toISOString() });
+
+    if (error) {
+      throw new Error(`Failed to record digest for ${row.user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build and send one vendor's digest, and log it.
+   * Returns 'sent', 'empty' or the reason it was skipped.
+   */
+  async sendDigest(business, preferences, lastDigest, { now, requestCache }) {
+    const period = PERIODS[preferences.frequency];
+    const since = lastDigest
+      ? new Date(lastDigest.period_end)
+      : new Date(now.getTime() - period.lengthMs);
+
+    const variables = await this.buildDigest(business, preferences, { since, now, requestCache });
+    const email = business.profiles?.email;
+    let status = 'empty';
+    let outboxId = null;
+
+    if (variables && email) {
+      const result = await this.notifications.sendEmail({
+        to: email,
+        userId: business.id,
+        category: 'digest',
+        template: 'vendor-digest',
+        variables,
+        metadata: { business_id: business.id, frequency: preferences.frequency }
+      });
+      status = result.status === 'skipped' ? result.reason : 'sent';
+      outboxId = result.outboxId || null;
+    } else if (variables) {
+      status = 'no_email';
+    }
+
+    await this.recordDigest({
+      user_id: business.id,
+      frequency: preferences.frequency,
+      period_start: since.toISOString(),
+      period_end: now.toISOString(),
+      status,
+      outbox_id: outboxId,
+      counts: variables
+        ? {
+          new_requests: variables.newRequestCount,
+          messages: variables.messageCount,
+          pending_bids: variables.pendingBidCount,
+          consultations: variables.consultations.length
+        }
+        : null
+    });
+
+    return status;
+  }
+
+  /**
+   * Send every digest that's due, stopping once `deadline` (a timestamp
+   * in ms) passes. Vendors not reached stay due for the next run.
+   */
+  async sendDueDigests({ deadline = null, now = new Date() } = {}) {
+    const stats = { vendors: 0, due: 0, sent: 0, empty: 0, skipped: 0, failed: 0 };
+    const subscribers = await this.preferences.getByFrequency(Object.keys(PERIODS));
+    if (subscribers.size === 0) return stats;
+
+    // Digests are for vendors; customers with a digest frequency are ignored
+    const { data: businesses, error } = await supabase
+      .from(this.businessProfilesTable)
+      .select('id, business_name, business_category, stripe_default_currency, service_latitude, service_longitude, service_radius_miles, profiles(email)')
+      .in('id', [...subscribers.keys()]);
+
+    if (error) {
+      throw new Error(`Failed to fetch digest vendors: ${error.message}`);
+    }
+
+    stats.vendors = businesses.length;
+    const lastDigests = await this.getLastDigests(businesses.map(business => business.id));
+    const due = businesses.filter(business => this.isDue(subscribers.get(business.id), lastDigests.get(business.id), now));
+    stats.due = due.length;
+
+    const requestCache = new Map();
+
+    for (const business of due) {
+      if (deadline && Date.now() >= deadline) break;
+
+      try {
+        const status = await this.sendDigest(business, subscribers.get(business.id), lastDigests.get(business.id), { now, requestCache });
+        if (status === 'sent') stats.sent++;
+        else if (status === 'empty') stats.empty++;
+        else stats.skipped++;
+      } catch (error) {
+        console.error(`❌ Failed to send digest to business ${business.id}:`, error.message);
+        stats.failed++;
+      }
+    }
+
+    return stats;
+  }
+}
+
+DigestService.PERIODS = PERIODS;
+
+module.exports = DigestService;
@@ -0,0 +1,403 @@
+const supabase = require('../supabaseClient');
+const stripe = require('../stripeClient');
+const ProfileService = require('./profileService');
+const RequestLookupService = require('./requestLookupService');
+
+// Ledger statuses where money reached the vendor (possibly returned since)
+const EARNED_STATUSES = ['succeeded', 'partially_refunded', 'refunded', 'disputed'];
+
+/**
+ * Vendor earnings and payouts for reconciliation.
+ *
+ * Earnings come from the payments ledger, where every row is tied to a bid
+ * through the checkout metadata, so each amount can be traced back to the
+ * booking it paid for. Payouts come from the vendor's connected Stripe
+ * account. All amounts are in cents.
+ */
+class EarningsService {
+  constructor() {
+    this.paymentsTable = 'bid_payments';
+    this.refundsTable = 'bid_refunds';
+    this.profiles = new ProfileService();
+    this.requestLookup = new RequestLookupService();
+    // Page size when reading a whole date range for aggregates
+    this.batchSize = 1000;
+  }
+
+  /**
+   * Gross, gratuity, discount, platform fee, refunds and net for one ledger row.
+   * Gross is the full price including the gratuity, which carries no
+   * platform fee, and any Bidi-funded discount, which Bidi pays out of its
+   * fee (and a top-up transfer when the fee doesn't cover it).
+   * The fee and top-up are returned in proportion to what was refunded, as
+   * refunds are issued with refund_application_fee.
+   */
+  breakdown(payment) {
+    const charged = payment.amount || 0;
+    const discount = payment.discount_amount || 0;
+    const topUp = payment.platform_top_up_amount || 0;
+    const gross = charged + discount;
+    const gratuity = payment.gratuity_amount || 0;
+    const refunded = payment.amount_refunded || 0;
+    const applicationFee = payment.application_fee_amount || 0;
+    const platformFee = applicationFee + discount - topUp;
+    const feeRefunded = charged > 0 ? Math.round(applicationFee * refunded / charged) : 0;
+    const topUpReversed = charged > 0 ? Math.round(topUp * refunded / charged) : 0;
+
+    return {
+      gross,
+      gratuity,
+      discount,
+      platformFee,
+      refunded,
+      feeRefunded,
+      net: gross - refunded - (platformFee - feeRefunded) - topUpReversed
+    };
+  }
+
+  /**
+   * Ledger rows for a vendor's bids, newest first, optionally within a
+   * paid_at range and/or for one bid
+   */
+  buildQuery(businessId, { from, to, bidId } = {}, { count = false } = {}) {
+    let query = supabase
+      .from(this.paymentsTable)
+      .select('*, bids!inner(id, user_id, request_id, category, bid_amount)', count ? { count: 'exact' } : undefined)
+      .eq('bids.user_id', businessId)
+      .in('status', EARNED_STATUSES)
+      .order('paid_at', { ascending: false });
+
+    if (from) query = query.gte('paid_at', from.toISOString());
+    if (to) query = query.lt('paid_at', to.toISOString());
+    if (bidId) query = query.eq('bid_id', bidId);
+
+    return query;
+  }
+
+  /**
+   * One entry of the earnings list
+   */
+  formatEarning(payment) {
+    return {
+      paymentId: payment.id,
+      bidId: payment.bid_id,
+      requestId: payment.bids?.request_id || null,
+      category: payment.bids?.category || null,
+      paymentType: payment.payment_type,
+      status: payment.status,
+      // 'held' until an escrow payment is transferred; null for direct payments
+      escrowStatus: payment.escrow_status || null,
+      currency: payment.currency,
+      paidAt: payment.paid_at,
+      stripePaymentIntentId: payment.stripe_payment_intent_id,
+      stripeChargeId: payment.stripe_charge_id,
+      ...this.breakdown(payment)
+    };
+  }
+
+  /**
+   * Sum breakdowns
+   */
+  totals(earnings) {
+    return earnings.reduce((sum, earning) => ({
+      gross: sum.gross + earning.gross,
+      gratuity: sum.gratuity + earning.gratuity,
+      discount: sum.discount + earning.discount,
+      platformFee: sum.platformFee + earning.platformFee,
+      refunded: sum.refunded + earning.refunded,
+      feeRefunded: sum.feeRefunded + earning.feeRefunded,
+      net: sum.net + earning.net,
+      payments: sum.payments + 1
+    }), { gross: 0, gratuity: 0, discount: 0, platformFee: 0, refunded: 0, feeRefunded: 0, net: 0, payments: 0 });
+  }
+
+  /**
+   * Every earning in a range, read in batches
+   */
+  async getAllEarnings(businessId, filters = {}) {
+    const earnings = [];
+
+    for (let offset = 0; ; offset += this.batchSize) {
+      const { data, error } = await this.buildQuery(businessId, filters)
+        .range(offset, offset + this.batchSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch earnings for business ${businessId}: ${error.message}`);
+      }
+
+      earnings.push(...(data || []).map(payment => this.formatEarning(payment)));
+
+      if (!data || data.length < this.batchSize) {
+        return earnings;
+      }
+    }
+  }
+
+  /**
+   * One page of earnings. Totals for the range come from getTotals, so a
+   * page only reads its own rows.
+   */
+  async listEarnings(businessId, { page = 1, limit = 25, ...filters } = {}) {
+    const offset = (page - 1) * limit;
+
+    const { data, error, count } = await this.buildQuery(businessId, filters, { count: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch earnings for business ${businessId}: ${error.message}`);
+    }
+
+    return {
+      earnings: (data || []).map(payment => this.formatEarning(payment)),
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    };
+  }
+
+  /**
+   * Totals for the whole filtered range
+   */
+  async getTotals(businessId, filters = {}) {
+    return this.totals(await this.getAllEarnings(businessId, filters));
+  }
+
+  /**
+   * Earnings grouped by calendar month (UTC) of payment, newest first
+   */
+  async getMonthlyEarnings(businessId, filters = {}) {
+    const earnings = await this.getAllEarnings(businessId, filters);
+    const months = new Map();
+
+    for (const earning of earnings) {
+      const month = (earning.paidAt || '').slice(0, 7) || 'unknown';
+      if (!months.has(month)) months.set(month, []);
+      months.get(month).push(earning);
+    }
+
+    return [...months.entries()]
+      .sort(([a], [b]) => b.localeCompare(a))
+      .map(([month, rows]) => ({ month, ...this.totals(rows) }));
+  }
+
+  /**
+   * A page of payouts from the vendor's Stripe account.
+   * Stripe paginates by cursor: pass the last payout ID as `startingAfter`.
+   */
+  async listPayouts(accountId, { from, to, limit = 25, startingAfter } = {}) {
+    const created = {};
+    if (from) created.gte = Math.floor(from.getTime() / 1000);
+    if (to) created.lt = Math.floor(to.getTime() / 1000);
+
+    const payouts = await stripe.payouts.list({
+      limit,
+      ...(startingAfter && { starting_after: startingAfter }),
+      ...(Object.keys(created).length > 0 && { created })
+    }, { stripeAccount: accountId });
+
+    return {
+      payouts: payouts.data.map(payout => ({
+        id: payout.id,
+        amount: payout.amount,
+        currency: payout.currency,
+        status: payout.status,
+        created: payout.created,
+        arrivalDate: payout.arrival_date,
+        method: payout.method,
+        failureMessage: payout.failure_message
+      })),
+      hasMore: payouts.has_more,
+      nextCursor: payouts.has_more ? payouts.data[payouts.data.length - 1]?.id : null
+    };
+  }
+
+  /**
+   * What went into a payout, with each payment traced back to its bid.
+   *
+   * Destination charges arrive on the vendor's account as payments funded by
+   * a transfer from the platform charge; that charge ID is what the ledger
+   * stores, which is how a payout line finds its bid.
+   */
+  async getPayoutTransactions(accountId, payoutId) {
+    const transactions = [];
+    let startingAfter;
+
+    do {
+      const page = await stripe.balanceTransactions.list({
+        payout: payoutId,
+        limit: 100,
+        expand: ['data.source.source_transfer'],
+        ...(startingAfter && { starting_after: startingAfter })
+      }, { stripeAccount: accountId });
+
+      transactions.push(...page.data);
+      startingAfter = page.has_more ? page.data[page.data.length - 1].id : null;
+    } while (startingAfter);
+
+    const chargeIds = transactions
+      .map(tx => tx.source?.source_transfer?.source_transaction)
+      .filter(Boolean);
+
+    const { data: payments, error } = chargeIds.length > 0
+      ? await supabase
+        .from(this.paymentsTable)
+        .select('bid_id, stripe_charge_id, payment_type')
+        .in('stripe_charge_id', chargeIds)
+      : { data: [] };
+
+    if (error) {
+      throw new Error(`Failed to match payout ${payoutId} to bids: ${error.message}`);
+    }
+
+    const byCharge = new Map((payments || []).map(payment => [payment.stripe_charge_id, payment]));
+
+    return transactions
+      // The payout's own entry just offsets the rest
+      .filter(tx => tx.type !== 'payout')
+      .map(tx => {
+        const payment = byCharge.get(tx.source?.source_transfer?.source_transaction);
+        return {
+          id: tx.id,
+          type: tx.type,
+          description: tx.description,
+          amount: tx.amount,
+          fee: tx.fee,
+          net: tx.net,
+          currency: tx.currency,
+          created: tx.created,
+          bidId: payment?.bid_id || null,
+          paymentType: payment?.payment_type || null
+        };
+      });
+  }
+
+  /**
+   * Every payout in a date range
+   */
+  async getAllPayouts(accountId, range = {}) {
+    const payouts = [];
+    let startingAfter;
+
+    do {
+      const page = await this.listPayouts(accountId, { ...range, limit: 100, startingAfter });
+      payouts.push(...page.payouts);
+      startingAfter = page.nextCursor;
+    } while (startingAfter);
+
+    return payouts;
+  }
+
+  /**
+   * Refunds issued on a vendor's bids in a date range
+   */
+  async getRefunds(businessId, { from, to } = {}) {
+    let query = supabase
+      .from(this.refundsTable)
+      .select('*, bids!inner(id, user_id, request_id)')
+      .eq('bids.user_id', businessId)
+      .order('created_at', { ascending: true });
+
+    if (from) query = query.gte('created_at', from.toISOString());
+    if (to) query = query.lt('created_at', to.toISOString());
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to fetch refunds for business ${businessId}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Request category and customer name for a request, cached per export
+   */
+  async getRequestDetails(requestId, cache) {
+    if (!cache.has(requestId)) {
+      cache.set(requestId, (async () => {
+        const found = await this.requestLookup.findRequest(requestId);
+        const customer = found ? await this.profiles.getCustomerContact(found.ownerId) : null;
+        return { category: found?.category || null, customerName: customer?.name || null };
+      })());
+    }
+    return cache.get(requestId);
+  }
+
+  /**
+   * A vendor's charges, platform fees, refunds and payouts in a date range
+   * as signed entries (money in positive, money out negative), oldest first.
+   * Charges and refunds carry their bid, request category and customer.
+   */
+  async getTransactionEntries(businessId, accountId, range = {}) {
+    const [payments, refunds, payouts] = await Promise.all([
+      this.getAllEarnings(businessId, range),
+      this.getRefunds(businessId, range),
+      accountId ? this.getAllPayouts(accountId, range) : []
+    ]);
+
+    const cache = new Map();
+    const entries = [];
+
+    for (const payment of payments) {
+      const details = payment.requestId ? await this.getRequestDetails(payment.requestId, cache) : {};
+      const common = {
+        date: payment.paidAt,
+        bidId: payment.bidId,
+        category: details.category || payment.category,
+        customerName: details.customerName,
+        paymentType: payment.paymentType,
+        currency: payment.currency,
+        reference: payment.stripeChargeId || payment.stripePaymentIntentId
+      };
+
+      entries.push({ ...common, type: 'payment', description: `Payment from ${details.customerName || 'customer'}`, amount: payment.gross - payment.gratuity });
+      if (payment.gratuity) {
+        entries.push({ ...common, type: 'gratuity', description: `Gratuity from ${details.customerName || 'customer'}`, amount: payment.gratuity });
+      }
+      if (payment.platformFee) {
+        entries.push({ ...common, type: 'platform_fee', description: 'Bidi platform fee', amount: -payment.platformFee });
+      }
+    }
+
+    for (const refund of refunds) {
+      const details = refund.bids?.request_id ? await this.getRequestDetails(refund.bids.request_id, cache) : {};
+      const common = {
+        date: refund.created_at,
+        bidId: refund.bid_id,
+        category: details.category,
+        customerName: details.customerName,
+        paymentType: null,
+        currency: refund.currency,
+        reference: refund.stripe_refund_id
+      };
+
+      entries.push({ ...common, type: 'refund', description: `Refund to ${details.customerName || 'customer'}`, amount: -refund.amount });
+      if (refund.application_fee_refunded) {
+        entries.push({ ...common, type: 'fee_refund', description: 'Bidi platform fee returned', amount: refund.application_fee_refunded });
+      }
+    }
+
+    for (const payout of payouts) {
+      entries.push({
+        date: new Date(payout.created * 1000).toISOString(),
+        type: 'payout',
+        description: `Payout to bank (${payout.status})`,
+        amount: -payout.amount,
+        currency: payout.currency,
+        bidId: null,
+        category: null,
+        customerName: null,
+        paymentType: null,
+        reference: payout.id
+      });
+    }
+
+    return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+}
+
+EarningsService.EARNED_STATUSES = EARNED_STATUSES;
+
+module.exports = EarningsService;
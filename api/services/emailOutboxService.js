@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const { Resend } = require('resend');
+const supabase = require('../supabaseClient');
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+// Lifecycle of an outbox row. The first three are ours; the rest come from
+// Resend's webhooks.
+const OUTBOX_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DELIVERY_DELAYED: 'delivery_delayed',
+  DELIVERED: 'delivered',
+  BOUNCED: 'bounced',
+  COMPLAINED: 'complained',
+  FAILED: 'failed'
+};
+
+// Webhook events arrive out of order, so a status only ever moves forward
+const STATUS_RANK = {
+  [OUTBOX_STATUS.QUEUED]: 0,
+  [OUTBOX_STATUS.SENDING]: 1,
+  [OUTBOX_STATUS.FAILED]: 1,
+  [OUTBOX_STATUS.SENT]: 2,
+  [OUTBOX_STATUS.DELIVERY_DELAYED]: 3,
+  [OUTBOX_STATUS.DELIVERED]: 4,
+  [OUTBOX_STATUS.BOUNCED]: 5,
+  [OUTBOX_STATUS.COMPLAINED]: 6
+};
+
+// Resend webhook event type -> outbox status and the timestamp column it sets
+const WEBHOOK_EVENTS = {
+  'email.sent': { status: OUTBOX_STATUS.SENT },
+  'email.delivery_delayed': { status: OUTBOX_STATUS.DELIVERY_DELAYED },
+  'email.delivered': { status: OUTBOX_STATUS.DELIVERED, timestampColumn: 'delivered_at' },
+  'email.bounced': { status: OUTBOX_STATUS.BOUNCED, timestampColumn: 'bounced_at' },
+  'email.complained': { status: OUTBOX_STATUS.COMPLAINED, timestampColumn: 'complained_at' }
+};
+
+// Resend errors that won't succeed on a retry
+const PERMANENT_ERRORS = ['validation_error', 'missing_required_field', 'invalid_parameter', 'invalid_from_address'];
+
+// Resend allows 2 requests per second on the default plan
+const SEND_INTERVAL_MS = 500;
+
+// How far apart a webhook's signed timestamp and our clock may be
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Durable outbox for transactional email.
+ *
+ * Senders enqueue a rendered message into `email_outbox` and return; the
+ * worker (the email-outbox cron job, or a short inline drain) claims due
+ * rows, sends them through Resend and retries failures with exponential
+ * backoff. Each row keeps its Resend ID, and Resend's delivery, bounce and
+ * complaint webhooks are logged to `email_events` and move the row's
+ * status on, so support can see whether a message actually arrived.
+ */
+class EmailOutboxService {
+  constructor() {
+    this.outboxTable = 'email_outbox';
+    this.eventsTable = 'email_events';
+    this.maxAttempts = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS, 10) || 6;
+    // First retry after this long, doubling each attempt
+    this.baseDelayMs = 60 * 1000;
+    this.maxDelayMs = 6 * 60 * 60 * 1000;
+    // A 'sending' row older than this is assumed to belong to a crashed invocation
+    this.sendingTimeoutMs = 10 * 60 * 1000;
+  }
+
+  /**
+   * Queue one or more rendered emails. Each message is
+   * { to, from, subject, html, text, template, headers, attachments,
+   * category, metadata, sendAt }; sendAt holds it until then (quiet hours).
+   * Returns the inserted rows.
+   */
+  async enqueue(messages) {
+    const list = Array.isArray(messages) ? messages : [messages];
+    if (list.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const rows = list.map(message => ({
+      to_email: message.to,
+      from_email: message.from || 'noreply@savewithbidi.com',
+      subject: message.subject,
+      html: message.html,
+      text: message.text || null,
+      headers: message.headers || null,
+      // Stored as base64 so the row is plain JSON
+      attachments: message.attachments
+        ? message.attachments.map(({ filename, content }) => ({ filename, content: Buffer.from(content).toString('base64') }))
+        : null,
+      template: message.template || null,
+      category: message.category || null,
+      metadata: message.metadata || {},
+      status: OUTBOX_STATUS.QUEUED,
+      attempts: 0,
+      next_attempt_at: message.sendAt ? new Date(message.sendAt).toISOString() : now,
+      created_at: now,
+      updated_at: now
+    }));
+
+    const { data, error } = await supabase
+      .from(this.outboxTable)
+      .insert(rows)
+      .select('id, to_email, status, attempts, next_attempt_at');
+
+    if (error) {
+      throw new Error(`Failed to queue email: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Delay before the next try after `attempts` failures
+   */
+  backoffMs(attempts) {
+    const delay = this.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, this.maxDelayMs);
+  }
+
+  /**
+   * Rows ready to send: queued and due, or stuck in 'sending'
+   */
+  async getDue(limit) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.sendingTimeoutMs).toISOString();
+
+    const { data, error } = await supabase
+      .from(this.outboxTable)
+      .select('*')
+      .or(`and(status.eq.${OUTBOX_STATUS.QUEUED},next_attempt_at.lte.${now.toISOString()}),and(status.eq.${OUTBOX_STATUS.SENDING},updated_at.lt.${staleBefore})`)
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch due emails: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Move a row to 'sending'. Compare-and-set on the attempt counter so two
+   * workers can't both send it. Returns the claimed row or null.
+   */
+  async claim(row) {
+    const { data, error } = await supabase
+      .from(this.outboxTable)
+      .update({
+        status: OUTBOX_STATUS.SENDING,
+        attempts: row.attempts + 1,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', row.id)
+      .eq('attempts', row.attempts)
+      .in('status', [OUTBOX_STATUS.QUEUED, OUTBOX_STATUS.SENDING])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to claim email ${row.id}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async updateRow(id, updates) {
+    const { data, error } = await supabase
+      .from(this.outboxTable)
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update email ${id}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Send a claimed row through Resend and record the outcome.
+   * Returns { success, retrying, error }.
+   */
+  async deliver(row) {
+    let failure;
+
+    try {
+      // The outbox ID doubles as the idempotency key, so a retry after a
+      // timeout that actually went through won't send a second copy
+      const { data, error } = await resend.emails.send({
+        from: row.from_email,
+        to: row.to_email,
+        subject: row.subject,
+        html: row.html,
+        ...(row.text && { text: row.text }),
+        ...(row.headers && { headers: row.headers }),
+        ...(row.attachments && { attachments: row.attachments })
+      }, { idempotencyKey: `email-outbox-${row.id}` });
+
+      if (!error) {
+        await this.updateRow(row.id, {
+          status: OUTBOX_STATUS.SENT,
+          resend_id: data?.id || null,
+          sent_at: new Date().toISOString(),
+          last_error: null
+        });
+        return { success: true };
+      }
+
+      failure = { message: error.message, permanent: PERMANENT_ERRORS.includes(error.name) };
+    } catch (error) {
+      failure = { message: error.message, permanent: false };
+    }
+
+    if (failure.permanent || row.attempts >= this.maxAttempts) {
+      await this.updateRow(row.id, {
+        status: OUTBOX_STATUS.FAILED,
+        last_error: failure.message,
+        failed_at: new Date().toISOString()
+      });
+      return { success: false, retrying: false, error: failure.message };
+    }
+
+    await this.updateRow(row.id, {
+      status: OUTBOX_STATUS.QUEUED,
+      last_error: failure.message,
+      next_attempt_at: new Date(Date.now() + this.backoffMs(row.attempts)).toISOString()
+    });
+    return { success: false, retrying: true, error: failure.message };
+  }
+
+  /**
+   * Send due emails, at most `limit` of them
+   */
+  async processDue({ limit = 100, deadline = null } = {}) {
+    const due = await this.getDue(limit);
+    return this.sendRows(due, { deadline });
+  }
+
+  /**
+   * Send outbox rows (as returned by enqueue or getDue) at Resend's rate
+   * limit, stopping once `deadline` (a timestamp in ms) has passed so the
+   * caller's function doesn't time out. Whatever's left stays queued for
+   * the next cron run.
+   */
+  async sendRows(rows, { deadline = null } = {}) {
+    const stats = { processed: 0, sent: 0, retrying: 0, failed: 0, skipped: 0 };
+
+    for (const row of rows) {
+      if (deadline && Date.now() >= deadline) break;
+
+      // Held for quiet hours or a retry backoff
+      if (new Date(row.next_attempt_at) > new Date()) {
+        stats.skipped++;
+        continue;
+      }
+
+      const claimed = await this.claim(row);
+      if (!claimed) {
+        stats.skipped++;
+        continue;
+      }
+
+      const startedAt = Date.now();
+      const result = await this.deliver(claimed);
+
+      stats.processed++;
+      if (result.success) {
+        stats.sent++;
+      } else if (result.retrying) {
+        stats.retrying++;
+      } else {
+        stats.failed++;
+        console.error(`Email ${claimed.id} to ${claimed.to_email} failed permanently:`, result.error);
+      }
+
+      const wait = SEND_INTERVAL_MS - (Date.now() - startedAt);
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Check a Resend (Svix) webhook signature against the raw body.
+   * Throws if it doesn't verify.
+   */
+  verifyWebhook(rawBody, headers) {
+    const secret = process.env.RESEND_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('RESEND_WEBHOOK_SECRET environment variable is not set');
+    }
+
+    const id = headers['svix-id'];
+    const timestamp = headers['svix-timestamp'];
+    const signatures = headers['svix-signature'];
+
+    if (!id || !timestamp || !signatures || !rawBody) {
+      throw new Error('Missing webhook signature headers');
+    }
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new Error('Webhook timestamp is outside the tolerance window');
+    }
+
+    const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const expected = crypto
+      .createHmac('sha256', key)
+      .update(`${id}.${timestamp}.${rawBody.toString()}`)
+      .digest();
+
+    // The header is a space-separated list of "v1,<base64 signature>"
+    const matches = signatures.split(' ').some(entry => {
+      const [version, signature] = entry.split(',');
+      if (version !== 'v1' || !signature) return false;
+      const provided = Buffer.from(signature, 'base64');
+      return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    });
+
+    if (!matches) {
+      throw new Error('Webhook signature does not match');
+    }
+
+    return JSON.parse(rawBody.toString());
+  }
+
+  /**
+   * Log a verified Resend webhook event and update its outbox row.
+   * `eventId` is the svix-id header, used to drop redeliveries.
+   * Returns { status: 'processed' | 'duplicate' | 'ignored', emailId }.
+   */
+  async handleWebhookEvent(eventId, event) {
+    const emailId = event?.data?.email_id;
+    const outcome = WEBHOOK_EVENTS[event?.type];
+
+    const { data: row } = emailId
+      ? await supabase.from(this.outboxTable).select('*').eq('resend_id', emailId).maybeSingle()
+      : { data: null };
+
+    const { error: logError } = await supabase
+      .from(this.eventsTable)
+      .insert({
+        id: eventId,
+        outbox_id: row?.id || null,
+        resend_id: emailId || null,
+        type: event?.type,
+        payload: event,
+        occurred_at: event?.created_at || new Date().toISOString(),
+        received_at: new Date().toISOString()
+      });
+
+    if (logError) {
+      if (logError.code === '23505') {
+        return { status: 'duplicate', emailId };
+      }
+      throw new Error(`Failed to record email event ${eventId}: ${logError.message}`);
+    }
+
+    // Opens, clicks and mail we didn't send through the outbox are only logged
+    if (!outcome || !row) {
+      return { status: 'ignored', emailId };
+    }
+
+    const occurredAt = event.created_at || new Date().toISOString();
+    const updates = {};
+
+    if (STATUS_RANK[outcome.status] > STATUS_RANK[row.status]) {
+      updates.status = outcome.status;
+    }
+    if (outcome.timestampColumn && !row[outcome.timestampColumn]) {
+      updates[outcome.timestampColumn] = occurredAt;
+    }
+    if (outcome.status === OUTBOX_STATUS.BOUNCED) {
+      updates.last_error = event.data?.bounce?.message || 'Bounced';
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await this.updateRow(row.id, updates);
+    }
+
+    return { status: 'processed', emailId };
+  }
+
+  /**
+   * Outbox rows for the admin delivery log, newest first
+   */
+  async listMessages({ status, to, template, requestId, limit = 50 } = {}) {
+    let query = supabase
+      .from(this.outboxTable)
+      .select('id, to_email, subject, template, category, metadata, status, attempts, resend_id, last_error, created_at, sent_at, delivered_at, bounced_at, complained_at, failed_at, next_attempt_at')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq('status', status);
+    if (to) query = query.eq('to_email', to);
+    if (template) query = query.eq('template', template);
+    if (requestId) query = query.eq('metadata->>request_id', requestId);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch email outbox: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * One outbox row with its webhook events, or null
+   */
+  async getMessage(id) {
+    const { data: message, error } = await supabase
+      .from(this.outboxTable)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch email ${id}: ${error.message}`);
+    }
+    if (!message) return null;
+
+    const { data: events, error: eventsError } = await supabase
+      .from(this.eventsTable)
+      .select('id, type, occurred_at, received_at, payload')
+      // Events that raced ahead of the send being recorded only have the Resend ID
+      .or(message.resend_id ? `outbox_id.eq.${id},resend_id.eq.${message.resend_id}` : `outbox_id.eq.${id}`)
+      .order('occurred_at', { ascending: true });
+
+    if (eventsError) {
+      throw new Error(`Failed to fetch events for email ${id}: ${eventsError.message}`);
+    }
+
+    return { ...message, events: events || [] };
+  }
+
+  /**
+   * Put a failed message back in the queue with a fresh set of attempts
+   */
+  async retry(id) {
+    const { data, error } = await supabase
+      .from(this.outboxTable)
+      .update({
+        status: OUTBOX_STATUS.QUEUED,
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', OUTBOX_STATUS.FAILED)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to retry email ${id}: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+EmailOutboxService.OUTBOX_STATUS = OUTBOX_STATUS;
+
+module.exports = EmailOutboxService;
@@ -0,0 +1,399 @@
+const supabase = require('../supabaseClient');
+const stripe = require('../stripeClient');
+const PaymentLedgerService = require('./paymentLedgerService');
+const RequestLookupService = require('./requestLookupService');
+const PromotionService = require('./promotionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where the vendor's share of an escrow payment is
+const ESCROW_STATUS = {
+  HELD: 'held',
+  ON_HOLD: 'on_hold',
+  RELEASED: 'released',
+  CANCELED: 'canceled'
+};
+
+// Ledger statuses a held payment can be released from. A chargeback moves
+// the row to 'disputed', which keeps the money on the platform.
+const RELEASABLE_PAYMENT_STATUSES = ['succeeded', 'partially_refunded'];
+
+/**
+ * Escrow-style payouts using separate charges and transfers.
+ *
+ * An escrow checkout charges the customer on the platform account with no
+ * transfer. Once the payment succeeds it is held until the event date on
+ * the linked request has passed, then the customer has a dispute window to
+ * report a problem. The vendor's share (amount less refunds and the
+ * platform fee) is transferred when the customer confirms the booking went
+ * ahead, or automatically by the cron job once the window closes. A
+ * reported problem or a chargeback keeps the funds held until resolved.
+ */
+class EscrowService {
+  constructor() {
+    this.paymentsTable = 'bid_payments';
+    this.disputeWindowDays = parseInt(process.env.ESCROW_DISPUTE_WINDOW_DAYS, 10) || 3;
+    // Hold period when the request has no event date
+    this.defaultHoldDays = parseInt(process.env.ESCROW_DEFAULT_HOLD_DAYS, 10) || 30;
+    // Payments at or above this many cents are held even if not requested
+    this.minimumAmount = parseInt(process.env.ESCROW_MIN_AMOUNT, 10) || null;
+    this.paymentLedger = new PaymentLedgerService();
+    this.requestLookup = new RequestLookupService();
+    this.promotions = new PromotionService();
+  }
+
+  /**
+   * Whether a new checkout should hold funds on the platform
+   */
+  shouldHold({ requested, amount }) {
+    return requested === true || (!!this.minimumAmount && amount >= this.minimumAmount);
+  }
+
+  /**
+   * payment_intent_data for a checkout session: a destination charge, or a
+   * platform charge grouped by bid for a later transfer
+   */
+  buildPaymentIntentData({ escrow, bidId, paymentType, connectedAccountId, applicationFeeAmount }) {
+    const metadata = {
+      bid_id: bidId,
+      payment_type: paymentType,
+      payout_mode: escrow ? 'escrow' : 'direct'
+    };
+
+    if (escrow) {
+      return { transfer_group: this.transferGroup(bidId), metadata };
+    }
+
+    return {
+      // A Bidi-funded discount can use up the whole fee
+      ...(applicationFeeAmount > 0 && { application_fee_amount: applicationFeeAmount }),
+      transfer_data: {
+        destination: connectedAccountId
+      },
+      metadata
+    };
+  }
+
+  transferGroup(bidId) {
+    return `bid_${bidId}`;
+  }
+
+  isEscrow(payment) {
+    return payment?.payout_mode === 'escrow';
+  }
+
+  /**
+   * When a held payment becomes eligible for automatic release: the end of
+   * the dispute window after the event, never before now
+   */
+  calculateReleaseDate(eventDate, now = new Date()) {
+    const start = eventDate && eventDate > now ? eventDate : now;
+    const days = eventDate ? this.disputeWindowDays : this.defaultHoldDays;
+    return new Date(start.getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Start holding an escrow payment once it has succeeded. A no-op for
+   * direct payments and repeat events.
+   */
+  async holdPayment(payment) {
+    if (!this.isEscrow(payment) || payment.status !== 'succeeded' || payment.escrow_status) {
+      return payment;
+    }
+
+    const found = await this.requestLookup.findRequestForBid(payment.bid_id);
+    const eventDate = found ? this.requestLookup.getEventDate(found.request) : null;
+    const releaseAt = this.calculateReleaseDate(eventDate);
+
+    const updated = await this.updatePayment(payment, {
+      escrow_status: ESCROW_STATUS.HELD,
+      escrow_event_date: eventDate ? eventDate.toISOString() : null,
+      escrow_release_at: releaseAt.toISOString()
+    });
+
+    console.log(`🔒 Holding payment ${payment.id} for bid ${payment.bid_id} until ${releaseAt.toISOString()}`);
+    return updated;
+  }
+
+  /**
+   * Update an escrow row, only if its escrow status hasn't changed since
+   * it was read. Returns null if another process got there first.
+   */
+  async updatePayment(payment, updates) {
+    let query = supabase
+      .from(this.paymentsTable)
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', payment.id);
+
+    query = payment.escrow_status
+      ? query.eq('escrow_status', payment.escrow_status)
+      : query.is('escrow_status', null);
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update escrow for payment ${payment.id}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Held escrow payments for a bid
+   */
+  async getHeldPayments(bidId) {
+    const payments = await this.paymentLedger.getPaymentsForBid(bidId);
+    return payments.filter(payment => this.isEscrow(payment)
+      && [ESCROW_STATUS.HELD, ESCROW_STATUS.ON_HOLD].includes(payment.escrow_status));
+  }
+
+  /**
+   * The vendor's share of a payment still on the platform: what's left
+   * after refunds, less the platform fee on that remainder
+   */
+  calculateTransferAmount(payment) {
+    const remaining = payment.amount - (payment.amount_refunded || 0);
+    if (remaining <= 0) {
+      return 0;
+    }
+
+    const fee = payment.application_fee_amount
+      ? Math.round(payment.application_fee_amount * remaining / payment.amount)
+      : 0;
+
+    return Math.max(0, remaining - fee);
+  }
+
+  /**
+   * Transfer a held payment to the vendor.
+   * Returns { success, status, error } like the other booking actions.
+   */
+  async releasePayment(payment, { releasedBy = 'schedule' } = {}) {
+    if (!this.isEscrow(payment) || ![ESCROW_STATUS.HELD, ESCROW_STATUS.ON_HOLD].includes(payment.escrow_status)) {
+      return { success: false, status: 409, error: 'Payment is not held in escrow' };
+    }
+
+    if (!RELEASABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      return { success: false, status: 409, error: `Payment is ${payment.status} and can't be released` };
+    }
+
+    const amount = this.calculateTransferAmount(payment);
+
+    // Fully refunded while held: nothing is owed to the vendor
+    if (amount === 0) {
+      const updated = await this.updatePayment(payment, { escrow_status: ESCROW_STATUS.CANCELED });
+      return { success: true, payment: updated || payment, transfer: null };
+    }
+
+    let chargeId = payment.stripe_charge_id;
+    if (!chargeId) {
+      const paymentIntent = await stripe.paymentIntents.retrieve(payment.stripe_payment_intent_id);
+      chargeId = paymentIntent.latest_charge;
+    }
+
+    // Tied to the charge so the transfer doesn't wait on the platform's available balance
+    const transfer = await stripe.transfers.create({
+      amount,
+      currency: payment.currency,
+      destination: payment.connected_account_id,
+      source_transaction: chargeId,
+      transfer_group: this.transferGroup(payment.bid_id),
+      metadata: {
+        bid_id: payment.bid_id,
+        payment_id: payment.id,
+        released_by: releasedBy
+      }
+    }, {
+      idempotencyKey: `escrow-release-${payment.id}`
+    });
+
+    const updated = await this.updatePayment(payment, {
+      escrow_status: ESCROW_STATUS.RELEASED,
+      stripe_charge_id: chargeId,
+      stripe_transfer_id: transfer.id,
+      transfer_amount: amount,
+      released_at: new Date().toISOString(),
+      released_by: releasedBy
+    });
+
+    // Any Bidi-funded promotion beyond the fee goes to the vendor with the release
+    await this.promotions.sendTopUp(payment);
+
+    console.log(`🔓 Released ${amount} of payment ${payment.id} to ${payment.connected_account_id} (${releasedBy})`);
+    return { success: true, payment: updated || payment, transfer };
+  }
+
+  /**
+   * The customer confirms the booking went ahead, releasing the bid's held
+   * payments straight away. Only possible once the event date has passed.
+   */
+  async confirmCompletion(bidId, customerId) {
+    const found = await this.requestLookup.findRequestForBid(bidId);
+    if (!found) {
+      return { success: false, status: 404, error: 'Bid not found' };
+    }
+
+    if (found.ownerId !== customerId) {
+      return { success: false, status: 403, error: 'Access denied' };
+    }
+
+    const held = await this.getHeldPayments(bidId);
+    if (held.length === 0) {
+      return { success: false, status: 409, error: 'No payments are held for this bid' };
+    }
+
+    const eventDate = this.requestLookup.getEventDate(found.request);
+    if (eventDate && eventDate > new Date()) {
+      return { success: false, status: 409, error: 'The booking can be confirmed once the event has taken place' };
+    }
+
+    const released = [];
+    for (const payment of held) {
+      await supabase
+        .from(this.paymentsTable)
+        .update({ customer_confirmed_at: new Date().toISOString() })
+        .eq('id', payment.id);
+
+      const result = await this.releasePayment(payment, { releasedBy: 'customer' });
+      if (result.success) {
+        released.push(result.payment);
+      }
+    }
+
+    return { success: true, payments: released };
+  }
+
+  /**
+   * The customer reports a problem within the dispute window, keeping the
+   * funds held until an admin releases or refunds them
+   */
+  async reportProblem(bidId, customerId, reason) {
+    const found = await this.requestLookup.findRequestForBid(bidId);
+    if (!found) {
+      return { success: false, status: 404, error: 'Bid not found' };
+    }
+
+    if (found.ownerId !== customerId) {
+      return { success: false, status: 403, error: 'Access denied' };
+    }
+
+    const held = (await this.getHeldPayments(bidId))
+      .filter(payment => payment.escrow_status === ESCROW_STATUS.HELD);
+    if (held.length === 0) {
+      return { success: false, status: 409, error: 'No payments are held for this bid' };
+    }
+
+    if (held.every(payment => new Date(payment.escrow_release_at) <= new Date())) {
+      return { success: false, status: 409, error: 'The dispute window for this booking has closed' };
+    }
+
+    const onHold = [];
+    for (const payment of held) {
+      const updated = await this.updatePayment(payment, {
+        escrow_status: ESCROW_STATUS.ON_HOLD,
+        escrow_issue_reason: reason,
+        escrow_issue_reported_at: new Date().toISOString()
+      });
+      if (updated) {
+        onHold.push(updated);
+      }
+    }
+
+    console.log(`⚠️ Customer ${customerId} reported a problem with bid ${bidId}: ${reason}`);
+    return { success: true, payments: onHold };
+  }
+
+  /**
+   * Held payments whose dispute window has closed without a reported problem
+   */
+  async getDueReleases(now = new Date(), limit = 100) {
+    const { data, error } = await supabase
+      .from(this.paymentsTable)
+      .select('*')
+      .eq('payout_mode', 'escrow')
+      .eq('escrow_status', ESCROW_STATUS.HELD)
+      .in('status', RELEASABLE_PAYMENT_STATUSES)
+      .lte('escrow_release_at', now.toISOString())
+      .order('escrow_release_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch due escrow releases: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Release every payment that has come due. Used by the cron job.
+   */
+  async releaseDuePayments(now = new Date()) {
+    const due = await this.getDueReleases(now);
+    const stats = { due: due.length, released: 0, failed: 0 };
+
+    for (const payment of due) {
+      try {
+        const result = await this.releasePayment(payment);
+        if (result.success) {
+          stats.released++;
+        } else {
+          console.warn(`Skipped escrow release for payment ${payment.id}: ${result.error}`);
+          stats.failed++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to release escrow payment ${payment.id}:`, error.message);
+        stats.failed++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Stripe refund options for a payment. Escrow charges live on the
+   * platform, so there's no transfer or application fee to unwind.
+   */
+  refundOptions(payment) {
+    return this.isEscrow(payment)
+      ? {}
+      : { reverse_transfer: true, refund_application_fee: true };
+  }
+
+  /**
+   * After refunding a released escrow payment, pull the vendor's share of
+   * the refund back from their account
+   */
+  async reverseReleasedTransfer(payment, vendorShare) {
+    if (!this.isEscrow(payment) || payment.escrow_status !== ESCROW_STATUS.RELEASED || !payment.stripe_transfer_id) {
+      return null;
+    }
+
+    const alreadyReversed = payment.transfer_reversed_amount || 0;
+    const amount = Math.min(vendorShare, (payment.transfer_amount || 0) - alreadyReversed);
+    if (amount <= 0) {
+      return null;
+    }
+
+    const reversal = await stripe.transfers.createReversal(payment.stripe_transfer_id, {
+      amount,
+      metadata: { bid_id: payment.bid_id, payment_id: payment.id }
+    }, {
+      idempotencyKey: `escrow-reversal-${payment.id}-${alreadyReversed}-${amount}`
+    });
+
+    const { error } = await supabase
+      .from(this.paymentsTable)
+      .update({ transfer_reversed_amount: alreadyReversed + amount, updated_at: new Date().toISOString() })
+      .eq('id', payment.id);
+
+    if (error) {
+      console.error(`Transfer reversal ${reversal.id} made but not recorded:`, error.message);
+    }
+
+    return reversal;
+  }
+}
+
+EscrowService.ESCROW_STATUS = ESCROW_STATUS;
+
+module.exports = EscrowService;
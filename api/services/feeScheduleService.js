@@ -0,0 +1,213 @@
+const RequestLookupService = require('./requestLookupService');
+const SubscriptionService = require('./subscriptionService');
+const { DEFAULT_CURRENCY, formatCents } = require('../currency');
+
+/**
+ * Platform fee schedule. This is the single source for what Bidi charges on
+ * a bid payment; checkout, receipts and the vendor dashboard all read it.
+ *
+ * A rule is { percent, fixed, min, max } with amounts in minor units of the
+ * payment's currency (cents, pence). Rules are
+ * layered, each layer overriding only the fields it sets:
+ *   1. `base` by bid source ('regular' or 'autobid')
+ *   2. `categories[category]`, either a rule or { regular, autobid }
+ *   3. `tiers[vendorTier]`, same shape as a category entry
+ *   4. any active `promotions`, in order
+ * The fee is round(amount * percent / 100) + fixed, clamped to [min, max]
+ * and never more than the amount itself.
+ *
+ * Categories use the request-table names ('photography', 'dj', ...).
+ * Example entries:
+ *   categories: { catering: { regular: { percent: 8 } } }
+ *   tiers: { plus: { regular: { percent: 7 }, autobid: { percent: 15 } } }
+ *   promotions: [{
+ *     name: 'spring-launch',
+ *     startsAt: '2025-03-01T00:00:00Z',
+ *     endsAt: '2025-04-01T00:00:00Z',
+ *     categories: ['florist'],  // optional filter
+ *     tiers: ['standard'],      // optional filter
+ *     rule: { percent: 5 }      // or { regular, autobid }
+ *   }]
+ */
+const FEE_SCHEDULE = {
+  base: {
+    regular: { percent: 10, fixed: 0, min: 0, max: null },
+    autobid: { percent: 20, fixed: 0, min: 0, max: null }
+  },
+  categories: {},
+  tiers: {
+    standard: {},
+    plus: {}
+  },
+  promotions: []
+};
+
+class FeeScheduleService {
+  constructor(schedule = FEE_SCHEDULE) {
+    this.schedule = schedule;
+    this.requestLookup = new RequestLookupService();
+    this.subscriptions = new SubscriptionService();
+  }
+
+  /**
+   * Pick the part of a category/tier/promotion entry that applies to a bid source
+   */
+  ruleForSource(entry, source) {
+    if (!entry) {
+      return {};
+    }
+    if (entry.regular || entry.autobid) {
+      return entry[source] || {};
+    }
+    return entry;
+  }
+
+  /**
+   * Promotions running at a given time for a category and tier
+   */
+  getActivePromotions({ category, tier, at = new Date() }) {
+    return (this.schedule.promotions || []).filter(promotion => {
+      if (promotion.startsAt && at < new Date(promotion.startsAt)) return false;
+      if (promotion.endsAt && at >= new Date(promotion.endsAt)) return false;
+      if (promotion.categories && !promotion.categories.includes(category)) return false;
+      if (promotion.tiers && !promotion.tiers.includes(tier)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Resolve the effective rule for a payment
+   */
+  resolveRule({ isAutobid = false, category = null, tier = 'standard', at = new Date() }) {
+    const source = isAutobid ? 'autobid' : 'regular';
+    const promotions = this.getActivePromotions({ category, tier, at });
+
+    const rule = {
+      percent: 0,
+      fixed: 0,
+      min: 0,
+      max: null,
+      ...this.schedule.base[source],
+      ...this.ruleForSource(this.schedule.categories[category], source),
+      ...this.ruleForSource(this.schedule.tiers[tier], source)
+    };
+
+    for (const promotion of promotions) {
+      Object.assign(rule, this.ruleForSource(promotion.rule, source));
+    }
+
+    return {
+      ...rule,
+      source,
+      category,
+      tier,
+      promotions: promotions.map(promotion => promotion.name)
+    };
+  }
+
+  /**
+   * Apply a rule to an amount in cents
+   */
+  computeFee(amount, rule) {
+    let fee = Math.round(amount * (rule.percent || 0) / 100) + (rule.fixed || 0);
+
+    if (rule.min) fee = Math.max(fee, rule.min);
+    if (rule.max !== null && rule.max !== undefined) fee = Math.min(fee, rule.max);
+
+    return Math.max(0, Math.min(fee, amount));
+  }
+
+  /**
+   * Human-readable form of a rule, e.g. "10% + $0.30 (max $500.00)"
+   */
+  describeRule(rule, currency = DEFAULT_CURRENCY) {
+    const money = (cents) => formatCents(cents, currency);
+    const parts = [`${rule.percent || 0}%`];
+
+    if (rule.fixed) parts.push(`+ ${money(rule.fixed)}`);
+    if (rule.min) parts.push(`(min ${money(rule.min)})`);
+    if (rule.max !== null && rule.max !== undefined) parts.push(`(max ${money(rule.max)})`);
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Vendor tier used for fee purposes: 'plus' while the vendor is entitled to Bidi Plus
+   */
+  async getVendorTier(businessId) {
+    if (!businessId) {
+      return 'standard';
+    }
+
+    try {
+      return await this.subscriptions.hasPlus(businessId) ? 'plus' : 'standard';
+    } catch (error) {
+      console.warn(`Error checking Plus membership for business ${businessId}:`, error.message);
+      return 'standard';
+    }
+  }
+
+  /**
+   * What Bidi needs to know about a bid to price its fee
+   */
+  async getBidFeeContext(bidId) {
+    const found = await this.requestLookup.findRequestForBid(bidId);
+    if (!found) {
+      return { isAutobid: false, businessId: null, category: null };
+    }
+
+    return {
+      isAutobid: !!found.bid.is_autobid,
+      businessId: found.bid.user_id,
+      category: found.category
+    };
+  }
+
+  /**
+   * Platform fee for a payment of `amount` minor units of `currency`.
+   * Pass a bidId to have the source, vendor and category looked up, or
+   * give them directly.
+   */
+  async calculateFee({ amount, currency = DEFAULT_CURRENCY, bidId, isAutobid, businessId, category, tier, at = new Date() }) {
+    const context = bidId
+      ? await this.getBidFeeContext(bidId)
+      : { isAutobid: !!isAutobid, businessId, category };
+
+    const resolvedTier = tier || await this.getVendorTier(context.businessId);
+    const rule = this.resolveRule({
+      isAutobid: context.isAutobid,
+      category: category || context.category,
+      tier: resolvedTier,
+      at
+    });
+    const fee = this.computeFee(amount, rule);
+
+    return {
+      amount: fee,
+      // Effective percentage of the payment, for display and metadata
+      percent: amount > 0 ? Math.round(fee / amount * 10000) / 100 : 0,
+      description: this.describeRule(rule, currency),
+      isAutobid: context.isAutobid,
+      rule
+    };
+  }
+
+  /**
+   * A vendor's current rates for regular and autobid bookings, for dashboards
+   */
+  async describeVendorRates(businessId, category = null, currency = DEFAULT_CURRENCY) {
+    const tier = await this.getVendorTier(businessId);
+    const regular = this.resolveRule({ isAutobid: false, category, tier });
+    const autobid = this.resolveRule({ isAutobid: true, category, tier });
+
+    return {
+      tier,
+      regular: { ...regular, description: this.describeRule(regular, currency) },
+      autobid: { ...autobid, description: this.describeRule(autobid, currency) }
+    };
+  }
+}
+
+FeeScheduleService.FEE_SCHEDULE = FEE_SCHEDULE;
+
+module.exports = FeeScheduleService;
@@ -0,0 +1,109 @@
+const { Client } = require('@googlemaps/google-maps-services-js');
+const NodeCache = require('node-cache');
+
+const client = new Client({});
+
+// Request locations repeat a lot ("Salt Lake City, UT"), so geocodes are
+// cached for a day, including misses
+const cache = new NodeCache({ stdTTL: 24 * 60 * 60 });
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Locations and vendor service areas.
+ *
+ * Requests only have a free-text `location`, so it's geocoded with the
+ * Google Geocoding API and compared against the vendor's service area
+ * (`service_latitude`, `service_longitude` and `service_radius_miles` on
+ * business_profiles). A vendor without a service area, or a location that
+ * can't be geocoded, counts as a match so nobody silently misses requests.
+ */
+class GeoService {
+  /**
+   * { lat, lng } for a free-text location, or null
+   */
+  async geocode(location) {
+    const address = typeof location === 'string' ? location.trim() : '';
+    if (!address || !process.env.GOOGLE_PLACES_API_KEY) {
+      return null;
+    }
+
+    const key = address.toLowerCase();
+    const cached = cache.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    try {
+      const response = await client.geocode({
+        params: { address, key: process.env.GOOGLE_PLACES_API_KEY },
+        timeout: 5000
+      });
+      const point = response.data.results?.[0]?.geometry?.location || null;
+      cache.set(key, point);
+      return point;
+    } catch (error) {
+      // Not cached, so a transient failure is retried next time
+      console.error(`Error geocoding "${address}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Great-circle distance between two { lat, lng } points in miles
+   */
+  distanceMiles(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * A vendor's service area as { center, radiusMiles }, or null if they
+   * haven't set one
+   */
+  serviceArea(business) {
+    const lat = Number(business?.service_latitude);
+    const lng = Number(business?.service_longitude);
+    const radiusMiles = Number(business?.service_radius_miles);
+
+    if (business?.service_latitude == null || business?.service_longitude == null
+      || !Number.isFinite(lat) || !Number.isFinite(lng) || !(radiusMiles > 0)) {
+      return null;
+    }
+
+    return { center: { lat, lng }, radiusMiles };
+  }
+
+  /**
+   * Whether a request location is inside the vendor's service area.
+   * Returns { inArea, distanceMiles } (distanceMiles is null when unknown).
+   */
+  async checkServiceArea(business, location) {
+    if (!this.serviceArea(business)) {
+      return { inArea: true, distanceMiles: null };
+    }
+
+    return this.checkPoint(business, await this.geocode(location));
+  }
+
+  /**
+   * checkServiceArea for an already geocoded { lat, lng } (or null), for
+   * checking one location against many vendors
+   */
+  checkPoint(business, point) {
+    const area = this.serviceArea(business);
+    if (!area || !point) {
+      return { inArea: true, distanceMiles: null };
+    }
+
+    const distanceMiles = this.distanceMiles(area.center, point);
+    return { inArea: distanceMiles <= area.radiusMiles, distanceMiles };
+  }
+}
+
+module.exports = GeoService;
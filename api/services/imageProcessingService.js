@@ -183,6 +183,27 @@ class ImageProcessingService {
     }
   }
 
+  /**
+   * Small WebP preview of an image, turned upright from its EXIF
+   * orientation (animated GIFs keep their first frame)
+   */
+  async createThumbnail(imageBuffer, size = 320) {
+    try {
+      const { data, info } = await sharp(imageBuffer)
+        .rotate()
+        .resize(size, size, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .webp({ quality: 70 })
+        .toBuffer({ resolveWithObject: true });
+
+      return { buffer: data, width: info.width, height: info.height };
+    } catch (error) {
+      throw new Error(`Failed to create thumbnail: ${error.message}`);
+    }
+  }
+
   /**
    * Generate unique filename
    */
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const supabase = require('../supabaseClient');
+const ImageProcessingService = require('./imageProcessingService');
+
+// What can be attached, by MIME type. Images are checked by decoding them;
+// documents by their leading bytes.
+const ALLOWED_TYPES = {
+  'image/jpeg': { format: 'jpeg' },
+  'image/png': { format: 'png' },
+  'image/webp': { format: 'webp' },
+  'image/gif': { format: 'gif' },
+  'application/pdf': { signature: Buffer.from('%PDF-') },
+  'application/msword': { signature: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { signature: Buffer.from('PK\x03\x04') },
+  'text/plain': { text: true }
+};
+
+// Largest file accepted, in bytes
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Attachments allowed on one message
+const MAX_PER_MESSAGE = 10;
+
+// How long signed download URLs last, in seconds
+const SIGNED_URL_TTL = 60 * 60;
+
+const safeFileName = (fileName) => {
+  const name = path.basename(String(fileName || ''))
+    .replace(/[\u0000-\u001f\u007f/\\]/g, '')
+    .trim()
+    .slice(-200);
+
+  return name || 'attachment';
+};
+
+// Storage keys only keep a plain extension; the original name is on the row
+const storageExtension = (fileName) => {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  return /^[a-z0-9]{1,10}$/.test(extension) ? `.${extension}` : '';
+};
+
+/**
+ * Files attached to messages: inspiration photos, contracts and the like.
+ *
+ * Files are kept in a private Supabase storage bucket as
+ * `<conversationId>/<attachmentId>/file.<ext>` and are only reachable
+ * through short-lived signed URLs, which download under the original
+ * name kept in `file_name`. Rows in `message_attachments` start with no
+ * message_id when uploaded and are claimed by the message they're sent
+ * with. Images also get a WebP thumbnail next to the original.
+ */
+class MessageAttachmentService {
+  constructor() {
+    this.attachmentsTable = 'message_attachments';
+    this.bucket = process.env.MESSAGE_ATTACHMENTS_BUCKET || 'message-attachments';
+    this.imageProcessing = new ImageProcessingService();
+  }
+
+  /**
+   * Check a file is an allowed type, within the size limit and really is
+   * what it claims to be. Returns { isValid, error, metadata } (metadata
+   * is sharp's, for images).
+   */
+  async validate(buffer, contentType) {
+    const rule = ALLOWED_TYPES[contentType];
+
+    if (!rule) {
+      return { isValid: false, error: `Files of type ${contentType || 'unknown'} can't be attached`, metadata: null };
+    }
+    if (!buffer || buffer.length === 0) {
+      return { isValid: false, error: 'File is empty', metadata: null };
+    }
+    if (buffer.length > MAX_FILE_SIZE) {
+      return { isValid: false, error: `Files are limited to ${MAX_FILE_SIZE / (1024 * 1024)}MB`, metadata: null };
+    }
+
+    if (rule.format) {
+      try {
+        const metadata = await sharp(buffer).metadata();
+        if (metadata.format !== rule.format) {
+          return { isValid: false, error: `File is not a valid ${contentType} image`, metadata: null };
+        }
+        return { isValid: true, error: null, metadata };
+      } catch (error) {
+        return { isValid: false, error: `Invalid image file: ${error.message}`, metadata: null };
+      }
+    }
+
+    if (rule.signature && !buffer.subarray(0, rule.signature.length).equals(rule.signature)) {
+      return { isValid: false, error: `File is not a valid ${contentType} document`, metadata: null };
+    }
+    if (rule.text && buffer.includes(0)) {
+      return { isValid: false, error: 'File is not plain text', metadata: null };
+    }
+
+    return { isValid: true, error: null, metadata: null };
+  }
+
+  /**
+   * Store a file for a conversation, ready to be sent with a message.
+   * Returns { success, attachment } or { success: false, status, error }.
+   */
+  async upload(conversationId, userId, { buffer, fileName, contentType }) {
+    const validation = await this.validate(buffer, contentType);
+    if (!validation.isValid) {
+      return { success: false, status: 400, error: validation.error };
+    }
+
+    const id = crypto.randomUUID();
+    const name = safeFileName(fileName);
+    const storagePath = `${conversationId}/${id}/file${storageExtension(name)}`;
+    const uploaded = [storagePath];
+
+    try {
+      await this.store(storagePath, buffer, contentType);
+
+      let thumbnail = null;
+      let dimensions = {};
+      if (validation.metadata) {
+        thumbnail = await this.imageProcessing.createThumbnail(buffer);
+        thumbnail.path = `${conversationId}/${id}/thumbnail.webp`;
+        await this.store(thumbnail.path, thumbnail.buffer, 'image/webp');
+        uploaded.push(thumbnail.path);
+
+        // EXIF orientations 5-8 are rotated a quarter turn
+        const { width, height, orientation } = validation.metadata;
+        dimensions = orientation >= 5 ? { width: height, height: width } : { width, height };
+      }
+
+      const { data, error } = await supabase
+        .from(this.attachmentsTable)
+        .insert({
+          id,
+          conversation_id: conversationId,
+          uploaded_by: userId,
+          file_name: name,
+          content_type: contentType,
+          size_bytes: buffer.length,
+          storage_path: storagePath,
+          thumbnail_path: thumbnail?.path || null,
+          width: dimensions.width || null,
+          height: dimensions.height || null
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to save attachment: ${error.message}`);
+      }
+
+      const [attachment] = await this.withUrls([data]);
+      return { success: true, attachment };
+    } catch (error) {
+      await supabase.storage.from(this.bucket).remove(uploaded)
+        .catch(cleanupError => console.error('Error removing attachment files:', cleanupError.message));
+      throw error;
+    }
+  }
+
+  async store(storagePath, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(storagePath, buffer, { contentType, upsert: false });
+
+    if (error) {
+      throw new Error(`Failed to upload ${storagePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * The user's unsent uploads in a conversation, in the order asked for.
+   * Returns { success, attachments } or { success: false, status, error }
+   * if any ID isn't one of them.
+   */
+  async getPending(conversationId, userId, attachmentIds) {
+    const ids = [...new Set(attachmentIds)];
+
+    if (ids.length > MAX_PER_MESSAGE) {
+      return { success: false, status: 400, error: `Messages are limited to ${MAX_PER_MESSAGE} attachments` };
+    }
+    if (ids.length === 0) {
+      return { success: true, attachments: [] };
+    }
+
+    const { data, error } = await supabase
+      .from(this.attachmentsTable)
+      .select('*')
+      .eq('conversation_id', conversationId)
+      .eq('uploaded_by', userId)
+      .is('message_id', null)
+      .in('id', ids);
+
+    if (error) {
+      throw new Error(`Failed to fetch attachments: ${error.message}`);
+    }
+
+    if ((data || []).length !== ids.length) {
+      return { success: false, status: 400, error: 'Attachments must be your own unsent uploads to this conversation' };
+    }
+
+    const byId = new Map(data.map(attachment => [attachment.id, attachment]));
+    return { success: true, attachments: ids.map(id => byId.get(id)) };
+  }
+
+  /**
+   * Tie uploads to the message they were sent with
+   */
+  async claim(attachments, messageId) {
+    if (attachments.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from(this.attachmentsTable)
+      .update({ message_id: messageId })
+      .in('id', attachments.map(attachment => attachment.id))
+      .is('message_id', null)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to attach files to message ${messageId}: ${error.message}`);
+    }
+
+    return this.withUrls(data || []);
+  }
+
+  /**
+   * Attachments for messages, as a Map of message ID to a list (missing
+   * for messages without any)
+   */
+  async forMessages(messageIds) {
+    if (messageIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+      .from(this.attachmentsTable)
+      .select('*')
+      .in('message_id', messageIds)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch message attachments: ${error.message}`);
+    }
+
+    const byMessage = new Map();
+    for (const attachment of await this.withUrls(data || [])) {
+      const list = byMessage.get(attachment.messageId) || [];
+      list.push(attachment);
+      byMessage.set(attachment.messageId, list);
+    }
+    return byMessage;
+  }
+
+  /**
+   * One attachment in a conversation, or null
+   */
+  async getAttachment(conversationId, attachmentId) {
+    const { data, error } = await supabase
+      .from(this.attachmentsTable)
+      .select('*')
+      .eq('conversation_id', conversationId)
+      .eq('id', attachmentId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch attachment ${attachmentId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * A signed URL that downloads the file under its original name
+   */
+  async getDownloadUrl(attachment) {
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .createSignedUrl(attachment.storage_path, SIGNED_URL_TTL, { download: attachment.file_name });
+
+    if (error) {
+      throw new Error(`Failed to sign attachment ${attachment.id}: ${error.message}`);
+    }
+
+    return {
+      url: data.signedUrl,
+      expiresAt: new Date(Date.now() + SIGNED_URL_TTL * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Shape rows for clients, with signed URLs for the file and thumbnail
+   */
+  async withUrls(attachments) {
+    if (attachments.length === 0) return [];
+
+    const paths = attachments.flatMap(attachment => [attachment.storage_path, attachment.thumbnail_path].filter(Boolean));
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .createSignedUrls(paths, SIGNED_URL_TTL);
+
+    if (error) {
+      throw new Error(`Failed to sign attachment URLs: ${error.message}`);
+    }
+
+    const urls = new Map((data || []).filter(signed => !signed.error).map(signed => [signed.path, signed.signedUrl]));
+    const expiresAt = new Date(Date.now() + SIGNED_URL_TTL * 1000).toISOString();
+
+    return attachments.map(attachment => ({
+      id: attachment.id,
+      messageId: attachment.message_id,
+      fileName: attachment.file_name,
+      contentType: attachment.content_type,
+      size: attachment.size_bytes,
+      width: attachment.width,
+      height: attachment.height,
+      url: urls.get(attachment.storage_path) || null,
+      thumbnailUrl: attachment.thumbnail_path ? urls.get(attachment.thumbnail_path) || null : null,
+      expiresAt
+    }));
+  }
+}
+
+MessageAttachmentService.ALLOWED_TYPES = Object.keys(ALLOWED_TYPES);
+MessageAttachmentService.MAX_FILE_SIZE = MAX_FILE_SIZE;
+MessageAttachmentService.MAX_PER_MESSAGE = MAX_PER_MESSAGE;
+
+module.exports = MessageAttachmentService;
@@ -0,0 +1,448 @@
+const crypto = require('crypto');
+const supabase = require('../supabaseClient');
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+// What a notification is about. Required categories can't be switched off:
+// they tell the user something is wrong with their account or money.
+// Digestible ones are left for the digest when the user picks a daily or
+// weekly frequency instead of being sent one by one.
+const CATEGORIES = {
+  new_request: { label: 'New requests in your categories', digestible: true },
+  new_bid: { label: 'New bids on your requests', digestible: true },
+  autobid: { label: 'Bids placed for you by Autobid' },
+  messages: { label: 'Messages', digestible: true },
+  consultations: { label: 'Consultations booked with you' },
+  payments: { label: 'Receipts and payment reminders' },
+  digest: { label: 'Daily or weekly summary' },
+  account: { label: 'Account and billing alerts', required: true },
+  general: { label: 'Other updates from Bidi' }
+};
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// SMS is opt-in; everything else starts on
+const DEFAULT_CHANNELS = { email: true, sms: false, push: true };
+
+// Once the SMS channel is on, every category that sends texts does
+const DEFAULT_CATEGORY_CHANNELS = { ...DEFAULT_CHANNELS, sms: true };
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const API_BASE_URL = process.env.API_BASE_URL || 'https://bidi-express.vercel.app';
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Per-user notification preferences: which channels are on, which
+ * categories the user wants on each channel, instant vs a daily or weekly
+ * digest, the user's timezone and quiet hours. Users with no saved row get
+ * the defaults. Digests are only built for vendors, so daily and weekly
+ * frequencies are vendor-only and anyone else is treated as instant.
+ *
+ * Also signs the one-click unsubscribe links put in every optional email.
+ */
+class NotificationPreferenceService {
+  constructor() {
+    this.preferencesTable = 'notification_preferences';
+    this.businessProfilesTable = 'business_profiles';
+  }
+
+  /**
+   * Preferences for a user who hasn't saved any
+   */
+  defaults() {
+    return {
+      channels: { ...DEFAULT_CHANNELS },
+      categories: Object.fromEntries(Object.keys(CATEGORIES).map(category => [category, { ...DEFAULT_CATEGORY_CHANNELS }])),
+      frequency: 'instant',
+      timezone: 'UTC',
+      quietHours: null
+    };
+  }
+
+  /**
+   * Merge a stored row over the defaults, so categories added later get
+   * their default value
+   */
+  fromRow(row) {
+    const preferences = this.defaults();
+    if (!row) return preferences;
+
+    Object.assign(preferences.channels, row.channels || {});
+    for (const [category, channels] of Object.entries(row.categories || {})) {
+      if (preferences.categories[category]) {
+        Object.assign(preferences.categories[category], channels);
+      }
+    }
+    preferences.frequency = row.frequency || preferences.frequency;
+    preferences.timezone = row.timezone || preferences.timezone;
+    if (row.quiet_hours_start && row.quiet_hours_end) {
+      preferences.quietHours = {
+        start: row.quiet_hours_start,
+        end: row.quiet_hours_end
+      };
+    }
+
+    return preferences;
+  }
+
+  /**
+   * Which of the users have a business profile, as a Set of IDs
+   */
+  async getVendorIds(userIds) {
+    if (userIds.length === 0) return new Set();
+
+    const { data, error } = await supabase
+      .from(this.businessProfilesTable)
+      .select('id')
+      .in('id', userIds);
+
+    if (error) {
+      throw new Error(`Failed to look up vendors: ${error.message}`);
+    }
+
+    return new Set((data || []).map(business => business.id));
+  }
+
+  /**
+   * Put users who aren't vendors back on instant delivery. Only needs a
+   * lookup for users who picked a digest.
+   */
+  async applyDigestEligibility(preferencesByUser) {
+    const digestUsers = [...preferencesByUser.entries()]
+      .filter(([, preferences]) => preferences.frequency !== 'instant')
+      .map(([userId]) => userId);
+
+    const vendorIds = await this.getVendorIds(digestUsers);
+    for (const userId of digestUsers) {
+      if (!vendorIds.has(userId)) {
+        preferencesByUser.get(userId).frequency = 'instant';
+      }
+    }
+
+    return preferencesByUser;
+  }
+
+  /**
+   * Preferences for one user
+   */
+  async get(userId) {
+    const { data, error } = await supabase
+      .from(this.preferencesTable)
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch notification preferences: ${error.message}`);
+    }
+
+    const preferences = await this.applyDigestEligibility(new Map([[userId, this.fromRow(data)]]));
+    return preferences.get(userId);
+  }
+
+  /**
+   * Preferences for many users at once, as a Map keyed by user ID
+   */
+  async getForUsers(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    const result = new Map();
+    if (ids.length === 0) return result;
+
+    const { data, error } = await supabase
+      .from(this.preferencesTable)
+      .select('*')
+      .in('user_id', ids);
+
+    if (error) {
+      throw new Error(`Failed to fetch notification preferences: ${error.message}`);
+    }
+
+    const rows = new Map((data || []).map(row => [row.user_id, row]));
+    for (const id of ids) {
+      result.set(id, this.fromRow(rows.get(id)));
+    }
+
+    return this.applyDigestEligibility(result);
+  }
+
+  /**
+   * Users who picked one of `frequencies`, as a Map of user ID to preferences
+   */
+  async getByFrequency(frequencies) {
+    const { data, error } = await supabase
+      .from(this.preferencesTable)
+      .select('*')
+      .in('frequency', frequencies);
+
+    if (error) {
+      throw new Error(`Failed to fetch notification preferences: ${error.message}`);
+    }
+
+    return new Map((data || []).map(row => [row.user_id, this.fromRow(row)]));
+  }
+
+  /**
+   * Apply a partial update from the preferences API. Returns
+   * { success: true, preferences } or { success: false, status, error }.
+   */
+  async update(userId, changes) {
+    const current = await this.get(userId);
+    const next = JSON.parse(JSON.stringify(current));
+
+    if (changes.channels !== undefined) {
+      for (const [channel, enabled] of Object.entries(changes.channels || {})) {
+        if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+          return { success: false, status: 400, error: `channels.${channel} must be a boolean for one of ${CHANNELS.join(', ')}` };
+        }
+        next.channels[channel] = enabled;
+      }
+    }
+
+    if (changes.categories !== undefined) {
+      for (const [category, channels] of Object.entries(changes.categories || {})) {
+        if (!CATEGORIES[category]) {
+          return { success: false, status: 400, error: `Unknown notification category: ${category}` };
+        }
+        for (const [channel, enabled] of Object.entries(channels || {})) {
+          if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+            return { success: false, status: 400, error: `categories.${category}.${channel} must be a boolean` };
+          }
+          if (CATEGORIES[category].required && channel === 'email' && !enabled) {
+            return { success: false, status: 400, error: `${CATEGORIES[category].label} can't be turned off by email` };
+          }
+          next.categories[category][channel] = enabled;
+        }
+      }
+    }
+
+    if (changes.frequency !== undefined) {
+      if (!FREQUENCIES.includes(changes.frequency)) {
+        return { success: false, status: 400, error: `frequency must be one of ${FREQUENCIES.join(', ')}` };
+      }
+      if (changes.frequency !== 'instant' && !(await this.getVendorIds([userId])).has(userId)) {
+        return { success: false, status: 400, error: 'Daily and weekly digests are only available to vendors' };
+      }
+      next.frequency = changes.frequency;
+    }
+
+    if (changes.timezone !== undefined) {
+      if (typeof changes.timezone !== 'string' || !isValidTimeZone(changes.timezone)) {
+        return { success: false, status: 400, error: `Unknown timezone: ${changes.timezone}` };
+      }
+      next.timezone = changes.timezone;
+    }
+
+    if (changes.quietHours !== undefined) {
+      if (changes.quietHours === null) {
+        next.quietHours = null;
+      } else {
+        const { start, end } = changes.quietHours || {};
+        if (!TIME_OF_DAY.test(start || '') || !TIME_OF_DAY.test(end || '') || start === end) {
+          return { success: false, status: 400, error: 'quietHours needs different start and end times as HH:MM' };
+        }
+        next.quietHours = { start, end };
+      }
+    }
+
+    const preferences = await this.save(userId, next);
+    return { success: true, preferences };
+  }
+
+  async save(userId, preferences) {
+    const { data, error } = await supabase
+      .from(this.preferencesTable)
+      .upsert({
+        user_id: userId,
+        channels: preferences.channels,
+        categories: preferences.categories,
+        frequency: preferences.frequency,
+        quiet_hours_start: preferences.quietHours?.start || null,
+        quiet_hours_end: preferences.quietHours?.end || null,
+        timezone: preferences.timezone,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save notification preferences: ${error.message}`);
+    }
+
+    return this.fromRow(data);
+  }
+
+  /**
+   * Turn off one category on a channel, or the whole channel when
+   * category is 'all'
+   */
+  async unsubscribe(userId, { category, channel = 'email' }) {
+    const preferences = await this.get(userId);
+
+    if (category === 'all') {
+      preferences.channels[channel] = false;
+    } else if (CATEGORIES[category] && !CATEGORIES[category].required) {
+      preferences.categories[category][channel] = false;
+    } else {
+      return { success: false, status: 400, error: `Can't unsubscribe from ${category}` };
+    }
+
+    return { success: true, preferences: await this.save(userId, preferences) };
+  }
+
+  /**
+   * Hour, minute and weekday (0 is Sunday) at `now` in the user's timezone
+   */
+  localTime(preferences, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: preferences.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const part = (type) => parts.find(p => p.type === type).value;
+
+    return {
+      hour: Number(part('hour')),
+      minute: Number(part('minute')),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday'))
+    };
+  }
+
+  /**
+   * When quiet hours are on at `now`, the time they end; otherwise null
+   */
+  quietHoursEnd(preferences, now = new Date()) {
+    const { quietHours } = preferences;
+    if (!quietHours) return null;
+
+    const { hour, minute } = this.localTime(preferences, now);
+    const local = hour * 60 + minute;
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    // A window like 22:00-07:00 wraps past midnight
+    const inside = start < end
+      ? local >= start && local < end
+      : local >= start || local < end;
+
+    if (!inside) return null;
+
+    const minutesLeft = (end - local + 24 * 60) % (24 * 60);
+    const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setSeconds(0, 0);
+    return endsAt;
+  }
+
+  /**
+   * Whether and when to deliver a notification.
+   * Returns { send: true, sendAt } (sendAt is null for right away, or the
+   * end of quiet hours) or { send: false, reason }.
+   */
+  decide(preferences, { category, channel, now = new Date() }) {
+    const definition = CATEGORIES[category];
+    if (!definition) {
+      throw new Error(`Unknown notification category: ${category}`);
+    }
+
+    // Account alerts go out regardless, by email at least
+    if (definition.required && channel === 'email') {
+      return { send: true, sendAt: null };
+    }
+
+    if (!preferences.channels[channel]) {
+      return { send: false, reason: 'channel_off' };
+    }
+    if (!preferences.categories[category]?.[channel]) {
+      return { send: false, reason: 'category_off' };
+    }
+    if (definition.digestible && preferences.frequency !== 'instant') {
+      return { send: false, reason: 'digest' };
+    }
+    if (definition.required || category === 'payments') {
+      // Receipts and payment reminders are time-sensitive, so quiet hours don't apply
+      return { send: true, sendAt: null };
+    }
+
+    return { send: true, sendAt: this.quietHoursEnd(preferences, now) };
+  }
+
+  canSignUnsubscribeLinks() {
+    return !!process.env.UNSUBSCRIBE_SECRET;
+  }
+
+  signToken(payload) {
+    const secret = process.env.UNSUBSCRIBE_SECRET;
+    if (!secret) {
+      throw new Error('UNSUBSCRIBE_SECRET environment variable is not set');
+    }
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Signed token naming the user, category and channel to unsubscribe.
+   * It doesn't expire: an old email's link should still work.
+   */
+  createUnsubscribeToken(userId, category, channel = 'email') {
+    const payload = base64url(JSON.stringify({ u: userId, c: category, ch: channel }));
+    return `${payload}.${this.signToken(payload)}`;
+  }
+
+  /**
+   * { userId, category, channel } from a token, or null if the signature
+   * doesn't match
+   */
+  verifyUnsubscribeToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.signToken(payload));
+    const provided = Buffer.from(signature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return null;
+    }
+
+    try {
+      const { u, c, ch } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return { userId: u, category: c, channel: ch || 'email' };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  unsubscribeUrl(userId, category) {
+    return `${API_BASE_URL}/api/notifications/unsubscribe?token=${this.createUnsubscribeToken(userId, category)}`;
+  }
+
+  /**
+   * List-Unsubscribe headers for one-click unsubscribe in mail clients (RFC 8058)
+   */
+  unsubscribeHeaders(userId, category) {
+    return {
+      'List-Unsubscribe': `<${this.unsubscribeUrl(userId, category)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+}
+
+NotificationPreferenceService.CHANNELS = CHANNELS;
+NotificationPreferenceService.CATEGORIES = CATEGORIES;
+NotificationPreferenceService.FREQUENCIES = FREQUENCIES;
+
+module.exports = NotificationPreferenceService;
@@ -0,0 +1,213 @@
+const EmailOutboxService = require('./emailOutboxService');
+const NotificationPreferenceService = require('./notificationPreferenceService');
+const ProfileService = require('./profileService');
+const SmsService = require('./smsService');
+const PushService = require('./pushService');
+const { renderEmail } = require('../emails/registry');
+
+const { CATEGORIES } = NotificationPreferenceService;
+
+// How long a request may spend sending email before leaving the rest to the cron job
+const INLINE_SEND_MS = parseInt(process.env.EMAIL_INLINE_SEND_MS, 10) || 5000;
+
+/**
+ * The one way to notify a user. Checks the recipient's preferences, adds
+ * the unsubscribe link and headers, and queues the email in the outbox,
+ * sending what it can straight away. Texts go to the user's verified phone
+ * number and push notifications to their subscribed browsers.
+ */
+class NotificationService {
+  constructor() {
+    this.outbox = new EmailOutboxService();
+    this.preferences = new NotificationPreferenceService();
+    this.profiles = new ProfileService();
+    this.sms = new SmsService();
+    this.push = new PushService();
+  }
+
+  /**
+   * Send one email. See sendEmails.
+   */
+  async sendEmail(message, options) {
+    const result = await this.sendEmails([message], options);
+    return { ...result, ...result.results[0] };
+  }
+
+  /**
+   * Queue emails for delivery. Each message is
+   * { to, userId, category, template, variables, from, attachments, metadata };
+   * userId is looked up from the address when it's missing.
+   *
+   * Messages the recipient has opted out of (or gets in their digest) are
+   * dropped, ones in their quiet hours are held until they end, and the
+   * rest are sent until `sendNow` runs out (false to leave them all to the
+   * email-outbox cron job).
+   *
+   * Returns { queued, sent, failed, held, skipped, outboxIds, results } where
+   * each result is { to, status, reason, outboxId } and status is one of
+   * 'sent', 'failed', 'queued' (left for the cron job), 'held' or 'skipped'.
+   */
+  async sendEmails(messages, { sendNow = true } = {}) {
+    for (const message of messages) {
+      if (!CATEGORIES[message.category]) {
+        throw new Error(`Unknown notification category: ${message.category}`);
+      }
+    }
+
+    const missing = messages.filter(message => !message.userId).map(message => message.to.toLowerCase());
+    const idsByEmail = missing.length > 0 ? await this.profiles.getIdsByEmail(missing) : new Map();
+    const recipients = messages.map(message => ({
+      ...message,
+      userId: message.userId || idsByEmail.get(message.to.toLowerCase()) || null
+    }));
+
+    const preferences = await this.preferences.getForUsers(recipients.map(message => message.userId));
+    const results = [];
+    const toQueue = [];
+
+    for (const message of recipients) {
+      const decision = message.userId
+        ? this.preferences.decide(preferences.get(message.userId), { category: message.category, channel: 'email' })
+        // Not a Bidi user, so there's nothing to check against
+        : { send: true, sendAt: null };
+
+      if (!decision.send) {
+        results.push({ to: message.to, status: 'skipped', reason: decision.reason });
+        continue;
+      }
+
+      // Optional emails get an unsubscribe link, once links can be signed
+      const optional = message.userId && !CATEGORIES[message.category].required
+        && this.preferences.canSignUnsubscribeLinks();
+      const rendered = renderEmail(message.template, message.variables, {
+        unsubscribeUrl: optional ? this.preferences.unsubscribeUrl(message.userId, message.category) : null
+      });
+
+      toQueue.push({
+        to: message.to,
+        from: message.from,
+        template: message.template,
+        category: message.category,
+        attachments: message.attachments,
+        headers: optional ? this.preferences.unsubscribeHeaders(message.userId, message.category) : null,
+        metadata: { ...message.metadata, user_id: message.userId },
+        sendAt: decision.sendAt,
+        ...rendered
+      });
+      results.push({ to: message.to, status: decision.sendAt ? 'held' : 'queued' });
+    }
+
+    const queued = await this.outbox.enqueue(toQueue);
+
+    // Rows come back in insert order
+    const queuedResults = results.filter(result => result.status !== 'skipped');
+    queued.forEach((row, index) => {
+      queuedResults[index].outboxId = row.id;
+    });
+
+    if (sendNow && queued.length > 0) {
+      const deadline = Date.now() + INLINE_SEND_MS;
+      for (const row of queued) {
+        const stats = await this.outbox.sendRows([row], { deadline });
+        const result = queuedResults.find(item => item.outboxId === row.id);
+        if (stats.sent > 0) result.status = 'sent';
+        if (stats.failed > 0) result.status = 'failed';
+      }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    return {
+      queued: queued.length,
+      sent: count('sent'),
+      failed: count('failed'),
+      held: count('held'),
+      skipped: count('skipped'),
+      outboxIds: queued.map(row => row.id),
+      results
+    };
+  }
+
+  /**
+   * Text a user, if they've turned on SMS for `category` and have a
+   * verified number that hasn't replied STOP. `body` is the text, or a
+   * function of the user's preferences (for times in their timezone).
+   *
+   * Texts are only worth sending while they're news, so one that would
+   * land in quiet hours or be left for a digest is skipped rather than held.
+   * Returns { status: 'sent' | 'failed' | 'skipped', reason }.
+   */
+  async sendSms({ userId, category, body, metadata = {} }) {
+    if (!CATEGORIES[category]) {
+      throw new Error(`Unknown notification category: ${category}`);
+    }
+    if (!userId) {
+      return { status: 'skipped', reason: 'no_user' };
+    }
+    if (!this.sms.isConfigured()) {
+      return { status: 'skipped', reason: 'sms_not_configured' };
+    }
+
+    const preferences = await this.preferences.get(userId);
+    const decision = this.preferences.decide(preferences, { category, channel: 'sms' });
+    if (!decision.send) {
+      return { status: 'skipped', reason: decision.reason };
+    }
+    if (decision.sendAt) {
+      return { status: 'skipped', reason: 'quiet_hours' };
+    }
+
+    const phone = await this.sms.getPhone(userId);
+    if (!phone?.verified_at) {
+      return { status: 'skipped', reason: 'no_verified_phone' };
+    }
+    if (phone.opted_out_at) {
+      return { status: 'skipped', reason: 'opted_out' };
+    }
+
+    return this.sms.send({
+      userId,
+      to: phone.phone_number,
+      body: typeof body === 'function' ? body(preferences) : body,
+      category,
+      metadata
+    });
+  }
+
+  /**
+   * Push a browser notification to a user who has push on for `category`.
+   * `payload` is { title, body, url, tag, data }. Like texts, pushes that
+   * would land in quiet hours are skipped.
+   * Returns { status: 'sent' | 'failed' | 'skipped', reason, ...stats }.
+   */
+  async sendPush({ userId, category, payload }) {
+    if (!CATEGORIES[category]) {
+      throw new Error(`Unknown notification category: ${category}`);
+    }
+    if (!userId) {
+      return { status: 'skipped', reason: 'no_user' };
+    }
+    if (!this.push.isConfigured()) {
+      return { status: 'skipped', reason: 'not_configured' };
+    }
+
+    const preferences = await this.preferences.get(userId);
+    const decision = this.preferences.decide(preferences, { category, channel: 'push' });
+    if (!decision.send) {
+      return { status: 'skipped', reason: decision.reason };
+    }
+    if (decision.sendAt) {
+      return { status: 'skipped', reason: 'quiet_hours' };
+    }
+
+    const stats = await this.push.sendToUser(userId, { ...payload, category });
+    if (stats.sent > 0) {
+      return { status: 'sent', ...stats };
+    }
+    return stats.failed > 0
+      ? { status: 'failed', ...stats }
+      : { status: 'skipped', reason: 'no_subscriptions', ...stats };
+  }
+}
+
+module.exports = NotificationService;
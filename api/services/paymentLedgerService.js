@@ -0,0 +1,625 @@
+const supabase = require('../supabaseClient');
+
+// Status of a single payment row in the ledger
+const PAYMENT_STATUS = {
+  SCHEDULED: 'scheduled',
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed',
+  CANCELED: 'canceled'
+};
+
+// Payment state of a bid as a whole, derived from its ledger rows
+const BID_PAYMENT_STATUS = {
+  PENDING_PAYMENT: 'pending_payment',
+  DEPOSIT_PAID: 'deposit_paid',
+  PAID_IN_FULL: 'paid_in_full',
+  FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed'
+};
+
+// Allowed moves for a payment row. Anything else is an out-of-order or
+// stale Stripe event and is ignored (e.g. a late payment_failed after success).
+const PAYMENT_TRANSITIONS = {
+  scheduled: ['pending', 'succeeded', 'failed', 'canceled'],
+  pending: ['scheduled', 'succeeded', 'failed', 'canceled'],
+  failed: ['pending', 'succeeded', 'failed', 'canceled'],
+  succeeded: ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'disputed'],
+  disputed: ['disputed', 'succeeded', 'partially_refunded', 'refunded'],
+  refunded: [],
+  canceled: []
+};
+
+// Dispute statuses Stripe reports on charge.dispute.closed that leave the funds with us
+const DISPUTE_WON_STATUSES = ['won', 'warning_closed'];
+
+/**
+ * Ledger of Stripe payments made against bids.
+ *
+ * Each checkout creates one row in `bid_payments` (payment_type is 'full',
+ * 'deposit' or 'balance'); webhook events move the row through
+ * PAYMENT_TRANSITIONS and the bid's `payment_status` is re-derived afterwards.
+ * A balance that isn't due yet sits in 'scheduled' with a due_date until the
+ * customer starts its checkout. Once paid, `amount` includes any
+ * `gratuity_amount` the customer added and excludes any Bidi-funded
+ * `discount_amount` (see PromotionService). payout_mode is 'direct' for destination
+ * charges or 'escrow' for funds held on the platform (see EscrowService).
+ */
+class PaymentLedgerService {
+  constructor() {
+    this.paymentsTable = 'bid_payments';
+    this.bidsTable = 'bids';
+  }
+
+  /**
+   * Record a checkout session that has been created but not yet paid
+   */
+  async createPendingPayment({
+    bidId,
+    paymentType = 'full',
+    amount,
+    currency = 'usd',
+    gratuityAmount = 0,
+    discountAmount = 0,
+    platformTopUpAmount = 0,
+    applicationFeeAmount = null,
+    connectedAccountId = null,
+    customerId = null,
+    checkoutSessionId = null,
+    payoutMode = 'direct',
+    metadata = {}
+  }) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from(this.paymentsTable)
+      .insert({
+        bid_id: bidId,
+        payment_type: paymentType,
+        status: PAYMENT_STATUS.PENDING,
+        amount,
+        amount_refunded: 0,
+        currency,
+        gratuity_amount: gratuityAmount,
+        discount_amount: discountAmount,
+        platform_top_up_amount: platformTopUpAmount,
+        application_fee_amount: applicationFeeAmount,
+        connected_account_id: connectedAccountId,
+        customer_id: customerId,
+        stripe_checkout_session_id: checkoutSessionId,
+        payout_mode: payoutMode,
+        metadata,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record pending payment for bid ${bidId}: ${error.message}`);
+    }
+
+    await this.syncBidStatus(bidId);
+    return data;
+  }
+
+  /**
+   * Record a future balance payment for a bid. Returns the existing row if
+   * the balance has already been scheduled.
+   */
+  async scheduleBalancePayment({
+    bidId,
+    amount,
+    currency = 'usd',
+    connectedAccountId = null,
+    dueDate,
+    reminderAt,
+    payoutMode = 'direct',
+    metadata = {}
+  }) {
+    const existing = await this.getBalancePayment(bidId);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from(this.paymentsTable)
+      .insert({
+        bid_id: bidId,
+        payment_type: 'balance',
+        status: PAYMENT_STATUS.SCHEDULED,
+        amount,
+        amount_refunded: 0,
+        currency,
+        connected_account_id: connectedAccountId,
+        due_date: dueDate,
+        reminder_at: reminderAt,
+        payout_mode: payoutMode,
+        metadata,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to schedule balance payment for bid ${bidId}: ${error.message}`);
+    }
+
+    console.log(`Balance of ${amount} for bid ${bidId} scheduled for ${dueDate}`);
+    return data;
+  }
+
+  /**
+   * The balance-due row for a bid, if one has been scheduled
+   */
+  async getBalancePayment(bidId) {
+    const { data, error } = await supabase
+      .from(this.paymentsTable)
+      .select('*')
+      .eq('bid_id', bidId)
+      .eq('payment_type', 'balance')
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to fetch balance payment for bid ${bidId}: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Link a new checkout session to an existing (scheduled or failed) row
+   */
+  async attachCheckoutSession(payment, checkoutSessionId, updates = {}) {
+    return this.transitionPayment(payment, PAYMENT_STATUS.PENDING, {
+      ...updates,
+      stripe_checkout_session_id: checkoutSessionId,
+      stripe_payment_intent_id: null,
+      failure_reason: null
+    });
+  }
+
+  /**
+   * Find a ledger row by any of the Stripe identifiers we store
+   */
+  async findPayment({ checkoutSessionId, paymentIntentId, chargeId }) {
+    const lookups = [
+      ['stripe_checkout_session_id', checkoutSessionId],
+      ['stripe_payment_intent_id', paymentIntentId],
+      ['stripe_charge_id', chargeId]
+    ].filter(([, value]) => value);
+
+    for (const [column, value] of lookups) {
+      const { data, error } = await supabase
+        .from(this.paymentsTable)
+        .select('*')
+        .eq(column, value)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        throw new Error(`Failed to look up payment by ${column}: ${error.message}`);
+      }
+
+      if (data && data.length > 0) {
+        return data[0];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the newest unsettled row for a bid, used when a PaymentIntent event
+   * arrives before checkout.session.completed has linked its ID
+   */
+  async findOpenPaymentForBid(bidId, paymentType) {
+    let query = supabase
+      .from(this.paymentsTable)
+      .select('*')
+      .eq('bid_id', bidId)
+      .in('status', [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED])
+      .is('stripe_payment_intent_id', null)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (paymentType) {
+      query = query.eq('payment_type', paymentType);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to look up open payment for bid ${bidId}: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Get every ledger row for a bid, oldest first
+   */
+  async getPaymentsForBid(bidId) {
+    const { data, error } = await supabase
+      .from(this.paymentsTable)
+      .select('*')
+      .eq('bid_id', bidId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch payments for bid ${bidId}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Whether a payment row may move from one status to another
+   */
+  canTransition(fromStatus, toStatus) {
+    return (PAYMENT_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Move a payment row to a new status, ignoring invalid transitions.
+   * Returns the updated row, or the unchanged row if the move was rejected.
+   */
+  async transitionPayment(payment, nextStatus, updates = {}) {
+    if (payment.status !== nextStatus && !this.canTransition(payment.status, nextStatus)) {
+      console.warn(`Ignoring payment ${payment.id} transition ${payment.status} -> ${nextStatus}`);
+      return payment;
+    }
+
+    const { data, error } = await supabase
+      .from(this.paymentsTable)
+      .update({
+        ...updates,
+        status: nextStatus,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', payment.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update payment ${payment.id}: ${error.message}`);
+    }
+
+    console.log(`Payment ${payment.id} for bid ${payment.bid_id}: ${payment.status} -> ${nextStatus}`);
+    return data;
+  }
+
+  /**
+   * Mark the vendor as told about a payment. Returns false if they already
+   * were, so a replayed event doesn't notify them twice.
+   */
+  async claimVendorNotification(payment) {
+    const { data, error } = await supabase
+      .from(this.paymentsTable)
+      .update({ vendor_notified_at: new Date().toISOString() })
+      .eq('id', payment.id)
+      .is('vendor_notified_at', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to mark vendor notified for payment ${payment.id}: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Apply a refund we issued ourselves, without waiting for charge.refunded.
+   * `totalRefunded` is the payment's cumulative refunded amount in cents.
+   */
+  async recordRefund(payment, totalRefunded) {
+    const nextStatus = totalRefunded >= payment.amount
+      ? PAYMENT_STATUS.REFUNDED
+      : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+
+    const updated = await this.transitionPayment(payment, nextStatus, {
+      amount_refunded: Math.min(totalRefunded, payment.amount)
+    });
+
+    await this.syncBidStatus(payment.bid_id);
+    return updated;
+  }
+
+  /**
+   * Cancel a bid's payments that haven't been taken yet (e.g. the balance
+   * after a booking is cancelled)
+   */
+  async cancelUnpaidPayments(bidId) {
+    const payments = await this.getPaymentsForBid(bidId);
+    const unpaid = payments.filter(payment => [
+      PAYMENT_STATUS.SCHEDULED,
+      PAYMENT_STATUS.FAILED
+    ].includes(payment.status));
+
+    for (const payment of unpaid) {
+      await this.transitionPayment(payment, PAYMENT_STATUS.CANCELED);
+    }
+
+    return unpaid.length;
+  }
+
+  /**
+   * checkout.session.completed
+   */
+  async handleCheckoutSessionCompleted(session) {
+    const bidId = session.metadata?.bid_id;
+    const paymentIntentId = session.payment_intent;
+
+    let payment = await this.findPayment({
+      checkoutSessionId: session.id,
+      paymentIntentId
+    });
+
+    if (!payment) {
+      if (!bidId) {
+        console.warn(`Checkout session ${session.id} has no bid_id metadata, skipping ledger update`);
+        return null;
+      }
+
+      // Sessions created before the ledger existed have no pending row
+      payment = await this.createPendingPayment({
+        bidId,
+        paymentType: session.metadata?.payment_type || 'full',
+        amount: session.amount_total,
+        currency: session.currency,
+        gratuityAmount: parseInt(session.metadata?.gratuity_amount, 10) || 0,
+        discountAmount: parseInt(session.metadata?.discount_amount, 10) || 0,
+        platformTopUpAmount: parseInt(session.metadata?.platform_top_up_amount, 10) || 0,
+        checkoutSessionId: session.id,
+        payoutMode: session.metadata?.payout_mode || 'direct'
+      });
+    }
+
+    const updates = { stripe_payment_intent_id: paymentIntentId || payment.stripe_payment_intent_id };
+
+    // Delayed payment methods complete the session before the money moves;
+    // payment_intent.succeeded settles those later.
+    if (session.payment_status === 'paid') {
+      payment = await this.transitionPayment(payment, PAYMENT_STATUS.SUCCEEDED, {
+        ...updates,
+        amount: session.amount_total,
+        paid_at: payment.paid_at || new Date().toISOString()
+      });
+    } else {
+      payment = await this.transitionPayment(payment, payment.status, updates);
+    }
+
+    await this.syncBidStatus(payment.bid_id);
+    return payment;
+  }
+
+  /**
+   * checkout.session.expired: the customer never paid. A balance goes back
+   * to 'scheduled' so a new checkout can be started for it; any other
+   * checkout's row is canceled.
+   */
+  async handleCheckoutSessionExpired(session) {
+    let payment = await this.findPayment({ checkoutSessionId: session.id });
+    if (!payment || payment.status !== PAYMENT_STATUS.PENDING) {
+      return payment;
+    }
+
+    payment = payment.payment_type === 'balance'
+      ? await this.transitionPayment(payment, PAYMENT_STATUS.SCHEDULED, { gratuity_amount: 0 })
+      : await this.transitionPayment(payment, PAYMENT_STATUS.CANCELED, { failure_reason: 'Checkout session expired' });
+
+    await this.syncBidStatus(payment.bid_id);
+    return payment;
+  }
+
+  /**
+   * Resolve the ledger row for a PaymentIntent event
+   */
+  async findPaymentForIntent(paymentIntent) {
+    const payment = await this.findPayment({ paymentIntentId: paymentIntent.id });
+    if (payment) {
+      return payment;
+    }
+
+    const bidId = paymentIntent.metadata?.bid_id;
+    if (!bidId) {
+      return null;
+    }
+
+    return this.findOpenPaymentForBid(bidId, paymentIntent.metadata?.payment_type);
+  }
+
+  /**
+   * payment_intent.succeeded
+   */
+  async handlePaymentIntentSucceeded(paymentIntent) {
+    let payment = await this.findPaymentForIntent(paymentIntent);
+    if (!payment) {
+      console.warn(`No ledger entry for PaymentIntent ${paymentIntent.id}`);
+      return null;
+    }
+
+    payment = await this.transitionPayment(payment, PAYMENT_STATUS.SUCCEEDED, {
+      stripe_payment_intent_id: paymentIntent.id,
+      stripe_charge_id: paymentIntent.latest_charge || payment.stripe_charge_id,
+      amount: paymentIntent.amount_received || paymentIntent.amount,
+      failure_reason: null,
+      paid_at: payment.paid_at || new Date().toISOString()
+    });
+
+    await this.syncBidStatus(payment.bid_id);
+    return payment;
+  }
+
+  /**
+   * payment_intent.payment_failed / payment_intent.canceled
+   */
+  async handlePaymentIntentFailed(paymentIntent) {
+    let payment = await this.findPaymentForIntent(paymentIntent);
+    if (!payment) {
+      console.warn(`No ledger entry for PaymentIntent ${paymentIntent.id}`);
+      return null;
+    }
+
+    payment = await this.transitionPayment(payment, PAYMENT_STATUS.FAILED, {
+      stripe_payment_intent_id: paymentIntent.id,
+      failure_reason: paymentIntent.last_payment_error?.message
+        || paymentIntent.cancellation_reason
+        || 'Payment failed'
+    });
+
+    await this.syncBidStatus(payment.bid_id);
+    return payment;
+  }
+
+  /**
+   * charge.refunded
+   */
+  async handleChargeRefunded(charge) {
+    let payment = await this.findPayment({
+      paymentIntentId: charge.payment_intent,
+      chargeId: charge.id
+    });
+    if (!payment) {
+      console.warn(`No ledger entry for refunded charge ${charge.id}`);
+      return null;
+    }
+
+    const nextStatus = charge.refunded ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+
+    payment = await this.transitionPayment(payment, nextStatus, {
+      stripe_charge_id: charge.id,
+      amount_refunded: charge.amount_refunded
+    });
+
+    await this.syncBidStatus(payment.bid_id);
+    return payment;
+  }
+
+  /**
+   * charge.dispute.created / charge.dispute.updated / charge.dispute.closed
+   */
+  async handleDispute(dispute) {
+    let payment = await this.findPayment({
+      paymentIntentId: dispute.payment_intent,
+      chargeId: dispute.charge
+    });
+    if (!payment) {
+      console.warn(`No ledger entry for disputed charge ${dispute.charge}`);
+      return null;
+    }
+
+    const updates = {
+      stripe_dispute_id: dispute.id,
+      dispute_status: dispute.status
+    };
+
+    let nextStatus = PAYMENT_STATUS.DISPUTED;
+    if (dispute.status === 'lost') {
+      nextStatus = PAYMENT_STATUS.REFUNDED;
+      updates.amount_refunded = payment.amount;
+    } else if (DISPUTE_WON_STATUSES.includes(dispute.status)) {
+      nextStatus = payment.amount_refunded > 0
+        ? PAYMENT_STATUS.PARTIALLY_REFUNDED
+        : PAYMENT_STATUS.SUCCEEDED;
+    }
+
+    payment = await this.transitionPayment(payment, nextStatus, updates);
+
+    await this.syncBidStatus(payment.bid_id);
+    return payment;
+  }
+
+  /**
+   * Work out the bid-level payment status from its ledger rows
+   */
+  deriveBidPaymentStatus(payments) {
+    if (!payments || payments.length === 0) {
+      return null;
+    }
+
+    const statuses = payments.map(payment => payment.status);
+    const settled = payments.filter(payment => [
+      PAYMENT_STATUS.SUCCEEDED,
+      PAYMENT_STATUS.PARTIALLY_REFUNDED,
+      PAYMENT_STATUS.REFUNDED
+    ].includes(payment.status));
+
+    if (statuses.includes(PAYMENT_STATUS.DISPUTED)) {
+      return BID_PAYMENT_STATUS.DISPUTED;
+    }
+
+    if (settled.length > 0) {
+      if (settled.every(payment => payment.status === PAYMENT_STATUS.REFUNDED)) {
+        return BID_PAYMENT_STATUS.REFUNDED;
+      }
+
+      if (settled.some(payment => payment.status !== PAYMENT_STATUS.SUCCEEDED)) {
+        return BID_PAYMENT_STATUS.PARTIALLY_REFUNDED;
+      }
+
+      const paidInFull = settled.some(payment => ['full', 'balance'].includes(payment.payment_type));
+      return paidInFull ? BID_PAYMENT_STATUS.PAID_IN_FULL : BID_PAYMENT_STATUS.DEPOSIT_PAID;
+    }
+
+    // Nothing settled yet: the most recent attempt decides
+    const attempts = payments.filter(payment => payment.status !== PAYMENT_STATUS.CANCELED);
+    if (attempts.length === 0) {
+      return null;
+    }
+
+    const latest = attempts[attempts.length - 1];
+    return latest.status === PAYMENT_STATUS.FAILED
+      ? BID_PAYMENT_STATUS.FAILED
+      : BID_PAYMENT_STATUS.PENDING_PAYMENT;
+  }
+
+  /**
+   * Recompute and persist `bids.payment_status`
+   */
+  async syncBidStatus(bidId) {
+    const payments = await this.getPaymentsForBid(bidId);
+    const paymentStatus = this.deriveBidPaymentStatus(payments);
+    if (!paymentStatus) {
+      return null;
+    }
+
+    const updates = {
+      payment_status: paymentStatus,
+      payment_status_updated_at: new Date().toISOString()
+    };
+
+    // Keep the legacy `status: 'paid'` flag the dashboard already reads
+    if ([BID_PAYMENT_STATUS.DEPOSIT_PAID, BID_PAYMENT_STATUS.PAID_IN_FULL].includes(paymentStatus)) {
+      updates.status = 'paid';
+    }
+
+    const { error } = await supabase
+      .from(this.bidsTable)
+      .update(updates)
+      .eq('id', bidId);
+
+    if (error) {
+      throw new Error(`Failed to update payment status for bid ${bidId}: ${error.message}`);
+    }
+
+    console.log(`Bid ${bidId} payment status: ${paymentStatus}`);
+    return paymentStatus;
+  }
+}
+
+PaymentLedgerService.PAYMENT_STATUS = PAYMENT_STATUS;
+PaymentLedgerService.BID_PAYMENT_STATUS = BID_PAYMENT_STATUS;
+PaymentLedgerService.PAYMENT_TRANSITIONS = PAYMENT_TRANSITIONS;
+
+module.exports = PaymentLedgerService;
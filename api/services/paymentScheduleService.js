@@ -0,0 +1,194 @@
+const supabase = require('../supabaseClient');
+const PaymentLedgerService = require('./paymentLedgerService');
+const RequestLookupService = require('./requestLookupService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Splits a bid into a deposit taken at checkout and a balance due before
+ * the event.
+ *
+ * The deposit percentage comes from the vendor's `business_pricing_rules`
+ * for the request's category. The balance is scheduled in the payments
+ * ledger once the deposit succeeds, with a due date a fixed number of days
+ * before the event and a reminder a few days before that.
+ */
+class PaymentScheduleService {
+  constructor() {
+    this.pricingRulesTable = 'business_pricing_rules';
+    this.balanceDueDaysBeforeEvent = parseInt(process.env.BALANCE_DUE_DAYS_BEFORE_EVENT, 10) || 14;
+    this.reminderDaysBeforeDue = parseInt(process.env.BALANCE_REMINDER_DAYS_BEFORE_DUE, 10) || 3;
+    // Used when the request has no event date
+    this.defaultBalanceDueDays = 30;
+    this.paymentLedger = new PaymentLedgerService();
+    this.requestLookup = new RequestLookupService();
+  }
+
+  /**
+   * The vendor's deposit percentage for a category, or null if not configured
+   */
+  async getDepositPercent(businessId, category) {
+    const { data, error } = await supabase
+      .from(this.pricingRulesTable)
+      .select('deposit_percent')
+      .eq('business_id', businessId)
+      .eq('category', category)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to fetch pricing rules for business ${businessId}: ${error.message}`);
+    }
+
+    const percent = parseFloat(data?.[0]?.deposit_percent);
+    if (!percent || percent <= 0 || percent >= 100) {
+      return null;
+    }
+
+    return percent;
+  }
+
+  /**
+   * When the balance falls due: a fixed lead time before the event, but
+   * never earlier than tomorrow
+   */
+  calculateBalanceDueDate(eventDate, now = new Date()) {
+    const earliest = new Date(now.getTime() + DAY_MS);
+
+    if (!eventDate) {
+      return new Date(now.getTime() + this.defaultBalanceDueDays * DAY_MS);
+    }
+
+    const dueDate = new Date(eventDate.getTime() - this.balanceDueDaysBeforeEvent * DAY_MS);
+    return dueDate < earliest ? earliest : dueDate;
+  }
+
+  /**
+   * When to remind the customer about a balance, never in the past
+   */
+  calculateReminderDate(dueDate, now = new Date()) {
+    const reminderAt = new Date(dueDate.getTime() - this.reminderDaysBeforeDue * DAY_MS);
+    return reminderAt < now ? now : reminderAt;
+  }
+
+  /**
+   * A bid's full price in cents, from its bid_amount, or null if it has none
+   */
+  getBidTotal(bid) {
+    const totalAmount = Math.round(parseFloat(bid?.bid_amount) * 100);
+    return totalAmount > 0 ? totalAmount : null;
+  }
+
+  /**
+   * Work out the deposit/balance split for a bid from its bid_amount, so
+   * the total can't be chosen by the client. `totalAmount` in the result is
+   * the full bid price in cents.
+   * Returns null if the bid, its price or the vendor's deposit percentage
+   * can't be found.
+   */
+  async buildDepositSchedule(bidId) {
+    const found = await this.requestLookup.findRequestForBid(bidId);
+    if (!found) {
+      return null;
+    }
+
+    const { bid, request, category } = found;
+    const totalAmount = this.getBidTotal(bid);
+    if (!totalAmount) {
+      return null;
+    }
+
+    const depositPercent = await this.getDepositPercent(bid.user_id, category);
+    if (!depositPercent) {
+      return null;
+    }
+
+    const depositAmount = Math.round(totalAmount * depositPercent / 100);
+    const eventDate = this.requestLookup.getEventDate(request);
+    const balanceDueDate = this.calculateBalanceDueDate(eventDate);
+
+    return {
+      bid,
+      totalAmount,
+      depositPercent,
+      depositAmount,
+      balanceAmount: totalAmount - depositAmount,
+      eventDate,
+      balanceDueDate,
+      reminderAt: this.calculateReminderDate(balanceDueDate)
+    };
+  }
+
+  /**
+   * Schedule the balance once a deposit payment has succeeded. The split was
+   * stored on the deposit's ledger row when its checkout was created.
+   */
+  async scheduleBalanceAfterDeposit(depositPayment) {
+    if (!depositPayment || depositPayment.payment_type !== 'deposit' || depositPayment.status !== 'succeeded') {
+      return null;
+    }
+
+    const { balance_amount: balanceAmount, balance_due_date: balanceDueDate } = depositPayment.metadata || {};
+    if (!balanceAmount || !balanceDueDate) {
+      console.warn(`Deposit payment ${depositPayment.id} has no balance schedule in its metadata`);
+      return null;
+    }
+
+    const dueDate = new Date(balanceDueDate);
+
+    return this.paymentLedger.scheduleBalancePayment({
+      bidId: depositPayment.bid_id,
+      amount: parseInt(balanceAmount, 10),
+      currency: depositPayment.currency,
+      connectedAccountId: depositPayment.connected_account_id,
+      dueDate: dueDate.toISOString(),
+      reminderAt: this.calculateReminderDate(dueDate).toISOString(),
+      // The balance is paid out the same way as its deposit
+      payoutMode: depositPayment.payout_mode || 'direct',
+      metadata: {
+        deposit_payment_id: depositPayment.id,
+        total_amount: depositPayment.metadata.total_amount
+      }
+    });
+  }
+
+  /**
+   * Unpaid balances whose reminder time has come and which haven't been reminded
+   */
+  async getDueReminders(now = new Date(), limit = 100) {
+    const { data, error } = await supabase
+      .from(this.paymentLedger.paymentsTable)
+      .select('*')
+      .eq('payment_type', 'balance')
+      .in('status', ['scheduled', 'pending', 'failed'])
+      .lte('reminder_at', now.toISOString())
+      .is('reminder_sent_at', null)
+      .order('reminder_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch due balance reminders: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Stamp a balance row so its reminder isn't sent twice
+   */
+  async markReminderSent(paymentId) {
+    const { error } = await supabase
+      .from(this.paymentLedger.paymentsTable)
+      .update({
+        reminder_sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', paymentId);
+
+    if (error) {
+      throw new Error(`Failed to mark reminder sent for payment ${paymentId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PaymentScheduleService;
@@ -0,0 +1,52 @@
+const supabase = require('../supabaseClient');
+
+/**
+ * When users were last connected, for "last seen" in the messaging UI.
+ *
+ * Whether someone is online right now comes from their Socket.IO room;
+ * `user_presence` keeps the time they were last seen so it survives
+ * disconnects and restarts.
+ */
+class PresenceService {
+  constructor() {
+    this.presenceTable = 'user_presence';
+  }
+
+  /**
+   * Record the user as seen now. Returns the time recorded.
+   */
+  async markSeen(userId) {
+    const lastSeenAt = new Date().toISOString();
+
+    const { error } = await supabase
+      .from(this.presenceTable)
+      .upsert({ user_id: userId, last_seen_at: lastSeenAt, updated_at: lastSeenAt }, { onConflict: 'user_id' });
+
+    if (error) {
+      throw new Error(`Failed to record presence for ${userId}: ${error.message}`);
+    }
+
+    return lastSeenAt;
+  }
+
+  /**
+   * Last-seen times for users, as a Map of user ID to ISO time (missing
+   * for users never seen)
+   */
+  async getLastSeen(userIds) {
+    if (userIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+      .from(this.presenceTable)
+      .select('user_id, last_seen_at')
+      .in('user_id', userIds);
+
+    if (error) {
+      throw new Error(`Failed to fetch presence: ${error.message}`);
+    }
+
+    return new Map((data || []).map(row => [row.user_id, row.last_seen_at]));
+  }
+}
+
+module.exports = PresenceService;
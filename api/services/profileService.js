@@ -0,0 +1,90 @@
+const supabase = require('../supabaseClient');
+
+/**
+ * Contact details for customers and vendors, for anything that has to
+ * address a person (emails, receipts, documents)
+ */
+class ProfileService {
+  constructor() {
+    this.profilesTable = 'profiles';
+    this.individualProfilesTable = 'individual_profiles';
+    this.businessProfilesTable = 'business_profiles';
+  }
+
+  /**
+   * Email and display name for a customer profile, or null if not found
+   */
+  async getCustomerContact(profileId) {
+    if (!profileId) {
+      return null;
+    }
+
+    const [{ data: profile, error }, { data: individual }] = await Promise.all([
+      supabase.from(this.profilesTable).select('id, email').eq('id', profileId).maybeSingle(),
+      supabase.from(this.individualProfilesTable).select('first_name, last_name').eq('id', profileId).maybeSingle()
+    ]);
+
+    if (error || !profile) {
+      return null;
+    }
+
+    const name = [individual?.first_name, individual?.last_name].filter(Boolean).join(' ');
+
+    return {
+      id: profile.id,
+      email: profile.email,
+      name: name || profile.email
+    };
+  }
+
+  /**
+   * Name, email, Stripe account and country for a vendor, or null if not found
+   */
+  async getBusinessContact(businessId) {
+    if (!businessId) {
+      return null;
+    }
+
+    const { data: business, error } = await supabase
+      .from(this.businessProfilesTable)
+      .select('id, business_name, stripe_account_id, stripe_country, profiles(email)')
+      .eq('id', businessId)
+      .maybeSingle();
+
+    if (error || !business) {
+      return null;
+    }
+
+    return {
+      id: business.id,
+      email: business.profiles?.email || null,
+      name: business.business_name || 'Business',
+      stripeAccountId: business.stripe_account_id,
+      country: business.stripe_country || null
+    };
+  }
+
+  /**
+   * Profile IDs for a list of email addresses, as a Map keyed by the
+   * lowercased address. Addresses with no profile are left out.
+   */
+  async getIdsByEmail(emails) {
+    const addresses = [...new Set(emails.filter(Boolean))];
+    if (addresses.length === 0) {
+      return new Map();
+    }
+
+    const { data, error } = await supabase
+      .from(this.profilesTable)
+      .select('id, email')
+      .in('email', addresses);
+
+    if (error) {
+      throw new Error(`Failed to look up profiles by email: ${error.message}`);
+    }
+
+    return new Map((data || []).map(profile => [profile.email.toLowerCase(), profile.id]));
+  }
+}
+
+module.exports = ProfileService;
@@ -0,0 +1,450 @@
+const supabase = require('../supabaseClient');
+const stripe = require('../stripeClient');
+const { normalizeCurrency } = require('../currency');
+
+// Lifecycle of a promo redemption or credit spend. 'pending' holds the
+// discount while its checkout is open, so limits count it straight away.
+const REDEMPTION_STATUS = {
+  PENDING: 'pending',
+  REDEEMED: 'redeemed',
+  RELEASED: 'released'
+};
+
+// Stripe won't take a card payment below this (in minor units)
+const MIN_CHARGE_AMOUNT = 50;
+
+// Ledger statuses that count as a completed booking for first-booking offers
+const BOOKED_STATUSES = ['succeeded', 'partially_refunded', 'disputed'];
+
+/**
+ * Bidi-funded promo codes and customer credits.
+ *
+ * A campaign in `promo_campaigns` has a code, a fixed or percentage
+ * discount and usage limits. Credits are a per-customer ledger in
+ * `customer_credits`: grants are positive rows, spends negative. Both only
+ * reduce what the customer is charged. The vendor's net payout is kept the
+ * same by taking the discount out of the platform's application fee, and
+ * when the discount is bigger than the fee the platform transfers the
+ * difference to the vendor once the payment succeeds (the "top-up").
+ */
+class PromotionService {
+  constructor() {
+    this.campaignsTable = 'promo_campaigns';
+    this.redemptionsTable = 'promo_redemptions';
+    this.creditsTable = 'customer_credits';
+    this.paymentsTable = 'bid_payments';
+  }
+
+  /**
+   * Campaign for a code, case-insensitive
+   */
+  async findCampaignByCode(code) {
+    const { data, error } = await supabase
+      .from(this.campaignsTable)
+      .select('*')
+      .eq('code', String(code).trim().toUpperCase())
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up promo code: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * All campaigns, newest first
+   */
+  async listCampaigns() {
+    const { data, error } = await supabase
+      .from(this.campaignsTable)
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to list promo campaigns: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Create a campaign. `discountValue` is cents for 'fixed' and a
+   * percentage for 'percent'.
+   */
+  async createCampaign({
+    name,
+    code,
+    discountType,
+    discountValue,
+    maxDiscountAmount = null,
+    currency = null,
+    minAmount = null,
+    firstBookingOnly = false,
+    maxRedemptions = null,
+    maxRedemptionsPerUser = 1,
+    startsAt = null,
+    endsAt = null
+  }) {
+    const { data, error } = await supabase
+      .from(this.campaignsTable)
+      .insert({
+        name,
+        code: String(code).trim().toUpperCase(),
+        discount_type: discountType,
+        discount_value: discountValue,
+        max_discount_amount: maxDiscountAmount,
+        currency: currency ? normalizeCurrency(currency) : null,
+        min_amount: minAmount,
+        first_booking_only: firstBookingOnly,
+        max_redemptions: maxRedemptions,
+        max_redemptions_per_user: maxRedemptionsPerUser,
+        starts_at: startsAt,
+        ends_at: endsAt,
+        active: true,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create promo campaign: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Turn a campaign on or off
+   */
+  async setCampaignActive(campaignId, active) {
+    const { data, error } = await supabase
+      .from(this.campaignsTable)
+      .update({ active })
+      .eq('id', campaignId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update promo campaign ${campaignId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Pending and completed redemptions of a campaign, optionally for one user
+   */
+  async countRedemptions(campaignId, userId = null) {
+    let query = supabase
+      .from(this.redemptionsTable)
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId)
+      .in('status', [REDEMPTION_STATUS.PENDING, REDEMPTION_STATUS.REDEEMED]);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { count, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to count redemptions for campaign ${campaignId}: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Whether a customer has paid for a booking before. Only ledger rows that
+   * record the customer are counted.
+   */
+  async hasPriorBooking(userId) {
+    const { count, error } = await supabase
+      .from(this.paymentsTable)
+      .select('id', { count: 'exact', head: true })
+      .eq('customer_id', userId)
+      .in('status', BOOKED_STATUSES);
+
+    if (error) {
+      throw new Error(`Failed to check bookings for customer ${userId}: ${error.message}`);
+    }
+
+    return count > 0;
+  }
+
+  /**
+   * Check a code for a customer and work out its discount on `amount`.
+   * Returns { campaign, discount } or { error }.
+   */
+  async evaluateCode({ code, userId, amount, currency, now = new Date() }) {
+    const campaign = await this.findCampaignByCode(code);
+
+    if (!campaign || !campaign.active) {
+      return { error: 'This promo code is not valid' };
+    }
+
+    if ((campaign.starts_at && new Date(campaign.starts_at) > now) || (campaign.ends_at && new Date(campaign.ends_at) <= now)) {
+      return { error: 'This promo code has expired' };
+    }
+
+    if (campaign.currency && campaign.currency !== normalizeCurrency(currency)) {
+      return { error: 'This promo code is not valid for this vendor' };
+    }
+
+    if (campaign.min_amount && amount < campaign.min_amount) {
+      return { error: 'This booking is below the minimum for this promo code' };
+    }
+
+    if (campaign.first_booking_only && await this.hasPriorBooking(userId)) {
+      return { error: 'This promo code is only valid on your first booking' };
+    }
+
+    if (campaign.max_redemptions && await this.countRedemptions(campaign.id) >= campaign.max_redemptions) {
+      return { error: 'This promo code has been fully redeemed' };
+    }
+
+    if (campaign.max_redemptions_per_user && await this.countRedemptions(campaign.id, userId) >= campaign.max_redemptions_per_user) {
+      return { error: "You've already used this promo code" };
+    }
+
+    let discount = campaign.discount_type === 'percent'
+      ? Math.round(amount * campaign.discount_value / 100)
+      : campaign.discount_value;
+
+    if (campaign.max_discount_amount) {
+      discount = Math.min(discount, campaign.max_discount_amount);
+    }
+
+    return { campaign, discount };
+  }
+
+  /**
+   * A customer's available credit: unexpired grants less pending and
+   * applied spends
+   */
+  async getCreditBalance(userId, currency) {
+    const { data, error } = await supabase
+      .from(this.creditsTable)
+      .select('amount, status, expires_at')
+      .eq('user_id', userId)
+      .eq('currency', normalizeCurrency(currency))
+      .neq('status', REDEMPTION_STATUS.RELEASED);
+
+    if (error) {
+      throw new Error(`Failed to fetch credits for customer ${userId}: ${error.message}`);
+    }
+
+    const now = new Date();
+    const balance = (data || [])
+      .filter(row => row.amount < 0 || !row.expires_at || new Date(row.expires_at) > now)
+      .reduce((sum, row) => sum + row.amount, 0);
+
+    return Math.max(0, balance);
+  }
+
+  /**
+   * Give a customer credit
+   */
+  async grantCredit({ userId, amount, currency, reason, expiresAt = null, grantedBy = null }) {
+    const { data, error } = await supabase
+      .from(this.creditsTable)
+      .insert({
+        user_id: userId,
+        amount,
+        currency: normalizeCurrency(currency),
+        reason,
+        status: 'granted',
+        expires_at: expiresAt,
+        granted_by: grantedBy,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to grant credit to customer ${userId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Work out every Bidi-funded discount on a checkout: the promo code
+   * first, then credits towards what's left. The customer is always
+   * charged at least MIN_CHARGE_AMOUNT.
+   *
+   * Returns { discount, promo, creditsApplied } or { error }.
+   */
+  async quoteDiscounts({ userId, amount, currency, promoCode, useCredits = false }) {
+    const maxDiscount = Math.max(0, amount - MIN_CHARGE_AMOUNT);
+    let promo = null;
+
+    if (promoCode) {
+      const result = await this.evaluateCode({ code: promoCode, userId, amount, currency });
+      if (result.error) {
+        return { error: result.error };
+      }
+      promo = { campaign: result.campaign, amount: Math.min(result.discount, maxDiscount) };
+    }
+
+    let creditsApplied = 0;
+    if (useCredits) {
+      const balance = await this.getCreditBalance(userId, currency);
+      creditsApplied = Math.min(balance, maxDiscount - (promo?.amount || 0));
+    }
+
+    return {
+      discount: (promo?.amount || 0) + creditsApplied,
+      promo,
+      creditsApplied
+    };
+  }
+
+  /**
+   * Split the platform's cost of a discount: first out of the application
+   * fee, then as a top-up transfer to the vendor, so the vendor nets the
+   * same as an undiscounted payment
+   */
+  splitFee(feeAmount, discount) {
+    return {
+      applicationFeeAmount: Math.max(0, feeAmount - discount),
+      topUpAmount: Math.max(0, discount - feeAmount)
+    };
+  }
+
+  /**
+   * Hold the promo redemption and credit spend for an open checkout. The
+   * quote's limit and balance checks run before the checkout exists, so
+   * the database function checks them again under a lock as it inserts.
+   * Returns { success } or { success: false, status, error } if the code or
+   * credits were used up in the meantime.
+   */
+  async reserve({ userId, bidId, checkoutSessionId, currency, promo, creditsApplied }) {
+    const { data: reason, error } = await supabase.rpc('reserve_checkout_discounts', {
+      p_user_id: userId,
+      p_bid_id: bidId,
+      p_checkout_session_id: checkoutSessionId,
+      p_currency: normalizeCurrency(currency),
+      p_campaign_id: promo ? promo.campaign.id : null,
+      p_promo_amount: promo ? promo.amount : 0,
+      p_credits_amount: creditsApplied || 0
+    });
+
+    if (error) {
+      throw new Error(`Failed to reserve discounts for bid ${bidId}: ${error.message}`);
+    }
+
+    if (reason) {
+      return { success: false, status: 409, error: reason };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Move a checkout's reservations on from 'pending'
+   */
+  async settleReservations(checkoutSessionId, status) {
+    for (const table of [this.redemptionsTable, this.creditsTable]) {
+      const { error } = await supabase
+        .from(table)
+        .update({ status, updated_at: new Date().toISOString() })
+        .eq('checkout_session_id', checkoutSessionId)
+        .eq('status', REDEMPTION_STATUS.PENDING);
+
+      if (error) {
+        throw new Error(`Failed to update ${table} for checkout ${checkoutSessionId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * The payment went through: the code and credits are used up
+   */
+  async redeemForPayment(payment) {
+    if (!payment?.stripe_checkout_session_id || !payment.discount_amount) {
+      return;
+    }
+
+    await this.settleReservations(payment.stripe_checkout_session_id, REDEMPTION_STATUS.REDEEMED);
+  }
+
+  /**
+   * checkout.session.expired: the customer never paid, so give the code
+   * and credits back
+   */
+  async handleCheckoutSessionExpired(session) {
+    await this.settleReservations(session.id, REDEMPTION_STATUS.RELEASED);
+    return { checkoutSessionId: session.id };
+  }
+
+  /**
+   * Transfer the part of a discount the application fee couldn't cover to
+   * the vendor, less the share of anything already refunded. Safe to call
+   * again for the same payment.
+   */
+  async sendTopUp(payment) {
+    if (!payment?.platform_top_up_amount || payment.top_up_transfer_id || !payment.connected_account_id) {
+      return null;
+    }
+
+    const remaining = payment.amount - (payment.amount_refunded || 0);
+    const amount = Math.round(payment.platform_top_up_amount * remaining / payment.amount);
+    if (amount <= 0) {
+      return null;
+    }
+
+    const transfer = await stripe.transfers.create({
+      amount,
+      currency: payment.currency,
+      destination: payment.connected_account_id,
+      transfer_group: `bid_${payment.bid_id}`,
+      metadata: {
+        bid_id: payment.bid_id,
+        payment_id: payment.id,
+        reason: 'promotion_top_up'
+      }
+    }, {
+      idempotencyKey: `promo-top-up-${payment.id}`
+    });
+
+    const { error } = await supabase
+      .from(this.paymentsTable)
+      .update({ top_up_transfer_id: transfer.id, updated_at: new Date().toISOString() })
+      .eq('id', payment.id);
+
+    if (error) {
+      console.error(`Top-up transfer ${transfer.id} made but not recorded:`, error.message);
+    }
+
+    console.log(`🎁 Topped up vendor ${payment.connected_account_id} by ${amount} for payment ${payment.id}`);
+    return transfer;
+  }
+
+  /**
+   * Take back the refunded share of a top-up, in proportion to the refund
+   */
+  async reverseTopUp(payment, refundAmount) {
+    if (!payment?.top_up_transfer_id || !payment.platform_top_up_amount) {
+      return null;
+    }
+
+    const amount = Math.round(payment.platform_top_up_amount * refundAmount / payment.amount);
+    if (amount <= 0) {
+      return null;
+    }
+
+    return stripe.transfers.createReversal(payment.top_up_transfer_id, {
+      amount,
+      metadata: { bid_id: payment.bid_id, payment_id: payment.id }
+    }, {
+      idempotencyKey: `promo-top-up-reversal-${payment.id}-${payment.amount_refunded || 0}-${amount}`
+    });
+  }
+}
+
+PromotionService.REDEMPTION_STATUS = REDEMPTION_STATUS;
+PromotionService.MIN_CHARGE_AMOUNT = MIN_CHARGE_AMOUNT;
+
+module.exports = PromotionService;
@@ -0,0 +1,153 @@
+const webpush = require('web-push');
+const supabase = require('../supabaseClient');
+
+// Push services answer these for a subscription that no longer exists
+const GONE_STATUS_CODES = [404, 410];
+
+// How long a push service keeps trying to deliver to an offline browser
+const TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Web push notifications to users' browsers.
+ *
+ * Browsers subscribe with the VAPID public key from VAPID_PUBLIC_KEY and
+ * their subscriptions are stored in `push_subscriptions`, one row per
+ * endpoint. A subscription the push service reports as gone (404 or 410) is
+ * deleted when we next try to use it. Generate a key pair with
+ * `npm run generate-vapid-keys`.
+ */
+class PushService {
+  constructor() {
+    this.subscriptionsTable = 'push_subscriptions';
+  }
+
+  isConfigured() {
+    return !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+  }
+
+  getPublicKey() {
+    return process.env.VAPID_PUBLIC_KEY || null;
+  }
+
+  vapidDetails() {
+    return {
+      subject: process.env.VAPID_SUBJECT || 'mailto:support@savewithbidi.com',
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY
+    };
+  }
+
+  /**
+   * Whether a subscription from the browser's PushManager has what we need
+   */
+  isValidSubscription(subscription) {
+    return typeof subscription?.endpoint === 'string'
+      && /^https:\/\//.test(subscription.endpoint)
+      && typeof subscription.keys?.p256dh === 'string'
+      && typeof subscription.keys?.auth === 'string';
+  }
+
+  /**
+   * Store a browser's subscription for the user. Re-subscribing the same
+   * endpoint (or the browser changing hands) updates the existing row.
+   */
+  async saveSubscription(userId, subscription, userAgent = null) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from(this.subscriptionsTable)
+      .upsert({
+        endpoint: subscription.endpoint,
+        user_id: userId,
+        p256dh: subscription.keys.p256dh,
+        auth: subscription.keys.auth,
+        user_agent: userAgent,
+        updated_at: now
+      }, { onConflict: 'endpoint' })
+      .select('id, endpoint, created_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save push subscription for ${userId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async removeSubscription(userId, endpoint) {
+    const { error } = await supabase
+      .from(this.subscriptionsTable)
+      .delete()
+      .eq('user_id', userId)
+      .eq('endpoint', endpoint);
+
+    if (error) {
+      throw new Error(`Failed to remove push subscription for ${userId}: ${error.message}`);
+    }
+  }
+
+  async getSubscriptions(userId) {
+    const { data, error } = await supabase
+      .from(this.subscriptionsTable)
+      .select('id, endpoint, p256dh, auth')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to fetch push subscriptions for ${userId}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async pruneSubscription(subscription) {
+    const { error } = await supabase
+      .from(this.subscriptionsTable)
+      .delete()
+      .eq('id', subscription.id);
+
+    if (error) {
+      console.error(`Failed to prune push subscription ${subscription.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Push a notification to every browser the user has subscribed.
+   * `payload` is { title, body, url, tag, data } and is passed as JSON to
+   * the service worker. Returns { sent, failed, pruned }.
+   */
+  async sendToUser(userId, payload) {
+    const stats = { sent: 0, failed: 0, pruned: 0 };
+    if (!this.isConfigured()) {
+      return stats;
+    }
+
+    const subscriptions = await this.getSubscriptions(userId);
+    const body = JSON.stringify(payload);
+
+    for (const subscription of subscriptions) {
+      try {
+        await webpush.sendNotification({
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+        }, body, {
+          vapidDetails: this.vapidDetails(),
+          TTL: TTL_SECONDS,
+          timeout: 5000
+        });
+        stats.sent++;
+      } catch (error) {
+        if (GONE_STATUS_CODES.includes(error.statusCode)) {
+          await this.pruneSubscription(subscription);
+          stats.pruned++;
+        } else {
+          console.error(`❌ Push to subscription ${subscription.id} failed:`, error.statusCode || '', error.body || error.message);
+          stats.failed++;
+        }
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = PushService;
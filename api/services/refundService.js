@@ -0,0 +1,269 @@
+const supabase = require('../supabaseClient');
+const stripe = require('../stripeClient');
+const PaymentLedgerService = require('./paymentLedgerService');
+const RequestLookupService = require('./requestLookupService');
+const EscrowService = require('./escrowService');
+const PromotionService = require('./promotionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when a vendor hasn't configured `cancellation_policy` in their pricing rules.
+// Tiers are checked in order; the first one the cancellation is early enough for applies.
+const DEFAULT_CANCELLATION_POLICY = {
+  tiers: [
+    { days_before_event: 30, refund_percent: 100 },
+    { days_before_event: 14, refund_percent: 50 }
+  ],
+  // Refund percent once inside the last tier's window
+  default_refund_percent: 0
+};
+
+/**
+ * Refunds for bid payments.
+ *
+ * Refunds reverse the transfer to the vendor and return the platform's
+ * application fee in proportion to the amount refunded, so a partial refund
+ * is shared between vendor and platform the same way the charge was.
+ * Escrow payments still held on the platform are refunded from the platform
+ * alone; released ones reverse the vendor's share of their transfer.
+ * Customer cancellations are capped by the vendor's cancellation policy;
+ * refunds the vendor issues themselves are not.
+ */
+class RefundService {
+  constructor() {
+    this.refundsTable = 'bid_refunds';
+    this.pricingRulesTable = 'business_pricing_rules';
+    this.paymentLedger = new PaymentLedgerService();
+    this.requestLookup = new RequestLookupService();
+    this.escrow = new EscrowService();
+    this.promotions = new PromotionService();
+  }
+
+  /**
+   * The vendor's cancellation policy for a category, or the platform default
+   */
+  async getCancellationPolicy(businessId, category) {
+    const { data, error } = await supabase
+      .from(this.pricingRulesTable)
+      .select('cancellation_policy')
+      .eq('business_id', businessId)
+      .eq('category', category)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.warn(`Error fetching cancellation policy for business ${businessId}:`, error.message);
+    }
+
+    const policy = data?.[0]?.cancellation_policy;
+    if (!policy || !Array.isArray(policy.tiers)) {
+      return DEFAULT_CANCELLATION_POLICY;
+    }
+
+    return {
+      tiers: [...policy.tiers].sort((a, b) => b.days_before_event - a.days_before_event),
+      default_refund_percent: policy.default_refund_percent || 0
+    };
+  }
+
+  /**
+   * Refund percentage the policy allows for a cancellation at `now`
+   */
+  applyCancellationPolicy(policy, eventDate, now = new Date()) {
+    if (!eventDate) {
+      // No event date to measure against; treat as far enough out
+      return { refundPercent: 100, daysUntilEvent: null, tier: null };
+    }
+
+    const daysUntilEvent = Math.floor((eventDate.getTime() - now.getTime()) / DAY_MS);
+    const tier = policy.tiers.find(t => daysUntilEvent >= t.days_before_event) || null;
+
+    return {
+      refundPercent: tier ? tier.refund_percent : policy.default_refund_percent,
+      daysUntilEvent,
+      tier
+    };
+  }
+
+  /**
+   * Everything needed to decide on a refund for a bid: the paid ledger rows,
+   * totals and what the cancellation policy allows
+   */
+  async getRefundQuote(bidId) {
+    const found = await this.requestLookup.findRequestForBid(bidId);
+    if (!found) {
+      return null;
+    }
+
+    const { bid, request, category, ownerId } = found;
+    const payments = (await this.paymentLedger.getPaymentsForBid(bidId))
+      .filter(payment => ['succeeded', 'partially_refunded'].includes(payment.status)
+        && payment.stripe_payment_intent_id);
+
+    const totalPaid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const totalRefunded = payments.reduce((sum, payment) => sum + (payment.amount_refunded || 0), 0);
+
+    const policy = await this.getCancellationPolicy(bid.user_id, category);
+    const eventDate = this.requestLookup.getEventDate(request);
+    const policyResult = this.applyCancellationPolicy(policy, eventDate);
+    const policyMaximum = Math.round(totalPaid * policyResult.refundPercent / 100);
+
+    return {
+      bid,
+      customerId: ownerId,
+      businessId: bid.user_id,
+      payments,
+      totalPaid,
+      totalRefunded,
+      refundable: totalPaid - totalRefunded,
+      eventDate,
+      policy,
+      policyResult,
+      // What a customer cancelling right now can still get back
+      customerRefundable: Math.max(0, policyMaximum - totalRefunded)
+    };
+  }
+
+  /**
+   * Issue a refund against a bid's payments, newest payment first.
+   *
+   * `amount` is in cents; omit it to refund everything allowed.
+   * `initiatedBy` is 'customer' (policy applies) or 'business'.
+   */
+  async refundBid({ bidId, amount, reason, initiatedBy, initiatedByUserId, cancelBooking = false }) {
+    const quote = await this.getRefundQuote(bidId);
+    if (!quote) {
+      return { success: false, status: 404, error: 'Bid not found' };
+    }
+
+    const allowed = initiatedBy === 'customer' ? quote.customerRefundable : quote.refundable;
+    const requested = amount === undefined || amount === null ? allowed : amount;
+
+    if (!Number.isInteger(requested) || requested <= 0) {
+      return { success: false, status: 400, error: 'Nothing to refund for this bid', quote };
+    }
+
+    if (requested > allowed) {
+      return {
+        success: false,
+        status: 400,
+        error: initiatedBy === 'customer'
+          ? `The cancellation policy allows a refund of at most ${allowed} cents`
+          : `At most ${allowed} cents can be refunded`,
+        quote
+      };
+    }
+
+    let remaining = requested;
+    const refunds = [];
+
+    // Refund the most recent payment first (balance before deposit)
+    for (const payment of [...quote.payments].reverse()) {
+      if (remaining <= 0) break;
+
+      const alreadyRefunded = payment.amount_refunded || 0;
+      const refundAmount = Math.min(remaining, payment.amount - alreadyRefunded);
+      if (refundAmount <= 0) continue;
+
+      const refund = await stripe.refunds.create({
+        payment_intent: payment.stripe_payment_intent_id,
+        amount: refundAmount,
+        ...this.escrow.refundOptions(payment),
+        reason: 'requested_by_customer',
+        metadata: {
+          bid_id: bidId,
+          payment_id: payment.id,
+          initiated_by: initiatedBy
+        }
+      }, {
+        // A double-submitted request maps onto the same Stripe refund
+        idempotencyKey: `refund-${payment.id}-${alreadyRefunded}-${refundAmount}`
+      });
+
+      const feeRefunded = payment.application_fee_amount
+        ? Math.round(payment.application_fee_amount * refundAmount / payment.amount)
+        : 0;
+
+      // Held escrow funds never reached the vendor, so there's nothing to reverse
+      const heldInEscrow = this.escrow.isEscrow(payment) && payment.escrow_status !== EscrowService.ESCROW_STATUS.RELEASED;
+      if (!heldInEscrow) {
+        await this.escrow.reverseReleasedTransfer(payment, refundAmount - feeRefunded);
+        // The vendor gives back the same share of a promotion top-up
+        await this.promotions.reverseTopUp(payment, refundAmount);
+      }
+
+      const { data: refundRecord, error } = await supabase
+        .from(this.refundsTable)
+        .insert({
+          bid_id: bidId,
+          payment_id: payment.id,
+          stripe_refund_id: refund.id,
+          amount: refundAmount,
+          application_fee_refunded: feeRefunded,
+          transfer_reversed: heldInEscrow ? 0 : refundAmount - feeRefunded,
+          currency: payment.currency,
+          status: refund.status,
+          reason,
+          initiated_by: initiatedBy,
+          initiated_by_user_id: initiatedByUserId,
+          policy_refund_percent: initiatedBy === 'customer' ? quote.policyResult.refundPercent : null,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        // The money has moved; the charge.refunded webhook still updates the ledger
+        console.error(`Refund ${refund.id} issued but not recorded:`, error.message);
+      }
+
+      const updatedPayment = await this.paymentLedger.recordRefund(payment, alreadyRefunded + refundAmount);
+
+      // Nothing left to hold for the vendor once a held payment is fully refunded
+      if (heldInEscrow && updatedPayment.status === 'refunded') {
+        await this.escrow.updatePayment(payment, { escrow_status: EscrowService.ESCROW_STATUS.CANCELED });
+      }
+
+      refunds.push(refundRecord || {
+        stripe_refund_id: refund.id,
+        payment_id: payment.id,
+        amount: refundAmount,
+        application_fee_refunded: feeRefunded
+      });
+      remaining -= refundAmount;
+    }
+
+    if (cancelBooking || initiatedBy === 'customer') {
+      await this.cancelBooking(bidId);
+    }
+
+    return {
+      success: true,
+      quote,
+      refunds,
+      amountRefunded: requested,
+      feeRefunded: refunds.reduce((sum, r) => sum + (r.application_fee_refunded || 0), 0),
+      totalRefunded: quote.totalRefunded + requested
+    };
+  }
+
+  /**
+   * Stop any future payments and mark the bid as cancelled
+   */
+  async cancelBooking(bidId) {
+    await this.paymentLedger.cancelUnpaidPayments(bidId);
+
+    const { error } = await supabase
+      .from('bids')
+      .update({ status: 'cancelled' })
+      .eq('id', bidId);
+
+    if (error) {
+      throw new Error(`Failed to cancel bid ${bidId}: ${error.message}`);
+    }
+  }
+}
+
+RefundService.DEFAULT_CANCELLATION_POLICY = DEFAULT_CANCELLATION_POLICY;
+
+module.exports = RefundService;
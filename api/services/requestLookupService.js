@@ -0,0 +1,170 @@
+const supabase = require('../supabaseClient');
+
+// Category request tables and the column holding the customer's profile ID
+const REQUEST_TABLES = [
+  { category: 'photography', table: 'photography_requests', ownerField: 'profile_id' },
+  { category: 'videography', table: 'videography_requests', ownerField: 'user_id' },
+  { category: 'catering', table: 'catering_requests', ownerField: 'user_id' },
+  { category: 'dj', table: 'dj_requests', ownerField: 'user_id' },
+  { category: 'beauty', table: 'beauty_requests', ownerField: 'user_id' },
+  { category: 'florist', table: 'florist_requests', ownerField: 'user_id' },
+  { category: 'wedding_planning', table: 'wedding_planning_requests', ownerField: 'user_id' },
+  { category: 'general', table: 'requests', ownerField: 'user_id' }
+];
+
+/**
+ * Resolves a request ID to its row, whichever category table it lives in.
+ * Requests are split across one table per category, and bids only carry the
+ * request ID, so most bid-level features need this lookup.
+ */
+class RequestLookupService {
+  constructor() {
+    this.requestTables = REQUEST_TABLES;
+  }
+
+  /**
+   * Find a request across all category tables.
+   * Returns { request, category, table, ownerId } or null.
+   */
+  async findRequest(requestId) {
+    if (!requestId) {
+      return null;
+    }
+
+    for (const { category, table, ownerField } of this.requestTables) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('id', requestId)
+        .maybeSingle();
+
+      if (error) {
+        console.warn(`Error querying ${table} for request ${requestId}:`, error.message);
+        continue;
+      }
+
+      if (data) {
+        return {
+          request: data,
+          category,
+          table,
+          ownerId: data[ownerField]
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * The request table entry for a vendor category such as "Wedding Planning",
+   * or null if the category has no table of its own
+   */
+  getTableForCategory(category) {
+    const normalized = String(category || '').toLowerCase().trim().replace(/\s+/g, '_');
+    return this.requestTables.find(entry => entry.category === normalized && entry.category !== 'general') || null;
+  }
+
+  /**
+   * Requests posted in a category since a point in time, newest first
+   */
+  async getRecentRequests(category, since, limit = 50) {
+    const entry = this.getTableForCategory(category);
+    if (!entry) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from(entry.table)
+      .select('*')
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch recent ${entry.category} requests: ${error.message}`);
+    }
+
+    return (data || []).map(request => ({
+      request,
+      category: entry.category,
+      table: entry.table,
+      ownerId: request[entry.ownerField]
+    }));
+  }
+
+  /**
+   * Find the request a bid was placed on
+   */
+  async findRequestForBid(bidId) {
+    const { data: bid, error } = await supabase
+      .from('bids')
+      .select('*')
+      .eq('id', bidId)
+      .single();
+
+    if (error || !bid) {
+      return null;
+    }
+
+    const found = await this.findRequest(bid.request_id);
+    return { bid, ...(found || { request: null, category: null, table: null, ownerId: null }) };
+  }
+
+  /**
+   * A vendor's bid on a request, or null if they haven't bid on it
+   */
+  async findVendorBid(requestId, businessId) {
+    if (!requestId || !businessId) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from('bids')
+      .select('*')
+      .eq('request_id', requestId)
+      .eq('user_id', businessId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up bids on request ${requestId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Event date of a request, or null if it has none
+   */
+  getEventDate(request) {
+    const value = request?.start_date || request?.service_date || request?.date;
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Human-readable summary fields shared by emails and documents
+   */
+  summarize(request) {
+    if (!request) {
+      return { title: null, location: null, budget: null, eventDate: null };
+    }
+
+    return {
+      title: request.event_title || request.title || request.event_type || null,
+      location: request.location || null,
+      budget: request.budget_range || request.price_range || request.planner_budget || null,
+      eventDate: this.getEventDate(request)
+    };
+  }
+}
+
+RequestLookupService.REQUEST_TABLES = REQUEST_TABLES;
+
+module.exports = RequestLookupService;
@@ -0,0 +1,250 @@
+const supabase = require('../supabaseClient');
+const calendarService = require('../google-calendar/calendarService');
+const RequestLookupService = require('./requestLookupService');
+const GeoService = require('./geoService');
+
+/**
+ * { min, max } from a free-text budget such as "$2,000 - $3,000", "5k+",
+ * "Under $1,000" or "1500". Either bound is null when open-ended; returns
+ * null when there's no number at all.
+ */
+const parseBudget = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { min: value, max: value } : null;
+  }
+
+  const text = String(value || '').toLowerCase();
+  const amounts = [...text.matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(k)?/g)]
+    .map(([, number, thousands]) => parseFloat(number.replace(/,/g, '')) * (thousands ? 1000 : 1))
+    .filter(Number.isFinite);
+
+  if (amounts.length === 0) return null;
+  if (amounts.length >= 2) {
+    return { min: Math.min(...amounts), max: Math.max(...amounts) };
+  }
+
+  const [amount] = amounts;
+  if (/\+|above|over|more|at least|min/.test(text)) return { min: amount, max: null };
+  if (/under|below|less|up to|max|</.test(text)) return { min: null, max: amount };
+  return { min: amount, max: amount };
+};
+
+// Calendars looked up at once, and how long matching may spend on them
+// before the vendors still waiting are let through unchecked
+const CALENDAR_CONCURRENCY = 5;
+const CALENDAR_TIME_MS = 15 * 1000;
+
+const numberOrNull = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Picks which vendors hear about a new request.
+ *
+ * Starting from every vendor in the request's category, a vendor is left
+ * out when the request is outside their service area (see GeoService),
+ * when its budget doesn't overlap the min_price to max_price range in their
+ * latest `business_pricing_rules` for the category, or when their connected
+ * Google Calendar shows them booked on the event date. Anything we can't
+ * tell (no budget, no pricing rules, no calendar, a lookup failing or not
+ * finishing in time) counts as a match.
+ */
+class RequestMatchingService {
+  constructor() {
+    this.businessProfilesTable = 'business_profiles';
+    this.pricingRulesTable = 'business_pricing_rules';
+    this.requestLookup = new RequestLookupService();
+    this.geo = new GeoService();
+  }
+
+  /**
+   * Each business's latest pricing rules for a category, as a Map
+   */
+  async getPricingRules(businessIds, category) {
+    if (businessIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+      .from(this.pricingRulesTable)
+      .select('business_id, min_price, max_price, created_at')
+      .in('business_id', businessIds)
+      .eq('category', category)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch pricing rules for ${category}: ${error.message}`);
+    }
+
+    const rules = new Map();
+    for (const row of data || []) {
+      if (!rules.has(row.business_id)) rules.set(row.business_id, row);
+    }
+    return rules;
+  }
+
+  /**
+   * Whether a request budget overlaps a vendor's price range
+   */
+  fitsBudget(budget, rule) {
+    if (!budget || !rule) return true;
+
+    const minPrice = numberOrNull(rule.min_price);
+    const maxPrice = numberOrNull(rule.max_price);
+
+    if (minPrice !== null && budget.max !== null && minPrice > budget.max) return false;
+    if (maxPrice !== null && budget.min !== null && maxPrice < budget.min) return false;
+    return true;
+  }
+
+  /**
+   * Whether the vendor is free on the event date, going by their calendar
+   */
+  async isAvailable(business, eventDate) {
+    if (!eventDate || !business.google_calendar_connected) return true;
+
+    try {
+      return !(await calendarService.isBookedOn(business.id, eventDate.toISOString().slice(0, 10)));
+    } catch (error) {
+      // A broken calendar connection shouldn't cost the vendor the request
+      return true;
+    }
+  }
+
+  /**
+   * isAvailable for many vendors, CALENDAR_CONCURRENCY at a time. Vendors
+   * whose calendar isn't read by `deadline` (a timestamp in ms) count as
+   * available. Returns { unavailable: Set of business IDs, unchecked }.
+   */
+  async checkAvailability(businesses, eventDate, deadline) {
+    const unavailable = new Set();
+    const pending = businesses.filter(business => eventDate && business.google_calendar_connected);
+    let unchecked = 0;
+    let next = 0;
+
+    const worker = async () => {
+      while (next < pending.length) {
+        const business = pending[next++];
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+          unchecked++;
+          continue;
+        }
+
+        let timer;
+        const timedOut = new Promise(resolve => {
+          timer = setTimeout(() => resolve(null), remainingMs);
+        });
+        const available = await Promise.race([this.isAvailable(business, eventDate), timedOut]);
+        clearTimeout(timer);
+
+        if (available === null) {
+          unchecked++;
+        } else if (!available) {
+          unavailable.add(business.id);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CALENDAR_CONCURRENCY, pending.length) }, worker));
+    return { unavailable, unchecked };
+  }
+
+  /**
+   * The request's details as new-request email variables
+   */
+  describeRequest(request, categoryLabel) {
+    const summary = this.requestLookup.summarize(request);
+    return {
+      category: categoryLabel,
+      title: summary.title,
+      budget: summary.budget ? String(summary.budget) : null,
+      location: summary.location,
+      date: summary.eventDate
+        ? summary.eventDate.toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' })
+        : null
+    };
+  }
+
+  /**
+   * Vendors in `categoryLabel` (a business_category such as "Photography")
+   * who should be told about a request.
+   *
+   * Returns null when the request doesn't exist, otherwise
+   * { request, recipients, excluded, calendarsUnchecked } where request
+   * holds the email variables, each recipient is { email, businessId,
+   * businessName, distanceMiles }, excluded counts vendors left out by
+   * reason and calendarsUnchecked counts calendars not read in time.
+   */
+  async matchRequest(requestId, categoryLabel, { deadline = Date.now() + CALENDAR_TIME_MS } = {}) {
+    const found = await this.requestLookup.findRequest(requestId);
+    if (!found) return null;
+
+    const { data: businesses, error } = await supabase
+      .from(this.businessProfilesTable)
+      .select('id, business_name, service_latitude, service_longitude, service_radius_miles, google_calendar_connected, profiles(email)')
+      .eq('business_category', categoryLabel);
+
+    if (error) {
+      throw new Error(`Failed to fetch businesses in ${categoryLabel}: ${error.message}`);
+    }
+
+    const request = this.describeRequest(found.request, categoryLabel);
+    const budget = parseBudget(request.budget);
+    const eventDate = this.requestLookup.getEventDate(found.request);
+    const rules = await this.getPricingRules((businesses || []).map(business => business.id), found.category);
+
+    // One geocode for the request, compared against every service area
+    const point = (businesses || []).some(business => this.geo.serviceArea(business))
+      ? await this.geo.geocode(request.location)
+      : null;
+
+    const excluded = { outsideArea: 0, outsideBudget: 0, unavailable: 0, noEmail: 0 };
+    const candidates = [];
+
+    for (const business of businesses || []) {
+      if (!business.profiles?.email) {
+        excluded.noEmail++;
+        continue;
+      }
+      if (!this.fitsBudget(budget, rules.get(business.id))) {
+        excluded.outsideBudget++;
+        continue;
+      }
+
+      const { inArea, distanceMiles } = this.geo.checkPoint(business, point);
+      if (!inArea) {
+        excluded.outsideArea++;
+        continue;
+      }
+
+      candidates.push({ business, distanceMiles });
+    }
+
+    const { unavailable, unchecked } = await this.checkAvailability(
+      candidates.map(candidate => candidate.business),
+      eventDate,
+      deadline
+    );
+
+    const recipients = [];
+    for (const { business, distanceMiles } of candidates) {
+      if (unavailable.has(business.id)) {
+        excluded.unavailable++;
+        continue;
+      }
+
+      recipients.push({
+        email: business.profiles.email,
+        businessId: business.id,
+        businessName: business.business_name || 'Business',
+        distanceMiles: distanceMiles === null ? null : Math.round(distanceMiles)
+      });
+    }
+
+    return { request, recipients, excluded, calendarsUnchecked: unchecked };
+  }
+}
+
+RequestMatchingService.parseBudget = parseBudget;
+
+module.exports = RequestMatchingService;
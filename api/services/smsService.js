@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const supabase = require('../supabaseClient');
+
+// Inbound keywords Twilio also acts on for the number itself
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+// Twilio error for a number that has replied STOP to our sender
+const TWILIO_OPTED_OUT = 21610;
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const CODE_RESEND_MS = 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+const API_BASE_URL = process.env.API_BASE_URL || 'https://bidi-express.vercel.app';
+
+/**
+ * Sends through Twilio, from TWILIO_MESSAGING_SERVICE_SID or
+ * TWILIO_FROM_NUMBER
+ */
+class TwilioTransport {
+  constructor() {
+    this.name = 'twilio';
+    // Loaded here so the stub transport works without the Twilio SDK
+    this.twilio = require('twilio');
+    this.client = this.twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+
+  async send({ to, body }) {
+    const sender = process.env.TWILIO_MESSAGING_SERVICE_SID
+      ? { messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID }
+      : { from: process.env.TWILIO_FROM_NUMBER };
+
+    try {
+      const message = await this.client.messages.create({ to, body, ...sender });
+      return { providerId: message.sid };
+    } catch (error) {
+      return { error: error.message, code: error.code, optedOut: error.code === TWILIO_OPTED_OUT };
+    }
+  }
+}
+
+/**
+ * Logs texts and keeps them in memory instead of sending them. Only used
+ * in development and tests, and only when SMS_TRANSPORT=stub asks for it.
+ */
+class StubTransport {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  async send({ to, body }) {
+    const message = { providerId: `stub_${crypto.randomUUID()}`, to, body, sentAt: new Date() };
+    StubTransport.sent.push(message);
+    console.log(`📱 [sms stub] to ${to}: ${body}`);
+    return { providerId: message.providerId };
+  }
+}
+
+// Texts "sent" by the stub transport, oldest first
+StubTransport.sent = [];
+
+// Environments the stub may run in; it never sends a real text
+const STUB_ENVIRONMENTS = ['development', 'test'];
+
+// Twilio when it's configured, the stub when explicitly asked for in
+// development or tests, otherwise null (SMS is unavailable)
+const createTransport = () => {
+  if (process.env.SMS_TRANSPORT === 'stub') {
+    if (STUB_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      return new StubTransport();
+    }
+    console.warn('⚠️ SMS_TRANSPORT=stub is only allowed in development and tests; SMS is unavailable');
+    return null;
+  }
+
+  if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    return new TwilioTransport();
+  }
+  return null;
+};
+
+const hashCode = (userId, code) => crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+
+/**
+ * Text messages and the phone numbers they go to.
+ *
+ * Each user has at most one number in `user_phone_numbers`. It's only
+ * texted once verified with a code we send to it, and not while
+ * `opted_out_at` is set (by a STOP reply or a Twilio opt-out error).
+ * Every send is logged to `sms_messages`. Whether a notification should go
+ * by text at all is NotificationService's call.
+ */
+class SmsService {
+  constructor() {
+    this.phoneNumbersTable = 'user_phone_numbers';
+    this.messagesTable = 'sms_messages';
+    this.transport = createTransport();
+  }
+
+  /**
+   * Whether texts can be sent at all
+   */
+  isConfigured() {
+    return !!this.transport;
+  }
+
+  /**
+   * A phone number in E.164 form, or null. Ten-digit numbers are taken as
+   * US/Canada.
+   */
+  normalizePhoneNumber(input) {
+    const value = String(input || '').trim();
+    const digits = value.replace(/\D/g, '');
+
+    if (value.startsWith('+')) {
+      return E164.test(`+${digits}`) ? `+${digits}` : null;
+    }
+    if (digits.length === 10) {
+      return `+1${digits}`;
+    }
+    if (digits.length === 11 && digits.startsWith('1')) {
+      return `+${digits}`;
+    }
+    return null;
+  }
+
+  /**
+   * The user's phone number row, or null
+   */
+  async getPhone(userId) {
+    const { data, error } = await supabase
+      .from(this.phoneNumbersTable)
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch phone number for ${userId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * What the phone settings page shows
+   */
+  describePhone(phone) {
+    if (!phone) {
+      return { phoneNumber: null, verified: false, optedOut: false };
+    }
+
+    return {
+      phoneNumber: phone.phone_number,
+      verified: !!phone.verified_at,
+      optedOut: !!phone.opted_out_at,
+      verifiedAt: phone.verified_at
+    };
+  }
+
+  async updatePhone(userId, updates) {
+    const { data, error } = await supabase
+      .from(this.phoneNumbersTable)
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update phone number for ${userId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Save a number for the user and text it a verification code. Re-sending
+   * to the same number is throttled. Returns { success: true, phone } or
+   * { success: false, status, error }.
+   */
+  async startVerification(userId, input) {
+    const phoneNumber = this.normalizePhoneNumber(input);
+    if (!phoneNumber) {
+      return { success: false, status: 400, error: 'Enter a valid mobile number, including the country code outside the US' };
+    }
+
+    const existing = await this.getPhone(userId);
+    if (existing?.phone_number === phoneNumber && existing.verified_at) {
+      return { success: true, phone: existing };
+    }
+    if (existing?.phone_number === phoneNumber && existing.verification_sent_at
+      && Date.now() - new Date(existing.verification_sent_at) < CODE_RESEND_MS) {
+      return { success: false, status: 429, error: 'A code was just sent. Please wait a minute before asking for another.' };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const now = new Date();
+
+    const { data: phone, error } = await supabase
+      .from(this.phoneNumbersTable)
+      .upsert({
+        user_id: userId,
+        phone_number: phoneNumber,
+        verified_at: null,
+        verification_code_hash: hashCode(userId, code),
+        verification_sent_at: now.toISOString(),
+        verification_expires_at: new Date(now.getTime() + CODE_TTL_MS).toISOString(),
+        verification_attempts: 0,
+        // Adding a number is the opt-in, so an earlier STOP no longer applies
+        opted_out_at: null,
+        updated_at: now.toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save phone number for ${userId}: ${error.message}`);
+    }
+
+    const result = await this.send({
+      userId,
+      to: phoneNumber,
+      category: 'verification',
+      sensitive: true,
+      body: `Your Bidi verification code is ${code}. Bidi will text you about bids, bookings and payments. Msg & data rates may apply. Reply STOP to opt out.`
+    });
+
+    if (result.status !== 'sent') {
+      return { success: false, status: 502, error: 'We could not text that number. Please check it and try again.' };
+    }
+
+    return { success: true, phone };
+  }
+
+  /**
+   * Check a verification code. Returns { success: true, phone } or
+   * { success: false, status, error }.
+   */
+  async confirmVerification(userId, code) {
+    const phone = await this.getPhone(userId);
+    if (!phone?.verification_code_hash) {
+      return { success: false, status: 400, error: 'Add a phone number first' };
+    }
+    if (new Date(phone.verification_expires_at) < new Date()) {
+      return { success: false, status: 400, error: 'This code has expired. Request a new one.' };
+    }
+    if (phone.verification_attempts >= MAX_CODE_ATTEMPTS) {
+      return { success: false, status: 429, error: 'Too many attempts. Request a new code.' };
+    }
+
+    const expected = Buffer.from(phone.verification_code_hash);
+    const provided = Buffer.from(hashCode(userId, String(code || '').trim()));
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      await this.updatePhone(userId, { verification_attempts: phone.verification_attempts + 1 });
+      return { success: false, status: 400, error: 'That code is not correct' };
+    }
+
+    const verified = await this.updatePhone(userId, {
+      verified_at: new Date().toISOString(),
+      verification_code_hash: null,
+      verification_expires_at: null,
+      verification_attempts: 0
+    });
+
+    return { success: true, phone: verified };
+  }
+
+  async removePhone(userId) {
+    const { error } = await supabase
+      .from(this.phoneNumbersTable)
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to remove phone number for ${userId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set or clear opted_out_at for everyone using a number
+   */
+  async setOptedOut(phoneNumber, optedOut) {
+    const { data, error } = await supabase
+      .from(this.phoneNumbersTable)
+      .update({
+        opted_out_at: optedOut ? new Date().toISOString() : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('phone_number', phoneNumber)
+      .select('user_id');
+
+    if (error) {
+      throw new Error(`Failed to update SMS opt-out for ${phoneNumber}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Whether an inbound webhook really came from Twilio. Always false
+   * unless Twilio is the transport.
+   */
+  verifyWebhook(req) {
+    if (this.transport?.name !== 'twilio') {
+      return false;
+    }
+
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature) {
+      return false;
+    }
+
+    return this.transport.twilio.validateRequest(
+      process.env.TWILIO_AUTH_TOKEN,
+      signature,
+      `${API_BASE_URL}${req.originalUrl}`,
+      req.body || {}
+    );
+  }
+
+  /**
+   * Handle an inbound text. Returns the reply to send back, if any.
+   */
+  async handleInbound({ From: from, Body: body }) {
+    const phoneNumber = this.normalizePhoneNumber(from);
+    const keyword = String(body || '').trim().toUpperCase();
+    if (!phoneNumber) {
+      return null;
+    }
+
+    if (STOP_KEYWORDS.includes(keyword)) {
+      const users = await this.setOptedOut(phoneNumber, true);
+      console.log(`🔕 ${phoneNumber} opted out of SMS (${users.length} account(s))`);
+      // Twilio sends its own confirmation for STOP
+      return null;
+    }
+
+    if (START_KEYWORDS.includes(keyword)) {
+      const users = await this.setOptedOut(phoneNumber, false);
+      console.log(`🔔 ${phoneNumber} opted back in to SMS (${users.length} account(s))`);
+      return null;
+    }
+
+    if (HELP_KEYWORDS.includes(keyword)) {
+      return 'Bidi alerts about your bids, bookings and payments. Manage texts in your Bidi account settings. Reply STOP to opt out.';
+    }
+
+    return null;
+  }
+
+  async logMessage(row) {
+    const { error } = await supabase
+      .from(this.messagesTable)
+      .insert({ ...row, transport: this.transport.name, created_at: new Date().toISOString() });
+
+    // The text has already gone, so a logging failure isn't the caller's problem
+    if (error) {
+      console.error('Failed to log SMS:', error.message);
+    }
+  }
+
+  /**
+   * Send one text and log it (without the body when `sensitive`). A Twilio
+   * opt-out error marks the number opted out.
+   * Returns { status: 'sent', providerId } or { status: 'failed', error }.
+   */
+  async send({ userId, to, body, category, sensitive = false, metadata = {} }) {
+    if (!this.isConfigured()) {
+      return { status: 'failed', error: 'SMS is not configured' };
+    }
+
+    const result = await this.transport.send({ to, body });
+
+    if (result.optedOut) {
+      await this.setOptedOut(to, true);
+    }
+
+    await this.logMessage({
+      user_id: userId,
+      to_number: to,
+      body: sensitive ? null : body,
+      category,
+      status: result.error ? 'failed' : 'sent',
+      provider_id: result.providerId || null,
+      error: result.error || null,
+      metadata
+    });
+
+    if (result.error) {
+      console.error(`❌ SMS to ${to} failed:`, result.error);
+      return { status: 'failed', error: result.error };
+    }
+
+    return { status: 'sent', providerId: result.providerId };
+  }
+}
+
+SmsService.StubTransport = StubTransport;
+
+module.exports = SmsService;
@@ -0,0 +1,315 @@
+const supabase = require('../supabaseClient');
+const PaymentLedgerService = require('./paymentLedgerService');
+const PaymentScheduleService = require('./paymentScheduleService');
+const SubscriptionService = require('./subscriptionService');
+const ConnectAccountService = require('./connectAccountService');
+const EscrowService = require('./escrowService');
+const PromotionService = require('./promotionService');
+const NotificationService = require('./notificationService');
+const RequestLookupService = require('./requestLookupService');
+const { formatCents } = require('../currency');
+const { paymentTypeLabels } = require('../emails/receiptTemplates');
+const smsTemplates = require('../sms/templates');
+
+// Lifecycle of a row in the processed-events table
+const EVENT_STATUS = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  IGNORED: 'ignored'
+};
+
+/**
+ * Idempotent processing of Stripe webhook events.
+ *
+ * Every event is recorded in `stripe_webhook_events` keyed by the Stripe
+ * event ID before its side effects run, so redeliveries of an event that
+ * already succeeded are skipped and failed events keep their payload,
+ * attempt count and last error for an admin replay.
+ */
+class StripeWebhookService {
+  constructor() {
+    this.eventsTable = 'stripe_webhook_events';
+    // A 'processing' row older than this is assumed to belong to a crashed invocation
+    this.processingTimeoutMs = 5 * 60 * 1000;
+    this.paymentLedger = new PaymentLedgerService();
+    this.paymentSchedule = new PaymentScheduleService();
+    this.subscriptions = new SubscriptionService();
+    this.connectAccounts = new ConnectAccountService();
+    this.escrow = new EscrowService();
+    this.promotions = new PromotionService();
+    this.notifications = new NotificationService();
+    this.requestLookup = new RequestLookupService();
+
+    this.handlers = {
+      'checkout.session.completed': async (object) => object.mode === 'subscription'
+        ? this.subscriptions.handleCheckoutSessionCompleted(object)
+        : this.afterPaymentSucceeded(await this.paymentLedger.handleCheckoutSessionCompleted(object)),
+      'checkout.session.expired': async (object) => {
+        await this.promotions.handleCheckoutSessionExpired(object);
+        return this.paymentLedger.handleCheckoutSessionExpired(object);
+      },
+      'checkout.session.async_payment_succeeded': async (object) => this.afterPaymentSucceeded(await this.paymentLedger.handleCheckoutSessionCompleted(object)),
+      'payment_intent.succeeded': async (object) => this.afterPaymentSucceeded(await this.paymentLedger.handlePaymentIntentSucceeded(object)),
+      'payment_intent.payment_failed': (object) => this.paymentLedger.handlePaymentIntentFailed(object),
+      'payment_intent.canceled': (object) => this.paymentLedger.handlePaymentIntentFailed(object),
+      'charge.refunded': (object) => this.paymentLedger.handleChargeRefunded(object),
+      'charge.dispute.created': (object) => this.paymentLedger.handleDispute(object),
+      'charge.dispute.updated': (object) => this.paymentLedger.handleDispute(object),
+      'charge.dispute.closed': (object) => this.paymentLedger.handleDispute(object),
+      'customer.subscription.created': (object) => this.subscriptions.syncSubscription(object),
+      'customer.subscription.updated': (object) => this.subscriptions.syncSubscription(object),
+      'customer.subscription.deleted': (object) => this.subscriptions.syncSubscription(object),
+      'customer.subscription.paused': (object) => this.subscriptions.syncSubscription(object),
+      'customer.subscription.resumed': (object) => this.subscriptions.syncSubscription(object),
+      'invoice.paid': (object) => this.subscriptions.handleInvoicePaid(object),
+      'invoice.payment_failed': (object) => this.subscriptions.handleInvoicePaymentFailed(object),
+      'account.updated': (object) => this.connectAccounts.handleAccountUpdated(object)
+    };
+  }
+
+  /**
+   * Follow-up work once a ledger row has settled: a paid deposit schedules
+   * its balance, an escrow payment starts its hold and a discounted payment
+   * uses up its promo code and credits, topping up the vendor unless the
+   * payment is held, and the vendor gets a text (each a no-op for other
+   * payments or a repeat event)
+   */
+  async afterPaymentSucceeded(payment) {
+    if (payment?.status !== 'succeeded') {
+      return payment;
+    }
+
+    await this.paymentSchedule.scheduleBalanceAfterDeposit(payment);
+    await this.escrow.holdPayment(payment);
+    await this.promotions.redeemForPayment(payment);
+    if (!this.escrow.isEscrow(payment)) {
+      await this.promotions.sendTopUp(payment);
+    }
+    await this.notifyVendorOfPayment(payment);
+    return payment;
+  }
+
+  /**
+   * Text the vendor that a payment came in. Failures are logged rather
+   * than thrown: the payment itself has been handled.
+   */
+  async notifyVendorOfPayment(payment) {
+    try {
+      const found = await this.requestLookup.findRequestForBid(payment.bid_id);
+      const vendorId = found?.bid?.user_id;
+      if (!vendorId || !(await this.paymentLedger.claimVendorNotification(payment))) {
+        return;
+      }
+
+      const result = await this.notifications.sendSms({
+        userId: vendorId,
+        category: 'payments',
+        body: smsTemplates.paymentReceived({
+          amount: formatCents(payment.amount, payment.currency),
+          paymentLabel: (paymentTypeLabels[payment.payment_type] || 'Payment').toLowerCase(),
+          title: this.requestLookup.summarize(found.request).title
+        }),
+        metadata: { payment_id: payment.id, bid_id: payment.bid_id }
+      });
+      console.log(`📱 Payment ${payment.id} text to vendor ${vendorId}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+    } catch (error) {
+      console.error(`Failed to notify vendor of payment ${payment.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Fetch a stored event by its Stripe ID
+   */
+  async getEvent(eventId) {
+    const { data, error } = await supabase
+      .from(this.eventsTable)
+      .select('*')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch webhook event ${eventId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * List stored events, newest first
+   */
+  async listEvents({ status, type, limit = 50 } = {}) {
+    let query = supabase
+      .from(this.eventsTable)
+      .select('id, type, status, attempts, last_error, received_at, last_attempt_at, processed_at')
+      .order('received_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (type) {
+      query = query.eq('type', type);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to list webhook events: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Take the processing lock for an event.
+   * Returns { claimed: true, record } or { claimed: false, reason }.
+   */
+  async claimEvent(event, { force = false } = {}) {
+    const now = new Date().toISOString();
+    const existing = await this.getEvent(event.id);
+
+    if (!existing) {
+      const { data, error } = await supabase
+        .from(this.eventsTable)
+        .insert({
+          id: event.id,
+          type: event.type,
+          status: EVENT_STATUS.PROCESSING,
+          attempts: 1,
+          payload: event,
+          livemode: event.livemode,
+          stripe_created_at: new Date(event.created * 1000).toISOString(),
+          received_at: now,
+          last_attempt_at: now
+        })
+        .select()
+        .single();
+
+      if (error) {
+        // Unique violation: another invocation inserted the same event first
+        if (error.code === '23505') {
+          return { claimed: false, reason: 'in_progress' };
+        }
+        throw new Error(`Failed to record webhook event ${event.id}: ${error.message}`);
+      }
+
+      return { claimed: true, record: data };
+    }
+
+    if (!force && [EVENT_STATUS.PROCESSED, EVENT_STATUS.IGNORED].includes(existing.status)) {
+      return { claimed: false, reason: 'duplicate', record: existing };
+    }
+
+    const lockAge = Date.now() - new Date(existing.last_attempt_at).getTime();
+    if (existing.status === EVENT_STATUS.PROCESSING && lockAge < this.processingTimeoutMs) {
+      return { claimed: false, reason: 'in_progress', record: existing };
+    }
+
+    // Compare-and-set on the attempt counter so two retries can't both win
+    const { data, error } = await supabase
+      .from(this.eventsTable)
+      .update({
+        status: EVENT_STATUS.PROCESSING,
+        attempts: existing.attempts + 1,
+        last_attempt_at: now
+      })
+      .eq('id', event.id)
+      .eq('attempts', existing.attempts)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to claim webhook event ${event.id}: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      return { claimed: false, reason: 'in_progress', record: existing };
+    }
+
+    return { claimed: true, record: data[0] };
+  }
+
+  /**
+   * Mark a claimed event as finished
+   */
+  async completeEvent(eventId, status) {
+    const { error } = await supabase
+      .from(this.eventsTable)
+      .update({
+        status,
+        last_error: null,
+        processed_at: new Date().toISOString()
+      })
+      .eq('id', eventId);
+
+    if (error) {
+      throw new Error(`Failed to mark webhook event ${eventId} as ${status}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a failed attempt so Stripe's retry (or an admin replay) can pick it up
+   */
+  async failEvent(eventId, failure) {
+    const { error } = await supabase
+      .from(this.eventsTable)
+      .update({
+        status: EVENT_STATUS.FAILED,
+        last_error: failure.message || String(failure),
+        failed_at: new Date().toISOString()
+      })
+      .eq('id', eventId);
+
+    if (error) {
+      console.error(`Failed to record failure for webhook event ${eventId}:`, error.message);
+    }
+  }
+
+  /**
+   * Run the handler for a verified event exactly once.
+   * Throws if the handler fails, after recording the failure.
+   */
+  async processEvent(event, options = {}) {
+    const claim = await this.claimEvent(event, options);
+
+    if (!claim.claimed) {
+      console.log(`Skipping Stripe event ${event.id} (${event.type}): ${claim.reason}`);
+      return { processed: false, reason: claim.reason };
+    }
+
+    const handler = this.handlers[event.type];
+    if (!handler) {
+      console.warn(`Unhandled event type ${event.type}`);
+      await this.completeEvent(event.id, EVENT_STATUS.IGNORED);
+      return { processed: false, reason: 'unhandled' };
+    }
+
+    try {
+      await handler(event.data.object, event);
+      await this.completeEvent(event.id, EVENT_STATUS.PROCESSED);
+      console.log(`Processed Stripe event ${event.id} (${event.type}), attempt ${claim.record.attempts}`);
+      return { processed: true, attempts: claim.record.attempts };
+    } catch (error) {
+      console.error(`Error processing Stripe event ${event.id} (${event.type}):`, error.message);
+      await this.failEvent(event.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-run a stored event from its saved payload.
+   * Returns null if the event was never received.
+   */
+  async replayEvent(eventId, { force = false } = {}) {
+    const stored = await this.getEvent(eventId);
+    if (!stored) {
+      return null;
+    }
+
+    return this.processEvent(stored.payload, { force });
+  }
+}
+
+StripeWebhookService.EVENT_STATUS = EVENT_STATUS;
+
+module.exports = StripeWebhookService;
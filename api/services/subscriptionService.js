@@ -0,0 +1,382 @@
+const supabase = require('../supabaseClient');
+const stripe = require('../stripeClient');
+const NotificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stripe prices for each Plus plan. The monthly price is the one Plus launched with.
+const PLUS_PLANS = {
+  monthly: process.env.PLUS_MONTHLY_PRICE_ID || 'price_1QNIzyF25aBU3RMPEpbxhWN7',
+  annual: process.env.PLUS_ANNUAL_PRICE_ID || null
+};
+
+// Stripe subscription statuses that grant Plus outright
+const ENTITLED_STATUSES = ['active', 'trialing'];
+
+/**
+ * Bidi Plus subscriptions.
+ *
+ * Stripe is the source of truth; webhook events re-read the subscription and
+ * mirror it onto the member's `profiles` row (plus_* columns and
+ * stripe_customer_id). A failed renewal leaves the member entitled for a
+ * grace period while Stripe retries the card, after which Plus lapses until
+ * the invoice is paid. Routes for Plus-only features check entitlements with
+ * the requirePlus middleware; other code can call hasPlus.
+ */
+class SubscriptionService {
+  constructor() {
+    this.profilesTable = 'profiles';
+    this.gracePeriodDays = parseInt(process.env.PLUS_GRACE_PERIOD_DAYS, 10) || 7;
+  }
+
+  /**
+   * Plan name for a Stripe price ID, or null if it isn't a Plus price
+   */
+  getPlanForPrice(priceId) {
+    return Object.keys(PLUS_PLANS).find(plan => PLUS_PLANS[plan] && PLUS_PLANS[plan] === priceId) || null;
+  }
+
+  /**
+   * Subscription fields of a profile
+   */
+  async getProfile(userId) {
+    const { data, error } = await supabase
+      .from(this.profilesTable)
+      .select('id, email, stripe_customer_id, plus_status, plus_plan, plus_subscription_id, plus_current_period_end, plus_cancel_at_period_end, plus_grace_until')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch profile ${userId}: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Whether a profile row currently grants Plus
+   */
+  isEntitled(profile, now = new Date()) {
+    if (!profile?.plus_status) {
+      return false;
+    }
+    if (ENTITLED_STATUSES.includes(profile.plus_status)) {
+      return true;
+    }
+    return profile.plus_status === 'past_due'
+      && !!profile.plus_grace_until
+      && new Date(profile.plus_grace_until) > now;
+  }
+
+  /**
+   * What a user's Plus membership currently entitles them to
+   */
+  async getEntitlements(userId) {
+    const profile = userId ? await this.getProfile(userId) : null;
+    const plus = this.isEntitled(profile);
+
+    return {
+      plus,
+      status: profile?.plus_status || null,
+      plan: profile?.plus_plan || null,
+      currentPeriodEnd: profile?.plus_current_period_end || null,
+      cancelAtPeriodEnd: !!profile?.plus_cancel_at_period_end,
+      // Set while a failed renewal is being retried
+      graceUntil: plus && profile.plus_status === 'past_due' ? profile.plus_grace_until : null
+    };
+  }
+
+  /**
+   * Shorthand for code that only needs a yes/no
+   */
+  async hasPlus(userId) {
+    return (await this.getEntitlements(userId)).plus;
+  }
+
+  /**
+   * Checkout Session for a new Plus subscription
+   */
+  async createCheckoutSession({ userId, email, plan = 'monthly', successUrl, cancelUrl }) {
+    const price = PLUS_PLANS[plan];
+    if (!price) {
+      return { success: false, status: 400, error: `Unknown Plus plan: ${plan}` };
+    }
+
+    const profile = await this.getProfile(userId);
+    if (!profile) {
+      return { success: false, status: 404, error: 'Profile not found' };
+    }
+
+    if (this.isEntitled(profile)) {
+      return { success: false, status: 409, error: 'You already have an active Plus subscription' };
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card'],
+      mode: 'subscription',
+      line_items: [{ price, quantity: 1 }],
+      // Reuse the Stripe customer from any earlier subscription
+      ...(profile.stripe_customer_id
+        ? { customer: profile.stripe_customer_id }
+        : { customer_email: email || profile.email }),
+      client_reference_id: userId,
+      metadata: { userId },
+      // Copied onto the subscription so customer.subscription.* events can find the member
+      subscription_data: { metadata: { userId } },
+      success_url: successUrl,
+      cancel_url: cancelUrl
+    });
+
+    return { success: true, session };
+  }
+
+  /**
+   * Billing portal session where members update cards, switch plans and cancel
+   */
+  async createPortalSession(userId, returnUrl) {
+    const profile = await this.getProfile(userId);
+    if (!profile?.stripe_customer_id) {
+      return { success: false, status: 404, error: 'No Plus billing account found' };
+    }
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: profile.stripe_customer_id,
+      return_url: returnUrl
+    });
+
+    return { success: true, session };
+  }
+
+  /**
+   * The member's live Stripe subscription, or null
+   */
+  async getLiveSubscription(userId) {
+    const profile = await this.getProfile(userId);
+    if (!profile?.plus_subscription_id || profile.plus_status === 'canceled') {
+      return null;
+    }
+    return stripe.subscriptions.retrieve(profile.plus_subscription_id);
+  }
+
+  /**
+   * Move a member to another plan, prorating the difference
+   */
+  async changePlan(userId, plan) {
+    const price = PLUS_PLANS[plan];
+    if (!price) {
+      return { success: false, status: 400, error: `Unknown Plus plan: ${plan}` };
+    }
+
+    const subscription = await this.getLiveSubscription(userId);
+    if (!subscription) {
+      return { success: false, status: 404, error: 'No Plus subscription found' };
+    }
+
+    const item = subscription.items.data[0];
+    if (item.price.id === price) {
+      return { success: false, status: 409, error: `Already on the ${plan} plan` };
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items: [{ id: item.id, price }],
+      proration_behavior: 'create_prorations',
+      cancel_at_period_end: false
+    });
+
+    return { success: true, profile: await this.syncSubscription(updated) };
+  }
+
+  /**
+   * Cancel at the end of the paid period (the default) or right away
+   */
+  async cancel(userId, { immediately = false } = {}) {
+    const subscription = await this.getLiveSubscription(userId);
+    if (!subscription) {
+      return { success: false, status: 404, error: 'No Plus subscription found' };
+    }
+
+    const updated = immediately
+      ? await stripe.subscriptions.cancel(subscription.id)
+      : await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: true });
+
+    return { success: true, profile: await this.syncSubscription(updated) };
+  }
+
+  /**
+   * Undo a cancellation that hasn't taken effect yet
+   */
+  async resume(userId) {
+    const subscription = await this.getLiveSubscription(userId);
+    if (!subscription || !subscription.cancel_at_period_end) {
+      return { success: false, status: 409, error: 'There is no pending cancellation to undo' };
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: false });
+
+    return { success: true, profile: await this.syncSubscription(updated) };
+  }
+
+  /**
+   * Which profile a subscription belongs to
+   */
+  async findUserIdForSubscription(subscription) {
+    if (subscription.metadata?.userId) {
+      return subscription.metadata.userId;
+    }
+
+    const { data, error } = await supabase
+      .from(this.profilesTable)
+      .select('id')
+      .eq('stripe_customer_id', subscription.customer)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up customer ${subscription.customer}: ${error.message}`);
+    }
+
+    return data?.id || null;
+  }
+
+  /**
+   * Mirror a subscription onto its member's profile.
+   *
+   * The subscription is re-read from Stripe so events that arrive out of
+   * order still leave the latest state behind.
+   */
+  async syncSubscription(subscriptionOrId) {
+    const id = typeof subscriptionOrId === 'string' ? subscriptionOrId : subscriptionOrId.id;
+    const subscription = await stripe.subscriptions.retrieve(id);
+
+    const userId = await this.findUserIdForSubscription(subscription);
+    if (!userId) {
+      console.warn(`Subscription ${subscription.id} has no matching profile, skipping`);
+      return null;
+    }
+
+    const profile = await this.getProfile(userId);
+    if (!profile) {
+      console.warn(`Profile ${userId} for subscription ${subscription.id} not found, skipping`);
+      return null;
+    }
+
+    // Don't let the end of an old subscription overwrite a newer one
+    if (profile.plus_subscription_id
+      && profile.plus_subscription_id !== subscription.id
+      && !ENTITLED_STATUSES.includes(subscription.status)
+      && subscription.status !== 'past_due') {
+      console.log(`Ignoring ${subscription.status} subscription ${subscription.id}; profile ${userId} is on ${profile.plus_subscription_id}`);
+      return profile;
+    }
+
+    const item = subscription.items.data[0];
+    const periodEnd = item?.current_period_end || subscription.current_period_end;
+
+    const updates = {
+      stripe_customer_id: subscription.customer,
+      plus_subscription_id: subscription.id,
+      plus_status: subscription.status,
+      plus_plan: this.getPlanForPrice(item?.price?.id),
+      plus_current_period_end: periodEnd ? new Date(periodEnd * 1000).toISOString() : null,
+      plus_cancel_at_period_end: !!subscription.cancel_at_period_end,
+      plus_updated_at: new Date().toISOString()
+    };
+
+    // Back in good standing: the grace period no longer applies
+    if (ENTITLED_STATUSES.includes(subscription.status)) {
+      updates.plus_grace_until = null;
+    }
+
+    return this.updateProfile(userId, updates);
+  }
+
+  /**
+   * Write subscription fields to a profile
+   */
+  async updateProfile(userId, updates) {
+    const { data, error } = await supabase
+      .from(this.profilesTable)
+      .update(updates)
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update Plus status for ${userId}: ${error.message}`);
+    }
+
+    console.log(`⭐ Plus status for ${userId}: ${data.plus_status}${data.plus_cancel_at_period_end ? ' (cancels at period end)' : ''}`);
+    return data;
+  }
+
+  /**
+   * checkout.session.completed for a subscription: link the Stripe customer
+   * to the profile before the subscription events need it
+   */
+  async handleCheckoutSessionCompleted(session) {
+    const userId = session.metadata?.userId || session.client_reference_id;
+    if (!userId || !session.subscription) {
+      console.warn(`Subscription checkout ${session.id} has no user or subscription, skipping`);
+      return null;
+    }
+
+    await this.updateProfile(userId, { stripe_customer_id: session.customer });
+    return this.syncSubscription(session.subscription);
+  }
+
+  /**
+   * invoice.paid: a renewal went through (clears any grace period)
+   */
+  async handleInvoicePaid(invoice) {
+    if (!invoice.subscription) {
+      return null;
+    }
+    return this.syncSubscription(invoice.subscription);
+  }
+
+  /**
+   * invoice.payment_failed: start the grace period on the first failed
+   * renewal and email the member about every failed attempt
+   */
+  async handleInvoicePaymentFailed(invoice) {
+    if (!invoice.subscription) {
+      return null;
+    }
+
+    let profile = await this.syncSubscription(invoice.subscription);
+    if (!profile) {
+      return null;
+    }
+
+    if (!profile.plus_grace_until) {
+      const graceUntil = new Date(Date.now() + this.gracePeriodDays * DAY_MS);
+      profile = await this.updateProfile(profile.id, { plus_grace_until: graceUntil.toISOString() });
+    }
+
+    if (profile.email) {
+      try {
+        await new NotificationService().sendEmail({
+          to: profile.email,
+          userId: profile.id,
+          category: 'account',
+          template: 'plus-payment-failed',
+          variables: {
+            amountDue: invoice.amount_due,
+            currency: invoice.currency,
+            nextPaymentAttempt: invoice.next_payment_attempt ? invoice.next_payment_attempt * 1000 : null,
+            graceUntil: profile.plus_grace_until,
+            invoiceUrl: invoice.hosted_invoice_url
+          }
+        });
+      } catch (error) {
+        // Stripe retries the charge regardless; don't fail the event over the email
+        console.error(`Error sending Plus payment failed email to ${profile.id}:`, error.message);
+      }
+    }
+
+    return profile;
+  }
+}
+
+SubscriptionService.PLUS_PLANS = PLUS_PLANS;
+
+module.exports = SubscriptionService;
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const authenticateUser = require('../middleware/auth');
+const SmsService = require('../services/smsService');
+const NotificationPreferenceService = require('../services/notificationPreferenceService');
+
+// Each code costs a text, so keep people from asking for lots of them
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: { success: false, error: 'Too many verification requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const requireSms = (req, res, next) => {
+  if (!new SmsService().isConfigured()) {
+    return res.status(503).json({ success: false, error: 'Text messaging is not configured' });
+  }
+  next();
+};
+
+const twiml = (reply) => `<?xml version="1.0" encoding="UTF-8"?><Response>${reply
+  ? `<Message>${reply.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</Message>`
+  : ''}</Response>`;
+
+/**
+ * GET /api/sms/phone
+ * The signed-in user's phone number and whether it's verified
+ */
+router.get('/phone', authenticateUser, async (req, res) => {
+  try {
+    const smsService = new SmsService();
+    const phone = await smsService.getPhone(req.user.id);
+    res.json({ success: true, phone: smsService.describePhone(phone) });
+  } catch (error) {
+    console.error('Error fetching phone number:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch phone number', details: error.message });
+  }
+});
+
+/**
+ * POST /api/sms/phone
+ * Add or change the signed-in user's number and text it a verification code
+ *
+ * Request Body:
+ * { "phoneNumber": "+18015551234" }
+ */
+router.post('/phone', requireSms, verificationLimiter, authenticateUser, async (req, res) => {
+  try {
+    const smsService = new SmsService();
+    const result = await smsService.startVerification(req.user.id, req.body?.phoneNumber);
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    console.log(`📱 Sent phone verification code for ${req.user.id}`);
+    res.json({ success: true, phone: smsService.describePhone(result.phone) });
+  } catch (error) {
+    console.error('Error starting phone verification:', error);
+    res.status(500).json({ success: false, error: 'Failed to start phone verification', details: error.message });
+  }
+});
+
+/**
+ * POST /api/sms/phone/verify
+ * Confirm the code texted to the user's number. Verifying a number opts the
+ * user in to texts; they can still turn categories off in their preferences.
+ *
+ * Request Body:
+ * { "code": "123456" }
+ */
+router.post('/phone/verify', requireSms, verificationLimiter, authenticateUser, async (req, res) => {
+  try {
+    const smsService = new SmsService();
+    const result = await smsService.confirmVerification(req.user.id, req.body?.code);
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const preferenceService = new NotificationPreferenceService();
+    const { preferences } = await preferenceService.update(req.user.id, { channels: { sms: true } });
+
+    console.log(`✅ Verified phone number for ${req.user.id}`);
+    res.json({ success: true, phone: smsService.describePhone(result.phone), preferences });
+  } catch (error) {
+    console.error('Error verifying phone number:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify phone number', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sms/phone
+ * Remove the signed-in user's number and turn texts off
+ */
+router.delete('/phone', authenticateUser, async (req, res) => {
+  try {
+    const smsService = new SmsService();
+    await smsService.removePhone(req.user.id);
+
+    const preferenceService = new NotificationPreferenceService();
+    await preferenceService.update(req.user.id, { channels: { sms: false } });
+
+    console.log(`🗑️ Removed phone number for ${req.user.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing phone number:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove phone number', details: error.message });
+  }
+});
+
+/**
+ * POST /api/sms/webhook
+ * Twilio's incoming message webhook: STOP, START and HELP replies
+ */
+router.post('/webhook', requireSms, async (req, res) => {
+  const smsService = new SmsService();
+
+  if (!smsService.verifyWebhook(req)) {
+    console.warn('⚠️ Rejected SMS webhook with an invalid signature');
+    return res.status(403).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const reply = await smsService.handleInbound(req.body || {});
+    res.type('text/xml').send(twiml(reply));
+  } catch (error) {
+    console.error('Error handling inbound SMS:', error);
+    // Let Twilio retry
+    res.status(500).json({ error: 'Failed to handle inbound SMS', details: error.message });
+  }
+});
+
+module.exports = router;
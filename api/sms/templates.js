@@ -0,0 +1,28 @@
+// Text message bodies. Keep them short: anything over 160 characters is
+// billed as several messages.
+
+const formatWhen = (date, timeZone = 'UTC') => new Date(date).toLocaleString('en-US', {
+  timeZone,
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+const newBid = ({ title }) =>
+  `Bidi: You have a new bid${title ? ` on "${title}"` : ''}. Review it at https://www.savewithbidi.com/my-bids`;
+
+const consultationBooked = ({ customerName, startTime, timeZone, meetLink }) =>
+  `Bidi: ${customerName || 'A customer'} booked a consultation with you for ${formatWhen(startTime, timeZone)}.${meetLink ? ` Join: ${meetLink}` : ''}`;
+
+const paymentReceived = ({ amount, paymentLabel, title }) =>
+  `Bidi: You received a ${amount} ${paymentLabel}${title ? ` for "${title}"` : ''}. Details at https://www.savewithbidi.com/business-dashboard`;
+
+module.exports = {
+  formatWhen,
+  newBid,
+  consultationBooked,
+  paymentReceived
+};
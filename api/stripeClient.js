@@ -0,0 +1,6 @@
+// Shared Stripe client so route modules and services use the same API version
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY, {
+  apiVersion: '2024-12-18.acacia',
+});
+
+module.exports = stripe;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const authenticateUser = require('../middleware/auth');
+const SubscriptionService = require('../services/subscriptionService');
+
+const PLUS_RETURN_URL = 'https://www.savewithbidi.com/dashboard';
+
+// Every Plus endpoint acts on the signed-in member
+router.use(authenticateUser);
+
+// Send a service result ({ success, status, error, ... }) back as JSON
+const sendResult = (res, result, body) => {
+  if (!result.success) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+  res.json({ success: true, ...body });
+};
+
+/**
+ * GET /api/subscriptions/me
+ * The signed-in user's Plus status and entitlements
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const subscriptionService = new SubscriptionService();
+    const entitlements = await subscriptionService.getEntitlements(req.user.id);
+    res.json({ success: true, ...entitlements });
+  } catch (error) {
+    console.error('Error fetching Plus entitlements:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch Plus status', details: error.message });
+  }
+});
+
+/**
+ * POST /api/subscriptions/checkout-session
+ * Start a Plus subscription
+ *
+ * Request Body:
+ * {
+ *   "plan": "monthly"   // or "annual"; defaults to monthly
+ * }
+ */
+router.post('/checkout-session', async (req, res) => {
+  try {
+    const subscriptionService = new SubscriptionService();
+    const result = await subscriptionService.createCheckoutSession({
+      userId: req.user.id,
+      email: req.user.email,
+      plan: req.body.plan,
+      successUrl: 'https://www.savewithbidi.com/success?session_id={CHECKOUT_SESSION_ID}',
+      cancelUrl: 'https://www.savewithbidi.com/cancel'
+    });
+
+    sendResult(res, result, { url: result.session?.url });
+  } catch (error) {
+    console.error('Error creating Plus checkout session:', error);
+    res.status(500).json({ success: false, error: 'Failed to start Plus checkout', details: error.message });
+  }
+});
+
+/**
+ * POST /api/subscriptions/portal-session
+ * Stripe customer portal for updating cards, invoices, plan changes and cancellation
+ */
+router.post('/portal-session', async (req, res) => {
+  try {
+    const subscriptionService = new SubscriptionService();
+    const result = await subscriptionService.createPortalSession(req.user.id, req.body.returnUrl || PLUS_RETURN_URL);
+
+    sendResult(res, result, { url: result.session?.url });
+  } catch (error) {
+    console.error('Error creating customer portal session:', error);
+    res.status(500).json({ success: false, error: 'Failed to open billing portal', details: error.message });
+  }
+});
+
+/**
+ * POST /api/subscriptions/change-plan
+ * Switch between Plus plans with proration
+ *
+ * Request Body:
+ * {
+ *   "plan": "annual"
+ * }
+ */
+router.post('/change-plan', async (req, res) => {
+  if (!req.body.plan) {
+    return res.status(400).json({ success: false, error: 'plan is required' });
+  }
+
+  try {
+    const subscriptionService = new SubscriptionService();
+    const result = await subscriptionService.changePlan(req.user.id, req.body.plan);
+
+    sendResult(res, result, { plan: result.profile?.plus_plan, status: result.profile?.plus_status });
+  } catch (error) {
+    console.error('Error changing Plus plan:', error);
+    res.status(500).json({ success: false, error: 'Failed to change plan', details: error.message });
+  }
+});
+
+/**
+ * POST /api/subscriptions/cancel
+ * Cancel Plus at the end of the paid period, or now with { "immediately": true }
+ */
+router.post('/cancel', async (req, res) => {
+  try {
+    const subscriptionService = new SubscriptionService();
+    const result = await subscriptionService.cancel(req.user.id, { immediately: !!req.body.immediately });
+
+    sendResult(res, result, {
+      status: result.profile?.plus_status,
+      cancelAtPeriodEnd: !!result.profile?.plus_cancel_at_period_end,
+      currentPeriodEnd: result.profile?.plus_current_period_end
+    });
+  } catch (error) {
+    console.error('Error cancelling Plus:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel subscription', details: error.message });
+  }
+});
+
+/**
+ * POST /api/subscriptions/resume
+ * Keep Plus after scheduling a cancellation
+ */
+router.post('/resume', async (req, res) => {
+  try {
+    const subscriptionService = new SubscriptionService();
+    const result = await subscriptionService.resume(req.user.id);
+
+    sendResult(res, result, { status: result.profile?.plus_status });
+  } catch (error) {
+    console.error('Error resuming Plus:', error);
+    res.status(500).json({ success: false, error: 'Failed to resume subscription', details: error.message });
+  }
+});
+
+module.exports = router;
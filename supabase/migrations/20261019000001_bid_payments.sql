@@ -0,0 +1,39 @@
+-- Ledger of Stripe payments made against bids (PaymentLedgerService).
+-- One row per checkout; webhooks move it through its statuses and
+-- bids.payment_status is derived from the rows. Only the API, with the
+-- service role key, touches it, so RLS is on with no policies.
+
+create table if not exists public.bid_payments (
+  id uuid primary key default gen_random_uuid(),
+  bid_id uuid not null references public.bids(id) on delete cascade,
+  payment_type text not null default 'full'
+    check (payment_type in ('full', 'deposit', 'balance')),
+  status text not null default 'pending'
+    check (status in ('pending', 'succeeded', 'failed', 'partially_refunded', 'refunded', 'disputed')),
+  amount integer not null,
+  amount_refunded integer not null default 0,
+  currency text not null default 'usd',
+  application_fee_amount integer,
+  connected_account_id text,
+  stripe_checkout_session_id text,
+  stripe_payment_intent_id text,
+  stripe_charge_id text,
+  stripe_dispute_id text,
+  dispute_status text,
+  failure_reason text,
+  paid_at timestamptz,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists bid_payments_bid_id_idx on public.bid_payments (bid_id, created_at);
+create index if not exists bid_payments_checkout_session_idx on public.bid_payments (stripe_checkout_session_id);
+create index if not exists bid_payments_payment_intent_idx on public.bid_payments (stripe_payment_intent_id);
+create index if not exists bid_payments_charge_idx on public.bid_payments (stripe_charge_id);
+
+alter table public.bid_payments enable row level security;
+
+alter table public.bids
+  add column if not exists payment_status text,
+  add column if not exists payment_status_updated_at timestamptz;
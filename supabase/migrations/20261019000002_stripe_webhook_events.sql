@@ -0,0 +1,23 @@
+-- Log of Stripe webhook events (StripeWebhookService). The Stripe event ID
+-- is the primary key, so a redelivered event can't be processed twice.
+
+create table if not exists public.stripe_webhook_events (
+  id text primary key,
+  type text not null,
+  status text not null default 'processing'
+    check (status in ('processing', 'processed', 'failed', 'ignored')),
+  attempts integer not null default 1,
+  payload jsonb not null,
+  livemode boolean not null default false,
+  stripe_created_at timestamptz,
+  received_at timestamptz not null default now(),
+  last_attempt_at timestamptz not null default now(),
+  processed_at timestamptz,
+  failed_at timestamptz,
+  last_error text
+);
+
+create index if not exists stripe_webhook_events_received_idx on public.stripe_webhook_events (received_at desc);
+create index if not exists stripe_webhook_events_status_idx on public.stripe_webhook_events (status, received_at desc);
+
+alter table public.stripe_webhook_events enable row level security;
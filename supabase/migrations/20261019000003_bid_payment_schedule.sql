@@ -0,0 +1,14 @@
+-- Deposit/balance split (PaymentScheduleService). A balance waits in
+-- 'scheduled' with a due date until the customer starts its checkout.
+
+alter table public.bid_payments
+  add column if not exists due_date timestamptz,
+  add column if not exists reminder_at timestamptz,
+  add column if not exists reminder_sent_at timestamptz;
+
+alter table public.bid_payments drop constraint if exists bid_payments_status_check;
+alter table public.bid_payments add constraint bid_payments_status_check
+  check (status in ('scheduled', 'pending', 'succeeded', 'failed', 'partially_refunded', 'refunded', 'disputed'));
+
+create index if not exists bid_payments_due_reminders_idx on public.bid_payments (reminder_at)
+  where payment_type = 'balance' and reminder_sent_at is null;
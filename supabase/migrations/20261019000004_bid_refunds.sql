@@ -0,0 +1,32 @@
+-- Refunds issued through the refund API (RefundService), one row per
+-- Stripe refund, and the vendor's cancellation policy it applies.
+
+create table if not exists public.bid_refunds (
+  id uuid primary key default gen_random_uuid(),
+  bid_id uuid not null references public.bids(id) on delete cascade,
+  payment_id uuid not null references public.bid_payments(id) on delete cascade,
+  stripe_refund_id text not null unique,
+  amount integer not null,
+  application_fee_refunded integer not null default 0,
+  transfer_reversed integer not null default 0,
+  currency text not null default 'usd',
+  status text,
+  reason text,
+  initiated_by text not null check (initiated_by in ('customer', 'business', 'admin')),
+  initiated_by_user_id uuid,
+  policy_refund_percent numeric,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists bid_refunds_bid_id_idx on public.bid_refunds (bid_id, created_at);
+
+alter table public.bid_refunds enable row level security;
+
+-- { "tiers": [{ "days_before_event": 30, "refund_percent": 100 }], "default_refund_percent": 0 }
+alter table public.business_pricing_rules
+  add column if not exists cancellation_policy jsonb;
+
+-- Unpaid rows are canceled when a booking is
+alter table public.bid_payments drop constraint if exists bid_payments_status_check;
+alter table public.bid_payments add constraint bid_payments_status_check
+  check (status in ('scheduled', 'pending', 'succeeded', 'failed', 'partially_refunded', 'refunded', 'disputed', 'canceled'));
@@ -0,0 +1,14 @@
+-- Bidi Plus membership, mirrored from Stripe onto the member's profile
+-- (SubscriptionService)
+
+alter table public.profiles
+  add column if not exists stripe_customer_id text,
+  add column if not exists plus_subscription_id text,
+  add column if not exists plus_status text,
+  add column if not exists plus_plan text,
+  add column if not exists plus_current_period_end timestamptz,
+  add column if not exists plus_cancel_at_period_end boolean not null default false,
+  add column if not exists plus_grace_until timestamptz,
+  add column if not exists plus_updated_at timestamptz;
+
+create unique index if not exists profiles_stripe_customer_id_key on public.profiles (stripe_customer_id);
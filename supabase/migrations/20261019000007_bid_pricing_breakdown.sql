@@ -0,0 +1,6 @@
+-- Autobid's price breakdown, kept on production bids for the line items on
+-- invoices and quotes (BidDocumentService). Same format as
+-- autobid_training_responses.pricing_breakdown: "Label: $amount" lines.
+
+alter table public.bids
+  add column if not exists pricing_breakdown text;
@@ -0,0 +1,13 @@
+-- Connected account status mirrored from account.updated
+-- (ConnectAccountService)
+
+alter table public.business_profiles
+  add column if not exists stripe_charges_enabled boolean,
+  add column if not exists stripe_payouts_enabled boolean,
+  add column if not exists stripe_details_submitted boolean,
+  add column if not exists stripe_requirements_due text[] not null default '{}',
+  add column if not exists stripe_disabled_reason text,
+  add column if not exists stripe_requirements_deadline timestamptz,
+  add column if not exists stripe_status_updated_at timestamptz;
+
+create index if not exists business_profiles_stripe_account_id_idx on public.business_profiles (stripe_account_id);
@@ -0,0 +1,6 @@
+-- Country and currency of the vendor's connected account, for charging in
+-- CAD or GBP and formatting dates in exports
+
+alter table public.business_profiles
+  add column if not exists stripe_country text,
+  add column if not exists stripe_default_currency text;
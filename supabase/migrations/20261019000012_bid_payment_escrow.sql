@@ -0,0 +1,21 @@
+-- Escrow payouts (EscrowService): payout_mode 'escrow' holds the money on
+-- the platform until it is transferred to the vendor after the event.
+
+alter table public.bid_payments
+  add column if not exists payout_mode text not null default 'direct'
+    check (payout_mode in ('direct', 'escrow')),
+  add column if not exists escrow_status text
+    check (escrow_status in ('held', 'on_hold', 'released', 'canceled')),
+  add column if not exists escrow_event_date timestamptz,
+  add column if not exists escrow_release_at timestamptz,
+  add column if not exists escrow_issue_reason text,
+  add column if not exists escrow_issue_reported_at timestamptz,
+  add column if not exists customer_confirmed_at timestamptz,
+  add column if not exists stripe_transfer_id text,
+  add column if not exists transfer_amount integer,
+  add column if not exists transfer_reversed_amount integer not null default 0,
+  add column if not exists released_at timestamptz,
+  add column if not exists released_by text;
+
+create index if not exists bid_payments_escrow_release_idx on public.bid_payments (escrow_release_at)
+  where payout_mode = 'escrow' and escrow_status = 'held';
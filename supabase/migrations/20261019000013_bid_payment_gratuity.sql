@@ -0,0 +1,4 @@
+-- Fee-free gratuity added at checkout; bid_payments.amount includes it
+
+alter table public.bid_payments
+  add column if not exists gratuity_amount integer not null default 0;
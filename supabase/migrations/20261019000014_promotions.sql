@@ -0,0 +1,160 @@
+-- Bidi-funded promo codes and customer credits (PromotionService)
+
+create table if not exists public.promo_campaigns (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  code text not null unique,
+  discount_type text not null check (discount_type in ('fixed', 'percent')),
+  discount_value numeric not null check (discount_value > 0),
+  max_discount_amount integer,
+  currency text,
+  min_amount integer,
+  first_booking_only boolean not null default false,
+  max_redemptions integer,
+  max_redemptions_per_user integer default 1,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- One row per use of a code; 'pending' while its checkout is open
+create table if not exists public.promo_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  campaign_id uuid not null references public.promo_campaigns(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  bid_id uuid references public.bids(id) on delete set null,
+  checkout_session_id text,
+  amount integer not null,
+  currency text not null,
+  status text not null default 'pending' check (status in ('pending', 'redeemed', 'released')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists promo_redemptions_campaign_idx on public.promo_redemptions (campaign_id, user_id, status);
+create index if not exists promo_redemptions_checkout_idx on public.promo_redemptions (checkout_session_id);
+
+-- Grants are positive amounts, spends negative
+create table if not exists public.customer_credits (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  amount integer not null,
+  currency text not null,
+  reason text,
+  status text not null check (status in ('granted', 'pending', 'redeemed', 'released')),
+  expires_at timestamptz,
+  granted_by uuid,
+  bid_id uuid references public.bids(id) on delete set null,
+  checkout_session_id text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists customer_credits_user_idx on public.customer_credits (user_id, currency);
+create index if not exists customer_credits_checkout_idx on public.customer_credits (checkout_session_id);
+
+alter table public.promo_campaigns enable row level security;
+alter table public.promo_redemptions enable row level security;
+alter table public.customer_credits enable row level security;
+
+alter table public.bid_payments
+  add column if not exists customer_id uuid,
+  add column if not exists discount_amount integer not null default 0,
+  add column if not exists platform_top_up_amount integer not null default 0,
+  add column if not exists top_up_transfer_id text;
+
+create index if not exists bid_payments_customer_idx on public.bid_payments (customer_id, status);
+
+-- Holds a checkout's promo redemption and credit spend in one transaction.
+-- The campaign row and the customer's credit ledger are locked while the
+-- usage limits and balance are checked again, so two checkouts can't both
+-- take the last use of a code or spend the same credit. Returns null once
+-- held, or the reason nothing was held.
+create or replace function public.reserve_checkout_discounts(
+  p_user_id uuid,
+  p_bid_id uuid,
+  p_checkout_session_id text,
+  p_currency text,
+  p_campaign_id uuid,
+  p_promo_amount integer,
+  p_credits_amount integer
+) returns text
+language plpgsql
+as $$
+declare
+  v_campaign public.promo_campaigns%rowtype;
+  v_used integer;
+  v_balance integer;
+begin
+  if p_campaign_id is not null then
+    select * into v_campaign
+      from public.promo_campaigns
+      where id = p_campaign_id
+      for update;
+
+    if not found or not v_campaign.active then
+      return 'This promo code is not valid';
+    end if;
+
+    if v_campaign.max_redemptions > 0 then
+      select count(*) into v_used
+        from public.promo_redemptions
+        where campaign_id = p_campaign_id
+          and status in ('pending', 'redeemed');
+
+      if v_used >= v_campaign.max_redemptions then
+        return 'This promo code has been fully redeemed';
+      end if;
+    end if;
+
+    if v_campaign.max_redemptions_per_user > 0 then
+      select count(*) into v_used
+        from public.promo_redemptions
+        where campaign_id = p_campaign_id
+          and user_id = p_user_id
+          and status in ('pending', 'redeemed');
+
+      if v_used >= v_campaign.max_redemptions_per_user then
+        return 'You''ve already used this promo code';
+      end if;
+    end if;
+  end if;
+
+  if p_credits_amount > 0 then
+    -- Credits have no parent row to lock, so spends are serialised per
+    -- customer and currency
+    perform pg_advisory_xact_lock(hashtext('customer_credits:' || p_user_id::text || ':' || p_currency));
+
+    select coalesce(sum(amount), 0) into v_balance
+      from public.customer_credits
+      where user_id = p_user_id
+        and currency = p_currency
+        and status <> 'released'
+        and (amount < 0 or expires_at is null or expires_at > now());
+
+    if v_balance < p_credits_amount then
+      return 'Your credit balance has changed, please try again';
+    end if;
+  end if;
+
+  if p_campaign_id is not null then
+    insert into public.promo_redemptions
+      (campaign_id, user_id, bid_id, checkout_session_id, amount, currency, status)
+    values
+      (p_campaign_id, p_user_id, p_bid_id, p_checkout_session_id, p_promo_amount, p_currency, 'pending');
+  end if;
+
+  if p_credits_amount > 0 then
+    insert into public.customer_credits
+      (user_id, amount, currency, reason, bid_id, checkout_session_id, status)
+    values
+      (p_user_id, -p_credits_amount, p_currency, 'Booking ' || p_bid_id::text, p_bid_id, p_checkout_session_id, 'pending');
+  end if;
+
+  return null;
+end;
+$$;
+
+-- Only the API (service role) reserves discounts
+revoke execute on function public.reserve_checkout_discounts(uuid, uuid, text, text, uuid, integer, integer) from public, anon, authenticated;
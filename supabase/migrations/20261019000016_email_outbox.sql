@@ -0,0 +1,50 @@
+-- Durable outbox for transactional email and the Resend webhook events
+-- logged against it (EmailOutboxService)
+
+create table if not exists public.email_outbox (
+  id uuid primary key default gen_random_uuid(),
+  to_email text not null,
+  from_email text not null,
+  subject text not null,
+  html text not null,
+  text text,
+  headers jsonb,
+  template text,
+  category text,
+  metadata jsonb not null default '{}'::jsonb,
+  status text not null default 'queued'
+    check (status in ('queued', 'sending', 'sent', 'delivery_delayed', 'delivered', 'bounced', 'complained', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  resend_id text unique,
+  last_error text,
+  sent_at timestamptz,
+  delivered_at timestamptz,
+  bounced_at timestamptz,
+  complained_at timestamptz,
+  failed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists email_outbox_due_idx on public.email_outbox (status, next_attempt_at);
+create index if not exists email_outbox_created_idx on public.email_outbox (created_at desc);
+create index if not exists email_outbox_to_email_idx on public.email_outbox (to_email);
+
+-- The Resend (svix) message ID is the key, so a redelivered webhook is
+-- only logged once
+create table if not exists public.email_events (
+  id text primary key,
+  outbox_id uuid references public.email_outbox(id) on delete set null,
+  resend_id text,
+  type text,
+  payload jsonb,
+  occurred_at timestamptz not null default now(),
+  received_at timestamptz not null default now()
+);
+
+create index if not exists email_events_outbox_idx on public.email_events (outbox_id);
+create index if not exists email_events_resend_idx on public.email_events (resend_id);
+
+alter table public.email_outbox enable row level security;
+alter table public.email_events enable row level security;
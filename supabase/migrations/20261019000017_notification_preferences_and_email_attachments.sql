@@ -0,0 +1,27 @@
+-- Per-user notification channels, categories, digest frequency, timezone
+-- and quiet hours (NotificationPreferenceService). Users with no row get
+-- the defaults.
+
+create table if not exists public.notification_preferences (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  channels jsonb not null default '{}'::jsonb,
+  categories jsonb not null default '{}'::jsonb,
+  frequency text not null default 'instant'
+    check (frequency in ('instant', 'daily', 'weekly')),
+  quiet_hours_start text,
+  quiet_hours_end text,
+  timezone text not null default 'UTC',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists notification_preferences_frequency_idx
+  on public.notification_preferences (frequency)
+  where frequency <> 'instant';
+
+alter table public.notification_preferences enable row level security;
+
+-- Attachments (receipt PDFs) kept on queued email as base64 JSON
+
+alter table public.email_outbox
+  add column if not exists attachments jsonb;
@@ -0,0 +1,28 @@
+-- Log of vendor digests (DigestService); the latest period_end per user is
+-- where the next digest starts. Status is 'sent', 'empty', 'no_email' or
+-- the reason NotificationService skipped the send.
+
+create table if not exists public.notification_digests (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  frequency text not null check (frequency in ('daily', 'weekly')),
+  period_start timestamptz not null,
+  period_end timestamptz not null,
+  status text not null,
+  outbox_id uuid references public.email_outbox(id) on delete set null,
+  counts jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_digests_user_period_idx
+  on public.notification_digests (user_id, period_end desc);
+
+alter table public.notification_digests enable row level security;
+
+-- Vendor service areas (GeoService), used to match requests by location.
+-- A vendor without one matches requests anywhere.
+alter table public.business_profiles
+  add column if not exists service_latitude double precision,
+  add column if not exists service_longitude double precision,
+  add column if not exists service_radius_miles numeric(8, 2)
+    check (service_radius_miles is null or service_radius_miles > 0);
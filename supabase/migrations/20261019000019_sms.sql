@@ -0,0 +1,44 @@
+-- Phone numbers for text notifications and the log of texts sent
+-- (SmsService). One number per user; it's only texted once verified and
+-- while opted_out_at is unset.
+
+create table if not exists public.user_phone_numbers (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  phone_number text not null,
+  verified_at timestamptz,
+  verification_code_hash text,
+  verification_sent_at timestamptz,
+  verification_expires_at timestamptz,
+  verification_attempts integer not null default 0,
+  opted_out_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- STOP and START replies are matched by number
+create index if not exists user_phone_numbers_phone_number_idx on public.user_phone_numbers (phone_number);
+
+-- Bodies of sensitive texts (verification codes) aren't kept
+create table if not exists public.sms_messages (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users(id) on delete set null,
+  to_number text not null,
+  body text,
+  category text,
+  status text not null check (status in ('sent', 'failed')),
+  transport text,
+  provider_id text,
+  error text,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sms_messages_user_idx on public.sms_messages (user_id, created_at desc);
+
+alter table public.user_phone_numbers enable row level security;
+alter table public.sms_messages enable row level security;
+
+-- Set when the vendor is told about a payment, so a redelivered webhook
+-- doesn't text them twice
+alter table public.bid_payments
+  add column if not exists vendor_notified_at timestamptz;
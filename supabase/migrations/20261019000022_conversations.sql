@@ -0,0 +1,47 @@
+-- Conversation threads (ConversationService). thread_key is unique, so a
+-- bid, a vendor on a request or a pair of users each get one thread. The
+-- last message is copied onto the conversation for the list view.
+
+create table if not exists public.conversations (
+  id uuid primary key default gen_random_uuid(),
+  thread_key text not null unique,
+  title text,
+  -- Requests live in one table per category, so there's no foreign key
+  request_id uuid,
+  bid_id uuid references public.bids(id) on delete set null,
+  created_by uuid references auth.users(id) on delete set null,
+  last_message_at timestamptz,
+  last_message_preview text,
+  last_message_sender_id uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists conversations_last_message_idx on public.conversations (last_message_at desc);
+create index if not exists conversations_bid_idx on public.conversations (bid_id);
+create index if not exists conversations_request_idx on public.conversations (request_id);
+
+-- last_read_at drives unread counts and read receipts
+create table if not exists public.conversation_participants (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references public.conversations(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  role text check (role in ('customer', 'vendor')),
+  joined_at timestamptz not null default now(),
+  last_read_at timestamptz,
+  unique (conversation_id, user_id)
+);
+
+create index if not exists conversation_participants_user_idx on public.conversation_participants (user_id);
+
+alter table public.conversations enable row level security;
+alter table public.conversation_participants enable row level security;
+
+-- Messages from before threads have no conversation_id until they're
+-- adopted into the pair's direct thread
+alter table public.messages
+  add column if not exists conversation_id uuid references public.conversations(id) on delete cascade;
+
+create index if not exists messages_conversation_idx on public.messages (conversation_id, created_at desc);
+create index if not exists messages_unthreaded_idx on public.messages (sender_id, receiver_id)
+  where conversation_id is null;
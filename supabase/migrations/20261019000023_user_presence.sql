@@ -0,0 +1,10 @@
+-- When each user was last connected to the messaging socket
+-- (PresenceService), for "last seen" when they're offline
+
+create table if not exists public.user_presence (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  last_seen_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_presence enable row level security;
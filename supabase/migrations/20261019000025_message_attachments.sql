@@ -0,0 +1,29 @@
+-- Files sent with messages (MessageAttachmentService). Rows start with no
+-- message_id when uploaded and are claimed by the message they're sent
+-- with. The files themselves are in the private message-attachments bucket.
+
+create table if not exists public.message_attachments (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references public.conversations(id) on delete cascade,
+  uploaded_by uuid references auth.users(id) on delete set null,
+  message_id uuid references public.messages(id) on delete cascade,
+  file_name text not null,
+  content_type text not null,
+  size_bytes integer not null check (size_bytes > 0),
+  storage_path text not null unique,
+  thumbnail_path text,
+  width integer,
+  height integer,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists message_attachments_message_idx on public.message_attachments (message_id, created_at);
+create index if not exists message_attachments_pending_idx on public.message_attachments (conversation_id, uploaded_by)
+  where message_id is null;
+
+alter table public.message_attachments enable row level security;
+
+-- Private, so files are only reachable through signed URLs
+insert into storage.buckets (id, name, public, file_size_limit)
+values ('message-attachments', 'message-attachments', false, 10485760)
+on conflict (id) do nothing;